@@ -0,0 +1,360 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Util = require("util");
+
+//
+//  Constants.
+//
+
+/**
+ *  Maximum code point.
+ * 
+ *  @type {Number}
+ */
+const MAX_CODE_POINT = 0x10FFFF;
+
+/**
+ *  Regular expression of characters that can be written literally in 
+ *  patterns.
+ * 
+ *  @type {RegExp}
+ */
+const PATTERN_LITERAL = /^[A-Za-z0-9 !"#$%&'()*+,./:;<=>?@_`{|}~]$/;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Create a Traverse.ParameterError.
+ * 
+ *  Note(s):
+ *    [1] "core/traverse.js" imports this module, so it's imported lazily 
+ *        here (to avoid circular import).
+ * 
+ *  @param {String} message - The message.
+ *  @return {Traverse.ParameterError} - The error.
+ */
+function CreateParameterError(message) {
+    const Traverse = require("./traverse").Traverse;
+    return new Traverse.ParameterError(message);
+}
+
+/**
+ *  Get the code point of a range boundary.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the boundary is neither a single character nor a code 
+ *        point.
+ * 
+ *  @param {String|Number} boundary - The boundary (a single character or a 
+ *                                    code point).
+ *  @return {Number} - The code point.
+ */
+function GetBoundaryCodePoint(boundary) {
+    if (typeof(boundary) == "number") {
+        if (
+            Number.isInteger(boundary) && 
+            boundary >= 0 && 
+            boundary <= MAX_CODE_POINT
+        ) {
+            return boundary;
+        }
+    } else if (typeof(boundary) == "string") {
+        let codePoint = boundary.codePointAt(0);
+        if (
+            typeof(codePoint) != "undefined" && 
+            String.fromCodePoint(codePoint) == boundary
+        ) {
+            return codePoint;
+        }
+    }
+    throw CreateParameterError(Util.format(
+        "Range boundary must be a single character or a code point " + 
+        "(boundary=%j).",
+        boundary
+    ));
+}
+
+/**
+ *  Render a code point in pattern.
+ * 
+ *  @param {Number} codePoint - The code point.
+ *  @return {String} - The rendered text.
+ */
+function RenderCodePoint(codePoint) {
+    let character = String.fromCodePoint(codePoint);
+    if (PATTERN_LITERAL.test(character)) {
+        return character;
+    }
+    if ("\\[]^-".indexOf(character) >= 0) {
+        return "\\" + character;
+    }
+    return "\\u{" + codePoint.toString(16).toUpperCase() + "}";
+}
+
+/**
+ *  Compile a Unicode property escape.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the property value is not a string or is not supported.
+ * 
+ *  @param {String} property - The property name ("General_Category" or 
+ *                             "Script").
+ *  @param {String} value - The property value (e.g. "Lu" or "Latin").
+ *  @return {String} - The property escape (e.g. "\p{Script=Latin}").
+ */
+function CompilePropertyEscape(property, value) {
+    if (typeof(value) != "string") {
+        throw CreateParameterError(Util.format(
+            "%s must be a string (value=%j).",
+            property,
+            value
+        ));
+    }
+    let escape = Util.format("\\p{%s=%s}", property, value);
+    try {
+        new RegExp(escape, "u");
+    } catch(error) {
+        throw CreateParameterError(Util.format(
+            "Unsupported %s (value=\"%s\").",
+            property,
+            value
+        ));
+    }
+    return escape;
+}
+
+//
+//  Classes.
+//
+
+/**
+ *  Character class definition.
+ * 
+ *  @typedef {Object} TraverseCharClassDefinition
+ *  @property {String} [chars] - The characters.
+ *  @property {Array<Array<String|Number>>} [ranges] - The (inclusive) 
+ *      character ranges, each range is a [from, to] pair of single 
+ *      characters or code points (e.g. ["a", "z"] or [0x4E00, 0x9FFF]).
+ *  @property {String[]} [categories] - The Unicode general categories (e.g. 
+ *                                      "L", "Lu" or "Nd").
+ *  @property {String[]} [scripts] - The Unicode scripts (e.g. "Latin" or 
+ *                                   "Han").
+ *  @property {Boolean} [negate] - True if the class matches characters that 
+ *                                 are NOT matched by all items above 
+ *                                 (default: false).
+ */
+
+/**
+ *  Compiled character class (immutable).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the definition is invalid (e.g. a range is reversed or a 
+ *        Unicode category or script is not supported).
+ * 
+ *  Note(s):
+ *    [1] Characters are handled by Unicode code points, so that characters 
+ *        outside the Basic Multilingual Plane (e.g. emojis) are handled as a 
+ *        whole.
+ * 
+ *  @constructor
+ *  @param {TraverseCharClassDefinition} [definition] - The definition.
+ */
+function TraverseCharClass(definition = {}) {
+    //
+    //  Members.
+    //
+
+    //  Self reference.
+    let self = this;
+
+    //  Code points of single characters.
+    let codePoints = new Set();
+
+    //  Sorted and merged ranges ([from, to] pairs of code points).
+    let ranges = [];
+
+    //  Unicode property escapes.
+    let escapes = [];
+
+    //  Negated.
+    let negate = (definition.negate === true);
+
+    //
+    //  Private functions.
+    //
+
+    /**
+     *  Get whether a code point is within the ranges.
+     * 
+     *  @param {Number} codePoint - The code point.
+     *  @return {Boolean} - True if so.
+     */
+    function _IsInRanges(codePoint) {
+        let low = 0;
+        let high = ranges.length - 1;
+        while (low <= high) {
+            let middle = ((low + high) >> 1);
+            let range = ranges[middle];
+            if (codePoint < range[0]) {
+                high = middle - 1;
+            } else if (codePoint > range[1]) {
+                low = middle + 1;
+            } else {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    //
+    //  Initialization.
+    //
+
+    //  Compile single characters.
+    let chars = definition.chars || "";
+    if (typeof(chars) != "string") {
+        throw CreateParameterError("Characters must be a string.");
+    }
+    for (let character of chars) {
+        codePoints.add(character.codePointAt(0));
+    }
+
+    //  Compile ranges.
+    let definedRanges = definition.ranges || [];
+    if (!Array.isArray(definedRanges)) {
+        throw CreateParameterError("Ranges must be an array.");
+    }
+    definedRanges.map(function(range) {
+        if (!Array.isArray(range) || range.length != 2) {
+            throw CreateParameterError(Util.format(
+                "Range must be a [from, to] pair (range=%j).",
+                range
+            ));
+        }
+        let from = GetBoundaryCodePoint(range[0]);
+        let to = GetBoundaryCodePoint(range[1]);
+        if (from > to) {
+            throw CreateParameterError(Util.format(
+                "Range is reversed (range=%j).",
+                range
+            ));
+        }
+        return [from, to];
+    }).sort(function(a, b) {
+        return a[0] - b[0];
+    }).forEach(function(range) {
+        let last = ranges[ranges.length - 1];
+        if (typeof(last) != "undefined" && range[0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            ranges.push(range);
+        }
+    });
+
+    //  Compile Unicode categories and scripts.
+    [
+        ["categories", "General_Category"],
+        ["scripts", "Script"]
+    ].forEach(function(pair) {
+        let values = definition[pair[0]] || [];
+        if (!Array.isArray(values)) {
+            throw CreateParameterError(Util.format(
+                "%s must be an array.",
+                pair[0]
+            ));
+        }
+        values.forEach(function(value) {
+            escapes.push(CompilePropertyEscape(pair[1], value));
+        });
+    });
+    let properties = (
+        escapes.length == 0 ? 
+        null : 
+        new RegExp("^[" + escapes.join("") + "]$", "u")
+    );
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Get whether the class contains a character.
+     * 
+     *  @param {Number} codePoint - The code point of the character.
+     *  @return {Boolean} - True if so.
+     */
+    this.contains = function(codePoint) {
+        let matched = (
+            codePoints.has(codePoint) || 
+            _IsInRanges(codePoint) || 
+            (
+                properties !== null && 
+                properties.test(String.fromCodePoint(codePoint))
+            )
+        );
+        return matched != negate;
+    };
+
+    /**
+     *  Get whether the class is negated.
+     * 
+     *  @return {Boolean} - True if so.
+     */
+    this.isNegated = function() {
+        return negate;
+    };
+
+    /**
+     *  Render the class as a regular expression character class (e.g.
+     *  "[_a-z\p{General_Category=Nd}]").
+     * 
+     *  Note(s):
+     *    [1] The rendered class requires the "u" flag.
+     * 
+     *  @return {String} - The rendered class.
+     */
+    this.toPattern = function() {
+        let items = Array.from(codePoints).sort(function(a, b) {
+            return a - b;
+        }).map(RenderCodePoint);
+        ranges.forEach(function(range) {
+            if (range[0] == range[1]) {
+                items.push(RenderCodePoint(range[0]));
+            } else {
+                items.push(
+                    RenderCodePoint(range[0]) + "-" + RenderCodePoint(range[1])
+                );
+            }
+        });
+        return "[" + (negate ? "^" : "") + items.concat(escapes).join("") + 
+            "]";
+    };
+
+    /**
+     *  Render the class (same as toPattern()).
+     * 
+     *  @return {String} - The rendered class.
+     */
+    this.toString = function() {
+        return self.toPattern();
+    };
+}
+
+//  Export public APIs.
+module.exports = {
+    "TraverseCharClass": TraverseCharClass
+};
\ No newline at end of file
@@ -0,0 +1,194 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Constants.
+//
+
+/**
+ *  Regular expression of decimal numbers.
+ * 
+ *  @type {RegExp}
+ */
+const DECIMAL_NUMBER = /^[+-]?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][+-]?[0-9]+)?$/;
+
+/**
+ *  Regular expression of decimal integers.
+ * 
+ *  @type {RegExp}
+ */
+const DECIMAL_INTEGER = /^[+-]?[0-9]+$/;
+
+/**
+ *  Regular expression of hexadecimal integers.
+ * 
+ *  @type {RegExp}
+ */
+const HEX_INTEGER = /^([+-]?)0[xX]([0-9a-fA-F]+)$/;
+
+/**
+ *  Default texts of true.
+ * 
+ *  @type {String[]}
+ */
+const DEFAULT_TRUE_TEXTS = ["true", "1"];
+
+/**
+ *  Default texts of false.
+ * 
+ *  @type {String[]}
+ */
+const DEFAULT_FALSE_TEXTS = ["false", "0"];
+
+//
+//  Private functions.
+//
+
+/**
+ *  Prepare the text to be parsed.
+ * 
+ *  @param {String} text - The text.
+ *  @param {Boolean} allowWhitespace - True if leading and trailing 
+ *                                     whitespaces are allowed (and trimmed).
+ *  @return {?String} - The prepared text (NULL if the text is rejected).
+ */
+function PrepareText(text, allowWhitespace) {
+    let trimmed = text.trim();
+    if (trimmed != text && !allowWhitespace) {
+        return null;
+    }
+    return trimmed;
+}
+
+/**
+ *  Parse a hexadecimal integer.
+ * 
+ *  @param {String} text - The text.
+ *  @return {?Number} - The integer (NULL if the text is not a hexadecimal 
+ *                      integer).
+ */
+function ParseHexInteger(text) {
+    let matched = text.match(HEX_INTEGER);
+    if (matched === null) {
+        return null;
+    }
+    let value = parseInt(matched[2], 16);
+    return (matched[1] == "-" ? -value : value);
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Coercion options.
+ * 
+ *  @typedef {Object} CoerceOptions
+ *  @property {Boolean} [allowWhitespace] - True if leading and trailing 
+ *                                          whitespaces are allowed (default:
+ *                                          true).
+ *  @property {Boolean} [allowHex] - True if hexadecimal integers (e.g. 
+ *                                   "0x2A") are allowed (default: true).
+ *  @property {Boolean} [allowFloat] - True if integers can be written in 
+ *                                     floating-point notation (e.g. "1e3", 
+ *                                     "42.0", default: true, only for 
+ *                                     integers).
+ *  @property {String[]} [trueValues] - Texts of true (default: ["true", 
+ *                                      "1"], only for booleans).
+ *  @property {String[]} [falseValues] - Texts of false (default: ["false", 
+ *                                       "0"], only for booleans).
+ *  @property {Boolean} [caseSensitive] - True if texts of booleans are case 
+ *                                        sensitive (default: false, only for 
+ *                                        booleans).
+ */
+
+/**
+ *  Parse a (finite) number.
+ * 
+ *  @param {String} text - The text.
+ *  @param {CoerceOptions} [options] - The options.
+ *  @return {?Number} - The number (NULL if failed).
+ */
+function ParseNumeric(text, options = {}) {
+    text = PrepareText(text, options.allowWhitespace !== false);
+    if (text === null) {
+        return null;
+    }
+    if (options.allowHex !== false) {
+        let hex = ParseHexInteger(text);
+        if (hex !== null) {
+            return hex;
+        }
+    }
+    if (!DECIMAL_NUMBER.test(text)) {
+        return null;
+    }
+    let value = Number(text);
+    return (Number.isFinite(value) ? value : null);
+}
+
+/**
+ *  Parse a (safe) integer.
+ * 
+ *  @param {String} text - The text.
+ *  @param {CoerceOptions} [options] - The options.
+ *  @return {?Number} - The integer (NULL if failed).
+ */
+function ParseInteger(text, options = {}) {
+    let value = null;
+    if (options.allowFloat === false) {
+        let prepared = PrepareText(text, options.allowWhitespace !== false);
+        if (prepared === null) {
+            return null;
+        }
+        if (options.allowHex !== false) {
+            value = ParseHexInteger(prepared);
+        }
+        if (value === null && DECIMAL_INTEGER.test(prepared)) {
+            value = Number(prepared);
+        }
+    } else {
+        value = ParseNumeric(text, options);
+    }
+    if (value === null || !Number.isSafeInteger(value)) {
+        return null;
+    }
+    return value;
+}
+
+/**
+ *  Parse a boolean.
+ * 
+ *  @param {String} text - The text.
+ *  @param {CoerceOptions} [options] - The options.
+ *  @return {?Boolean} - The boolean (NULL if failed).
+ */
+function ParseBoolean(text, options = {}) {
+    text = PrepareText(text, options.allowWhitespace !== false);
+    if (text === null) {
+        return null;
+    }
+    let trueValues = options.trueValues || DEFAULT_TRUE_TEXTS;
+    let falseValues = options.falseValues || DEFAULT_FALSE_TEXTS;
+    let normalize = function(item) {
+        return (options.caseSensitive === true ? item : item.toLowerCase());
+    };
+    text = normalize(text);
+    if (trueValues.map(normalize).indexOf(text) >= 0) {
+        return true;
+    }
+    if (falseValues.map(normalize).indexOf(text) >= 0) {
+        return false;
+    }
+    return null;
+}
+
+//  Export public APIs.
+module.exports = {
+    "ParseNumeric": ParseNumeric,
+    "ParseInteger": ParseInteger,
+    "ParseBoolean": ParseBoolean
+};
\ No newline at end of file
@@ -0,0 +1,312 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Net = require("net");
+
+//
+//  Constants.
+//
+
+/**
+ *  Regular expression of e-mail addresses (the local part is restricted to 
+ *  the "dot-atom" form).
+ * 
+ *  @type {RegExp}
+ */
+const EMAIL_LOCAL = new RegExp(
+    "^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+" + 
+    "(\\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$"
+);
+
+/**
+ *  Regular expression of URIs (absolute URIs defined in RFC 3986).
+ * 
+ *  @type {RegExp}
+ */
+const URI = new RegExp(
+    "^[A-Za-z][A-Za-z0-9+.\\-]*:" + 
+    "([A-Za-z0-9\\-._~:/?#\\[\\]@!$&'()*+,;=]|%[0-9A-Fa-f]{2})*$"
+);
+
+/**
+ *  Regular expression of hostname labels (RFC 1123).
+ * 
+ *  @type {RegExp}
+ */
+const HOSTNAME_LABEL = /^[A-Za-z0-9]([A-Za-z0-9\-]{0,61}[A-Za-z0-9])?$/;
+
+/**
+ *  Regular expression of UUIDs.
+ * 
+ *  @type {RegExp}
+ */
+const UUID = new RegExp(
+    "^[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-" + 
+    "[0-9A-Fa-f]{12}$"
+);
+
+/**
+ *  Regular expression of dates (RFC 3339 "full-date").
+ * 
+ *  @type {RegExp}
+ */
+const DATE = /^([0-9]{4})-([0-9]{2})-([0-9]{2})$/;
+
+/**
+ *  Regular expression of times (RFC 3339 "full-time").
+ * 
+ *  @type {RegExp}
+ */
+const TIME = new RegExp(
+    "^([0-9]{2}):([0-9]{2}):([0-9]{2})(\\.[0-9]+)?" + 
+    "([Zz]|[+-]([0-9]{2}):([0-9]{2}))$"
+);
+
+/**
+ *  Regular expression of semantic versions (Semantic Versioning 2.0.0).
+ * 
+ *  @type {RegExp}
+ */
+const SEMVER = new RegExp(
+    "^(0|[1-9][0-9]*)\\.(0|[1-9][0-9]*)\\.(0|[1-9][0-9]*)" + 
+    "(-(0|[1-9][0-9]*|[0-9]*[A-Za-z-][0-9A-Za-z-]*)" + 
+    "(\\.(0|[1-9][0-9]*|[0-9]*[A-Za-z-][0-9A-Za-z-]*))*)?" + 
+    "(\\+[0-9A-Za-z-]+(\\.[0-9A-Za-z-]+)*)?$"
+);
+
+/**
+ *  Regular expression of Base64 strings (with paddings).
+ * 
+ *  @type {RegExp}
+ */
+const BASE64 = new RegExp(
+    "^([A-Za-z0-9+/]{4})*" + 
+    "([A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$"
+);
+
+/**
+ *  Regular expression of Base64 strings with URL and filename safe alphabet 
+ *  (paddings are optional).
+ * 
+ *  @type {RegExp}
+ */
+const BASE64URL = new RegExp(
+    "^([A-Za-z0-9\\-_]{4})*" + 
+    "([A-Za-z0-9\\-_]{2}(==)?|[A-Za-z0-9\\-_]{3}=?)?$"
+);
+
+/**
+ *  Regular expression of hexadecimal strings.
+ * 
+ *  @type {RegExp}
+ */
+const HEX = /^[0-9A-Fa-f]+$/;
+
+/**
+ *  Validators of string formats (format name => validator).
+ * 
+ *  @type {Map<String, function(String): Boolean>}
+ */
+const FORMATS = new Map([
+    ["email", IsEmail],
+    ["uri", function(text) {
+        return URI.test(text);
+    }],
+    ["hostname", IsHostname],
+    ["ipv4", function(text) {
+        return Net.isIPv4(text);
+    }],
+    ["ipv6", function(text) {
+        return Net.isIPv6(text);
+    }],
+    ["cidr", IsCidr],
+    ["uuid", function(text) {
+        return UUID.test(text);
+    }],
+    ["date", IsDate],
+    ["time", IsTime],
+    ["date-time", IsDateTime],
+    ["semver", function(text) {
+        return SEMVER.test(text);
+    }],
+    ["base64", function(text) {
+        return BASE64.test(text);
+    }],
+    ["base64url", function(text) {
+        return BASE64URL.test(text);
+    }],
+    ["hex", function(text) {
+        return HEX.test(text);
+    }]
+]);
+
+//
+//  Private functions.
+//
+
+/**
+ *  Validate a hostname (RFC 1123).
+ * 
+ *  @param {String} text - The text.
+ *  @return {Boolean} - True if valid.
+ */
+function IsHostname(text) {
+    if (text.length == 0 || text.length > 253) {
+        return false;
+    }
+    return text.split(".").every(function(label) {
+        return HOSTNAME_LABEL.test(label);
+    });
+}
+
+/**
+ *  Validate an e-mail address.
+ * 
+ *  @param {String} text - The text.
+ *  @return {Boolean} - True if valid.
+ */
+function IsEmail(text) {
+    let at = text.lastIndexOf("@");
+    if (at <= 0 || at > 64) {
+        return false;
+    }
+    let local = text.substring(0, at);
+    let domain = text.substring(at + 1);
+    return EMAIL_LOCAL.test(local) && IsHostname(domain) && 
+        domain.indexOf(".") >= 0;
+}
+
+/**
+ *  Validate a date (RFC 3339 "full-date", e.g. "2019-02-28").
+ * 
+ *  @param {String} text - The text.
+ *  @return {Boolean} - True if valid.
+ */
+function IsDate(text) {
+    let matched = text.match(DATE);
+    if (matched === null) {
+        return false;
+    }
+    let year = parseInt(matched[1], 10);
+    let month = parseInt(matched[2], 10);
+    let day = parseInt(matched[3], 10);
+    if (month < 1 || month > 12 || day < 1) {
+        return false;
+    }
+    let isLeap = (year % 4 == 0 && (year % 100 != 0 || year % 400 == 0));
+    let days = [
+        31, (isLeap ? 29 : 28), 31, 30, 31, 30, 31, 31, 30, 31, 30, 31
+    ];
+    return day <= days[month - 1];
+}
+
+/**
+ *  Validate a time (RFC 3339 "full-time", e.g. "08:30:00Z").
+ * 
+ *  @param {String} text - The text.
+ *  @return {Boolean} - True if valid.
+ */
+function IsTime(text) {
+    let matched = text.match(TIME);
+    if (matched === null) {
+        return false;
+    }
+    let hour = parseInt(matched[1], 10);
+    let minute = parseInt(matched[2], 10);
+    let second = parseInt(matched[3], 10);
+    if (hour > 23 || minute > 59 || second > 60) {
+        return false;
+    }
+    if (typeof(matched[6]) != "undefined") {
+        if (parseInt(matched[6], 10) > 23 || parseInt(matched[7], 10) > 59) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ *  Validate a date-time (RFC 3339 "date-time", e.g. "2019-02-28T08:30:00Z").
+ * 
+ *  @param {String} text - The text.
+ *  @return {Boolean} - True if valid.
+ */
+function IsDateTime(text) {
+    let separator = text.search(/[Tt]/);
+    if (separator < 0) {
+        return false;
+    }
+    return IsDate(text.substring(0, separator)) && 
+        IsTime(text.substring(separator + 1));
+}
+
+/**
+ *  Validate a CIDR block (e.g. "10.0.0.0/8" or "fe80::/10").
+ * 
+ *  @param {String} text - The text.
+ *  @return {Boolean} - True if valid.
+ */
+function IsCidr(text) {
+    let slash = text.indexOf("/");
+    if (slash < 0) {
+        return false;
+    }
+    let prefix = text.substring(slash + 1);
+    if (!/^(0|[1-9][0-9]*)$/.test(prefix)) {
+        return false;
+    }
+    let version = Net.isIP(text.substring(0, slash));
+    if (version == 0) {
+        return false;
+    }
+    return parseInt(prefix, 10) <= (version == 4 ? 32 : 128);
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Get whether a string format is supported.
+ * 
+ *  @param {String} name - The format name.
+ *  @return {Boolean} - True if so.
+ */
+function HasStringFormat(name) {
+    return FORMATS.has(name);
+}
+
+/**
+ *  Get the names of all supported string formats.
+ * 
+ *  @return {String[]} - The format names.
+ */
+function GetStringFormatNames() {
+    return Array.from(FORMATS.keys());
+}
+
+/**
+ *  Validate a string by a format.
+ * 
+ *  @param {String} text - The text.
+ *  @param {String} name - The format name (must be supported).
+ *  @return {Boolean} - True if valid.
+ */
+function ValidateStringFormat(text, name) {
+    return FORMATS.get(name)(text);
+}
+
+//  Export public APIs.
+module.exports = {
+    "HasStringFormat": HasStringFormat,
+    "GetStringFormatNames": GetStringFormatNames,
+    "ValidateStringFormat": ValidateStringFormat
+};
\ No newline at end of file
@@ -0,0 +1,298 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrSource = require("./source");
+const Util = require("util");
+
+//  Imported classes.
+const TraverseSyntaxError = CrSource.TraverseSyntaxError;
+
+//
+//  Constants.
+//
+
+/**
+ *  Regular expression of section headers (trimmed lines).
+ * 
+ *  @type {RegExp}
+ */
+const SECTION_HEADER = /^\[([^\]]*)\]$/;
+
+/**
+ *  Regular expression of values that must be quoted when being saved.
+ * 
+ *  @type {RegExp}
+ */
+const QUOTED_VALUE = /^\s|\s$|^["']|[\u0000-\u001F\u007F]/;
+
+/**
+ *  Regular expression of characters that are not allowed in keys.
+ * 
+ *  @type {RegExp}
+ */
+const INVALID_KEY = /^\s|\s$|^[\[;#]|[=:\u0000-\u001F\u007F]/;
+
+/**
+ *  Regular expression of characters that are not allowed in section names.
+ * 
+ *  @type {RegExp}
+ */
+const INVALID_SECTION_NAME = /^\s|\s$|[\]\u0000-\u001F\u007F]/;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Define an (own) property of an object.
+ * 
+ *  @param {Object} object - The object.
+ *  @param {String} key - The key.
+ *  @param {*} value - The value.
+ */
+function DefineValue(object, key, value) {
+    Object.defineProperty(object, key, {
+        "value": value,
+        "writable": true,
+        "enumerable": true,
+        "configurable": true
+    });
+}
+
+/**
+ *  Get whether a value is a plain object (a section).
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsPlainObject(value) {
+    if (value === null || typeof(value) != "object") {
+        return false;
+    }
+    let prototype = Object.getPrototypeOf(value);
+    return (prototype === Object.prototype || prototype === null);
+}
+
+/**
+ *  Parse a value.
+ * 
+ *  Exception(s):
+ *    [1] TraverseSyntaxError: 
+ *        Raised if the value is quoted incorrectly.
+ * 
+ *  @param {String} text - The (trimmed) value text.
+ *  @param {Number} offset - The offset of the value text.
+ *  @return {String} - The value.
+ */
+function ParseValue(text, offset) {
+    let quote = text[0];
+    if (quote != "\"" && quote != "'") {
+        return text;
+    }
+    if (text.length < 2 || text[text.length - 1] != quote) {
+        throw new TraverseSyntaxError("Unterminated quoted value", offset);
+    }
+    if (quote == "'") {
+        return text.substring(1, text.length - 1);
+    }
+    try {
+        return JSON.parse(text);
+    } catch(error) {
+        throw new TraverseSyntaxError("Invalid double-quoted value", offset);
+    }
+}
+
+/**
+ *  Format an entry (a key-value pair).
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the key is invalid or the value is not supported.
+ * 
+ *  @param {String} key - The key.
+ *  @param {*} value - The value.
+ *  @return {String} - The line of the entry.
+ */
+function FormatEntry(key, value) {
+    if (key.length == 0 || INVALID_KEY.test(key)) {
+        throw new TypeError(Util.format("Invalid key (key=%j).", key));
+    }
+    let text = null;
+    if (typeof(value) == "string") {
+        text = (QUOTED_VALUE.test(value) ? JSON.stringify(value) : value);
+    } else if (
+        typeof(value) == "boolean" || 
+        typeof(value) == "bigint" || 
+        (typeof(value) == "number" && Number.isFinite(value))
+    ) {
+        text = String(value);
+    } else {
+        throw new TypeError(Util.format(
+            "Unsupported value type (key=%j).",
+            key
+        ));
+    }
+    return key + " = " + text;
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Parse an INI document.
+ * 
+ *  Exception(s):
+ *    [1] TraverseSyntaxError: 
+ *        Raised if the document is malformed.
+ * 
+ *  Note(s):
+ *    [1] Entries before the first section header are put in the root object, 
+ *        each section is an object in the root object (section names are not 
+ *        split by dots).
+ *    [2] Entries are written as "key = value" or "key: value", lines 
+ *        starting with ";" or "#" are comments (there is no inline comment).
+ *    [3] All values are strings. Values are trimmed, quoted values ("..." or 
+ *        '...') are unquoted (escape sequences are supported in 
+ *        double-quoted values, like JSON strings).
+ *    [4] Duplicated sections and duplicated keys are not allowed.
+ * 
+ *  @param {String} text - The document.
+ *  @return {Object} - The parsed object.
+ */
+function ParseIni(text) {
+    let root = {};
+    let current = root;
+    let offset = 0;
+    text.split("\n").forEach(function(line) {
+        let lineOffset = offset;
+        offset += line.length + 1;
+        line = line.replace(/\r$/, "");
+
+        //  Skip empty lines and comments.
+        let trimmed = line.trim();
+        if (trimmed.length == 0 || trimmed[0] == ";" || trimmed[0] == "#") {
+            return;
+        }
+        let start = lineOffset + line.search(/\S/);
+
+        //  Parse section header.
+        if (trimmed[0] == "[") {
+            let matched = trimmed.match(SECTION_HEADER);
+            if (matched === null) {
+                throw new TraverseSyntaxError("Invalid section header", start);
+            }
+            let name = matched[1].trim();
+            if (name.length == 0) {
+                throw new TraverseSyntaxError("Empty section name", start);
+            }
+            if (Object.prototype.hasOwnProperty.call(root, name)) {
+                throw new TraverseSyntaxError(Util.format(
+                    "Duplicated section or key %j",
+                    name
+                ), start);
+            }
+            current = {};
+            DefineValue(root, name, current);
+            return;
+        }
+
+        //  Parse entry.
+        let separator = line.search(/[=:]/);
+        if (separator < 0) {
+            throw new TraverseSyntaxError(
+                "Expected \"=\" or \":\" after the key",
+                lineOffset + line.length
+            );
+        }
+        let key = line.substring(0, separator).trim();
+        if (key.length == 0) {
+            throw new TraverseSyntaxError("Empty key", start);
+        }
+        if (Object.prototype.hasOwnProperty.call(current, key)) {
+            throw new TraverseSyntaxError(Util.format(
+                "Duplicated key %j",
+                key
+            ), start);
+        }
+        let rest = line.substring(separator + 1);
+        let value = rest.trim();
+        let valueOffset = (
+            lineOffset + separator + 1 + (rest.length - rest.trimStart().length)
+        );
+        DefineValue(current, key, ParseValue(value, valueOffset));
+    });
+    return root;
+}
+
+/**
+ *  Serialize an object to an INI document.
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the object can't be represented in INI format.
+ * 
+ *  Note(s):
+ *    [1] The object must be a plain object, nested plain objects are written 
+ *        as sections (sections can't be nested) and other values are written 
+ *        as entries.
+ *    [2] Strings, finite numbers, booleans and BigInts are supported, all of 
+ *        them are loaded back as strings.
+ * 
+ *  @param {Object} value - The object.
+ *  @return {String} - The document.
+ */
+function StringifyIni(value) {
+    if (!IsPlainObject(value)) {
+        throw new TypeError("INI document must be a plain object.");
+    }
+    let lines = [];
+    let sections = [];
+    Object.keys(value).forEach(function(key) {
+        if (IsPlainObject(value[key])) {
+            sections.push(key);
+        } else {
+            lines.push(FormatEntry(key, value[key]));
+        }
+    });
+    sections.forEach(function(name) {
+        if (name.length == 0 || INVALID_SECTION_NAME.test(name)) {
+            throw new TypeError(Util.format(
+                "Invalid section name (name=%j).",
+                name
+            ));
+        }
+        if (lines.length != 0) {
+            lines.push("");
+        }
+        lines.push("[" + name + "]");
+        let section = value[name];
+        Object.keys(section).forEach(function(key) {
+            if (IsPlainObject(section[key])) {
+                throw new TypeError(Util.format(
+                    "Nested sections are not supported (section=%j, key=%j).",
+                    name,
+                    key
+                ));
+            }
+            lines.push(FormatEntry(key, section[key]));
+        });
+    });
+    return lines.map(function(line) {
+        return line + "\n";
+    }).join("");
+}
+
+//  Export public APIs.
+module.exports = {
+    "ParseIni": ParseIni,
+    "StringifyIni": StringifyIni
+};
\ No newline at end of file
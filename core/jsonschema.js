@@ -0,0 +1,939 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrRepresentation = require("./representation");
+const CrTraverse = require("./traverse");
+const Util = require("util");
+
+//  Imported classes.
+const Traverse = CrTraverse.Traverse;
+
+//  Imported functions.
+const GetSafeRepresentation = CrRepresentation.GetSafeRepresentation;
+
+//
+//  Constants.
+//
+
+/**
+ *  Supported (validation) keywords.
+ * 
+ *  @type {Set<String>}
+ */
+const SUPPORTED_KEYWORDS = new Set([
+    "type",
+    "properties",
+    "required",
+    "items",
+    "enum",
+    "const",
+    "minimum",
+    "maximum",
+    "exclusiveMinimum",
+    "exclusiveMaximum",
+    "minLength",
+    "maxLength",
+    "pattern",
+    "minItems",
+    "maxItems",
+    "additionalProperties",
+    "$ref",
+    "allOf",
+    "anyOf",
+    "oneOf"
+]);
+
+/**
+ *  Annotation keywords (which don't affect the validation).
+ * 
+ *  @type {Set<String>}
+ */
+const ANNOTATION_KEYWORDS = new Set([
+    "$schema",
+    "$id",
+    "$comment",
+    "$defs",
+    "definitions",
+    "title",
+    "description",
+    "default",
+    "examples",
+    "deprecated",
+    "readOnly",
+    "writeOnly",
+    "format"
+]);
+
+/**
+ *  Valid type names.
+ * 
+ *  @type {Set<String>}
+ */
+const TYPE_NAMES = new Set([
+    "null",
+    "boolean",
+    "object",
+    "array",
+    "number",
+    "string",
+    "integer"
+]);
+
+//
+//  Private functions.
+//
+
+/**
+ *  Get the JSON type of a value.
+ * 
+ *  @param {*} value - The value.
+ *  @return {?String} - The JSON type (NULL if the value is not a JSON value).
+ */
+function GetJsonType(value) {
+    if (value === null) {
+        return "null";
+    }
+    switch (typeof(value)) {
+    case "boolean":
+        return "boolean";
+    case "number":
+        return Number.isInteger(value) ? "integer" : "number";
+    case "string":
+        return "string";
+    case "object":
+        if (Array.isArray(value)) {
+            return "array";
+        }
+        if (Object.getPrototypeOf(value) === Object.prototype) {
+            return "object";
+        }
+        return null;
+    default:
+        return null;
+    }
+}
+
+/**
+ *  Get whether two JSON values are equal.
+ * 
+ *  @param {*} a - The value "a".
+ *  @param {*} b - The value "b".
+ *  @return {Boolean} - True if so.
+ */
+function IsJsonEqual(a, b) {
+    let ta = GetJsonType(a);
+    let tb = GetJsonType(b);
+    if (ta == "integer") {
+        ta = "number";
+    }
+    if (tb == "integer") {
+        tb = "number";
+    }
+    if (ta === null || ta != tb) {
+        return false;
+    }
+    if (ta == "array") {
+        if (a.length != b.length) {
+            return false;
+        }
+        for (let i = 0; i < a.length; ++i) {
+            if (!IsJsonEqual(a[i], b[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+    if (ta == "object") {
+        let keys = Object.keys(a);
+        if (keys.length != Object.keys(b).length) {
+            return false;
+        }
+        for (let i = 0; i < keys.length; ++i) {
+            let key = keys[i];
+            if (
+                !Object.prototype.hasOwnProperty.call(b, key) || 
+                !IsJsonEqual(a[key], b[key])
+            ) {
+                return false;
+            }
+        }
+        return true;
+    }
+    return a === b;
+}
+
+/**
+ *  Get the count of Unicode code points of a string.
+ * 
+ *  @param {String} text - The string.
+ *  @return {Number} - The count.
+ */
+function GetCodePointCount(text) {
+    let count = 0;
+    for (let i = 0; i < text.length; ++i) {
+        let code = text.charCodeAt(i);
+        if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+            let next = text.charCodeAt(i + 1);
+            if (next >= 0xDC00 && next <= 0xDFFF) {
+                ++i;
+            }
+        }
+        ++count;
+    }
+    return count;
+}
+
+/**
+ *  Create an error with the path of specific traverse object.
+ * 
+ *  @param {function(new:Traverse.Error, String, Object)} ErrorClass - The 
+ *                                                                     error 
+ *                                                                     class.
+ *  @param {Traverse} traverse - The traverse object.
+ *  @param {String} description - The description of the error.
+ *  @param {String} rule - The keyword.
+ *  @param {*} expected - The expected constraint.
+ *  @return {Traverse.Error} - The error.
+ */
+function CreateError(ErrorClass, traverse, description, rule, expected) {
+    return new ErrorClass(Util.format(
+        "%s (path=\"%s\").",
+        description,
+        traverse.getPath()
+    ), {
+        "path": traverse.getPathObject(),
+        "rule": rule,
+        "expected": expected,
+        "actual": GetSafeRepresentation(traverse.unwrap())
+    });
+}
+
+/**
+ *  Create an error that lists unexpected keys (of "additionalProperties": 
+ *  false) of specific traverse object.
+ * 
+ *  @param {Traverse} traverse - The traverse object.
+ *  @param {String[]} unexpected - The unexpected keys.
+ *  @param {String[]} allowed - The allowed keys.
+ *  @return {Traverse.UnexpectedKeyError} - The error.
+ */
+function CreateUnexpectedKeyError(traverse, unexpected, allowed) {
+    let paths = unexpected.map(function(key) {
+        return traverse.sub(key).getPathObject();
+    });
+    return new Traverse.UnexpectedKeyError(Util.format(
+        "Unexpected sub path(s) (path=\"%s\", unexpected=%s).",
+        traverse.getPath(),
+        GetSafeRepresentation(paths.map(function(keyPath) {
+            return keyPath.toLegacyString();
+        }))
+    ), {
+        "path": traverse.getPathObject(),
+        "rule": "additionalProperties",
+        "expected": "keys within " + GetSafeRepresentation(allowed),
+        "actual": GetSafeRepresentation(unexpected)
+    }, paths);
+}
+
+/**
+ *  Run a check on a traverse object.
+ * 
+ *  Note(s):
+ *    [1] The check is run within customRule() so that the error raised by 
+ *        the check can be collected in collect-all mode.
+ * 
+ *  @param {Traverse} traverse - The traverse object.
+ *  @param {(traverse: Traverse, inner: *) => void} check - The check (raise 
+ *                                                          an error if 
+ *                                                          failed).
+ */
+function RunCheck(traverse, check) {
+    traverse.customRule(function(inner) {
+        check(this, inner);
+        return true;
+    });
+}
+
+//
+//  Classes.
+//
+
+/**
+ *  JSON schema (draft 2020-12 subset) validator.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParseError: 
+ *        Raised if the document is a string that can't be parsed.
+ *    [2] Traverse.ParameterError: 
+ *        Raised in following situations:
+ * 
+ *          - The document contains unsupported keywords or unsupported forms 
+ *            of supported keywords.
+ *          - The document is invalid (e.g. invalid type name or regular 
+ *            expression, unresolvable reference, reference cycle that 
+ *            never descends into a sub value).
+ * 
+ *  @constructor
+ *  @param {Object|Boolean|String} document - The JSON schema document (or its 
+ *                                            JSON text).
+ */
+function TraverseJsonSchema(document) {
+    //
+    //  Members.
+    //
+
+    //  Self reference.
+    let self = this;
+
+    //  Parse the document.
+    if (typeof(document) == "string") {
+        try {
+            document = JSON.parse(document);
+        } catch(error) {
+            throw new Traverse.ParseError(Util.format(
+                "Unable to parse JSON schema (error=\"%s\").",
+                error.message || "(unknown)"
+            ));
+        }
+    }
+
+    //  Compiled schemas (location => compiled schema).
+    let compiled = new Map();
+
+    //  Schemas being compiled, each item is {location, inPlace}, "inPlace" is 
+    //  true if the schema applies to the same value as its parent (e.g. the 
+    //  target of "$ref" or a branch of "allOf").
+    let compiling = [];
+
+    //  Unsupported keywords.
+    let unsupported = [];
+
+    //
+    //  Private methods.
+    //
+
+    /**
+     *  Report an unsupported keyword.
+     * 
+     *  @param {String} location - The location of the schema.
+     *  @param {String} keyword - The keyword.
+     *  @param {String} [reason] - The reason.
+     */
+    function _ReportUnsupported(location, keyword, reason = "unsupported") {
+        unsupported.push(Util.format(
+            "\"%s\" at \"%s\" (%s)",
+            keyword,
+            location,
+            reason
+        ));
+    }
+
+    /**
+     *  Resolve a reference within the document.
+     * 
+     *  Exception(s):
+     *    [1] Traverse.ParameterError: 
+     *        Raised if the reference can't be resolved.
+     * 
+     *  @param {String} ref - The reference.
+     *  @return {*} - The referenced schema.
+     */
+    function _Resolve(ref) {
+        let current = document;
+        let tokens = ref.substring(1).split("/").slice(1);
+        tokens.forEach(function(token) {
+            token = decodeURIComponent(token)
+                .replace(/~1/g, "/")
+                .replace(/~0/g, "~");
+            if (
+                current === null || 
+                typeof(current) != "object" || 
+                !Object.prototype.hasOwnProperty.call(current, token)
+            ) {
+                throw new Traverse.ParameterError(Util.format(
+                    "Unable to resolve reference \"%s\".",
+                    ref
+                ));
+            }
+            current = current[token];
+        });
+        return current;
+    }
+
+    /**
+     *  Compile a schema.
+     * 
+     *  Exception(s):
+     *    [1] Traverse.ParameterError: 
+     *        Raised if the schema is invalid (e.g. it references itself 
+     *        without descending into a sub value, which would never end).
+     * 
+     *  @param {*} schema - The schema.
+     *  @param {String} location - The location of the schema.
+     *  @param {Boolean} [inPlace] - True if the schema applies to the same 
+     *                               value as its parent (default: false).
+     *  @return {{validate: ?function(Traverse): void}} - The compiled schema.
+     */
+    function _Compile(schema, location, inPlace = false) {
+        if (compiled.has(location)) {
+            let result = compiled.get(location);
+            if (result.validate === null && inPlace) {
+                //  Check whether the reference cycle descends into a sub 
+                //  value.
+                let cyclic = true;
+                for (
+                    let i = compiling.length - 1; 
+                    compiling[i].location != location; 
+                    --i
+                ) {
+                    if (!compiling[i].inPlace) {
+                        cyclic = false;
+                        break;
+                    }
+                }
+                if (cyclic) {
+                    throw new Traverse.ParameterError(Util.format(
+                        "Reference cycle never descends into a sub value " + 
+                        "(location=\"%s\").",
+                        location
+                    ));
+                }
+            }
+            return result;
+        }
+        compiling.push({
+            "location": location,
+            "inPlace": inPlace
+        });
+        let result = _CompileChecks(schema, location);
+        compiling.pop();
+        return result;
+    }
+
+    /**
+     *  Compile the checks of a schema (see _Compile()).
+     * 
+     *  @param {*} schema - The schema.
+     *  @param {String} location - The location of the schema.
+     *  @return {{validate: ?function(Traverse): void}} - The compiled schema.
+     */
+    function _CompileChecks(schema, location) {
+        let result = {
+            "validate": null
+        };
+        compiled.set(location, result);
+
+        //  Boolean schema.
+        if (schema === true) {
+            result.validate = function() {};
+            return result;
+        }
+        if (schema === false) {
+            result.validate = function(traverse) {
+                RunCheck(traverse, function(current) {
+                    throw CreateError(
+                        Traverse.Error,
+                        current,
+                        "Value is not allowed",
+                        "falseSchema",
+                        "nothing"
+                    );
+                });
+            };
+            return result;
+        }
+        if (GetJsonType(schema) != "object") {
+            throw new Traverse.ParameterError(Util.format(
+                "Invalid schema (location=\"%s\").",
+                location
+            ));
+        }
+
+        //  Check keywords.
+        Object.keys(schema).forEach(function(keyword) {
+            if (
+                !SUPPORTED_KEYWORDS.has(keyword) && 
+                !ANNOTATION_KEYWORDS.has(keyword) && 
+                !keyword.startsWith("x-")
+            ) {
+                _ReportUnsupported(location, keyword);
+            }
+        });
+
+        //  Compile the checks.
+        let checks = [];
+
+        //  "$ref".
+        if ("$ref" in schema) {
+            let ref = schema.$ref;
+            if (typeof(ref) != "string" || ref[0] != "#") {
+                _ReportUnsupported(
+                    location,
+                    "$ref",
+                    "only references within the same document are supported"
+                );
+            } else {
+                let target = _Compile(_Resolve(ref), ref, true);
+                checks.push(function(traverse) {
+                    target.validate(traverse);
+                });
+            }
+        }
+
+        //  "type".
+        if ("type" in schema) {
+            let types = [].concat(schema.type);
+            types.forEach(function(type) {
+                if (!TYPE_NAMES.has(type)) {
+                    throw new Traverse.ParameterError(Util.format(
+                        "Invalid type \"%s\" (location=\"%s\").",
+                        String(type),
+                        location
+                    ));
+                }
+            });
+            let expected = types.join("/");
+            checks.push(function(traverse) {
+                RunCheck(traverse, function(current, inner) {
+                    let actual = GetJsonType(inner);
+                    if (!types.some(function(type) {
+                        return type == actual || (
+                            type == "number" && actual == "integer"
+                        );
+                    })) {
+                        throw CreateError(
+                            Traverse.TypeError,
+                            current,
+                            Util.format(
+                                "Invalid JSON type (expect=%s)",
+                                expected
+                            ),
+                            "type",
+                            expected
+                        );
+                    }
+                });
+            });
+        }
+
+        //  "enum" and "const".
+        if ("enum" in schema) {
+            let selections = schema.enum;
+            if (!Array.isArray(selections)) {
+                throw new Traverse.ParameterError(Util.format(
+                    "\"enum\" must be an array (location=\"%s\").",
+                    location
+                ));
+            }
+            checks.push(function(traverse) {
+                RunCheck(traverse, function(current, inner) {
+                    if (!selections.some(function(selection) {
+                        return IsJsonEqual(inner, selection);
+                    })) {
+                        throw CreateError(
+                            Traverse.KeyNotFoundError,
+                            current,
+                            "Value is not one of the enumerated values",
+                            "enum",
+                            GetSafeRepresentation(selections)
+                        );
+                    }
+                });
+            });
+        }
+        if ("const" in schema) {
+            let constant = schema.const;
+            checks.push(function(traverse) {
+                RunCheck(traverse, function(current, inner) {
+                    if (!IsJsonEqual(inner, constant)) {
+                        throw CreateError(
+                            Traverse.KeyNotFoundError,
+                            current,
+                            "Value is not the constant value",
+                            "const",
+                            GetSafeRepresentation(constant)
+                        );
+                    }
+                });
+            });
+        }
+
+        //  Numeric keywords.
+        [
+            ["minimum", "min"],
+            ["maximum", "max"],
+            ["exclusiveMinimum", "minExclusive"],
+            ["exclusiveMaximum", "maxExclusive"]
+        ].forEach(function(pair) {
+            let keyword = pair[0];
+            let method = pair[1];
+            if (!(keyword in schema)) {
+                return;
+            }
+            let threshold = schema[keyword];
+            if (typeof(threshold) != "number") {
+                _ReportUnsupported(
+                    location,
+                    keyword,
+                    "only numeric threshold is supported"
+                );
+                return;
+            }
+            checks.push(function(traverse) {
+                if (typeof(traverse.unwrap()) == "number") {
+                    traverse[method](threshold);
+                }
+            });
+        });
+
+        //  String keywords.
+        if ("minLength" in schema) {
+            let minLength = schema.minLength;
+            checks.push(function(traverse) {
+                RunCheck(traverse, function(current, inner) {
+                    if (
+                        typeof(inner) == "string" && 
+                        GetCodePointCount(inner) < minLength
+                    ) {
+                        throw CreateError(
+                            Traverse.SizeError,
+                            current,
+                            Util.format(
+                                "String should have at least %d character(s)",
+                                minLength
+                            ),
+                            "minLength",
+                            "length>=" + String(minLength)
+                        );
+                    }
+                });
+            });
+        }
+        if ("maxLength" in schema) {
+            let maxLength = schema.maxLength;
+            checks.push(function(traverse) {
+                RunCheck(traverse, function(current, inner) {
+                    if (
+                        typeof(inner) == "string" && 
+                        GetCodePointCount(inner) > maxLength
+                    ) {
+                        throw CreateError(
+                            Traverse.SizeError,
+                            current,
+                            Util.format(
+                                "String should have at most %d character(s)",
+                                maxLength
+                            ),
+                            "maxLength",
+                            "length<=" + String(maxLength)
+                        );
+                    }
+                });
+            });
+        }
+        if ("pattern" in schema) {
+            let re = null;
+            try {
+                re = new RegExp(schema.pattern, "u");
+            } catch(error) {
+                throw new Traverse.ParameterError(Util.format(
+                    "Invalid pattern (location=\"%s\", error=\"%s\").",
+                    location,
+                    error.message || "(unknown)"
+                ));
+            }
+            checks.push(function(traverse) {
+                if (typeof(traverse.unwrap()) == "string") {
+                    traverse.stringValidateByRegExp(re);
+                }
+            });
+        }
+
+        //  Array keywords.
+        if ("minItems" in schema) {
+            let minItems = schema.minItems;
+            checks.push(function(traverse) {
+                if (Array.isArray(traverse.unwrap())) {
+                    traverse.arrayMinLength(minItems);
+                }
+            });
+        }
+        if ("maxItems" in schema) {
+            let maxItems = schema.maxItems;
+            checks.push(function(traverse) {
+                if (Array.isArray(traverse.unwrap())) {
+                    traverse.arrayMaxLength(maxItems);
+                }
+            });
+        }
+        if ("items" in schema) {
+            if (Array.isArray(schema.items)) {
+                _ReportUnsupported(
+                    location,
+                    "items",
+                    "array form is not supported, use \"prefixItems\" instead"
+                );
+            } else {
+                let items = _Compile(schema.items, location + "/items");
+                checks.push(function(traverse) {
+                    if (Array.isArray(traverse.unwrap())) {
+                        traverse.arrayForEach(function(item) {
+                            items.validate(item);
+                        });
+                    }
+                });
+            }
+        }
+
+        //  Object keywords.
+        let properties = new Map();
+        if ("properties" in schema) {
+            Object.keys(schema.properties).forEach(function(key) {
+                properties.set(key, _Compile(
+                    schema.properties[key],
+                    location + "/properties/" + key
+                        .replace(/~/g, "~0")
+                        .replace(/\//g, "~1")
+                ));
+            });
+        }
+        let required = ("required" in schema ? schema.required : []);
+        let additional = null;
+        let forbidAdditional = (schema.additionalProperties === false);
+        if ("additionalProperties" in schema && !forbidAdditional) {
+            additional = _Compile(
+                schema.additionalProperties,
+                location + "/additionalProperties"
+            );
+        }
+        if (
+            properties.size != 0 || 
+            required.length != 0 || 
+            additional !== null || 
+            forbidAdditional
+        ) {
+            checks.push(function(traverse) {
+                let inner = traverse.unwrap();
+                if (GetJsonType(inner) != "object") {
+                    return;
+                }
+                required.forEach(function(key) {
+                    if (!Object.prototype.hasOwnProperty.call(inner, key)) {
+                        let child = traverse.optionalSub(key);
+                        RunCheck(traverse, function() {
+                            throw CreateError(
+                                Traverse.KeyNotFoundError,
+                                child,
+                                "Sub path doesn't exist",
+                                "required",
+                                "existed key"
+                            );
+                        });
+                    }
+                });
+                let unexpected = [];
+                Object.keys(inner).forEach(function(key) {
+                    if (properties.has(key)) {
+                        properties.get(key).validate(traverse.sub(key));
+                    } else if (additional !== null) {
+                        additional.validate(traverse.sub(key));
+                    } else if (forbidAdditional) {
+                        unexpected.push(key);
+                    }
+                });
+                if (unexpected.length != 0) {
+                    RunCheck(traverse, function(current) {
+                        throw CreateUnexpectedKeyError(
+                            current,
+                            unexpected,
+                            Array.from(properties.keys())
+                        );
+                    });
+                }
+            });
+        }
+
+        //  Combinators.
+        ["allOf", "anyOf", "oneOf"].forEach(function(keyword) {
+            if (!(keyword in schema)) {
+                return;
+            }
+            if (
+                !Array.isArray(schema[keyword]) || 
+                schema[keyword].length == 0
+            ) {
+                throw new Traverse.ParameterError(Util.format(
+                    "\"%s\" must be a non-empty array (location=\"%s\").",
+                    keyword,
+                    location
+                ));
+            }
+            let branches = schema[keyword].map(function(branch, index) {
+                return _Compile(
+                    branch,
+                    Util.format("%s/%s/%d", location, keyword, index),
+                    true
+                );
+            });
+            if (keyword == "allOf") {
+                checks.push(function(traverse) {
+                    branches.forEach(function(branch) {
+                        branch.validate(traverse);
+                    });
+                });
+                return;
+            }
+            checks.push(function(traverse) {
+                RunCheck(traverse, function(current) {
+                    let passed = branches.filter(function(branch) {
+                        return _IsPassed(branch, current);
+                    }).length;
+                    if (keyword == "anyOf" && passed == 0) {
+                        throw CreateError(
+                            Traverse.Error,
+                            current,
+                            "Value matches none of the schemas",
+                            "anyOf",
+                            "at least one schema matched"
+                        );
+                    }
+                    if (keyword == "oneOf" && passed != 1) {
+                        throw CreateError(
+                            Traverse.Error,
+                            current,
+                            Util.format(
+                                "Value matches %d of the schemas",
+                                passed
+                            ),
+                            "oneOf",
+                            "exactly one schema matched"
+                        );
+                    }
+                });
+            });
+        });
+
+        result.validate = function(traverse) {
+            checks.forEach(function(check) {
+                check(traverse);
+            });
+        };
+        return result;
+    }
+
+    /**
+     *  Get whether the value of specific traverse object passes a compiled 
+     *  schema.
+     * 
+     *  Note(s):
+     *    [1] The value is validated in a separated traverse object (with the 
+     *        same path) so that no error would be collected in collect-all 
+     *        mode.
+     * 
+     *  @param {{validate: function(Traverse): void}} schema - The compiled 
+     *                                                        schema.
+     *  @param {Traverse} traverse - The traverse object.
+     *  @return {Boolean} - True if so.
+     */
+    function _IsPassed(schema, traverse) {
+        let separated = new Traverse(
+            traverse.unwrap(),
+            traverse.getPathObject()
+        );
+        try {
+            schema.validate(separated);
+            return true;
+        } catch(error) {
+            if (error instanceof Traverse.Error) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    //  Compile the document.
+    let root = _Compile(document, "#");
+    if (unsupported.length != 0) {
+        throw new Traverse.ParameterError(Util.format(
+            "Unsupported JSON schema keyword(s): %s.",
+            unsupported.join(", ")
+        ));
+    }
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Execute the schema on a traverse object.
+     * 
+     *  Exception(s):
+     *    [1] Traverse.Error: 
+     *        Raised if the value mismatched with the schema.
+     * 
+     *  Note(s):
+     *    [1] In collect-all mode, errors are collected by the traverse object 
+     *        instead of being raised.
+     * 
+     *  @param {Traverse} traverse - The traverse object.
+     *  @return {Traverse} - The traverse object.
+     */
+    this.execute = function(traverse) {
+        root.validate(traverse);
+        return traverse;
+    };
+
+    /**
+     *  Validate a value.
+     * 
+     *  Exception(s):
+     *    [1] Traverse.Error: 
+     *        Raised if the value mismatched with the schema.
+     *    [2] Traverse.AggregateError: 
+     *        Raised if errors were collected (in collect-all mode).
+     * 
+     *  @param {*} value - The value.
+     *  @param {Object} [options] - The options (see WrapObject()).
+     *  @return {*} - The value.
+     */
+    this.validate = function(value, options = {}) {
+        let traverse = CrTraverse.WrapObject(value, true, options);
+        self.execute(traverse).throwCollectedErrors();
+        return value;
+    };
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Load a JSON schema (draft 2020-12 subset) document.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParseError: 
+ *        Raised if the document is a string that can't be parsed.
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the document contains unsupported keywords or is invalid.
+ * 
+ *  @param {Object|Boolean|String} document - The JSON schema document (or its 
+ *                                            JSON text).
+ *  @return {TraverseJsonSchema} - The JSON schema validator.
+ */
+function LoadJsonSchema(document) {
+    return new TraverseJsonSchema(document);
+}
+
+//  Export public APIs.
+module.exports = {
+    "TraverseJsonSchema": TraverseJsonSchema,
+    "LoadJsonSchema": LoadJsonSchema
+};
\ No newline at end of file
@@ -0,0 +1,312 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Util = require("util");
+
+//
+//  Constants.
+//
+
+/**
+ *  Segment kind: object key.
+ * 
+ *  @type {String}
+ */
+const KIND_OBJECT_KEY = "objectKey";
+
+/**
+ *  Segment kind: map key.
+ * 
+ *  @type {String}
+ */
+const KIND_MAP_KEY = "mapKey";
+
+/**
+ *  Segment kind: array index.
+ * 
+ *  @type {String}
+ */
+const KIND_ARRAY_INDEX = "arrayIndex";
+
+/**
+ *  Segment kind: pseudo segment (e.g. "[JSON(Load)]").
+ * 
+ *  @type {String}
+ */
+const KIND_PSEUDO = "pseudo";
+
+/**
+ *  Regular expression of JSONPath member names that can be written in dot 
+ *  notation.
+ * 
+ *  @type {RegExp}
+ */
+const JSONPATH_IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ *  Regular expression of array index segments in legacy path strings.
+ * 
+ *  @type {RegExp}
+ */
+const LEGACY_ARRAY_INDEX = /^\[(0|[1-9][0-9]*)\]$/;
+
+/**
+ *  Regular expression of pseudo segments in legacy path strings.
+ * 
+ *  @type {RegExp}
+ */
+const LEGACY_PSEUDO = /^\[(JSON|YAML|TOML|INI)\((Load|Save)\)\]$/;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Append a name to a legacy path string.
+ * 
+ *  @param {String} path - The legacy path string.
+ *  @param {String} name - The name.
+ *  @return {String} - The new legacy path string.
+ */
+function JoinLegacyPath(path, name) {
+    if (path.length == 0 || path[path.length - 1] == "/") {
+        return path + name;
+    } else {
+        return path + "/" + name;
+    }
+}
+
+/**
+ *  Get the default name of a segment in legacy path string.
+ * 
+ *  @param {String} kind - The segment kind.
+ *  @param {*} value - The segment value.
+ *  @return {String} - The name.
+ */
+function GetLegacyName(kind, value) {
+    if (kind == KIND_ARRAY_INDEX) {
+        return Util.format("[%d]", value);
+    } else {
+        return String(value);
+    }
+}
+
+//
+//  Classes.
+//
+
+/**
+ *  Path segment.
+ * 
+ *  @typedef {Object} TraversePathSegment
+ *  @property {String} kind - The segment kind ("objectKey", "mapKey", 
+ *                            "arrayIndex" or "pseudo").
+ *  @property {*} value - The key, the index or the pseudo segment name.
+ */
+
+/**
+ *  Traverse path (immutable).
+ * 
+ *  @constructor
+ *  @param {TraversePathSegment[]} [segments] - The segments.
+ *  @param {String} [legacy] - The path in legacy format.
+ */
+function TraversePath(segments = [], legacy = "/") {
+    //
+    //  Members.
+    //
+
+    //  Segments (copied to keep the path immutable).
+    segments = segments.map(function(segment) {
+        return Object.freeze({
+            "kind": segment.kind,
+            "value": segment.value
+        });
+    });
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Get the segments.
+     * 
+     *  @return {TraversePathSegment[]} - The segments.
+     */
+    this.getSegments = function() {
+        return segments.slice();
+    };
+
+    /**
+     *  Get the keys (the values of all segments).
+     * 
+     *  @return {Array} - The keys.
+     */
+    this.getKeys = function() {
+        return segments.map(function(segment) {
+            return segment.value;
+        });
+    };
+
+    /**
+     *  Get the count of segments.
+     * 
+     *  @return {Number} - The count.
+     */
+    this.getLength = function() {
+        return segments.length;
+    };
+
+    /**
+     *  Create a new path with a segment appended.
+     * 
+     *  @param {String} kind - The segment kind.
+     *  @param {*} value - The segment value.
+     *  @param {String} [name] - The name of the segment in legacy format 
+     *                           (default: "[index]" for array indexes and the 
+     *                           value itself for other kinds).
+     *  @return {TraversePath} - The new path.
+     */
+    this.append = function(kind, value, name = GetLegacyName(kind, value)) {
+        return new TraversePath(segments.concat([{
+            "kind": kind,
+            "value": value
+        }]), JoinLegacyPath(legacy, name));
+    };
+
+    /**
+     *  Render the path in legacy format (e.g. "/server/ports/[0]").
+     * 
+     *  @return {String} - The path string.
+     */
+    this.toLegacyString = function() {
+        return legacy;
+    };
+
+    /**
+     *  Render the path as a JSON pointer (RFC 6901, e.g. "/server/ports/0").
+     * 
+     *  Note(s):
+     *    [1] The root path is rendered as an empty string.
+     *    [2] Non-string map keys are converted to strings.
+     * 
+     *  @return {String} - The JSON pointer.
+     */
+    this.toJsonPointer = function() {
+        return segments.map(function(segment) {
+            return "/" + String(segment.value)
+                .replace(/~/g, "~0")
+                .replace(/\//g, "~1");
+        }).join("");
+    };
+
+    /**
+     *  Render the path as a (normalized) JSONPath (e.g. "$.server.ports[0]").
+     * 
+     *  Note(s):
+     *    [1] Keys that are not identifiers are rendered in bracket notation 
+     *        (e.g. "$['a/b']"), non-string map keys are converted to strings.
+     *    [2] Pseudo segments are rendered as-is (e.g. "$.data[JSON(Load)]").
+     * 
+     *  @return {String} - The JSONPath.
+     */
+    this.toJsonPath = function() {
+        return "$" + segments.map(function(segment) {
+            if (segment.kind == KIND_ARRAY_INDEX) {
+                return Util.format("[%d]", segment.value);
+            }
+            if (segment.kind == KIND_PSEUDO) {
+                return String(segment.value);
+            }
+            let key = String(segment.value);
+            if (JSONPATH_IDENTIFIER.test(key)) {
+                return "." + key;
+            }
+            return "['" + key
+                .replace(/\\/g, "\\\\")
+                .replace(/'/g, "\\'") + "']";
+        }).join("");
+    };
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Parse a path string in legacy format.
+ * 
+ *  Note(s):
+ *    [1] Segments like "[3]" are parsed as array indexes, "[JSON(Load)]", 
+ *        "[YAML(Save)]" and other document segments (of JSON, YAML, TOML and 
+ *        INI) are parsed as pseudo segments and other segments are parsed as 
+ *        object keys.
+ *    [2] The legacy rendering of the parsed path is exactly the path string.
+ * 
+ *  @param {String} path - The path string.
+ *  @return {TraversePath} - The path.
+ */
+function ParseLegacyPath(path) {
+    let segments = path.split("/").filter(function(name) {
+        return name.length != 0;
+    }).map(function(name) {
+        let matched = name.match(LEGACY_ARRAY_INDEX);
+        if (matched !== null) {
+            return {
+                "kind": KIND_ARRAY_INDEX,
+                "value": parseInt(matched[1], 10)
+            };
+        }
+        return {
+            "kind": (LEGACY_PSEUDO.test(name) ? KIND_PSEUDO : KIND_OBJECT_KEY),
+            "value": name
+        };
+    });
+    return new TraversePath(segments, path);
+}
+
+/**
+ *  Create a path from keys.
+ * 
+ *  Note(s):
+ *    [1] Numbers are treated as array indexes, strings like "[JSON(Load)]" 
+ *        are treated as pseudo segments and other keys are treated as object 
+ *        keys.
+ * 
+ *  @param {Array} keys - The keys.
+ *  @return {TraversePath} - The path.
+ */
+function CreatePathFromKeys(keys) {
+    let path = new TraversePath();
+    keys.forEach(function(key) {
+        if (typeof(key) == "number") {
+            path = path.append(KIND_ARRAY_INDEX, key);
+        } else if (LEGACY_PSEUDO.test(key)) {
+            path = path.append(KIND_PSEUDO, key);
+        } else {
+            path = path.append(KIND_OBJECT_KEY, key);
+        }
+    });
+    return path;
+}
+
+//  Export segment kinds.
+TraversePath.OBJECT_KEY = KIND_OBJECT_KEY;
+TraversePath.MAP_KEY = KIND_MAP_KEY;
+TraversePath.ARRAY_INDEX = KIND_ARRAY_INDEX;
+TraversePath.PSEUDO = KIND_PSEUDO;
+
+//  Export public APIs.
+module.exports = {
+    "TraversePath": TraversePath,
+    "ParseLegacyPath": ParseLegacyPath,
+    "CreatePathFromKeys": CreatePathFromKeys
+};
\ No newline at end of file
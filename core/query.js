@@ -0,0 +1,792 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrPath = require("./path");
+const Util = require("util");
+
+//  Imported classes.
+const TraversePath = CrPath.TraversePath;
+
+//
+//  Constants.
+//
+
+/**
+ *  Step type: object/map key.
+ * 
+ *  @type {String}
+ */
+const STEP_KEY = "key";
+
+/**
+ *  Step type: array index (negative index counts from the end).
+ * 
+ *  @type {String}
+ */
+const STEP_INDEX = "index";
+
+/**
+ *  Step type: JSON pointer reference token (array index or key, depends on 
+ *  the type of the value).
+ * 
+ *  @type {String}
+ */
+const STEP_TOKEN = "token";
+
+/**
+ *  Step type: wildcard.
+ * 
+ *  @type {String}
+ */
+const STEP_WILDCARD = "wildcard";
+
+/**
+ *  Step type: array slice.
+ * 
+ *  @type {String}
+ */
+const STEP_SLICE = "slice";
+
+/**
+ *  Step type: filter.
+ * 
+ *  @type {String}
+ */
+const STEP_FILTER = "filter";
+
+/**
+ *  Regular expression of member names in dot notation.
+ * 
+ *  @type {RegExp}
+ */
+const MEMBER_NAME = /^[A-Za-z_$][A-Za-z0-9_$]*/;
+
+/**
+ *  Regular expression of (optionally signed) integers.
+ * 
+ *  @type {RegExp}
+ */
+const INTEGER = /^-?(0|[1-9][0-9]*)/;
+
+/**
+ *  Regular expression of number literals.
+ * 
+ *  @type {RegExp}
+ */
+const NUMBER = /^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?/;
+
+/**
+ *  Regular expression of array index reference tokens of JSON pointer.
+ * 
+ *  @type {RegExp}
+ */
+const POINTER_ARRAY_INDEX = /^(0|[1-9][0-9]*)$/;
+
+/**
+ *  Comparison operators of filters (longer operators first).
+ * 
+ *  @type {String[]}
+ */
+const COMPARISON_OPERATORS = ["==", "!=", "<=", ">=", "<", ">"];
+
+//
+//  Private functions.
+//
+
+/**
+ *  Parse a JSON pointer (RFC 6901).
+ * 
+ *  @param {String} expression - The JSON pointer.
+ *  @return {Object[]} - The steps.
+ */
+function ParseJsonPointer(expression) {
+    if (expression.length == 0) {
+        return [];
+    }
+    return expression.substring(1).split("/").map(function(token) {
+        if (/~[^01]|~$/.test(token)) {
+            throw new SyntaxError(Util.format(
+                "Invalid escape sequence in reference token \"%s\".",
+                token
+            ));
+        }
+        return {
+            "type": STEP_TOKEN,
+            "token": token.replace(/~1/g, "/").replace(/~0/g, "~")
+        };
+    });
+}
+
+/**
+ *  Parse a JSONPath (subset).
+ * 
+ *  @param {String} expression - The JSONPath.
+ *  @return {Object[]} - The steps.
+ */
+function ParseJsonPath(expression) {
+    let position = 1;
+    let steps = [];
+
+    /**
+     *  Raise a syntax error at current position.
+     * 
+     *  @param {String} reason - The reason.
+     */
+    function _Fail(reason) {
+        throw new SyntaxError(Util.format(
+            "%s at position %d.",
+            reason,
+            position
+        ));
+    }
+
+    /**
+     *  Skip whitespaces.
+     */
+    function _SkipSpaces() {
+        while (
+            position < expression.length && 
+            /\s/.test(expression[position])
+        ) {
+            ++position;
+        }
+    }
+
+    /**
+     *  Consume specific text if it's at current position.
+     * 
+     *  @param {String} text - The text.
+     *  @return {Boolean} - True if consumed.
+     */
+    function _Accept(text) {
+        _SkipSpaces();
+        if (expression.startsWith(text, position)) {
+            position += text.length;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     *  Consume specific text (raise an error if it's not at current position).
+     * 
+     *  @param {String} text - The text.
+     */
+    function _Expect(text) {
+        if (!_Accept(text)) {
+            _Fail(Util.format("Expect \"%s\"", text));
+        }
+    }
+
+    /**
+     *  Match a regular expression at current position.
+     * 
+     *  @param {RegExp} re - The regular expression (anchored at the start).
+     *  @return {?String} - The matched text (NULL if not matched).
+     */
+    function _Match(re) {
+        _SkipSpaces();
+        let matched = expression.substring(position).match(re);
+        if (matched === null) {
+            return null;
+        }
+        position += matched[0].length;
+        return matched[0];
+    }
+
+    /**
+     *  Parse a quoted string literal.
+     * 
+     *  @return {String} - The string.
+     */
+    function _ParseString() {
+        _SkipSpaces();
+        let quote = expression[position];
+        let result = "";
+        ++position;
+        while (position < expression.length) {
+            let ch = expression[position++];
+            if (ch == quote) {
+                return result;
+            }
+            if (ch == "\\") {
+                if (position >= expression.length) {
+                    break;
+                }
+                ch = expression[position++];
+                if (ch == "n") {
+                    ch = "\n";
+                } else if (ch == "t") {
+                    ch = "\t";
+                } else if (ch == "r") {
+                    ch = "\r";
+                }
+            }
+            result += ch;
+        }
+        _Fail("Unterminated string");
+    }
+
+    /**
+     *  Parse a relative path (after "@") in a filter.
+     * 
+     *  @return {Array} - The keys (or indexes).
+     */
+    function _ParseRelativePath() {
+        let keys = [];
+        while (true) {
+            if (_Accept(".")) {
+                let name = _Match(MEMBER_NAME);
+                if (name === null) {
+                    _Fail("Expect a member name");
+                }
+                keys.push(name);
+            } else if (_Accept("[")) {
+                _SkipSpaces();
+                let ch = expression[position];
+                if (ch == "'" || ch == "\"") {
+                    keys.push(_ParseString());
+                } else {
+                    let index = _Match(INTEGER);
+                    if (index === null) {
+                        _Fail("Expect a string or an integer");
+                    }
+                    keys.push(parseInt(index, 10));
+                }
+                _Expect("]");
+            } else {
+                return keys;
+            }
+        }
+    }
+
+    /**
+     *  Parse an operand of a comparison in a filter.
+     * 
+     *  @return {Object} - The operand.
+     */
+    function _ParseOperand() {
+        _SkipSpaces();
+        let ch = expression[position];
+        if (_Accept("@")) {
+            return {
+                "path": _ParseRelativePath()
+            };
+        }
+        if (ch == "'" || ch == "\"") {
+            return {
+                "literal": _ParseString()
+            };
+        }
+        let number = _Match(NUMBER);
+        if (number !== null) {
+            return {
+                "literal": Number(number)
+            };
+        }
+        if (_Accept("true")) {
+            return {
+                "literal": true
+            };
+        }
+        if (_Accept("false")) {
+            return {
+                "literal": false
+            };
+        }
+        if (_Accept("null")) {
+            return {
+                "literal": null
+            };
+        }
+        _Fail("Expect \"@\" or a literal");
+    }
+
+    /**
+     *  Parse a primary expression in a filter.
+     * 
+     *  @return {Object} - The expression.
+     */
+    function _ParsePrimary() {
+        if (_Accept("(")) {
+            let inner = _ParseOr();
+            _Expect(")");
+            return inner;
+        }
+        let left = _ParseOperand();
+        for (let i = 0; i < COMPARISON_OPERATORS.length; ++i) {
+            let operator = COMPARISON_OPERATORS[i];
+            if (_Accept(operator)) {
+                return {
+                    "operator": operator,
+                    "left": left,
+                    "right": _ParseOperand()
+                };
+            }
+        }
+        if (!("path" in left)) {
+            _Fail("Expect a comparison operator");
+        }
+        return {
+            "operator": "exists",
+            "left": left
+        };
+    }
+
+    /**
+     *  Parse an unary expression in a filter.
+     * 
+     *  @return {Object} - The expression.
+     */
+    function _ParseUnary() {
+        if (_Accept("!")) {
+            return {
+                "operator": "!",
+                "left": _ParseUnary()
+            };
+        }
+        return _ParsePrimary();
+    }
+
+    /**
+     *  Parse an "and" expression in a filter.
+     * 
+     *  @return {Object} - The expression.
+     */
+    function _ParseAnd() {
+        let left = _ParseUnary();
+        while (_Accept("&&")) {
+            left = {
+                "operator": "&&",
+                "left": left,
+                "right": _ParseUnary()
+            };
+        }
+        return left;
+    }
+
+    /**
+     *  Parse an "or" expression in a filter.
+     * 
+     *  @return {Object} - The expression.
+     */
+    function _ParseOr() {
+        let left = _ParseAnd();
+        while (_Accept("||")) {
+            left = {
+                "operator": "||",
+                "left": left,
+                "right": _ParseAnd()
+            };
+        }
+        return left;
+    }
+
+    /**
+     *  Parse a bracketed selector (after "[").
+     * 
+     *  @return {Object} - The step.
+     */
+    function _ParseBracket() {
+        _SkipSpaces();
+        let ch = expression[position];
+        let step = null;
+        if (_Accept("*")) {
+            step = {
+                "type": STEP_WILDCARD
+            };
+        } else if (ch == "'" || ch == "\"") {
+            step = {
+                "type": STEP_KEY,
+                "key": _ParseString()
+            };
+        } else if (_Accept("?")) {
+            step = {
+                "type": STEP_FILTER,
+                "filter": _ParseOr()
+            };
+        } else {
+            let bounds = [_Match(INTEGER)];
+            while (bounds.length < 3 && _Accept(":")) {
+                bounds.push(_Match(INTEGER));
+            }
+            bounds = bounds.map(function(bound) {
+                return (bound === null ? null : parseInt(bound, 10));
+            });
+            if (bounds.length == 1) {
+                if (bounds[0] === null) {
+                    _Fail("Expect a selector");
+                }
+                step = {
+                    "type": STEP_INDEX,
+                    "index": bounds[0]
+                };
+            } else {
+                step = {
+                    "type": STEP_SLICE,
+                    "start": bounds[0],
+                    "end": bounds[1],
+                    "step": (bounds.length > 2 ? bounds[2] : null)
+                };
+                if (step.step === 0) {
+                    _Fail("Slice step can't be zero");
+                }
+            }
+        }
+        _Expect("]");
+        return step;
+    }
+
+    while (position < expression.length) {
+        if (expression.startsWith("..", position)) {
+            _Fail("Descendant segment is not supported");
+        } else if (_Accept(".")) {
+            if (_Accept("*")) {
+                steps.push({
+                    "type": STEP_WILDCARD
+                });
+            } else {
+                let name = _Match(MEMBER_NAME);
+                if (name === null) {
+                    _Fail("Expect a member name");
+                }
+                steps.push({
+                    "type": STEP_KEY,
+                    "key": name
+                });
+            }
+        } else if (_Accept("[")) {
+            steps.push(_ParseBracket());
+        } else {
+            _Fail(Util.format(
+                "Unexpected character \"%s\"",
+                expression[position]
+            ));
+        }
+        _SkipSpaces();
+    }
+    return steps;
+}
+
+/**
+ *  Get a value within another value by keys (used by filters).
+ * 
+ *  @param {*} value - The value.
+ *  @param {Array} keys - The keys.
+ *  @return {*} - The value (undefined if not found).
+ */
+function GetFilterValue(value, keys) {
+    for (let i = 0; i < keys.length; ++i) {
+        let key = keys[i];
+        if (value instanceof Map) {
+            value = value.get(key);
+        } else if (Array.isArray(value)) {
+            if (typeof(key) != "number") {
+                return undefined;
+            }
+            value = value[key < 0 ? value.length + key : key];
+        } else if (
+            value instanceof Object && 
+            typeof(key) == "string" && 
+            Object.prototype.hasOwnProperty.call(value, key)
+        ) {
+            value = value[key];
+        } else {
+            return undefined;
+        }
+    }
+    return value;
+}
+
+/**
+ *  Get the value of an operand of a filter.
+ * 
+ *  @param {Object} operand - The operand.
+ *  @param {*} value - The current value ("@").
+ *  @return {*} - The value.
+ */
+function GetOperandValue(operand, value) {
+    if ("literal" in operand) {
+        return operand.literal;
+    }
+    return GetFilterValue(value, operand.path);
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Parse a path expression.
+ * 
+ *  Exception(s):
+ *    [1] SyntaxError: 
+ *        Raised if the expression is invalid.
+ * 
+ *  Note(s):
+ *    [1] A path expression is either a JSON pointer (RFC 6901, e.g. "/a/0") 
+ *        or a JSONPath (a subset of RFC 9535, e.g. "$.a[*].b") which 
+ *        supports member names, indexes, wildcards, array slices and 
+ *        filters (comparisons and existence tests combined by "!", "&&" and 
+ *        "||").
+ * 
+ *  @param {String} expression - The expression.
+ *  @return {{steps: Object[], singular: Boolean}} - The parsed expression.
+ */
+function ParsePathExpression(expression) {
+    let steps = null;
+    if (expression.length == 0 || expression[0] == "/") {
+        steps = ParseJsonPointer(expression);
+    } else if (expression[0] == "$") {
+        steps = ParseJsonPath(expression);
+    } else {
+        throw new SyntaxError(
+            "Expression must be a JSON pointer (starts with \"/\") or a " + 
+            "JSONPath (starts with \"$\")."
+        );
+    }
+    return {
+        "steps": steps,
+        "singular": steps.every(function(step) {
+            return (
+                step.type == STEP_KEY || 
+                step.type == STEP_INDEX || 
+                step.type == STEP_TOKEN
+            );
+        })
+    };
+}
+
+/**
+ *  Get the indexes selected by an array slice.
+ * 
+ *  @param {{start: ?Number, end: ?Number, step: ?Number}} slice - The slice.
+ *  @param {Number} length - The length of the array.
+ *  @return {Number[]} - The indexes.
+ */
+function GetSliceIndexes(slice, length) {
+    let step = (slice.step === null ? 1 : slice.step);
+    let normalize = function(bound) {
+        return (bound >= 0 ? bound : length + bound);
+    };
+    let result = [];
+    if (step > 0) {
+        let start = (slice.start === null ? 0 : normalize(slice.start));
+        let end = (slice.end === null ? length : normalize(slice.end));
+        start = Math.min(Math.max(start, 0), length);
+        end = Math.min(Math.max(end, 0), length);
+        for (let i = start; i < end; i += step) {
+            result.push(i);
+        }
+    } else {
+        let start = (
+            slice.start === null ? length - 1 : normalize(slice.start)
+        );
+        let end = (slice.end === null ? -length - 1 : normalize(slice.end));
+        start = Math.min(Math.max(start, -1), length - 1);
+        end = Math.min(Math.max(end, -1), length - 1);
+        for (let i = start; i > end; i += step) {
+            result.push(i);
+        }
+    }
+    return result;
+}
+
+/**
+ *  Evaluate a filter.
+ * 
+ *  Note(s):
+ *    [1] Comparisons other than "==" and "!=" are only true when both sides 
+ *        are numbers or strings.
+ * 
+ *  @param {Object} filter - The filter.
+ *  @param {*} value - The current value ("@").
+ *  @return {Boolean} - True if the value is selected.
+ */
+function EvaluateFilter(filter, value) {
+    switch (filter.operator) {
+    case "exists":
+        return typeof(GetOperandValue(filter.left, value)) != "undefined";
+    case "!":
+        return !EvaluateFilter(filter.left, value);
+    case "&&":
+        return (
+            EvaluateFilter(filter.left, value) && 
+            EvaluateFilter(filter.right, value)
+        );
+    case "||":
+        return (
+            EvaluateFilter(filter.left, value) || 
+            EvaluateFilter(filter.right, value)
+        );
+    default:
+        break;
+    }
+    let left = GetOperandValue(filter.left, value);
+    let right = GetOperandValue(filter.right, value);
+    if (filter.operator == "==") {
+        return left === right;
+    }
+    if (filter.operator == "!=") {
+        return left !== right;
+    }
+    if (
+        !(typeof(left) == "number" && typeof(right) == "number") && 
+        !(typeof(left) == "string" && typeof(right) == "string")
+    ) {
+        return false;
+    }
+    switch (filter.operator) {
+    case "<":
+        return left < right;
+    case "<=":
+        return left <= right;
+    case ">":
+        return left > right;
+    default:
+        return left >= right;
+    }
+}
+
+/**
+ *  Get the children of a traverse object (used by wildcards and filters).
+ * 
+ *  Note(s):
+ *    [1] Values that are not containers have no child.
+ * 
+ *  @param {Traverse} traverse - The traverse object.
+ *  @return {Traverse[]} - The children.
+ */
+function GetChildren(traverse) {
+    let value = traverse.unwrap();
+    let children = [];
+    if (Array.isArray(value)) {
+        traverse.arrayForEach(function(item) {
+            children.push(item);
+        });
+    } else if (value instanceof Map) {
+        for (let key of value.keys()) {
+            children.push(traverse.sub(key));
+        }
+    } else if (value instanceof Object) {
+        traverse.objectForEachEx(function(item) {
+            children.push(item);
+        });
+    }
+    return children;
+}
+
+/**
+ *  Apply a step of a path expression on a traverse object.
+ * 
+ *  Note(s):
+ *    [1] Keys and indexes are resolved by sub() and arrayGetItem(), so the 
+ *        errors are exactly the same as navigating step by step.
+ * 
+ *  @param {Traverse} traverse - The traverse object.
+ *  @param {Object} step - The step.
+ *  @return {Traverse[]} - The matched traverse objects.
+ */
+function ApplyStep(traverse, step) {
+    let value = traverse.unwrap();
+    if (step.type == STEP_TOKEN) {
+        if (Array.isArray(value) && POINTER_ARRAY_INDEX.test(step.token)) {
+            return [traverse.arrayGetItem(parseInt(step.token, 10))];
+        } else if (Array.isArray(value) && step.token == "-") {
+            return [traverse.arrayGetItem(value.length)];
+        } else {
+            return [traverse.sub(step.token)];
+        }
+    } else if (step.type == STEP_KEY) {
+        return [traverse.sub(step.key)];
+    } else if (step.type == STEP_INDEX) {
+        let index = step.index;
+        if (index < 0 && Array.isArray(value)) {
+            index += value.length;
+        }
+        return [traverse.arrayGetItem(index)];
+    } else if (step.type == STEP_SLICE) {
+        if (!Array.isArray(value)) {
+            return [];
+        }
+        return GetSliceIndexes(step, value.length).map(function(index) {
+            return traverse.arrayGetItem(index);
+        });
+    } else if (step.type == STEP_FILTER) {
+        return GetChildren(traverse).filter(function(child) {
+            return EvaluateFilter(step.filter, child.unwrap());
+        });
+    } else {
+        return GetChildren(traverse);
+    }
+}
+
+/**
+ *  Run a parsed path expression on a traverse object.
+ * 
+ *  @param {Traverse} traverse - The traverse object.
+ *  @param {Object[]} steps - The steps.
+ *  @return {Traverse[]} - The matched traverse objects.
+ */
+function RunPathExpression(traverse, steps) {
+    let matched = [traverse];
+    steps.forEach(function(step) {
+        let next = [];
+        matched.forEach(function(current) {
+            next = next.concat(ApplyStep(current, step));
+        });
+        matched = next;
+    });
+    return matched;
+}
+
+/**
+ *  Append the segment of a (singular) step to a path.
+ * 
+ *  @param {TraversePath} path - The path.
+ *  @param {Object} step - The step.
+ *  @param {*} [value] - The value that the step applies on (undefined if not 
+ *                       available).
+ *  @return {TraversePath} - The new path.
+ */
+function AppendStepToPath(path, step, value) {
+    let keyKind = (
+        value instanceof Map ? TraversePath.MAP_KEY : TraversePath.OBJECT_KEY
+    );
+    if (step.type == STEP_KEY) {
+        return path.append(keyKind, step.key);
+    } else if (step.type == STEP_INDEX) {
+        let index = step.index;
+        if (index < 0 && Array.isArray(value)) {
+            index += value.length;
+        }
+        return path.append(TraversePath.ARRAY_INDEX, index);
+    } else if (
+        POINTER_ARRAY_INDEX.test(step.token) && 
+        (Array.isArray(value) || typeof(value) == "undefined")
+    ) {
+        return path.append(
+            TraversePath.ARRAY_INDEX,
+            parseInt(step.token, 10)
+        );
+    } else {
+        return path.append(keyKind, step.token);
+    }
+}
+
+//  Export public APIs.
+module.exports = {
+    "ParsePathExpression": ParsePathExpression,
+    "GetSliceIndexes": GetSliceIndexes,
+    "EvaluateFilter": EvaluateFilter,
+    "RunPathExpression": RunPathExpression,
+    "AppendStepToPath": AppendStepToPath
+};
\ No newline at end of file
@@ -0,0 +1,233 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Util = require("util");
+
+//
+//  Constants.
+//
+
+/**
+ *  Maximum length of a safe representation.
+ * 
+ *  @type {Number}
+ */
+const MAX_REPRESENTATION_LENGTH = 64;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Append a text to a bounded writer.
+ * 
+ *  @param {{parts: String[], length: Number}} writer - The writer.
+ *  @param {String} text - The text.
+ */
+function WriteText(writer, text) {
+    writer.parts.push(text);
+    writer.length += text.length;
+}
+
+/**
+ *  Prepare a value for JSON serialization (like JSON.stringify(), toJSON() 
+ *  is called and boxed primitives are unboxed).
+ * 
+ *  @param {*} value - The value.
+ *  @param {String} key - The key of the value.
+ *  @return {*} - The prepared value.
+ */
+function PrepareJsonValue(value, key) {
+    if (
+        value !== null && 
+        (typeof(value) == "object" || typeof(value) == "bigint") && 
+        typeof(value.toJSON) == "function"
+    ) {
+        value = value.toJSON(key);
+    }
+    if (
+        value instanceof Number || 
+        value instanceof String || 
+        value instanceof Boolean
+    ) {
+        value = value.valueOf();
+    }
+    return value;
+}
+
+/**
+ *  Get whether a (prepared) value is skipped by JSON serialization.
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsSkippedJsonValue(value) {
+    return (
+        typeof(value) == "undefined" || 
+        typeof(value) == "function" || 
+        typeof(value) == "symbol"
+    );
+}
+
+/**
+ *  Write the JSON serialization of a (prepared) value to a bounded writer.
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the value is not serializable (like JSON.stringify()).
+ * 
+ *  Note(s):
+ *    [1] Writing stops once the maximum representation length is exceeded, 
+ *        so that the cost is bounded for large values.
+ * 
+ *  @param {{parts: String[], length: Number}} writer - The writer.
+ *  @param {*} value - The value.
+ *  @param {Array} stack - The containers being written (to detect cycles).
+ */
+function WriteJson(writer, value, stack) {
+    if (writer.length > MAX_REPRESENTATION_LENGTH) {
+        return;
+    }
+    if (typeof(value) == "string") {
+        WriteText(writer, JSON.stringify(
+            value.substring(0, MAX_REPRESENTATION_LENGTH)
+        ));
+        return;
+    }
+    if (typeof(value) == "bigint") {
+        throw new TypeError("BigInt is not serializable.");
+    }
+    if (value === null || typeof(value) != "object") {
+        WriteText(writer, JSON.stringify(value));
+        return;
+    }
+    if (stack.indexOf(value) >= 0) {
+        throw new TypeError("Circular structure is not serializable.");
+    }
+    stack.push(value);
+    if (Array.isArray(value)) {
+        WriteText(writer, "[");
+        for (let i = 0; i < value.length; ++i) {
+            if (writer.length > MAX_REPRESENTATION_LENGTH) {
+                break;
+            }
+            if (i != 0) {
+                WriteText(writer, ",");
+            }
+            let item = PrepareJsonValue(value[i], String(i));
+            if (IsSkippedJsonValue(item)) {
+                WriteText(writer, "null");
+            } else {
+                WriteJson(writer, item, stack);
+            }
+        }
+        WriteText(writer, "]");
+    } else {
+        let first = true;
+        WriteText(writer, "{");
+        for (let key in value) {
+            if (writer.length > MAX_REPRESENTATION_LENGTH) {
+                break;
+            }
+            if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                continue;
+            }
+            let item = PrepareJsonValue(value[key], key);
+            if (IsSkippedJsonValue(item)) {
+                continue;
+            }
+            if (!first) {
+                WriteText(writer, ",");
+            }
+            first = false;
+            WriteText(writer, JSON.stringify(key) + ":");
+            WriteJson(writer, item, stack);
+        }
+        WriteText(writer, "}");
+    }
+    stack.pop();
+}
+
+/**
+ *  Serialize a value to JSON, but only (a bit more than) the leading 
+ *  characters that fit in a safe representation.
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the value is not serializable (like JSON.stringify()).
+ * 
+ *  @param {*} value - The value.
+ *  @return {String|undefined} - The serialized string (undefined if the 
+ *                               value is skipped by JSON serialization).
+ */
+function StringifyBounded(value) {
+    value = PrepareJsonValue(value, "");
+    if (IsSkippedJsonValue(value)) {
+        return undefined;
+    }
+    let writer = {
+        "parts": [],
+        "length": 0
+    };
+    WriteJson(writer, value, []);
+    return writer.parts.join("");
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Get the safe (short and never throwing) representation of an object.
+ * 
+ *  Note(s):
+ *    [1] Only the leading part of the object is serialized, so that the 
+ *        cost doesn't grow with the size of the object.
+ * 
+ *  @param {*} obj - The object.
+ *  @return {String} - The representation string.
+ */
+function GetSafeRepresentation(obj) {
+    let repr = null;
+    switch (typeof(obj)) {
+    case "undefined":
+        repr = "undefined";
+        break;
+    case "function":
+        repr = Util.format("[Function %s]", obj.name || "(anonymous)");
+        break;
+    case "symbol":
+        repr = obj.toString();
+        break;
+    case "bigint":
+        repr = obj.toString() + "n";
+        break;
+    default:
+        try {
+            repr = StringifyBounded(obj);
+        } catch(error) {
+            repr = null;
+        }
+        if (typeof(repr) != "string") {
+            repr = "(unserializable)";
+        }
+        break;
+    }
+    if (repr.length > MAX_REPRESENTATION_LENGTH) {
+        repr = repr.substring(0, MAX_REPRESENTATION_LENGTH) + "...";
+    }
+    return repr;
+}
+
+//  Export public APIs.
+module.exports = {
+    "GetSafeRepresentation": GetSafeRepresentation
+};
\ No newline at end of file
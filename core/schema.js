@@ -0,0 +1,560 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrTraverse = require("./traverse");
+const Util = require("util");
+
+//  Imported classes.
+const Traverse = CrTraverse.Traverse;
+
+//
+//  Constants.
+//
+
+/**
+ *  Type checkers of built-in type names.
+ * 
+ *  @type {Map<String, ?function(Traverse): Traverse>}
+ */
+const TYPE_CHECKERS = new Map([
+    ["any", null],
+    ["numeric", function(traverse) {
+        return traverse.numeric();
+    }],
+    ["integer", function(traverse) {
+        return traverse.integer();
+    }],
+    ["boolean", function(traverse) {
+        return traverse.boolean();
+    }],
+    ["string", function(traverse) {
+        return traverse.string();
+    }],
+    ["array", function(traverse) {
+        return traverse.typeOf(Array);
+    }],
+    ["object", function(traverse) {
+        return traverse.typeOf(Object);
+    }],
+    ["map", function(traverse) {
+        return traverse.typeOf(Map);
+    }]
+]);
+
+/**
+ *  Valid keys of a schema descriptor.
+ * 
+ *  @type {Set<String>}
+ */
+const DESCRIPTOR_KEYS = new Set([
+    "type",
+    "nullable",
+    "optional",
+    "default",
+    "min",
+    "max",
+    "minExclusive",
+    "maxExclusive",
+    "comparator",
+    "regexp",
+    "charTable",
+    "oneOf",
+    "minLength",
+    "maxLength",
+    "items",
+    "properties",
+    "values",
+    "rules"
+]);
+
+//
+//  Private functions.
+//
+
+/**
+ *  Set a property of an object (as an own property, so that keys like 
+ *  "__proto__" never change the prototype of the object).
+ * 
+ *  @param {Object} object - The object.
+ *  @param {String|Symbol} key - The key.
+ *  @param {*} value - The value.
+ */
+function SetOwnProperty(object, key, value) {
+    Object.defineProperty(object, key, {
+        "value": value,
+        "writable": true,
+        "enumerable": true,
+        "configurable": true
+    });
+}
+
+/**
+ *  Create a plain object with own enumerable properties of an object.
+ * 
+ *  @param {Object} object - The object.
+ *  @return {Object} - The copy.
+ */
+function CopyOwnProperties(object) {
+    let copy = {};
+    Reflect.ownKeys(object).forEach(function(key) {
+        if (Object.prototype.propertyIsEnumerable.call(object, key)) {
+            SetOwnProperty(copy, key, object[key]);
+        }
+    });
+    return copy;
+}
+
+//
+//  Classes.
+//
+
+/**
+ *  Schema descriptor.
+ * 
+ *  @typedef {Object} TraverseSchemaDescriptor
+ *  @property {String|Function} [type] - The type ("any", "numeric", 
+ *                                       "integer", "boolean", "string", 
+ *                                       "array", "object", "map" or a 
+ *                                       constructor, default: "any").
+ *  @property {Boolean} [nullable] - True if the value can be NULL (default: 
+ *                                   false).
+ *  @property {Boolean} [optional] - True if the value can be absent (only 
+ *                                   works for properties, default: false).
+ *  @property {*} [default] - The default value of an absent optional 
+ *                            property.
+ *  @property {*} [min] - The minimum threshold.
+ *  @property {*} [max] - The maximum threshold.
+ *  @property {*} [minExclusive] - The exclusive minimum threshold.
+ *  @property {*} [maxExclusive] - The exclusive maximum threshold.
+ *  @property {Traverse.Comparator} [comparator] - The comparator of the 
+ *                                                thresholds.
+ *  @property {RegExp} [regexp] - The regular expression of a string.
+ *  @property {String|Traverse.CharClass} [charTable] - The character table 
+ *                                                    (or the character 
+ *                                                    class) of a string.
+ *  @property {Set|Map|Array|Object} [oneOf] - The selections.
+ *  @property {Number} [minLength] - The minimum length of an array.
+ *  @property {Number} [maxLength] - The maximum length of an array.
+ *  @property {TraverseSchemaDescriptor|String|Function} [items] - The schema 
+ *                                                                 of array 
+ *                                                                 items.
+ *  @property {Object} [properties] - The schemas of properties (key => 
+ *                                    schema) of an Object or a Map.
+ *  @property {TraverseSchemaDescriptor|String|Function} [values] - The schema 
+ *                                                                  of other 
+ *                                                                  values of 
+ *                                                                  an Object 
+ *                                                                  or a Map.
+ *  @property {Function|Function[]} [rules] - The custom rule(s).
+ */
+
+/**
+ *  Compiled schema (a reusable validator).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the schema descriptor is invalid.
+ * 
+ *  @constructor
+ *  @param {TraverseSchemaDescriptor|String|Function} descriptor - The schema 
+ *                                                                 descriptor 
+ *                                                                 (or the type 
+ *                                                                 only).
+ *  @param {String} [location] - The location of the descriptor (used in error 
+ *                               messages).
+ */
+function TraverseSchema(descriptor, location = "(root)") {
+    //
+    //  Members.
+    //
+
+    //  Self reference.
+    let self = this;
+
+    //  Expand shorthand descriptor.
+    if (
+        typeof(descriptor) == "string" || 
+        descriptor instanceof Function
+    ) {
+        descriptor = {
+            "type": descriptor
+        };
+    }
+    if (!(descriptor instanceof Object)) {
+        throw new Traverse.ParameterError(Util.format(
+            "Invalid schema descriptor (location=\"%s\").",
+            location
+        ));
+    }
+    for (let key in descriptor) {
+        if (!DESCRIPTOR_KEYS.has(key)) {
+            throw new Traverse.ParameterError(Util.format(
+                "Unknown schema keyword \"%s\" (location=\"%s\").",
+                key,
+                location
+            ));
+        }
+    }
+
+    //  Type.
+    let type = ("type" in descriptor ? descriptor.type : "any");
+    let typeChecker = null;
+    if (type instanceof Function) {
+        typeChecker = function(traverse) {
+            return traverse.typeOf(type);
+        };
+    } else if (TYPE_CHECKERS.has(type)) {
+        typeChecker = TYPE_CHECKERS.get(type);
+    } else {
+        throw new Traverse.ParameterError(Util.format(
+            "Unknown schema type \"%s\" (location=\"%s\").",
+            String(type),
+            location
+        ));
+    }
+
+    //  Nullability and optionality.
+    let nullable = (descriptor.nullable === true);
+    let optional = (descriptor.optional === true);
+    let defaultValue = descriptor.default;
+
+    //  Assertions (in execution order).
+    let comparator = descriptor.comparator || Traverse.DEFAULT_COMPARATOR;
+    let assertions = [];
+    if (typeChecker !== null) {
+        assertions.push(typeChecker);
+    }
+    ["min", "max", "minExclusive", "maxExclusive"].forEach(function(key) {
+        if (key in descriptor) {
+            let threshold = descriptor[key];
+            assertions.push(function(traverse) {
+                return traverse[key](threshold, comparator);
+            });
+        }
+    });
+    if ("regexp" in descriptor) {
+        let re = descriptor.regexp;
+        assertions.push(function(traverse) {
+            return traverse.stringValidateByRegExp(re);
+        });
+    }
+    if ("charTable" in descriptor) {
+        let charTable = descriptor.charTable;
+        assertions.push(function(traverse) {
+            return traverse.stringValidate(charTable);
+        });
+    }
+    if ("oneOf" in descriptor) {
+        let selections = descriptor.oneOf;
+        assertions.push(function(traverse) {
+            return traverse.oneOf(selections);
+        });
+    }
+    if ("minLength" in descriptor) {
+        let minLength = descriptor.minLength;
+        assertions.push(function(traverse) {
+            return traverse.arrayMinLength(minLength);
+        });
+    }
+    if ("maxLength" in descriptor) {
+        let maxLength = descriptor.maxLength;
+        assertions.push(function(traverse) {
+            return traverse.arrayMaxLength(maxLength);
+        });
+    }
+    let rules = ("rules" in descriptor ? [].concat(descriptor.rules) : []);
+    rules.forEach(function(rule) {
+        if (!(rule instanceof Function)) {
+            throw new Traverse.ParameterError(Util.format(
+                "Custom rule must be a Function (location=\"%s\").",
+                location
+            ));
+        }
+        assertions.push(function(traverse) {
+            return traverse.customRule(rule);
+        });
+    });
+
+    //  Array items.
+    let items = null;
+    if ("items" in descriptor) {
+        items = new TraverseSchema(descriptor.items, location + "/items");
+    }
+
+    //  Properties.
+    let properties = new Map();
+    if ("properties" in descriptor) {
+        if (!(descriptor.properties instanceof Object)) {
+            throw new Traverse.ParameterError(Util.format(
+                "Properties must be an Object (location=\"%s\").",
+                location
+            ));
+        }
+        for (let key in descriptor.properties) {
+            properties.set(key, new TraverseSchema(
+                descriptor.properties[key],
+                location + "/properties/" + key
+            ));
+        }
+    }
+
+    //  Other values.
+    let values = null;
+    if ("values" in descriptor) {
+        values = new TraverseSchema(descriptor.values, location + "/values");
+    }
+
+    //
+    //  Private methods.
+    //
+
+    /**
+     *  Go to specific property.
+     * 
+     *  @param {Traverse} traverse - The traverse object of the container.
+     *  @param {String} key - The key of the property.
+     *  @param {TraverseSchema} schema - The schema of the property.
+     *  @return {Traverse} - The traverse object of the property.
+     */
+    function _GoToProperty(traverse, key, schema) {
+        if (schema.isOptional()) {
+            return traverse.optionalSub(key, schema.getDefaultValue());
+        } else {
+            return traverse.sub(key);
+        }
+    }
+
+    /**
+     *  Execute the schema of specific property.
+     * 
+     *  Note(s):
+     *    [1] An absent optional property without default value is skipped.
+     * 
+     *  @param {Traverse} traverse - The traverse object of the container.
+     *  @param {String} key - The key of the property.
+     *  @param {TraverseSchema} schema - The schema of the property.
+     *  @return {*} - The normalized value (undefined if skipped).
+     */
+    function _ExecuteOnProperty(traverse, key, schema) {
+        let child = _GoToProperty(traverse, key, schema);
+        if (schema.isOptional() && typeof(child.unwrap()) == "undefined") {
+            return undefined;
+        }
+        return schema.execute(child);
+    }
+
+    /**
+     *  Execute the schema on an Object.
+     * 
+     *  @param {Traverse} traverse - The traverse object.
+     *  @return {Object} - The normalized object.
+     */
+    function _ExecuteOnObject(traverse) {
+        let result = CopyOwnProperties(traverse.unwrap());
+        properties.forEach(function(schema, key) {
+            let value = _ExecuteOnProperty(traverse, key, schema);
+            if (typeof(value) != "undefined") {
+                SetOwnProperty(result, key, value);
+            }
+        });
+        if (values !== null) {
+            traverse.objectForEachEx(function(child, key) {
+                if (!properties.has(key)) {
+                    SetOwnProperty(result, key, values.execute(child));
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     *  Execute the schema on a Map.
+     * 
+     *  @param {Traverse} traverse - The traverse object.
+     *  @return {Map} - The normalized map.
+     */
+    function _ExecuteOnMap(traverse) {
+        let result = new Map(traverse.unwrap());
+        properties.forEach(function(schema, key) {
+            let value = _ExecuteOnProperty(traverse, key, schema);
+            if (typeof(value) != "undefined") {
+                result.set(key, value);
+            }
+        });
+        if (values !== null) {
+            for (let key of traverse.unwrap().keys()) {
+                if (!properties.has(key)) {
+                    result.set(key, values.execute(traverse.sub(key)));
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     *  Execute the schema on an Array.
+     * 
+     *  @param {Traverse} traverse - The traverse object.
+     *  @return {Array} - The normalized array.
+     */
+    function _ExecuteOnArray(traverse) {
+        let result = [];
+        traverse.arrayForEach(function(item) {
+            result.push(items.execute(item));
+        });
+        return result;
+    }
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Get whether the value can be absent (as a property).
+     * 
+     *  @return {Boolean} - True if so.
+     */
+    this.isOptional = function() {
+        return optional;
+    };
+
+    /**
+     *  Get the default value of an absent optional property.
+     * 
+     *  @return {*} - The default value.
+     */
+    this.getDefaultValue = function() {
+        return defaultValue;
+    };
+
+    /**
+     *  Get the normalized schema descriptor.
+     * 
+     *  Note(s):
+     *    [1] In the normalized descriptor, "type", "nullable", "optional", 
+     *        "comparator" and "rules" (an array) are always present, the 
+     *        schemas of "items" and "values" are compiled (TraverseSchema) and 
+     *        "properties" is a Map (key => TraverseSchema).
+     * 
+     *  @return {Object} - The normalized descriptor.
+     */
+    this.getDescriptor = function() {
+        let result = Object.assign({}, descriptor, {
+            "type": type,
+            "nullable": nullable,
+            "optional": optional,
+            "comparator": comparator,
+            "rules": rules.slice(),
+            "properties": new Map(properties)
+        });
+        if (items !== null) {
+            result.items = items;
+        }
+        if (values !== null) {
+            result.values = values;
+        }
+        return result;
+    };
+
+    /**
+     *  Execute the schema on a traverse object.
+     * 
+     *  Exception(s):
+     *    [1] Traverse.Error: 
+     *        Raised if the value mismatched with the schema (the error is the 
+     *        same as the one raised by corresponding Traverse method).
+     * 
+     *  Note(s):
+     *    [1] The normalized value is a copy of the inner object with default 
+     *        values of absent optional properties filled (for Object, Map and 
+     *        Array), or the inner object itself (for other types).
+     *    [2] In collect-all mode, errors are collected by the traverse object 
+     *        instead of being raised.
+     * 
+     *  @param {Traverse} traverse - The traverse object.
+     *  @return {*} - The normalized value.
+     */
+    this.execute = function(traverse) {
+        //  Check nullability.
+        if (nullable && traverse.isNull()) {
+            return null;
+        }
+        traverse = traverse.notNull();
+
+        //  Run assertions.
+        assertions.forEach(function(assertion) {
+            traverse = assertion(traverse);
+        });
+
+        //  Go into the container.
+        let inner = traverse.unwrap();
+        if (inner instanceof Map) {
+            if (properties.size != 0 || values !== null) {
+                return _ExecuteOnMap(traverse);
+            }
+        } else if (Array.isArray(inner)) {
+            if (items !== null) {
+                return _ExecuteOnArray(traverse);
+            }
+        } else if (inner instanceof Object) {
+            if (properties.size != 0 || values !== null) {
+                return _ExecuteOnObject(traverse);
+            }
+        }
+
+        return inner;
+    };
+
+    /**
+     *  Validate a value.
+     * 
+     *  Exception(s):
+     *    [1] Traverse.Error: 
+     *        Raised if the value mismatched with the schema.
+     *    [2] Traverse.AggregateError: 
+     *        Raised if errors were collected (in collect-all mode).
+     * 
+     *  @param {*} value - The value.
+     *  @param {Object} [options] - The options (see WrapObject()).
+     *  @return {*} - The normalized value.
+     */
+    this.validate = function(value, options = {}) {
+        let root = CrTraverse.WrapObject(value, true, options);
+        let result = self.execute(root);
+        root.throwCollectedErrors();
+        return result;
+    };
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Compile a schema descriptor.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the schema descriptor is invalid.
+ * 
+ *  @param {TraverseSchemaDescriptor|String|Function} descriptor - The schema 
+ *                                                                 descriptor.
+ *  @return {TraverseSchema} - The compiled schema.
+ */
+function CompileSchema(descriptor) {
+    return new TraverseSchema(descriptor);
+}
+
+//  Export public APIs.
+module.exports = {
+    "TraverseSchema": TraverseSchema,
+    "CompileSchema": CompileSchema
+};
\ No newline at end of file
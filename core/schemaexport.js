@@ -0,0 +1,582 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrRepresentation = require("./representation");
+const CrTraverse = require("./traverse");
+const Util = require("util");
+
+//  Imported classes.
+const Traverse = CrTraverse.Traverse;
+const TraverseCharClass = Traverse.CharClass;
+
+//  Imported functions.
+const GetSafeRepresentation = CrRepresentation.GetSafeRepresentation;
+
+//
+//  Constants.
+//
+
+/**
+ *  The URI of JSON schema dialect.
+ * 
+ *  @type {String}
+ */
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+/**
+ *  JSON types of built-in type names.
+ * 
+ *  @type {Map<String, String[]>}
+ */
+const JSON_TYPES = new Map([
+    ["any", ["boolean", "object", "array", "number", "string"]],
+    ["numeric", ["number"]],
+    ["integer", ["integer"]],
+    ["boolean", ["boolean"]],
+    ["string", ["string"]],
+    ["array", ["array"]],
+    ["object", ["object"]],
+    ["map", ["object"]]
+]);
+
+/**
+ *  TypeScript types of built-in type names.
+ * 
+ *  @type {Map<String, String>}
+ */
+const TS_TYPES = new Map([
+    ["any", "unknown"],
+    ["numeric", "number"],
+    ["integer", "number"],
+    ["boolean", "boolean"],
+    ["string", "string"]
+]);
+
+/**
+ *  Threshold keys (descriptor key => [JSON schema keyword, expected prefix]).
+ * 
+ *  @type {Map<String, String[]>}
+ */
+const THRESHOLDS = new Map([
+    ["min", ["minimum", ">="]],
+    ["max", ["maximum", "<="]],
+    ["minExclusive", ["exclusiveMinimum", ">"]],
+    ["maxExclusive", ["exclusiveMaximum", "<"]]
+]);
+
+/**
+ *  JSON schema keywords that are emitted as annotations of TypeScript 
+ *  declarations.
+ * 
+ *  @type {String[]}
+ */
+const ANNOTATED_KEYWORDS = [
+    "minimum",
+    "maximum",
+    "exclusiveMinimum",
+    "exclusiveMaximum",
+    "pattern",
+    "minItems",
+    "maxItems",
+    "default"
+];
+
+/**
+ *  Regular expression of TypeScript identifiers.
+ * 
+ *  @type {RegExp}
+ */
+const TS_IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Get whether a value is a JSON primitive (null, Boolean, finite Number or 
+ *  String).
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsJsonPrimitive(value) {
+    return (
+        value === null || 
+        typeof(value) == "boolean" || 
+        typeof(value) == "string" || 
+        (typeof(value) == "number" && Number.isFinite(value))
+    );
+}
+
+/**
+ *  Get whether a value can be represented in JSON without loss.
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsJsonValue(value) {
+    if (IsJsonPrimitive(value)) {
+        return true;
+    }
+    if (Array.isArray(value)) {
+        return value.every(IsJsonValue);
+    }
+    if (
+        value instanceof Object && 
+        Object.getPrototypeOf(value) === Object.prototype
+    ) {
+        return Object.keys(value).every(function(key) {
+            return IsJsonValue(value[key]);
+        });
+    }
+    return false;
+}
+
+/**
+ *  Get the selections of oneOf() as an array.
+ * 
+ *  @param {Set|Map|Array|Object} selections - The selections.
+ *  @return {Array} - The selections.
+ */
+function GetSelections(selections) {
+    if (selections instanceof Set) {
+        return Array.from(selections);
+    } else if (selections instanceof Map) {
+        return Array.from(selections.keys());
+    } else if (selections instanceof Array) {
+        return selections.slice();
+    } else {
+        return Object.keys(selections);
+    }
+}
+
+/**
+ *  Get the pattern of a character table.
+ * 
+ *  @param {String|TraverseCharClass} charTable - The character table (or the 
+ *                                               character class).
+ *  @return {?String} - The pattern (NULL if the character table contains 
+ *                      surrogates which can't be expressed).
+ */
+function GetCharTablePattern(charTable) {
+    if (charTable instanceof TraverseCharClass) {
+        return "^" + charTable.toPattern() + "*$";
+    }
+    if (/[\uD800-\uDFFF]/.test(charTable)) {
+        return null;
+    }
+    return "^[" + charTable.replace(/[\\\]\[\^\-]/g, "\\$&") + "]*$";
+}
+
+/**
+ *  Get the representation of a function (for annotations).
+ * 
+ *  @param {Function} fn - The function.
+ *  @return {String} - The representation.
+ */
+function GetFunctionName(fn) {
+    return fn.name || "(anonymous)";
+}
+
+/**
+ *  Build the JSON schema of a compiled schema.
+ * 
+ *  Note(s):
+ *    [1] Rules that can't be expressed are listed in "x-traverse-rules" as 
+ *        {"rule": <Traverse method>, "expected": <constraint>} entries.
+ * 
+ *  @param {TraverseSchema} schema - The compiled schema.
+ *  @return {Object} - The JSON schema.
+ */
+function BuildJsonSchema(schema) {
+    let descriptor = schema.getDescriptor();
+    let result = {};
+    let unexpressed = [];
+
+    /**
+     *  Record a rule that can't be expressed.
+     * 
+     *  @param {String} rule - The name of the rule.
+     *  @param {String} expected - The expected constraint.
+     */
+    function _AddUnexpressed(rule, expected) {
+        unexpressed.push({
+            "rule": rule,
+            "expected": expected
+        });
+    }
+
+    //  Type.
+    let type = descriptor.type;
+    if (type instanceof Function) {
+        _AddUnexpressed("typeOf", GetFunctionName(type));
+    } else {
+        let types = JSON_TYPES.get(type).slice();
+        if (type == "map") {
+            _AddUnexpressed("typeOf", "Map");
+        }
+        if (!(type == "any" && descriptor.nullable)) {
+            if (descriptor.nullable) {
+                types.push("null");
+            }
+            result.type = (types.length == 1 ? types[0] : types);
+        }
+    }
+
+    //  Thresholds.
+    THRESHOLDS.forEach(function(pair, key) {
+        if (!(key in descriptor)) {
+            return;
+        }
+        let threshold = descriptor[key];
+        if (
+            typeof(threshold) == "number" && 
+            descriptor.comparator === Traverse.DEFAULT_COMPARATOR
+        ) {
+            result[pair[0]] = threshold;
+        } else {
+            _AddUnexpressed(key, pair[1] + GetSafeRepresentation(threshold));
+        }
+    });
+
+    //  Patterns.
+    let patterns = [];
+    if ("regexp" in descriptor) {
+        let re = descriptor.regexp;
+        if (re.flags == "" || re.flags == "u") {
+            patterns.push(re.source);
+        } else {
+            _AddUnexpressed("stringValidateByRegExp", re.toString());
+        }
+    }
+    if ("charTable" in descriptor) {
+        let pattern = GetCharTablePattern(descriptor.charTable);
+        if (pattern !== null) {
+            patterns.push(pattern);
+        } else {
+            _AddUnexpressed(
+                "stringValidate",
+                GetSafeRepresentation(descriptor.charTable)
+            );
+        }
+    }
+    if (patterns.length != 0) {
+        result.pattern = patterns[0];
+        if (patterns.length > 1) {
+            result.allOf = patterns.slice(1).map(function(pattern) {
+                return {
+                    "pattern": pattern
+                };
+            });
+        }
+    }
+
+    //  Selections.
+    if ("oneOf" in descriptor) {
+        let selections = GetSelections(descriptor.oneOf);
+        if (selections.every(IsJsonPrimitive)) {
+            if (descriptor.nullable && selections.indexOf(null) < 0) {
+                selections.push(null);
+            }
+            result.enum = selections;
+        } else {
+            _AddUnexpressed(
+                "oneOf",
+                GetSafeRepresentation(GetSelections(descriptor.oneOf))
+            );
+        }
+    }
+
+    //  Array length limits and items.
+    if ("minLength" in descriptor) {
+        result.minItems = descriptor.minLength;
+    }
+    if ("maxLength" in descriptor) {
+        result.maxItems = descriptor.maxLength;
+    }
+    if ("items" in descriptor) {
+        result.items = BuildJsonSchema(descriptor.items);
+    }
+
+    //  Properties and other values.
+    if (descriptor.properties.size != 0) {
+        let required = [];
+        result.properties = {};
+        descriptor.properties.forEach(function(child, key) {
+            result.properties[key] = BuildJsonSchema(child);
+            if (!child.isOptional()) {
+                required.push(key);
+            }
+        });
+        if (required.length != 0) {
+            result.required = required;
+        }
+    }
+    if ("values" in descriptor) {
+        result.additionalProperties = BuildJsonSchema(descriptor.values);
+    }
+
+    //  Default value.
+    if ("default" in descriptor) {
+        if (IsJsonValue(descriptor.default)) {
+            result.default = descriptor.default;
+        } else {
+            _AddUnexpressed(
+                "optionalSub",
+                GetSafeRepresentation(descriptor.default)
+            );
+        }
+    }
+
+    //  Custom rules.
+    descriptor.rules.forEach(function(rule) {
+        _AddUnexpressed("customRule", GetFunctionName(rule));
+    });
+
+    if (unexpressed.length != 0) {
+        result["x-traverse-rules"] = unexpressed;
+    }
+
+    return result;
+}
+
+/**
+ *  Get the annotations (JSDoc tags) of a compiled schema.
+ * 
+ *  @param {TraverseSchema} schema - The compiled schema.
+ *  @param {String} [suffix] - The suffix of each annotation.
+ *  @return {String[]} - The annotations.
+ */
+function GetTypeAnnotations(schema, suffix = "") {
+    let jsonSchema = BuildJsonSchema(schema);
+    let result = [];
+    ANNOTATED_KEYWORDS.forEach(function(keyword) {
+        if (keyword in jsonSchema) {
+            result.push(Util.format(
+                "@%s %s%s",
+                keyword,
+                JSON.stringify(jsonSchema[keyword]),
+                suffix
+            ));
+        }
+    });
+    (jsonSchema.allOf || []).forEach(function(item) {
+        result.push(Util.format(
+            "@pattern %s%s",
+            JSON.stringify(item.pattern),
+            suffix
+        ));
+    });
+    (jsonSchema["x-traverse-rules"] || []).forEach(function(item) {
+        result.push(Util.format(
+            "@traverse %s %s%s",
+            item.rule,
+            item.expected,
+            suffix
+        ));
+    });
+    let descriptor = schema.getDescriptor();
+    if ("items" in descriptor) {
+        result = result.concat(
+            GetTypeAnnotations(descriptor.items, suffix + " (of items)")
+        );
+    }
+    if ("values" in descriptor) {
+        result = result.concat(
+            GetTypeAnnotations(descriptor.values, suffix + " (of values)")
+        );
+    }
+    return result;
+}
+
+/**
+ *  Format annotations as a documentation comment.
+ * 
+ *  @param {String[]} annotations - The annotations.
+ *  @param {String} indent - The indent.
+ *  @return {String[]} - The lines of the comment.
+ */
+function FormatTypeAnnotations(annotations, indent) {
+    if (annotations.length == 0) {
+        return [];
+    }
+    return [indent + "/**"].concat(annotations.map(function(annotation) {
+        return indent + " * " + annotation;
+    }), [indent + " */"]);
+}
+
+/**
+ *  Join distinct TypeScript type expressions as an union.
+ * 
+ *  @param {String[]} expressions - The type expressions.
+ *  @return {String} - The union.
+ */
+function JoinTypeExpressions(expressions) {
+    let distinct = Array.from(new Set(expressions));
+    if (distinct.length == 0 || distinct.indexOf("unknown") >= 0) {
+        return "unknown";
+    }
+    return distinct.join(" | ");
+}
+
+/**
+ *  Build the TypeScript type expression of a compiled schema.
+ * 
+ *  @param {TraverseSchema} schema - The compiled schema.
+ *  @param {String} indent - The indent of current line.
+ *  @return {String} - The type expression.
+ */
+function BuildTypeExpression(schema, indent) {
+    let descriptor = schema.getDescriptor();
+    let type = descriptor.type;
+
+    //  Get types of children.
+    let itemsExpression = (
+        "items" in descriptor ?
+        BuildTypeExpression(descriptor.items, indent) :
+        "unknown"
+    );
+    let valuesExpression = (
+        "values" in descriptor ?
+        BuildTypeExpression(descriptor.values, indent + "    ") :
+        null
+    );
+
+    //  Build the expression.
+    let result = null;
+    if (type instanceof Function) {
+        result = (TS_IDENTIFIER.test(type.name) ? type.name : "unknown");
+    } else if (type == "array") {
+        result = "Array<" + itemsExpression + ">";
+    } else if (type == "map") {
+        let expressions = [];
+        descriptor.properties.forEach(function(child) {
+            expressions.push(BuildTypeExpression(child, indent));
+        });
+        if (valuesExpression !== null) {
+            expressions.push(valuesExpression);
+        }
+        result = Util.format(
+            "Map<%s, %s>",
+            (valuesExpression === null && expressions.length != 0) ?
+                "string" : "unknown",
+            JoinTypeExpressions(expressions)
+        );
+    } else if (type == "object") {
+        if (descriptor.properties.size == 0 && valuesExpression === null) {
+            result = "object";
+        } else {
+            let lines = ["{"];
+            let expressions = [];
+            descriptor.properties.forEach(function(child, key) {
+                let expression = BuildTypeExpression(child, indent + "    ");
+                expressions.push(expression);
+                lines = lines.concat(FormatTypeAnnotations(
+                    GetTypeAnnotations(child),
+                    indent + "    "
+                ));
+                lines.push(Util.format(
+                    "%s    %s%s: %s;",
+                    indent,
+                    TS_IDENTIFIER.test(key) ? key : JSON.stringify(key),
+                    child.isOptional() ? "?" : "",
+                    expression
+                ));
+            });
+            if (valuesExpression !== null) {
+                expressions.push(valuesExpression);
+                lines.push(Util.format(
+                    "%s    [key: string]: %s;",
+                    indent,
+                    JoinTypeExpressions(expressions)
+                ));
+            }
+            lines.push(indent + "}");
+            result = lines.join("\n");
+        }
+    } else {
+        result = TS_TYPES.get(type);
+        if ("oneOf" in descriptor) {
+            let selections = GetSelections(descriptor.oneOf);
+            if (selections.length != 0 && selections.every(IsJsonPrimitive)) {
+                result = JoinTypeExpressions(selections.map(function(item) {
+                    return JSON.stringify(item);
+                }));
+            }
+        }
+    }
+
+    //  Nullability.
+    if (descriptor.nullable && result != "unknown") {
+        result += " | null";
+    }
+
+    return result;
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Export a compiled schema as a JSON schema (draft 2020-12) document.
+ * 
+ *  Note(s):
+ *    [1] Rules that can't be expressed in JSON schema (e.g. custom rules, 
+ *        thresholds with customized comparator) are listed in 
+ *        "x-traverse-rules" of corresponding sub-schema.
+ * 
+ *  @param {TraverseSchema} schema - The compiled schema.
+ *  @return {Object} - The JSON schema document.
+ */
+function ExportJsonSchema(schema) {
+    return Object.assign({
+        "$schema": JSON_SCHEMA_DIALECT
+    }, BuildJsonSchema(schema));
+}
+
+/**
+ *  Export a compiled schema as a TypeScript declaration.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the type name is not a valid identifier.
+ * 
+ *  Note(s):
+ *    [1] Constraints that can't be expressed in TypeScript types (e.g. 
+ *        thresholds, patterns, custom rules) are emitted as annotations 
+ *        (JSDoc tags) of corresponding declaration or property.
+ * 
+ *  @param {TraverseSchema} schema - The compiled schema.
+ *  @param {String} [name] - The type name.
+ *  @return {String} - The declaration.
+ */
+function ExportTypeDeclaration(schema, name = "Schema") {
+    if (!TS_IDENTIFIER.test(name)) {
+        throw new Traverse.ParameterError(Util.format(
+            "Invalid type name \"%s\".",
+            name
+        ));
+    }
+    let lines = FormatTypeAnnotations(GetTypeAnnotations(schema), "");
+    lines.push(Util.format(
+        "export type %s = %s;",
+        name,
+        BuildTypeExpression(schema, "")
+    ));
+    return lines.join("\n") + "\n";
+}
+
+//  Export public APIs.
+module.exports = {
+    "ExportJsonSchema": ExportJsonSchema,
+    "ExportTypeDeclaration": ExportTypeDeclaration
+};
\ No newline at end of file
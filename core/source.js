@@ -0,0 +1,558 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Util = require("util");
+
+//
+//  Constants.
+//
+
+/**
+ *  Regular expression of JSON strings.
+ * 
+ *  @type {RegExp}
+ */
+const JSON_STRING = new RegExp(
+    "\"([^\"\\\\\\u0000-\\u001F]|\\\\([\"\\\\/bfnrt]|u[0-9A-Fa-f]{4}))*\"",
+    "y"
+);
+
+/**
+ *  Regular expression of JSON numbers.
+ * 
+ *  @type {RegExp}
+ */
+const JSON_NUMBER = /-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?/y;
+
+/**
+ *  JSON literals (text => value).
+ * 
+ *  @type {Map<String, *>}
+ */
+const JSON_LITERALS = new Map([
+    ["true", true],
+    ["false", false],
+    ["null", null]
+]);
+
+/**
+ *  Maximum count of characters in source excerpts.
+ * 
+ *  @type {Number}
+ */
+const EXCERPT_WIDTH = 80;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Get whether a character is a JSON whitespace.
+ * 
+ *  @param {String} character - The character.
+ *  @return {Boolean} - True if so.
+ */
+function IsJsonWhitespace(character) {
+    return (
+        character == " " || 
+        character == "\t" || 
+        character == "\n" || 
+        character == "\r"
+    );
+}
+
+/**
+ *  Escape a key as a reference token of JSON pointer.
+ * 
+ *  @param {String} key - The key.
+ *  @return {String} - The reference token.
+ */
+function EscapePointerToken(key) {
+    return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+//
+//  Classes.
+//
+
+/**
+ *  Source location.
+ * 
+ *  @typedef {Object} TraverseSourceLocation
+ *  @property {Number} offset - The offset (0-based, in UTF-16 code units).
+ *  @property {Number} line - The line number (1-based).
+ *  @property {Number} column - The column number (1-based, in characters).
+ *  @property {String} excerpt - The source excerpt (the line, followed by a 
+ *                               line with a caret under the column).
+ */
+
+/**
+ *  Syntax error of a source text (with the offset where the error was found).
+ * 
+ *  @constructor
+ *  @extends {SyntaxError}
+ *  @param {String} message - The message.
+ *  @param {Number} offset - The offset.
+ */
+function TraverseSyntaxError(message, offset) {
+    //  Let parent class initialize.
+    SyntaxError.call(this, message);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = "SyntaxError";
+    this.message = message;
+
+    /**
+     *  The offset where the error was found.
+     * 
+     *  @type {Number}
+     */
+    this.offset = offset;
+}
+
+/**
+ *  Source map of a document (immutable).
+ * 
+ *  @constructor
+ *  @param {String} text - The source text.
+ *  @param {Map<String, Number>} [offsets] - The offsets of values (JSON 
+ *                                           pointer relative to the document 
+ *                                           => offset).
+ */
+function TraverseSourceMap(text, offsets = new Map()) {
+    //
+    //  Members.
+    //
+
+    //  Self reference.
+    let self = this;
+
+    //  Offsets of values (copied to keep the map immutable).
+    offsets = new Map(offsets);
+
+    //  Offsets of line starts.
+    let lineStarts = [0];
+    for (let i = 0; i < text.length; ++i) {
+        if (text[i] == "\n") {
+            lineStarts.push(i + 1);
+        }
+    }
+
+    //
+    //  Private functions.
+    //
+
+    /**
+     *  Get the index of the line that contains an offset.
+     * 
+     *  @param {Number} offset - The offset.
+     *  @return {Number} - The line index (0-based).
+     */
+    function _GetLineIndex(offset) {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            let middle = ((low + high + 1) >> 1);
+            if (lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Get the location of an offset.
+     * 
+     *  @param {Number} offset - The offset (clamped to the text).
+     *  @return {TraverseSourceLocation} - The location.
+     */
+    this.locateOffset = function(offset) {
+        offset = Math.max(0, Math.min(offset, text.length));
+        let index = _GetLineIndex(offset);
+        let lineStart = lineStarts[index];
+        let lineEnd = (
+            index + 1 < lineStarts.length ? 
+            lineStarts[index + 1] - 1 : 
+            text.length
+        );
+        let line = Array.from(
+            text.substring(lineStart, lineEnd).replace(/\r$/, "")
+        );
+        let column = Array.from(text.substring(lineStart, offset)).length;
+
+        //  Cut the line around the column if it's too long.
+        let from = Math.max(
+            0,
+            Math.min(column - (EXCERPT_WIDTH >> 1), line.length - EXCERPT_WIDTH)
+        );
+        let excerpt = line.slice(from, from + EXCERPT_WIDTH).join("");
+        let caret = " ".repeat(column - from) + "^";
+
+        return {
+            "offset": offset,
+            "line": index + 1,
+            "column": column + 1,
+            "excerpt": excerpt + "\n" + caret
+        };
+    };
+
+    /**
+     *  Get the location of a value.
+     * 
+     *  @param {String} pointer - The JSON pointer of the value (relative to 
+     *                            the document).
+     *  @return {?TraverseSourceLocation} - The location (NULL if the value 
+     *                                      is not in the map).
+     */
+    this.locate = function(pointer) {
+        if (!offsets.has(pointer)) {
+            return null;
+        }
+        return self.locateOffset(offsets.get(pointer));
+    };
+
+    /**
+     *  Get the location of a value, or the location of its nearest ancestor 
+     *  if the value is not in the map (e.g. a key that doesn't exist).
+     * 
+     *  @param {String} pointer - The JSON pointer of the value (relative to 
+     *                            the document).
+     *  @return {?TraverseSourceLocation} - The location (NULL if neither the 
+     *                                      value nor its ancestors is in the 
+     *                                      map).
+     */
+    this.locateNearest = function(pointer) {
+        while (!offsets.has(pointer)) {
+            if (pointer.length == 0) {
+                return null;
+            }
+            pointer = pointer.substring(0, pointer.lastIndexOf("/"));
+        }
+        return self.locate(pointer);
+    };
+}
+
+/**
+ *  JSON parsing options.
+ * 
+ *  @typedef {Object} TraverseJsonParseOptions
+ *  @property {Boolean} [sourceMap] - True if the source map of values should 
+ *                                    be built (default: false).
+ *  @property {?function(Number, Number, function(): Array): void} [onValue] - 
+ *      The callback called before each value is parsed, with the depth of 
+ *      the value (0 for the root value), the count of values in its 
+ *      container so far (including the value, 0 for the root value) and a 
+ *      function that gets the path keys of the value. Errors thrown by the 
+ *      callback abort the parsing and are raised to the caller (default: 
+ *      NULL).
+ */
+
+//
+//  Public functions.
+//
+
+/**
+ *  Parse a JSON text (and build the source map of its values).
+ * 
+ *  Exception(s):
+ *    [1] TraverseSyntaxError: 
+ *        Raised if the text is not valid JSON.
+ * 
+ *  Note(s):
+ *    [1] The result is the same as JSON.parse() (without reviver).
+ *    [2] The text is parsed iteratively, so that deeply nested documents 
+ *        don't overflow the call stack.
+ *    [3] Values are checked by the "onValue" callback as soon as they are 
+ *        reached, so that callers can stop parsing oversized documents 
+ *        early.
+ * 
+ *  @param {String} text - The JSON text.
+ *  @param {TraverseJsonParseOptions} [options] - The options.
+ *  @return {{value: *, sourceMap: ?TraverseSourceMap}} - The parsed value 
+ *                                                        and the source map 
+ *                                                        (NULL if not 
+ *                                                        built).
+ */
+function ParseJson(text, options = {}) {
+    let position = 0;
+    let offsets = (options.sourceMap === true ? new Map() : null);
+    let onValue = options.onValue || null;
+
+    //  Open containers, each frame is {value, pointer, key, size}.
+    let frames = [];
+
+    /**
+     *  Raise a syntax error at current position.
+     * 
+     *  @param {String} [reason] - The reason (default: describe the 
+     *                             character at current position).
+     */
+    function _Fail(reason) {
+        if (typeof(reason) == "undefined") {
+            reason = (
+                position < text.length ? 
+                Util.format(
+                    "Unexpected character %s",
+                    JSON.stringify(String.fromCodePoint(
+                        text.codePointAt(position)
+                    ))
+                ) : 
+                "Unexpected end of input"
+            );
+        }
+        throw new TraverseSyntaxError(reason, position);
+    }
+
+    /**
+     *  Skip whitespaces.
+     */
+    function _SkipSpaces() {
+        while (position < text.length && IsJsonWhitespace(text[position])) {
+            ++position;
+        }
+    }
+
+    /**
+     *  Consume a character (after whitespaces).
+     * 
+     *  @param {String} character - The character.
+     *  @return {Boolean} - True if consumed.
+     */
+    function _Consume(character) {
+        _SkipSpaces();
+        if (text[position] == character) {
+            ++position;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     *  Parse a string.
+     * 
+     *  @return {String} - The string.
+     */
+    function _ParseString() {
+        _SkipSpaces();
+        JSON_STRING.lastIndex = position;
+        let matched = JSON_STRING.exec(text);
+        if (matched === null) {
+            if (text[position] == "\"") {
+                _Fail("Invalid string");
+            }
+            _Fail();
+        }
+        position += matched[0].length;
+        return JSON.parse(matched[0]);
+    }
+
+    /**
+     *  Parse a key and the following colon.
+     * 
+     *  @return {String} - The key.
+     */
+    function _ParseKey() {
+        let key = _ParseString();
+        if (!_Consume(":")) {
+            _Fail();
+        }
+        return key;
+    }
+
+    /**
+     *  Get the count of values in the container of the next value (including 
+     *  the next value).
+     * 
+     *  @return {Number} - The count (0 if the next value is the root value).
+     */
+    function _GetNextSize() {
+        if (frames.length == 0) {
+            return 0;
+        }
+        let frame = frames[frames.length - 1];
+        if (
+            !Array.isArray(frame.value) && 
+            Object.prototype.hasOwnProperty.call(frame.value, frame.key)
+        ) {
+            //  Duplicated keys replace the previous value.
+            return frame.size;
+        }
+        return frame.size + 1;
+    }
+
+    /**
+     *  Get the path keys of the next value.
+     * 
+     *  @return {Array} - The path keys.
+     */
+    function _GetNextKeys() {
+        return frames.map(function(frame) {
+            return (
+                Array.isArray(frame.value) ? 
+                frame.value.length : 
+                frame.key
+            );
+        });
+    }
+
+    /**
+     *  Get the JSON pointer of the next value.
+     * 
+     *  @return {?String} - The JSON pointer (NULL if the source map is not 
+     *                      built).
+     */
+    function _GetNextPointer() {
+        if (offsets === null) {
+            return null;
+        }
+        if (frames.length == 0) {
+            return "";
+        }
+        let frame = frames[frames.length - 1];
+        if (Array.isArray(frame.value)) {
+            return frame.pointer + "/" + String(frame.value.length);
+        }
+        return frame.pointer + "/" + EscapePointerToken(frame.key);
+    }
+
+    /**
+     *  Parse a primitive value (a string, a number or a literal).
+     * 
+     *  @return {*} - The value.
+     */
+    function _ParsePrimitive() {
+        if (text[position] == "\"") {
+            return _ParseString();
+        }
+        JSON_NUMBER.lastIndex = position;
+        let matched = JSON_NUMBER.exec(text);
+        if (matched !== null) {
+            position += matched[0].length;
+            return Number(matched[0]);
+        }
+        for (let [literal, value] of JSON_LITERALS) {
+            if (text.startsWith(literal, position)) {
+                position += literal.length;
+                return value;
+            }
+        }
+        _Fail();
+    }
+
+    let value = undefined;
+    while (true) {
+        //  Parse a value (or open a container).
+        _SkipSpaces();
+        if (onValue !== null) {
+            onValue(frames.length, _GetNextSize(), _GetNextKeys);
+        }
+        let pointer = _GetNextPointer();
+        if (offsets !== null) {
+            offsets.set(pointer, position);
+        }
+        let character = text[position];
+        let completed = true;
+        if (character == "[") {
+            ++position;
+            value = [];
+            if (!_Consume("]")) {
+                frames.push({
+                    "value": value,
+                    "pointer": pointer,
+                    "key": null,
+                    "size": 0
+                });
+                completed = false;
+            }
+        } else if (character == "{") {
+            ++position;
+            value = {};
+            if (!_Consume("}")) {
+                frames.push({
+                    "value": value,
+                    "pointer": pointer,
+                    "key": _ParseKey(),
+                    "size": 0
+                });
+                completed = false;
+            }
+        } else {
+            value = _ParsePrimitive();
+        }
+        if (!completed) {
+            continue;
+        }
+
+        //  Put completed values into their containers (and close containers
+        //  that end).
+        let done = true;
+        while (frames.length != 0) {
+            let frame = frames[frames.length - 1];
+            let isArray = Array.isArray(frame.value);
+            frame.size = _GetNextSize();
+            if (isArray) {
+                frame.value.push(value);
+            } else {
+                Object.defineProperty(frame.value, frame.key, {
+                    "value": value,
+                    "writable": true,
+                    "enumerable": true,
+                    "configurable": true
+                });
+            }
+            if (_Consume(",")) {
+                if (!isArray) {
+                    frame.key = _ParseKey();
+                }
+                done = false;
+                break;
+            }
+            if (!_Consume(isArray ? "]" : "}")) {
+                _Fail();
+            }
+            frames.pop();
+            value = frame.value;
+        }
+        if (done) {
+            break;
+        }
+    }
+
+    //  Nothing but whitespaces is allowed after the value.
+    _SkipSpaces();
+    if (position < text.length) {
+        _Fail();
+    }
+
+    return {
+        "value": value,
+        "sourceMap": (
+            offsets === null ? 
+            null : 
+            new TraverseSourceMap(text, offsets)
+        )
+    };
+}
+
+//  Inherits.
+Util.inherits(TraverseSyntaxError, SyntaxError);
+
+//  Export public APIs.
+module.exports = {
+    "TraverseSyntaxError": TraverseSyntaxError,
+    "TraverseSourceMap": TraverseSourceMap,
+    "ParseJson": ParseJson
+};
\ No newline at end of file
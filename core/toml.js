@@ -0,0 +1,1062 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrFormat = require("./format");
+const CrSource = require("./source");
+const Util = require("util");
+
+//  Imported classes.
+const TraverseSyntaxError = CrSource.TraverseSyntaxError;
+
+//  Imported functions.
+const ValidateStringFormat = CrFormat.ValidateStringFormat;
+
+//
+//  Constants.
+//
+
+/**
+ *  Regular expression of bare keys.
+ * 
+ *  @type {RegExp}
+ */
+const BARE_KEY = /[A-Za-z0-9_\-]+/y;
+
+/**
+ *  Regular expression of keys that can be saved as bare keys.
+ * 
+ *  @type {RegExp}
+ */
+const SAVED_BARE_KEY = /^[A-Za-z0-9_\-]+$/;
+
+/**
+ *  Regular expression of dates and date-times.
+ * 
+ *  @type {RegExp}
+ */
+const DATE_TIME = new RegExp(
+    "([0-9]{4}-[0-9]{2}-[0-9]{2})" + 
+    "([Tt ]([0-9]{2}:[0-9]{2}:[0-9]{2}(\\.[0-9]+)?)" + 
+    "([Zz]|[+-][0-9]{2}:[0-9]{2})?)?",
+    "y"
+);
+
+/**
+ *  Regular expression of local times.
+ * 
+ *  @type {RegExp}
+ */
+const LOCAL_TIME = /[0-9]{2}:[0-9]{2}:[0-9]{2}(\.[0-9]+)?/y;
+
+/**
+ *  Regular expression of special floats.
+ * 
+ *  @type {RegExp}
+ */
+const SPECIAL_FLOAT = /([+-]?)(inf|nan)/y;
+
+/**
+ *  Regular expression of floats (and decimal integers).
+ * 
+ *  @type {RegExp}
+ */
+const FLOAT = new RegExp(
+    "[+-]?(0|[1-9](_?[0-9])*)" + 
+    "(\\.[0-9](_?[0-9])*)?([eE][+-]?[0-9](_?[0-9])*)?",
+    "y"
+);
+
+/**
+ *  Regular expression of integers.
+ * 
+ *  @type {RegExp}
+ */
+const INTEGER = new RegExp(
+    "0x[0-9A-Fa-f](_?[0-9A-Fa-f])*|0o[0-7](_?[0-7])*|0b[01](_?[01])*|" + 
+    "[+-]?(0|[1-9](_?[0-9])*)",
+    "y"
+);
+
+/**
+ *  Escape sequences (character => escaped character).
+ * 
+ *  @type {Map<String, String>}
+ */
+const ESCAPES = new Map([
+    ["b", "\b"],
+    ["t", "\t"],
+    ["n", "\n"],
+    ["f", "\f"],
+    ["r", "\r"],
+    ["\"", "\""],
+    ["\\", "\\"]
+]);
+
+/**
+ *  Maximum nesting depth of arrays and inline tables.
+ * 
+ *  @type {Number}
+ */
+const MAX_NESTING_DEPTH = 1000;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Define an (own) property of an object.
+ * 
+ *  @param {Object} object - The object.
+ *  @param {String} key - The key.
+ *  @param {*} value - The value.
+ */
+function DefineValue(object, key, value) {
+    Object.defineProperty(object, key, {
+        "value": value,
+        "writable": true,
+        "enumerable": true,
+        "configurable": true
+    });
+}
+
+/**
+ *  Get whether an object has an own property.
+ * 
+ *  @param {Object} object - The object.
+ *  @param {String} key - The key.
+ *  @return {Boolean} - True if so.
+ */
+function HasOwnKey(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ *  Get whether a value is a plain object (a table).
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsPlainObject(value) {
+    if (value === null || typeof(value) != "object") {
+        return false;
+    }
+    let prototype = Object.getPrototypeOf(value);
+    return (prototype === Object.prototype || prototype === null);
+}
+
+/**
+ *  Get whether a value is a non-empty array of plain objects (an array of 
+ *  tables).
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsTableArray(value) {
+    return (
+        Array.isArray(value) && 
+        value.length != 0 && 
+        value.every(IsPlainObject)
+    );
+}
+
+/**
+ *  Format a string as a basic string.
+ * 
+ *  @param {String} text - The string.
+ *  @return {String} - The basic string.
+ */
+function FormatString(text) {
+    return JSON.stringify(text).replace(/\u007F/g, "\\u007F");
+}
+
+/**
+ *  Format a key.
+ * 
+ *  @param {String} key - The key.
+ *  @return {String} - The formatted key.
+ */
+function FormatKey(key) {
+    return (SAVED_BARE_KEY.test(key) ? key : FormatString(key));
+}
+
+/**
+ *  Format a value (as an inline value).
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the value can't be represented in TOML format.
+ * 
+ *  @param {*} value - The value.
+ *  @param {String} keyPath - The dotted key of the value (for messages).
+ *  @param {Array} stack - The containers being formatted.
+ *  @return {String} - The formatted value.
+ */
+function FormatValue(value, keyPath, stack) {
+    switch (typeof(value)) {
+    case "string":
+        return FormatString(value);
+    case "boolean":
+    case "bigint":
+        return String(value);
+    case "number":
+        if (Number.isNaN(value)) {
+            return "nan";
+        }
+        if (!Number.isFinite(value)) {
+            return (value > 0 ? "inf" : "-inf");
+        }
+        return String(value);
+    default:
+        break;
+    }
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) {
+            throw new TypeError(Util.format(
+                "Invalid date (key=%j).",
+                keyPath
+            ));
+        }
+        return value.toISOString();
+    }
+    if (!Array.isArray(value) && !IsPlainObject(value)) {
+        throw new TypeError(Util.format(
+            "Unsupported value type (key=%j).",
+            keyPath
+        ));
+    }
+    if (stack.indexOf(value) >= 0) {
+        throw new TypeError("Converting circular structure to TOML.");
+    }
+    stack.push(value);
+    let text = null;
+    if (Array.isArray(value)) {
+        text = "[" + value.map(function(item, index) {
+            return FormatValue(
+                item,
+                keyPath + "[" + String(index) + "]",
+                stack
+            );
+        }).join(", ") + "]";
+    } else {
+        let items = Object.keys(value).filter(function(key) {
+            return typeof(value[key]) != "undefined";
+        }).map(function(key) {
+            return FormatKey(key) + " = " + 
+                FormatValue(value[key], keyPath + "." + key, stack);
+        });
+        text = (items.length == 0 ? "{}" : "{ " + items.join(", ") + " }");
+    }
+    stack.pop();
+    return text;
+}
+
+/**
+ *  Write a table (and its sub-tables).
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the table can't be represented in TOML format.
+ * 
+ *  @param {Object} table - The table.
+ *  @param {String[]} path - The keys of the table.
+ *  @param {Boolean} isArrayElement - True if the table is an element of an 
+ *                                    array of tables.
+ *  @param {String[]} lines - The lines written.
+ *  @param {Array} stack - The containers being formatted.
+ */
+function WriteTable(table, path, isArrayElement, lines, stack) {
+    if (stack.indexOf(table) >= 0) {
+        throw new TypeError("Converting circular structure to TOML.");
+    }
+    stack.push(table);
+    let keyPath = path.join(".");
+    let values = [];
+    let tables = [];
+    let tableArrays = [];
+    Object.keys(table).forEach(function(key) {
+        let value = table[key];
+        if (typeof(value) == "undefined") {
+            return;
+        }
+        if (value === null) {
+            throw new TypeError(Util.format(
+                "NULL is not supported (key=%j).",
+                path.concat([key]).join(".")
+            ));
+        }
+        if (IsPlainObject(value)) {
+            tables.push(key);
+        } else if (IsTableArray(value)) {
+            tableArrays.push(key);
+        } else {
+            values.push(key);
+        }
+    });
+
+    //  Write the header (tables that contain sub-tables only are defined
+    //  implicitly).
+    if (path.length != 0 && (
+        isArrayElement || 
+        values.length != 0 || 
+        (tables.length == 0 && tableArrays.length == 0)
+    )) {
+        if (lines.length != 0) {
+            lines.push("");
+        }
+        let header = path.map(FormatKey).join(".");
+        lines.push(isArrayElement ? "[[" + header + "]]" : "[" + header + "]");
+    }
+
+    //  Write values and sub-tables.
+    values.forEach(function(key) {
+        lines.push(FormatKey(key) + " = " + FormatValue(
+            table[key],
+            (keyPath.length == 0 ? key : keyPath + "." + key),
+            stack
+        ));
+    });
+    tables.forEach(function(key) {
+        WriteTable(table[key], path.concat([key]), false, lines, stack);
+    });
+    tableArrays.forEach(function(key) {
+        table[key].forEach(function(item) {
+            WriteTable(item, path.concat([key]), true, lines, stack);
+        });
+    });
+    stack.pop();
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  TOML parsing options.
+ * 
+ *  @typedef {Object} TomlOptions
+ *  @property {?function(Number, Number, function(): Array): void} [onValue] - 
+ *      The callback called before each value is parsed (like the callback of 
+ *      ParseJson() in core/source.js), with the depth of the value (0 for the 
+ *      root table), the count of items of its array so far (including the 
+ *      value, 0 for values of tables) and a function that gets the path keys 
+ *      of the value. Errors thrown by the callback abort the parsing and are 
+ *      raised to the caller (default: NULL).
+ */
+
+/**
+ *  Parse a TOML (v1.0.0) document.
+ * 
+ *  Exception(s):
+ *    [1] TraverseSyntaxError: 
+ *        Raised if the document is malformed.
+ * 
+ *  Note(s):
+ *    [1] Integers are parsed to numbers if they are safe integers, otherwise 
+ *        they are parsed to BigInts. Floats (including "inf" and "nan") are 
+ *        always parsed to numbers.
+ *    [2] Offset date-times are parsed to Date objects (with millisecond 
+ *        precision). Local date-times, local dates and local times have no 
+ *        time zone, so they are kept as strings (as written in the document).
+ *    [3] Tables (including inline tables) are parsed to plain objects and 
+ *        arrays of tables are parsed to arrays of plain objects.
+ *    [4] The "onValue" callback is called for each value assigned to a key, 
+ *        each item of arrays and each table defined by a header (tables 
+ *        created implicitly by headers or dotted keys are not checked, the 
+ *        callers shall check the parsed object if they need exact counts).
+ * 
+ *  @param {String} text - The document.
+ *  @param {TomlOptions} [options] - The options.
+ *  @return {Object} - The parsed object.
+ */
+function ParseToml(text, options = {}) {
+    let position = (text.startsWith("\uFEFF") ? 1 : 0);
+    let root = {};
+    let current = root;
+    let onValue = options.onValue || null;
+
+    //  Path keys of the value being parsed (starts with the path keys of 
+    //  current table).
+    let keys = [];
+
+    //  Tables created implicitly by headers (e.g. "a" of "[a.b]").
+    let implicitTables = new Set();
+
+    //  Tables created by dotted keys (e.g. "a" of "a.b = 1").
+    let dottedTables = new Set();
+
+    //  Inline tables (which can't be extended).
+    let inlineTables = new Set();
+
+    //  Arrays of tables.
+    let tableArrays = new Set();
+
+    /**
+     *  Raise a syntax error.
+     * 
+     *  @param {String} [reason] - The reason (default: describe the 
+     *                             character at the offset).
+     *  @param {Number} [offset] - The offset (default: current position).
+     */
+    function _Fail(reason, offset = position) {
+        if (typeof(reason) == "undefined") {
+            reason = (
+                offset < text.length ? 
+                Util.format(
+                    "Unexpected character %s",
+                    JSON.stringify(String.fromCodePoint(
+                        text.codePointAt(offset)
+                    ))
+                ) : 
+                "Unexpected end of input"
+            );
+        }
+        throw new TraverseSyntaxError(reason, offset);
+    }
+
+    /**
+     *  Get the path keys of the value being parsed.
+     * 
+     *  @return {Array} - The path keys.
+     */
+    function _GetKeys() {
+        return keys.slice();
+    }
+
+    /**
+     *  Enter a value (and check it by the "onValue" callback), call 
+     *  _LeaveValue() after the value was parsed.
+     * 
+     *  @param {Array} path - The (dotted) keys of the value.
+     *  @param {Number} size - The count of items of the array (including the 
+     *                         value, 0 if the value is not an array item).
+     */
+    function _EnterValue(path, size) {
+        path.forEach(function(key) {
+            keys.push(key);
+        });
+        if (onValue !== null) {
+            onValue(keys.length, size, _GetKeys);
+        }
+    }
+
+    /**
+     *  Leave a value.
+     * 
+     *  @param {Array} path - The (dotted) keys of the value.
+     */
+    function _LeaveValue(path) {
+        keys.length -= path.length;
+    }
+
+    /**
+     *  Skip whitespaces (spaces and tabs).
+     */
+    function _SkipSpaces() {
+        while (text[position] == " " || text[position] == "\t") {
+            ++position;
+        }
+    }
+
+    /**
+     *  Skip a comment (if any).
+     */
+    function _SkipComment() {
+        if (text[position] != "#") {
+            return;
+        }
+        while (
+            position < text.length && 
+            text[position] != "\n" && 
+            !text.startsWith("\r\n", position)
+        ) {
+            ++position;
+        }
+    }
+
+    /**
+     *  Consume a newline.
+     * 
+     *  @return {Boolean} - True if consumed.
+     */
+    function _ConsumeNewline() {
+        if (text[position] == "\n") {
+            ++position;
+            return true;
+        }
+        if (text.startsWith("\r\n", position)) {
+            position += 2;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     *  Skip whitespaces, comments and newlines.
+     */
+    function _SkipBlanks() {
+        do {
+            _SkipSpaces();
+            _SkipComment();
+        } while (_ConsumeNewline());
+    }
+
+    /**
+     *  Expect the end of a line (a comment is allowed).
+     */
+    function _ExpectLineEnd() {
+        _SkipSpaces();
+        _SkipComment();
+        if (position < text.length && !_ConsumeNewline()) {
+            _Fail();
+        }
+    }
+
+    /**
+     *  Check a character in a string.
+     * 
+     *  @param {String} character - The character.
+     */
+    function _CheckStringCharacter(character) {
+        let code = character.charCodeAt(0);
+        if ((code < 0x20 && character != "\t") || code == 0x7F) {
+            _Fail("Control characters must be escaped");
+        }
+    }
+
+    /**
+     *  Parse an escape sequence of a basic string.
+     * 
+     *  @param {Boolean} multiline - True if the string is multi-line.
+     *  @return {String} - The escaped characters.
+     */
+    function _ParseEscape(multiline) {
+        let start = position;
+        let character = text[position + 1];
+        if (ESCAPES.has(character)) {
+            position += 2;
+            return ESCAPES.get(character);
+        }
+        if (character == "u" || character == "U") {
+            let length = (character == "u" ? 4 : 8);
+            let digits = text.substr(position + 2, length);
+            if (digits.length != length || !/^[0-9A-Fa-f]+$/.test(digits)) {
+                _Fail("Invalid escape sequence", start);
+            }
+            let codePoint = parseInt(digits, 16);
+            if (
+                codePoint > 0x10FFFF || 
+                (codePoint >= 0xD800 && codePoint <= 0xDFFF)
+            ) {
+                _Fail("Invalid escape sequence", start);
+            }
+            position += 2 + length;
+            return String.fromCodePoint(codePoint);
+        }
+
+        //  Line ending backslash (trims all whitespaces and newlines).
+        if (multiline) {
+            ++position;
+            _SkipSpaces();
+            if (_ConsumeNewline()) {
+                do {
+                    _SkipSpaces();
+                } while (_ConsumeNewline());
+                return "";
+            }
+        }
+        _Fail("Invalid escape sequence", start);
+    }
+
+    /**
+     *  Parse a basic string (a string quoted by quotation marks).
+     * 
+     *  @param {Boolean} multiline - True if the string is multi-line.
+     *  @return {String} - The string.
+     */
+    function _ParseBasicString(multiline) {
+        return _ParseString("\"", multiline, _ParseEscape);
+    }
+
+    /**
+     *  Parse a literal string (a string quoted by apostrophes).
+     * 
+     *  @param {Boolean} multiline - True if the string is multi-line.
+     *  @return {String} - The string.
+     */
+    function _ParseLiteralString(multiline) {
+        return _ParseString("'", multiline, null);
+    }
+
+    /**
+     *  Parse a string.
+     * 
+     *  @param {String} quote - The quotation character.
+     *  @param {Boolean} multiline - True if the string is multi-line.
+     *  @param {?function(Boolean): String} parseEscape - The escape sequence 
+     *                                                    parser (NULL if 
+     *                                                    escaping is not 
+     *                                                    supported).
+     *  @return {String} - The string.
+     */
+    function _ParseString(quote, multiline, parseEscape) {
+        let start = position;
+        let delimiter = (multiline ? quote.repeat(3) : quote);
+        position += delimiter.length;
+        if (multiline) {
+            //  A newline immediately following the delimiter is trimmed.
+            _ConsumeNewline();
+        }
+        let result = "";
+        while (true) {
+            if (position >= text.length) {
+                _Fail("Unterminated string", start);
+            }
+            if (text.startsWith(delimiter, position)) {
+                position += delimiter.length;
+                if (multiline) {
+                    //  Up to two quotation characters are allowed right
+                    //  before the delimiter.
+                    for (let i = 0; i < 2 && text[position] == quote; ++i) {
+                        result += quote;
+                        ++position;
+                    }
+                }
+                return result;
+            }
+            let character = text[position];
+            if (character == "\\" && parseEscape !== null) {
+                result += parseEscape(multiline);
+            } else if (character == "\n" || text.startsWith("\r\n", position)) {
+                if (!multiline) {
+                    _Fail("Unterminated string", start);
+                }
+                _ConsumeNewline();
+                result += "\n";
+            } else {
+                _CheckStringCharacter(character);
+                result += character;
+                ++position;
+            }
+        }
+    }
+
+    /**
+     *  Parse a simple key (a bare key or a quoted key).
+     * 
+     *  @return {String} - The key.
+     */
+    function _ParseSimpleKey() {
+        if (text[position] == "\"") {
+            return _ParseBasicString(false);
+        }
+        if (text[position] == "'") {
+            return _ParseLiteralString(false);
+        }
+        BARE_KEY.lastIndex = position;
+        let matched = BARE_KEY.exec(text);
+        if (matched === null) {
+            _Fail();
+        }
+        position += matched[0].length;
+        return matched[0];
+    }
+
+    /**
+     *  Parse a (dotted) key (and whitespaces after it).
+     * 
+     *  @return {String[]} - The keys.
+     */
+    function _ParseKey() {
+        let keys = [_ParseSimpleKey()];
+        _SkipSpaces();
+        while (text[position] == ".") {
+            ++position;
+            _SkipSpaces();
+            keys.push(_ParseSimpleKey());
+            _SkipSpaces();
+        }
+        return keys;
+    }
+
+    /**
+     *  Assign a value to a (dotted) key of a table.
+     * 
+     *  @param {Object} table - The table.
+     *  @param {String[]} keys - The keys.
+     *  @param {*} value - The value.
+     *  @param {Set<Object>} dotted - The tables created by dotted keys (which 
+     *                                can be extended by dotted keys).
+     *  @param {Number} offset - The offset of the key.
+     */
+    function _AssignValue(table, keys, value, dotted, offset) {
+        for (let i = 0; i < keys.length; ++i) {
+            let key = keys[i];
+            if (!HasOwnKey(table, key)) {
+                if (i + 1 == keys.length) {
+                    DefineValue(table, key, value);
+                    return;
+                }
+                let sub = {};
+                DefineValue(table, key, sub);
+                dotted.add(sub);
+                table = sub;
+            } else if (i + 1 != keys.length && dotted.has(table[key])) {
+                table = table[key];
+            } else {
+                _Fail(Util.format(
+                    "Key %j is already defined",
+                    keys.slice(0, i + 1).join(".")
+                ), offset);
+            }
+        }
+    }
+
+    /**
+     *  Parse an array.
+     * 
+     *  @param {Number} depth - The nesting depth.
+     *  @return {Array} - The array.
+     */
+    function _ParseArray(depth) {
+        ++position;
+        let array = [];
+        while (true) {
+            _SkipBlanks();
+            if (text[position] == "]") {
+                ++position;
+                return array;
+            }
+            let path = [array.length];
+            _EnterValue(path, array.length + 1);
+            array.push(_ParseValue(depth));
+            _LeaveValue(path);
+            _SkipBlanks();
+            if (text[position] == ",") {
+                ++position;
+            } else if (text[position] == "]") {
+                ++position;
+                return array;
+            } else {
+                _Fail();
+            }
+        }
+    }
+
+    /**
+     *  Parse an inline table.
+     * 
+     *  @param {Number} depth - The nesting depth.
+     *  @return {Object} - The table.
+     */
+    function _ParseInlineTable(depth) {
+        ++position;
+        let table = {};
+        let dotted = new Set();
+        inlineTables.add(table);
+        _SkipSpaces();
+        if (text[position] == "}") {
+            ++position;
+            return table;
+        }
+        while (true) {
+            _SkipSpaces();
+            let offset = position;
+            let path = _ParseKey();
+            if (text[position] != "=") {
+                _Fail();
+            }
+            ++position;
+            _SkipSpaces();
+            _EnterValue(path, 0);
+            _AssignValue(table, path, _ParseValue(depth), dotted, offset);
+            _LeaveValue(path);
+            _SkipSpaces();
+            if (text[position] == ",") {
+                ++position;
+            } else if (text[position] == "}") {
+                ++position;
+                return table;
+            } else {
+                _Fail();
+            }
+        }
+    }
+
+    /**
+     *  Parse a date, a time or a date-time.
+     * 
+     *  @return {?(Date|String)} - The value (NULL if there is no date or time 
+     *                             at current position).
+     */
+    function _ParseDateTime() {
+        let start = position;
+        DATE_TIME.lastIndex = position;
+        let matched = DATE_TIME.exec(text);
+        if (matched !== null) {
+            let date = matched[1];
+            let time = matched[3];
+            let offset = matched[5];
+            let valid = ValidateStringFormat(date, "date") && (
+                typeof(time) == "undefined" || 
+                ValidateStringFormat(time + (offset || "Z"), "time")
+            );
+            if (!valid) {
+                _Fail("Invalid date-time", start);
+            }
+            position += matched[0].length;
+            if (typeof(offset) != "undefined") {
+                return new Date(date + "T" + time + offset.toUpperCase());
+            }
+            return matched[0];
+        }
+        LOCAL_TIME.lastIndex = position;
+        matched = LOCAL_TIME.exec(text);
+        if (matched !== null) {
+            if (!ValidateStringFormat(matched[0] + "Z", "time")) {
+                _Fail("Invalid time", start);
+            }
+            position += matched[0].length;
+            return matched[0];
+        }
+        return null;
+    }
+
+    /**
+     *  Parse a number (an integer or a float).
+     * 
+     *  @return {?(Number|BigInt)} - The number (NULL if there is no number at 
+     *                               current position).
+     */
+    function _ParseNumber() {
+        SPECIAL_FLOAT.lastIndex = position;
+        let matched = SPECIAL_FLOAT.exec(text);
+        if (matched !== null) {
+            position += matched[0].length;
+            if (matched[2] == "nan") {
+                return NaN;
+            }
+            return (matched[1] == "-" ? -Infinity : Infinity);
+        }
+        FLOAT.lastIndex = position;
+        matched = FLOAT.exec(text);
+        if (
+            matched !== null && 
+            (
+                typeof(matched[3]) != "undefined" || 
+                typeof(matched[5]) != "undefined"
+            )
+        ) {
+            position += matched[0].length;
+            return Number(matched[0].replace(/_/g, ""));
+        }
+        INTEGER.lastIndex = position;
+        matched = INTEGER.exec(text);
+        if (matched !== null) {
+            position += matched[0].length;
+            let value = BigInt(matched[0].replace(/_/g, ""));
+            if (
+                value >= BigInt(Number.MIN_SAFE_INTEGER) && 
+                value <= BigInt(Number.MAX_SAFE_INTEGER)
+            ) {
+                return Number(value);
+            }
+            return value;
+        }
+        return null;
+    }
+
+    /**
+     *  Parse a value.
+     * 
+     *  @param {Number} depth - The nesting depth of the container of the 
+     *                          value.
+     *  @return {*} - The value.
+     */
+    function _ParseValue(depth) {
+        let character = text[position];
+        if (character == "\"" || character == "'") {
+            let multiline = text.startsWith(character.repeat(3), position);
+            return (
+                character == "\"" ? 
+                _ParseBasicString(multiline) : 
+                _ParseLiteralString(multiline)
+            );
+        }
+        if (character == "[" || character == "{") {
+            if (depth >= MAX_NESTING_DEPTH) {
+                _Fail("Too deeply nested");
+            }
+            return (
+                character == "[" ? 
+                _ParseArray(depth + 1) : 
+                _ParseInlineTable(depth + 1)
+            );
+        }
+        if (text.startsWith("true", position)) {
+            position += 4;
+            return true;
+        }
+        if (text.startsWith("false", position)) {
+            position += 5;
+            return false;
+        }
+        let value = _ParseDateTime();
+        if (value === null) {
+            value = _ParseNumber();
+        }
+        if (value === null) {
+            _Fail();
+        }
+        return value;
+    }
+
+    /**
+     *  Parse a table header (or an array of tables header).
+     */
+    function _ParseHeader() {
+        let start = position;
+        let isArray = text.startsWith("[[", position);
+        position += (isArray ? 2 : 1);
+        _SkipSpaces();
+        let path = _ParseKey();
+        let closing = (isArray ? "]]" : "]");
+        if (!text.startsWith(closing, position)) {
+            _Fail();
+        }
+        position += closing.length;
+        _ExpectLineEnd();
+
+        //  Walk through ancestor tables.
+        let table = root;
+        keys = [];
+        path.slice(0, path.length - 1).forEach(function(key, index) {
+            keys.push(key);
+            if (!HasOwnKey(table, key)) {
+                let sub = {};
+                DefineValue(table, key, sub);
+                implicitTables.add(sub);
+                table = sub;
+                return;
+            }
+            let existing = table[key];
+            if (tableArrays.has(existing)) {
+                keys.push(existing.length - 1);
+                table = existing[existing.length - 1];
+            } else if (IsPlainObject(existing) && !inlineTables.has(existing)) {
+                table = existing;
+            } else {
+                _Fail(Util.format(
+                    "Key %j is already defined",
+                    path.slice(0, index + 1).join(".")
+                ), start);
+            }
+        });
+
+        //  Define the table.
+        let key = path[path.length - 1];
+        let exists = HasOwnKey(table, key);
+        let existing = (exists ? table[key] : undefined);
+        if (isArray) {
+            if (!exists) {
+                existing = [];
+                DefineValue(table, key, existing);
+                tableArrays.add(existing);
+            } else if (!tableArrays.has(existing)) {
+                _Fail(Util.format(
+                    "Key %j is already defined",
+                    path.join(".")
+                ), start);
+            }
+            current = {};
+            existing.push(current);
+            keys.push(key);
+            _EnterValue([existing.length - 1], existing.length);
+        } else if (!exists) {
+            current = {};
+            DefineValue(table, key, current);
+            _EnterValue([key], 0);
+        } else if (implicitTables.has(existing)) {
+            implicitTables.delete(existing);
+            current = existing;
+            keys.push(key);
+        } else {
+            _Fail(Util.format(
+                "Table %j is already defined",
+                path.join(".")
+            ), start);
+        }
+    }
+
+    //  Check the root value.
+    if (onValue !== null) {
+        onValue(0, 0, _GetKeys);
+    }
+
+    while (true) {
+        _SkipBlanks();
+        if (position >= text.length) {
+            break;
+        }
+        if (text[position] == "[") {
+            _ParseHeader();
+            continue;
+        }
+        let offset = position;
+        let path = _ParseKey();
+        if (text[position] != "=") {
+            _Fail();
+        }
+        ++position;
+        _SkipSpaces();
+        _EnterValue(path, 0);
+        _AssignValue(current, path, _ParseValue(0), dottedTables, offset);
+        _LeaveValue(path);
+        _ExpectLineEnd();
+    }
+    return root;
+}
+
+/**
+ *  Serialize an object to a TOML document.
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the object can't be represented in TOML format.
+ * 
+ *  Note(s):
+ *    [1] The object must be a plain object. Nested plain objects are written 
+ *        as tables and non-empty arrays of plain objects are written as 
+ *        arrays of tables, other values are written inline.
+ *    [2] Date objects are written as offset date-times (in UTC).
+ *    [3] Whole-number floats (e.g. 2.0) are written as integers (e.g. "2"), 
+ *        since numbers don't keep the difference between them.
+ *    [4] NULL is not supported (TOML has no NULL), undefined values in 
+ *        objects are skipped (like JSON.stringify()).
+ * 
+ *  @param {Object} value - The object.
+ *  @return {String} - The document.
+ */
+function StringifyToml(value) {
+    if (!IsPlainObject(value)) {
+        throw new TypeError("TOML document must be a plain object.");
+    }
+    let lines = [];
+    WriteTable(value, [], false, lines, []);
+    return lines.map(function(line) {
+        return line + "\n";
+    }).join("");
+}
+
+//  Export public APIs.
+module.exports = {
+    "ParseToml": ParseToml,
+    "StringifyToml": StringifyToml
+};
\ No newline at end of file
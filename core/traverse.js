@@ -9,1576 +9,8566 @@
 //
 
 //  Imported modules.
+const CrCharClass = require("./charclass");
+const CrCoerce = require("./coerce");
+const CrFormat = require("./format");
+const CrIni = require("./ini");
+const CrPath = require("./path");
+const CrQuery = require("./query");
+const CrRepresentation = require("./representation");
+const CrSource = require("./source");
+const CrToml = require("./toml");
 const CrType = require("./type");
 const CrValidator = require("./validator");
+const CrYaml = require("./yaml");
 const Util = require("util");
 
+//  Imported classes.
+const TraverseCharClass = CrCharClass.TraverseCharClass;
+const TraversePath = CrPath.TraversePath;
+const TraverseSourceMap = CrSource.TraverseSourceMap;
+const TraverseSyntaxError = CrSource.TraverseSyntaxError;
+
+//  Imported functions.
+const AppendStepToPath = CrQuery.AppendStepToPath;
+const CreatePathFromKeys = CrPath.CreatePathFromKeys;
+const FindInvalidCharacter = CrValidator.FindInvalidCharacter;
+const GetSafeRepresentation = CrRepresentation.GetSafeRepresentation;
+const GetStringFormatNames = CrFormat.GetStringFormatNames;
+const GetStringLength = CrValidator.GetStringLength;
+const GetStringLengthUnitNames = CrValidator.GetStringLengthUnitNames;
+const HasStringFormat = CrFormat.HasStringFormat;
+const HasStringLengthUnit = CrValidator.HasStringLengthUnit;
+const ParseBoolean = CrCoerce.ParseBoolean;
+const ParseIni = CrIni.ParseIni;
+const ParseInteger = CrCoerce.ParseInteger;
+const ParseJson = CrSource.ParseJson;
+const ParseLegacyPath = CrPath.ParseLegacyPath;
+const ParseNumeric = CrCoerce.ParseNumeric;
+const ParsePathExpression = CrQuery.ParsePathExpression;
+const ParseToml = CrToml.ParseToml;
+const ParseYaml = CrYaml.ParseYaml;
+const RunPathExpression = CrQuery.RunPathExpression;
+const StringifyIni = CrIni.StringifyIni;
+const StringifyToml = CrToml.StringifyToml;
+const StringifyYaml = CrYaml.StringifyYaml;
+const ValidateStringFormat = CrFormat.ValidateStringFormat;
+
 //
-//  Classes.
+//  Constants.
 //
 
 /**
- *  Traverse error.
+ *  Names of methods that are never intercepted in collect-all mode.
  * 
- *  @constructor
- *  @extends {Error}
- *  @param {String} [message] - The message.
+ *  @type {Set<String>}
  */
-function TraverseError(message = "") {
-    //  Let parent class initialize.
-    Error.call(this, message);
-    Error.captureStackTrace(this, this.constructor);
-    this.name = this.constructor.name;
-    this.message = message;
-}
+const COLLECTING_EXCLUDED_METHODS = new Set([
+    "getPath",
+    "getPathSegments",
+    "getPathObject",
+    "parent",
+    "root",
+    "key",
+    "isNull",
+    "isUndefined",
+    "isMissing",
+    "getSourceLocation",
+    "inner",
+    "unwrap",
+    "collectedErrors",
+    "throwCollectedErrors",
+    "createError"
+]);
 
 /**
- *  Traverse parameter error.
+ *  Factories of return values of methods that don't return a Traverse object 
+ *  when they failed in collect-all mode.
  * 
- *  @constructor
- *  @extends {TraverseError}
- *  @param {String} [message] - The message.
+ *  @type {Map<String, function(): *>}
  */
-function TraverseParameterError(message = "") {
-    //  Let parent class initialize.
-    TraverseError.call(this, message);
-}
+const COLLECTING_FALLBACKS = new Map([
+    ["arrayLength", function() {
+        return 0;
+    }],
+    ["objectHas", function() {
+        return false;
+    }],
+    ["queryAll", function() {
+        return [];
+    }],
+    ["mapSize", function() {
+        return 0;
+    }],
+    ["mapHas", function() {
+        return false;
+    }],
+    ["setSize", function() {
+        return 0;
+    }],
+    ["setHas", function() {
+        return false;
+    }],
+    ["bytesLength", function() {
+        return 0;
+    }]
+]);
 
 /**
- *  Traverse type error.
+ *  Resolvers of the paths that navigation methods were asked to go to (used 
+ *  to create a skipped child when a navigation method failed in collect-all 
+ *  mode).
  * 
- *  @constructor
- *  @extends {TraverseError}
- *  @param {String} [message] - The message.
+ *  @type {Map<String, function(*, TraversePath, Array): ?TraversePath>}
  */
-function TraverseTypeError(message = "") {
-    //  Let parent class initialize.
-    TraverseError.call(this, message);
-}
+const COLLECTING_CHILD_PATHS = new Map([
+    ["sub", ResolveSubPath],
+    ["optionalSub", ResolveSubPath],
+    ["arrayGetItem", ResolveItemPath],
+    ["query", ResolveQueryPath],
+    ["queryOptional", ResolveQueryPath]
+]);
 
 /**
- *  Traverse format error.
+ *  Readers of typed values within byte buffers (type => reader).
  * 
- *  @constructor
- *  @extends {TraverseError}
- *  @param {String} [message] - The message.
+ *  @type {Map<String, {size: Number, read: function(DataView, Number): *}>}
  */
-function TraverseFormatError(message = "") {
-    //  Let parent class initialize.
-    TraverseError.call(this, message);
-}
+const BYTES_READERS = new Map([
+    ["UInt8", {
+        "size": 1,
+        "read": function(view, offset) {
+            return view.getUint8(offset);
+        }
+    }],
+    ["Int8", {
+        "size": 1,
+        "read": function(view, offset) {
+            return view.getInt8(offset);
+        }
+    }],
+    ["UInt16LE", {
+        "size": 2,
+        "read": function(view, offset) {
+            return view.getUint16(offset, true);
+        }
+    }],
+    ["UInt16BE", {
+        "size": 2,
+        "read": function(view, offset) {
+            return view.getUint16(offset, false);
+        }
+    }],
+    ["Int16LE", {
+        "size": 2,
+        "read": function(view, offset) {
+            return view.getInt16(offset, true);
+        }
+    }],
+    ["Int16BE", {
+        "size": 2,
+        "read": function(view, offset) {
+            return view.getInt16(offset, false);
+        }
+    }],
+    ["UInt32LE", {
+        "size": 4,
+        "read": function(view, offset) {
+            return view.getUint32(offset, true);
+        }
+    }],
+    ["UInt32BE", {
+        "size": 4,
+        "read": function(view, offset) {
+            return view.getUint32(offset, false);
+        }
+    }],
+    ["Int32LE", {
+        "size": 4,
+        "read": function(view, offset) {
+            return view.getInt32(offset, true);
+        }
+    }],
+    ["Int32BE", {
+        "size": 4,
+        "read": function(view, offset) {
+            return view.getInt32(offset, false);
+        }
+    }],
+    ["BigUInt64LE", {
+        "size": 8,
+        "read": function(view, offset) {
+            return view.getBigUint64(offset, true);
+        }
+    }],
+    ["BigUInt64BE", {
+        "size": 8,
+        "read": function(view, offset) {
+            return view.getBigUint64(offset, false);
+        }
+    }],
+    ["BigInt64LE", {
+        "size": 8,
+        "read": function(view, offset) {
+            return view.getBigInt64(offset, true);
+        }
+    }],
+    ["BigInt64BE", {
+        "size": 8,
+        "read": function(view, offset) {
+            return view.getBigInt64(offset, false);
+        }
+    }],
+    ["FloatLE", {
+        "size": 4,
+        "read": function(view, offset) {
+            return view.getFloat32(offset, true);
+        }
+    }],
+    ["FloatBE", {
+        "size": 4,
+        "read": function(view, offset) {
+            return view.getFloat32(offset, false);
+        }
+    }],
+    ["DoubleLE", {
+        "size": 8,
+        "read": function(view, offset) {
+            return view.getFloat64(offset, true);
+        }
+    }],
+    ["DoubleBE", {
+        "size": 8,
+        "read": function(view, offset) {
+            return view.getFloat64(offset, false);
+        }
+    }]
+]);
 
 /**
- *  Traverse parse error.
+ *  Relations between fields (operator => checker).
  * 
- *  @constructor
- *  @extends {TraverseError}
- *  @param {String} [message] - The message.
+ *  @type {Map<String, function(TraverseComparator, *, *): Boolean>}
  */
-function TraverseParseError(message = "") {
-    //  Let parent class initialize.
-    TraverseError.call(this, message);
-}
+const FIELD_RELATIONS = new Map([
+    ["==", function(comparator, a, b) {
+        return comparator.eq(a, b);
+    }],
+    ["!=", function(comparator, a, b) {
+        return !comparator.eq(a, b);
+    }],
+    ["<", function(comparator, a, b) {
+        return comparator.lt(a, b);
+    }],
+    ["<=", function(comparator, a, b) {
+        return comparator.le(a, b);
+    }],
+    [">", function(comparator, a, b) {
+        return comparator.gt(a, b);
+    }],
+    [">=", function(comparator, a, b) {
+        return comparator.ge(a, b);
+    }]
+]);
 
 /**
- *  Traverse size error.
+ *  Unicode normalization forms.
  * 
- *  @constructor
- *  @extends {TraverseError}
- *  @param {String} [message] - The message.
+ *  @type {Set<String>}
  */
-function TraverseSizeError(message = "") {
-    //  Let parent class initialize.
-    TraverseError.call(this, message);
-}
+const NORMALIZATION_FORMS = new Set(["NFC", "NFD", "NFKC", "NFKD"]);
 
 /**
- *  Traverse key not found error.
+ *  Letter cases (case => converter).
  * 
- *  @constructor
- *  @extends {TraverseError}
- *  @param {String} [message] - The message.
+ *  @type {Map<String, function(String): String>}
  */
-function TraverseKeyNotFoundError(message = "") {
-    //  Let parent class initialize.
-    TraverseError.call(this, message);
-}
+const LETTER_CASES = new Map([
+    ["lower", function(text) {
+        return text.toLowerCase();
+    }],
+    ["upper", function(text) {
+        return text.toUpperCase();
+    }]
+]);
 
 /**
- *  Traverse index out of range error.
+ *  Regular expression of array indexes within relative paths.
  * 
- *  @constructor
- *  @extends {TraverseError}
- *  @param {String} [message] - The message.
+ *  @type {RegExp}
  */
-function TraverseIndexOutOfRangeError(message = "") {
-    //  Let parent class initialize.
-    TraverseError.call(this, message);
-}
+const RELATIVE_PATH_INDEX = /^(0|[1-9][0-9]*)$/;
 
 /**
- *  Traverse value out of range error.
+ *  Constructor of asynchronous functions.
  * 
- *  @constructor
- *  @extends {TraverseError}
- *  @param {String} [message] - The message.
+ *  @type {Function}
  */
-function TraverseValueOutOfRangeError(message = "") {
-    //  Let parent class initialize.
-    TraverseError.call(this, message);
-}
+const ASYNC_FUNCTION = Object.getPrototypeOf(async function() {}).constructor;
 
 /**
- *  Value comparator for traverse module.
+ *  Object keys that may reach (and pollute) prototypes when being assigned.
  * 
- *  @constructor
- *  @template T
+ *  @type {Set<String>}
  */
-function TraverseComparator() {
-    //
-    //  Public methods.
-    //
-
-    /**
-     *  Get whether two values ("a" and "b") are equal.
-     * 
-     *  @param {T} a - The value "a".
-     *  @param {T} b - The value "b".
-     *  @return {Boolean} - True if so.
-     */
-    this.eq = function(a, b) {
-        return a == b;
-    };
+const UNSAFE_OBJECT_KEYS = new Set(["__proto__", "constructor", "prototype"]);
 
-    /**
-     *  Get whether value "a" is less than or equal to value "b".
-     * 
-     *  @param {T} a - The value "a".
-     *  @param {T} b - The value "b".
-     *  @return {Boolean} - True if so.
-     */
-    this.le = function(a, b) {
-        return a <= b;
-    };
-
-    /**
-     *  Get whether value "a" is less than value "b".
-     * 
-     *  @param {T} a - The value "a".
-     *  @param {T} b - The value "b".
-     *  @return {Boolean} - True if so.
-     */
-    this.lt = function(a, b) {
-        return a < b;
-    };
+/**
+ *  Regular expression of number representations (as generated by 
+ *  Number.prototype.toString()).
+ * 
+ *  @type {RegExp}
+ */
+const NUMBER_REPRESENTATION = /^-?[0-9]+(\.([0-9]+))?(e([+-][0-9]+))?$/;
 
-    /**
-     *  Get whether value "a" is greater than or equal to value "b".
-     * 
-     *  @param {T} a - The value "a".
-     *  @param {T} b - The value "b".
-     *  @return {Boolean} - True if so.
-     */
-    this.ge = function(a, b) {
-        return a >= b;
-    };
+/**
+ *  Maximum decimal places that can be scaled to integers precisely.
+ * 
+ *  @type {Number}
+ */
+const MAX_SCALABLE_DECIMAL_PLACES = 15;
 
-    /**
-     *  Get whether value "a" is greater than value "b".
-     * 
-     *  @param {T} a - The value "a".
-     *  @param {T} b - The value "b".
-     *  @return {Boolean} - True if so.
-     */
-    this.gt = function(a, b) {
-        return a > b;
-    };
-}
+/**
+ *  Maximum quotient (value / step) that is compared with its nearest integer 
+ *  with a tolerance (the tolerance grows with the quotient, it's kept below 
+ *  0.001 of a step).
+ * 
+ *  @type {Number}
+ */
+const MAX_TOLERANT_QUOTIENT = Math.pow(2, 40);
 
 /**
- *  Traverse helper.
+ *  Maximum safe integer (as a BigInt).
  * 
- *  @constructor
- *  @param {*} inner - The inner object.
- *  @param {String} path - The path.
+ *  @type {BigInt}
  */
-function Traverse(inner, path) {
-    //
-    //  Members.
-    //
+const MAX_SAFE_BIGINT = BigInt(Number.MAX_SAFE_INTEGER);
 
-    //  Self reference.
-    let self = this;
+/**
+ *  Names of size limits.
+ * 
+ *  @type {String[]}
+ */
+const LIMIT_NAMES = [
+    "maxStringLength",
+    "maxDepth",
+    "maxArrayLength",
+    "maxObjectKeys",
+    "maxNodes"
+];
 
-    //
-    //  Private methods.
-    //
+/**
+ *  Registered comparators (constructor => comparator).
+ * 
+ *  @type {Map<Function, TraverseComparator>}
+ */
+const COMPARATORS = new Map();
 
-    /**
-     *  Get the representation of specified object.
-     * 
-     *  @param {*} obj - The object.
-     *  @return {String} - The representation string.
-     */
-    function _GetObjectRepresentation(obj) {
-        try {
-            return JSON.stringify(obj);
-        } catch(error) {
-            return "(unserializable)";
+/**
+ *  Registered transformers (name => transformer).
+ * 
+ *  @type {Map<String, (value: *) => *>}
+ */
+const TRANSFORMERS = new Map([
+    ["trim", function(value) {
+        return CheckTransformInput(value, String).trim();
+    }],
+    ["lowercase", function(value) {
+        return CheckTransformInput(value, String).toLowerCase();
+    }],
+    ["uppercase", function(value) {
+        return CheckTransformInput(value, String).toUpperCase();
+    }],
+    ["url", function(value) {
+        return new URL(CheckTransformInput(value, String));
+    }],
+    ["date", function(value) {
+        if (typeof(value) != "number") {
+            CheckTransformInput(value, String);
         }
-    }
-
-    /**
-     *  Get the path of specific sub directory.
-     * 
-     *  @param {String} name - The name of sub directory.
-     */
-    function _GetSubPath(name) {
-        if (path.length == 0 || path[path.length - 1] == "/") {
-            return path + name;
-        } else {
-            return path + "/" + name;
+        let date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new RangeError("Invalid date.");
         }
-    }
+        return date;
+    }],
+    ["set", function(value) {
+        return new Set(CheckTransformInput(value, Array));
+    }],
+    ["array", function(value) {
+        if (
+            value === null || 
+            typeof(value) == "undefined" || 
+            typeof(value[Symbol.iterator]) != "function"
+        ) {
+            throw new TypeError("Expect an iterable object.");
+        }
+        return Array.from(value);
+    }]
+]);
 
-    //
-    //  Public methods.
-    //
+/**
+ *  Regular expression of names of registered methods.
+ * 
+ *  @type {RegExp}
+ */
+const METHOD_NAME = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
 
-    /**
-     *  Check the type of inner object.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.ParameterError: 
-     *        Raised if the constructor is not valid.
-     *    [2] Traverse.TypeError: 
-     *        Raised if the inner object is not constructed by the constructor.
-     * 
-     *  @param {{new(...args: any[]): object}} constructor - The constructor of 
-     *                                                       the type.
-     *  @return {Traverse} - Self.
-     */
-    this.typeOf = function(constructor) {
-        //  Check input parameter.
-        if (!CrType.IsInstanceOf(constructor, Function)) {
-            throw new TraverseParameterError("Not a constructor.");
-        }
+/**
+ *  The global method registry.
+ * 
+ *  @type {TraverseMethodRegistry}
+ */
+const METHODS = new TraverseMethodRegistry(null);
 
-        //  Check inner type.
-        if (inner !== null && !CrType.IsInstanceOf(inner, constructor)) {
-            throw new TraverseTypeError(Util.format(
-                "Invalid object type (path=\"%s\").",
-                path
-            ));
-        }
+/**
+ *  Cached method tables.
+ * 
+ *  Note(s):
+ *    [1] "builtins" is the names of built-in public methods of traverse 
+ *        objects (name => true if the method is asynchronous), NULL if not 
+ *        determined yet.
+ *    [2] "tables" is the prototypes of traverse objects of method registries 
+ *        (registry => {plain, collecting}, NULL if not built yet), it's 
+ *        replaced when any method registry changed.
+ * 
+ *  @type {{builtins: ?Map<String, Boolean>, tables: WeakMap}}
+ */
+const METHOD_TABLES = {
+    "builtins": null,
+    "tables": new WeakMap()
+};
 
-        return self;
-    };
+/**
+ *  Property key of the state of traverse objects.
+ * 
+ *  @type {Symbol}
+ */
+const TRAVERSE_STATE = Symbol("traverse state");
 
-    /**
-     *  Assume that the inner object is numeric.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised if the inner object is not numeric.
-     * 
-     *  @return {Traverse} - Self.
-     */
-    this.numeric = function() {
-        self.typeOf(Number);
-        return self;
-    };
+//  Path segment kinds.
+const PATH_OBJECT_KEY = TraversePath.OBJECT_KEY;
+const PATH_MAP_KEY = TraversePath.MAP_KEY;
+const PATH_ARRAY_INDEX = TraversePath.ARRAY_INDEX;
+const PATH_PSEUDO = TraversePath.PSEUDO;
 
-    /**
-     *  Assume that the inner object is an integer.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised if the inner object is not an integer.
-     * 
-     *  @return {Traverse} - Self.
-     */
-    this.integer = function() {
-        if (inner !== null) {
-            //  The inner object must be a number first.
-            self.numeric();
-    
-            //  Check whether the number is an integer.
-            if (!Number.isInteger(inner)) {
-                throw new TraverseTypeError(Util.format(
-                    "Value should be an integer (path=\"%s\").",
-                    path
-                ));
-            }
+//
+//  Private functions.
+//
+
+/**
+ *  Get the registered comparator of the type of a value.
+ * 
+ *  Note(s):
+ *    [1] The prototype chain of the value is searched, so that a comparator 
+ *        registered for a class also applies to its subclasses.
+ * 
+ *  @param {*} value - The value.
+ *  @return {?TraverseComparator} - The comparator (NULL if not registered).
+ */
+function GetRegisteredComparator(value) {
+    if (value === null || typeof(value) == "undefined") {
+        return null;
+    }
+    let prototype = Object.getPrototypeOf(Object(value));
+    while (prototype !== null) {
+        let comparator = COMPARATORS.get(prototype.constructor);
+        if (typeof(comparator) != "undefined") {
+            return comparator;
         }
+        prototype = Object.getPrototypeOf(prototype);
+    }
+    return null;
+}
 
-        return self;
-    };
+/**
+ *  Run tasks with bounded concurrency.
+ * 
+ *  Note(s):
+ *    [1] Tasks are started in index order, no more task would be started 
+ *        once a task failed.
+ *    [2] The returned promise is settled after all started tasks settled, 
+ *        it would be rejected with the error of the first failed task.
+ * 
+ *  @param {Number} count - The count of tasks.
+ *  @param {Number} concurrency - The maximum count of running tasks.
+ *  @param {(index: Number) => Promise} task - The task.
+ *  @return {Promise} - The promise.
+ */
+async function RunTasksConcurrently(count, concurrency, task) {
+    let next = 0;
+    let failed = false;
+    let failure = null;
 
     /**
-     *  Assume that the inner object is a boolean.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised if the inner object is not boolean.
+     *  Run tasks one by one until all tasks were started or a task failed.
      * 
-     *  @return {Traverse} - Self.
+     *  @return {Promise} - The promise.
      */
-    this.boolean = function() {
-        self.typeOf(Boolean);
-        return self;
+    let _Work = async function() {
+        while (!failed && next < count) {
+            try {
+                await task(next++);
+            } catch(error) {
+                if (!failed) {
+                    failed = true;
+                    failure = error;
+                }
+            }
+        }
     };
 
-    /**
-     *  Assume that the inner object is a string.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised if the inner object is not string.
-     * 
-     *  @return {Traverse} - Self.
-     */
-    this.string = function() {
-        self.typeOf(String);
-        return self;
-    };
+    let workers = [];
+    for (let i = 0; i < Math.min(concurrency, count); ++i) {
+        workers.push(_Work());
+    }
+    await Promise.all(workers);
+    if (failed) {
+        throw failure;
+    }
+}
 
-    /**
-     *  Validate the string by given character table.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.ParameterError: 
-     *        Raised if the character table is not string.
-     *    [2] Traverse.FormatError: 
-     *        Raised when the inner string mismatched with the character table.
-     *    [3] Traverse.TypeError: 
-     *        Raised when the inner object is not string.
-     * 
-     *  @param {String} charTable - The character table.
-     *  @return {Traverse} - Self.
-     */
-    this.stringValidate = function(charTable) {
-        //  Check parameter type.
-        if (!CrType.IsInstanceOf(charTable, String)) {
-            throw new TraverseParameterError("Invalid character table.");
-        }
-
-        if (!self.isNull()) {
-            //  Check inner type.
-            self.string();
-
-            //  Validate the string.
-            if (!CrValidator.ValidateString(inner, charTable)) {
-                throw new TraverseFormatError(Util.format(
-                    "String is invalid (allowed=\"%s\", path=\"%s\").",
-                    charTable,
-                    path
-                ));
+/**
+ *  Get whether a value is a container of specified segment kind.
+ * 
+ *  @param {*} value - The value.
+ *  @param {String} kind - The segment kind.
+ *  @return {Boolean} - True if so.
+ */
+function IsContainerOf(value, kind) {
+    if (value === null || typeof(value) != "object") {
+        return false;
+    }
+    switch (kind) {
+    case PATH_ARRAY_INDEX:
+        return Array.isArray(value);
+    case PATH_MAP_KEY:
+        return (value instanceof Map);
+    case PATH_OBJECT_KEY:
+        return !Array.isArray(value) && !(value instanceof Map);
+    default:
+        return false;
+    }
+}
+
+/**
+ *  Create a shallow copy of a container (an Object, an Array or a Map).
+ * 
+ *  Note(s):
+ *    [1] The prototype of objects is kept, only own enumerable properties are 
+ *        copied (as writable properties, so that copies of frozen objects 
+ *        can be updated).
+ * 
+ *  @param {Object|Array|Map} container - The container.
+ *  @return {Object|Array|Map} - The copy.
+ */
+function CloneContainer(container) {
+    if (Array.isArray(container)) {
+        return Array.prototype.slice.call(container);
+    }
+    if (container instanceof Map) {
+        return new Map(container);
+    }
+    let copy = Object.create(Object.getPrototypeOf(container));
+    Reflect.ownKeys(container).forEach(function(key) {
+        if (Object.prototype.propertyIsEnumerable.call(container, key)) {
+            Object.defineProperty(copy, key, {
+                "value": container[key],
+                "writable": true,
+                "enumerable": true,
+                "configurable": true
+            });
+        }
+    });
+    return copy;
+}
+
+/**
+ *  Get an item of a container.
+ * 
+ *  @param {Object|Array|Map} container - The container.
+ *  @param {String} kind - The segment kind.
+ *  @param {*} key - The key (or the index).
+ *  @return {*} - The item.
+ */
+function GetContainerItem(container, kind, key) {
+    return (kind == PATH_MAP_KEY ? container.get(key) : container[key]);
+}
+
+/**
+ *  Set an item of a container (in place).
+ * 
+ *  @param {Object|Array|Map} container - The container.
+ *  @param {String} kind - The segment kind.
+ *  @param {*} key - The key (or the index).
+ *  @param {*} value - The item.
+ */
+function SetContainerItem(container, kind, key, value) {
+    if (kind == PATH_MAP_KEY) {
+        container.set(key, value);
+    } else {
+        Object.defineProperty(container, key, {
+            "value": value,
+            "writable": true,
+            "enumerable": true,
+            "configurable": true
+        });
+    }
+}
+
+/**
+ *  Delete an item of a container (in place, items after a deleted array item 
+ *  are shifted).
+ * 
+ *  @param {Object|Array|Map} container - The container.
+ *  @param {String} kind - The segment kind.
+ *  @param {*} key - The key (or the index).
+ */
+function DeleteContainerItem(container, kind, key) {
+    if (kind == PATH_MAP_KEY) {
+        container.delete(key);
+    } else if (kind == PATH_ARRAY_INDEX) {
+        container.splice(key, 1);
+    } else {
+        delete container[key];
+    }
+}
+
+/**
+ *  Get whether an object has a key.
+ * 
+ *  @param {Object} object - The object.
+ *  @param {String} key - The key.
+ *  @param {Boolean} ownOnly - True if only own properties are looked up 
+ *                             (otherwise inherited properties are also looked 
+ *                             up).
+ *  @return {Boolean} - True if so.
+ */
+function HasObjectKey(object, key, ownOnly) {
+    if (ownOnly) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+    return (key in object);
+}
+
+/**
+ *  Get the (enumerable) keys of an object.
+ * 
+ *  @param {Object} object - The object.
+ *  @param {Boolean} ownOnly - True if only own properties are included 
+ *                             (otherwise inherited properties are also 
+ *                             included).
+ *  @return {String[]} - The keys.
+ */
+function GetObjectKeys(object, ownOnly) {
+    if (ownOnly) {
+        return Object.keys(object);
+    }
+    let keys = [];
+    for (let key in object) {
+        keys.push(key);
+    }
+    return keys;
+}
+
+/**
+ *  Normalize size limits.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if a limit is neither a non-negative integer nor Infinity.
+ * 
+ *  @param {TraverseLimits} limits - The limits.
+ *  @return {TraverseLimits} - The normalized limits (all limits are set, 
+ *                             Infinity if not limited).
+ */
+function NormalizeLimits(limits) {
+    let normalized = {};
+    LIMIT_NAMES.forEach(function(name) {
+        let limit = limits[name];
+        if (typeof(limit) == "undefined") {
+            limit = Infinity;
+        } else if (
+            limit !== Infinity && 
+            !(Number.isInteger(limit) && limit >= 0)
+        ) {
+            throw new TraverseParameterError(Util.format(
+                "Limit \"%s\" should be a non-negative integer or Infinity.",
+                name
+            ), {
+                "rule": "limits",
+                "expected": "non-negative integer",
+                "actual": GetSafeRepresentation(limit)
+            });
+        }
+        normalized[name] = limit;
+    });
+    return normalized;
+}
+
+/**
+ *  Check the size of a value (the length of an array or the key count of an 
+ *  object or a map) against size limits.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.SizeError: 
+ *        Raised if the size exceeds the limit.
+ * 
+ *  @param {*} value - The value.
+ *  @param {TraversePath} valuePath - The path of the value.
+ *  @param {TraverseLimits} limits - The (normalized) limits.
+ *  @param {String} rule - The rule name.
+ */
+function CheckSizeLimits(value, valuePath, limits, rule) {
+    if (IsContainerOf(value, PATH_ARRAY_INDEX)) {
+        if (limits.maxArrayLength !== Infinity) {
+            CheckContainerSize(
+                value.length, 
+                limits.maxArrayLength, 
+                "item(s)", 
+                valuePath, 
+                rule
+            );
+        }
+    } else if (IsContainerOf(value, PATH_MAP_KEY)) {
+        if (limits.maxObjectKeys !== Infinity) {
+            CheckContainerSize(
+                value.size, 
+                limits.maxObjectKeys, 
+                "key(s)", 
+                valuePath, 
+                rule
+            );
+        }
+    } else if (IsContainerOf(value, PATH_OBJECT_KEY)) {
+        if (limits.maxObjectKeys !== Infinity) {
+            CheckContainerSize(
+                Object.keys(value).length, 
+                limits.maxObjectKeys, 
+                "key(s)", 
+                valuePath, 
+                rule
+            );
+        }
+    }
+}
+
+/**
+ *  Check the size of a container against a limit.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.SizeError: 
+ *        Raised if the size exceeds the limit.
+ * 
+ *  @param {Number} size - The size of the container.
+ *  @param {Number} limit - The limit.
+ *  @param {String} what - The description of the size unit (e.g. "key(s)").
+ *  @param {TraversePath} valuePath - The path of the container.
+ *  @param {String} rule - The rule name.
+ */
+function CheckContainerSize(size, limit, what, valuePath, rule) {
+    if (size > limit) {
+        throw new TraverseSizeError(Util.format(
+            "Value should have at most %d %s (path=\"%s\", current=%d).",
+            limit,
+            what,
+            valuePath.toLegacyString(),
+            size
+        ), {
+            "path": valuePath,
+            "rule": rule,
+            "expected": "size<=" + String(limit),
+            "actual": "size=" + String(size)
+        });
+    }
+}
+
+/**
+ *  Check the depth (the count of path segments) of a value against size 
+ *  limits.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.SizeError: 
+ *        Raised if the depth exceeds the limit.
+ * 
+ *  @param {TraversePath} valuePath - The path of the value.
+ *  @param {TraverseLimits} limits - The (normalized) limits.
+ *  @param {String} rule - The rule name.
+ */
+function CheckDepthLimits(valuePath, limits, rule) {
+    let depth = valuePath.getLength();
+    if (depth > limits.maxDepth) {
+        throw new TraverseSizeError(Util.format(
+            "Value is nested too deeply (path=\"%s\", max=%d).",
+            valuePath.toLegacyString(),
+            limits.maxDepth
+        ), {
+            "path": valuePath,
+            "rule": rule,
+            "expected": "depth<=" + String(limits.maxDepth),
+            "actual": "depth=" + String(depth)
+        });
+    }
+}
+
+/**
+ *  Check the count of nodes against size limits.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.SizeError: 
+ *        Raised if the count exceeds the limit.
+ * 
+ *  @param {Number} nodes - The count of nodes.
+ *  @param {TraversePath} valuePath - The path of the value where the count 
+ *                                    was reached.
+ *  @param {TraverseLimits} limits - The (normalized) limits.
+ *  @param {String} rule - The rule name.
+ */
+function CheckNodeLimits(nodes, valuePath, limits, rule) {
+    if (nodes > limits.maxNodes) {
+        throw new TraverseSizeError(Util.format(
+            "Too many nodes (path=\"%s\", max=%d).",
+            valuePath.toLegacyString(),
+            limits.maxNodes
+        ), {
+            "path": valuePath,
+            "rule": rule,
+            "expected": "nodes<=" + String(limits.maxNodes),
+            "actual": "nodes=" + String(nodes)
+        });
+    }
+}
+
+/**
+ *  Mark a path as visited.
+ * 
+ *  @param {Map<String, Map<*, Map>>} visited - The visited paths (a tree of 
+ *                                              segments).
+ *  @param {TraversePath} valuePath - The path.
+ *  @return {Number} - The count of paths (the path and its ancestors) that 
+ *                     were not visited before.
+ */
+function VisitPath(visited, valuePath) {
+    let count = 0;
+    let tree = visited;
+    valuePath.getSegments().forEach(function(segment) {
+        let values = tree.get(segment.kind);
+        if (typeof(values) == "undefined") {
+            values = new Map();
+            tree.set(segment.kind, values);
+        }
+        let subTree = values.get(segment.value);
+        if (typeof(subTree) == "undefined") {
+            subTree = new Map();
+            values.set(segment.value, subTree);
+            ++count;
+        }
+        tree = subTree;
+    });
+    return count;
+}
+
+/**
+ *  Check a whole document (e.g. a parsed JSON object) against size limits.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.SizeError: 
+ *        Raised if the document exceeds a limit.
+ * 
+ *  Note(s):
+ *    [1] The document is scanned iteratively, so that deeply nested 
+ *        documents don't overflow the call stack.
+ * 
+ *  @param {*} document - The document.
+ *  @param {TraversePath} documentPath - The path of the document.
+ *  @param {TraverseLimits} limits - The (normalized) limits.
+ *  @param {String} rule - The rule name.
+ */
+function CheckDocumentLimits(document, documentPath, limits, rule) {
+    if (
+        limits.maxDepth === Infinity && 
+        limits.maxArrayLength === Infinity && 
+        limits.maxObjectKeys === Infinity && 
+        limits.maxNodes === Infinity
+    ) {
+        return;
+    }
+    let nodes = 0;
+    let pending = [[document, documentPath]];
+    while (pending.length != 0) {
+        let [value, valuePath] = pending.pop();
+        CheckNodeLimits(++nodes, valuePath, limits, rule);
+        CheckDepthLimits(valuePath, limits, rule);
+        CheckSizeLimits(value, valuePath, limits, rule);
+        if (IsContainerOf(value, PATH_ARRAY_INDEX)) {
+            for (let i = value.length - 1; i >= 0; --i) {
+                pending.push([
+                    value[i], 
+                    valuePath.append(PATH_ARRAY_INDEX, i)
+                ]);
             }
+        } else if (IsContainerOf(value, PATH_OBJECT_KEY)) {
+            Object.keys(value).reverse().forEach(function(key) {
+                pending.push([
+                    value[key], 
+                    valuePath.append(PATH_OBJECT_KEY, key)
+                ]);
+            });
         }
+    }
+}
 
-        return self;
+/**
+ *  Create a callback that checks values against size limits while a JSON 
+ *  document is being parsed (see ParseJson() in core/source.js).
+ * 
+ *  Exception(s) (of the callback):
+ *    [1] Traverse.SizeError: 
+ *        Raised if the document exceeds a limit.
+ * 
+ *  Note(s):
+ *    [1] The string length limit is not checked by the callback (the text 
+ *        itself is checked before parsing).
+ * 
+ *  @param {TraversePath} documentPath - The path of the document.
+ *  @param {TraverseLimits} limits - The (normalized) limits.
+ *  @param {String} rule - The rule name.
+ *  @return {?function(Number, Number, function(): Array): void} - 
+ *      The callback (NULL if no limit needs to be checked while parsing).
+ */
+function CreateParseLimitChecker(documentPath, limits, rule) {
+    if (
+        limits.maxDepth === Infinity && 
+        limits.maxArrayLength === Infinity && 
+        limits.maxObjectKeys === Infinity && 
+        limits.maxNodes === Infinity
+    ) {
+        return null;
+    }
+    let baseDepth = documentPath.getLength();
+    let nodes = 0;
+    return function(depth, size, getKeys) {
+        ++nodes;
+        if (
+            nodes <= limits.maxNodes && 
+            baseDepth + depth <= limits.maxDepth && 
+            size <= Math.min(limits.maxArrayLength, limits.maxObjectKeys)
+        ) {
+            return;
+        }
+
+        //  Build the path of the value only when a limit may be exceeded.
+        let keys = getKeys();
+        let containerPath = documentPath;
+        for (let i = 0; i < keys.length - 1; ++i) {
+            containerPath = containerPath.append(
+                typeof(keys[i]) == "number" ? 
+                PATH_ARRAY_INDEX : 
+                PATH_OBJECT_KEY, 
+                keys[i]
+            );
+        }
+        if (keys.length == 0) {
+            CheckNodeLimits(nodes, documentPath, limits, rule);
+            CheckDepthLimits(documentPath, limits, rule);
+            return;
+        }
+        let key = keys[keys.length - 1];
+        let isIndex = (typeof(key) == "number");
+        let valuePath = containerPath.append(
+            isIndex ? PATH_ARRAY_INDEX : PATH_OBJECT_KEY, 
+            key
+        );
+        CheckNodeLimits(nodes, valuePath, limits, rule);
+        CheckDepthLimits(valuePath, limits, rule);
+        CheckContainerSize(
+            size, 
+            (isIndex ? limits.maxArrayLength : limits.maxObjectKeys), 
+            (isIndex ? "item(s)" : "key(s)"), 
+            containerPath, 
+            rule
+        );
     };
+}
 
-    /**
-     *  Validate the string by given regular expression.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.ParameterError: 
-     *        Raised if the "re" parameter is not a RegExp object.
-     *    [2] Traverse.FormatError: 
-     *        Raised when the inner string mismatched with the regular expressi-
-     *        on.
-     *    [3] Traverse.TypeError: 
-     *        Raised if the inner object is not string.
-     * 
-     *  @param {RegExp} re - The regular expression.
-     *  @return {Traverse} - Self.
-     */
-    this.stringValidateByRegExp = function(re) {
-        //  Check parameter type.
-        if (!CrType.IsInstanceOf(re, RegExp)) {
-            throw new TraverseParameterError(
-                "Invalid regular expression object."
+/**
+ *  Check the type of the input of a built-in transformer.
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the input is not an instance of the type.
+ * 
+ *  @param {*} value - The input.
+ *  @param {Function} constructor - The constructor of the type.
+ *  @return {*} - The input.
+ */
+function CheckTransformInput(value, constructor) {
+    if (
+        value === null || 
+        typeof(value) == "undefined" || 
+        !CrType.IsInstanceOf(value, constructor)
+    ) {
+        throw new TypeError(Util.format("Expect a %s.", constructor.name));
+    }
+    return value;
+}
+
+/**
+ *  Get whether a method name is reserved (used by built-in methods of 
+ *  traverse objects or Object.prototype).
+ * 
+ *  @param {String} name - The method name.
+ *  @return {Boolean} - True if so.
+ */
+function IsReservedMethodName(name) {
+    return (name in Traverse.prototype);
+}
+
+/**
+ *  Get the count of decimal places of a finite number.
+ * 
+ *  Note(s):
+ *    [1] The count is derived from the shortest representation of the 
+ *        number, e.g. 0.1 has 1 decimal place and 1.5e-7 has 8 decimal 
+ *        places.
+ * 
+ *  @param {Number} value - The number.
+ *  @return {Number} - The count.
+ */
+function GetDecimalPlaces(value) {
+    let matched = String(value).match(NUMBER_REPRESENTATION);
+    let fraction = (typeof(matched[2]) == "undefined" ? 0 : matched[2].length);
+    let exponent = (
+        typeof(matched[4]) == "undefined" ? 0 : parseInt(matched[4], 10)
+    );
+    return Math.max(0, fraction - exponent);
+}
+
+/**
+ *  Get whether a finite number is a multiple of a step.
+ * 
+ *  Note(s):
+ *    [1] The remainder is computed exactly if both numbers are integers.
+ *    [2] Otherwise, both numbers are scaled to integers if possible, so that 
+ *        values like 0.3 are treated as multiples of 0.1 despite 
+ *        floating-point rounding errors. If not possible, the quotient is 
+ *        compared with its nearest integer with a relative tolerance, or the 
+ *        remainder is computed exactly if the quotient is too large to be 
+ *        compared (so that the tolerance never covers a whole step).
+ * 
+ *  @param {Number} value - The number.
+ *  @param {Number} step - The step (a positive finite number).
+ *  @return {Boolean} - True if so.
+ */
+function IsMultipleOf(value, step) {
+    if (Number.isInteger(value) && Number.isInteger(step)) {
+        return value % step == 0;
+    }
+    let places = Math.max(GetDecimalPlaces(value), GetDecimalPlaces(step));
+    if (places <= MAX_SCALABLE_DECIMAL_PLACES) {
+        let scale = Math.pow(10, places);
+        let scaledValue = Math.round(value * scale);
+        let scaledStep = Math.round(step * scale);
+        if (
+            Number.isSafeInteger(scaledValue) && 
+            Number.isSafeInteger(scaledStep)
+        ) {
+            return scaledValue % scaledStep == 0;
+        }
+    }
+    let quotient = value / step;
+    if (Math.abs(quotient) > MAX_TOLERANT_QUOTIENT) {
+        return value % step == 0;
+    }
+    let tolerance = 4 * Number.EPSILON * Math.max(1, Math.abs(quotient));
+    return Math.abs(quotient - Math.round(quotient)) <= tolerance;
+}
+
+/**
+ *  Drop cached method tables (called when a method registry changed).
+ */
+function InvalidateMethodTables() {
+    METHOD_TABLES.tables = new WeakMap();
+}
+
+/**
+ *  Get built-in public methods of traverse objects.
+ * 
+ *  @return {Map<String, Boolean>} - The method names (name => true if the 
+ *                                   method is asynchronous).
+ */
+function GetBuiltinMethods() {
+    if (METHOD_TABLES.builtins === null) {
+        let builtins = new Map();
+        Object.keys(Traverse.prototype).forEach(function(name) {
+            builtins.set(
+                name, 
+                Traverse.prototype[name] instanceof ASYNC_FUNCTION
+            );
+        });
+        METHOD_TABLES.builtins = builtins;
+    }
+    return METHOD_TABLES.builtins;
+}
+
+/**
+ *  Wrap a registered method so that the traverse object is returned when the 
+ *  method returns nothing.
+ * 
+ *  @param {Function} method - The registered method.
+ *  @return {Function} - The wrapped method ("this" is the traverse object).
+ */
+function WrapRegisteredMethod(method) {
+    if (method instanceof ASYNC_FUNCTION) {
+        return async function(...args) {
+            let result = await method.apply(this, args);
+            return (typeof(result) == "undefined" ? this : result);
+        };
+    }
+    return function(...args) {
+        let result = method.apply(this, args);
+        return (typeof(result) == "undefined" ? this : result);
+    };
+}
+
+/**
+ *  Resolve the path of the sub directory that sub() or optionalSub() was 
+ *  asked to go to.
+ * 
+ *  @param {*} inner - The inner object.
+ *  @param {TraversePath} path - The path of the inner object.
+ *  @param {Array} args - The arguments of the method.
+ *  @return {TraversePath} - The path.
+ */
+function ResolveSubPath(inner, path, args) {
+    return path.append(
+        (inner instanceof Map ? PATH_MAP_KEY : PATH_OBJECT_KEY), 
+        args[0]
+    );
+}
+
+/**
+ *  Resolve the path of the array item that arrayGetItem() was asked to go 
+ *  to.
+ * 
+ *  @param {*} inner - The inner object.
+ *  @param {TraversePath} path - The path of the inner object.
+ *  @param {Array} args - The arguments of the method.
+ *  @return {TraversePath} - The path.
+ */
+function ResolveItemPath(inner, path, args) {
+    return path.append(PATH_ARRAY_INDEX, args[0]);
+}
+
+/**
+ *  Resolve the path of the value that query() or queryOptional() was asked 
+ *  to go to.
+ * 
+ *  @param {*} inner - The inner object.
+ *  @param {TraversePath} path - The path of the inner object.
+ *  @param {Array} args - The arguments of the method.
+ *  @return {?TraversePath} - The path (NULL if the expression is invalid).
+ */
+function ResolveQueryPath(inner, path, args) {
+    let expression = args[0];
+    if (!CrType.IsInstanceOf(expression, String)) {
+        return null;
+    }
+    let parsed = null;
+    try {
+        parsed = ParsePathExpression(expression);
+    } catch(error) {
+        if (!(error instanceof SyntaxError)) {
+            throw error;
+        }
+        return null;
+    }
+    if (!parsed.singular) {
+        return null;
+    }
+    let subPath = path;
+    parsed.steps.forEach(function(step, index) {
+        subPath = AppendStepToPath(
+            subPath, 
+            step, 
+            (index == 0 ? inner : undefined)
+        );
+    });
+    return subPath;
+}
+
+/**
+ *  Collect an error raised by a method of a traverse object (collect-all 
+ *  mode).
+ * 
+ *  Note(s):
+ *    [1] If a navigation method (e.g. sub()) failed, a failed child with 
+ *        undefined value is returned at the path that the method was asked 
+ *        to go to, so that reading the child never returns the value of 
+ *        the traverse object itself.
+ * 
+ *  @param {Traverse} traverse - The traverse object.
+ *  @param {TraverseState} state - The state of the traverse object.
+ *  @param {String} name - The method name.
+ *  @param {Array} args - The arguments of the method.
+ *  @param {Traverse.Error} error - The error.
+ *  @return {*} - The fallback value, a failed child or a failed copy of the 
+ *                traverse object.
+ */
+function CollectError(traverse, state, name, args, error) {
+    let context = state.context;
+    context.errors.push(error);
+    if (COLLECTING_FALLBACKS.has(name)) {
+        return COLLECTING_FALLBACKS.get(name)();
+    }
+    let childPath = null;
+    if (COLLECTING_CHILD_PATHS.has(name)) {
+        childPath = COLLECTING_CHILD_PATHS.get(name)(
+            state.inner, 
+            state.path, 
+            args
+        );
+    }
+    let failed = null;
+    if (childPath === null) {
+        failed = new Traverse(
+            state.inner, 
+            state.path, 
+            context, 
+            state.parent, 
+            state.flags
+        );
+    } else {
+        failed = new Traverse(undefined, childPath, context, traverse, {});
+    }
+    context.failed.add(failed);
+    return failed;
+}
+
+/**
+ *  Create a method that collects failures instead of raising them 
+ *  (collect-all mode).
+ * 
+ *  Note(s):
+ *    [1] Only failures of the outermost call are collected, failures of 
+ *        nested calls (the method calls another method of the traverse 
+ *        object) are still raised to the outermost call.
+ *    [2] When a method failed, the error is collected and a failed copy of 
+ *        the traverse object (or a failed child if a navigation method 
+ *        failed, see CollectError()) is returned, all methods of the failed 
+ *        object do nothing so that the rest of the chain is skipped.
+ *    [3] Errors that are not Traverse.Error are still raised.
+ *    [4] For asynchronous methods, the returned promise is intercepted 
+ *        instead (resolved with the failed copy when it was rejected with a 
+ *        Traverse.Error).
+ * 
+ *  @param {String} name - The method name.
+ *  @param {Boolean} isAsync - True if the method is asynchronous.
+ *  @param {?Function} registered - The (wrapped) registered method (NULL if 
+ *                                  the method is a built-in method).
+ *  @return {Function} - The method ("this" is the traverse object).
+ */
+function CreateCollectingMethod(name, isAsync, registered) {
+    return function(...args) {
+        let self = this;
+        let state = self[TRAVERSE_STATE];
+
+        //  Skip if the traverse object already failed.
+        if (state.context.failed.has(self)) {
+            let skipped = (
+                COLLECTING_FALLBACKS.has(name) ? 
+                COLLECTING_FALLBACKS.get(name)() : 
+                self
             );
+            return (isAsync ? Promise.resolve(skipped) : skipped);
         }
 
-        if (!self.isNull()) {
-            //  Check inner type.
-            self.string();
+        ++state.depth;
+        try {
+            let method = (
+                registered === null ? 
+                Traverse.prototype[name] : 
+                registered
+            );
+            let result = method.apply(self, args);
+            if (isAsync && state.depth == 1) {
+                return result.catch(function(error) {
+                    if (!(error instanceof TraverseError)) {
+                        throw error;
+                    }
+                    return CollectError(self, state, name, args, error);
+                });
+            }
+            return result;
+        } catch(error) {
+            if (state.depth != 1 || !(error instanceof TraverseError)) {
+                throw error;
+            }
+            return CollectError(self, state, name, args, error);
+        } finally {
+            --state.depth;
+        }
+    };
+}
 
-            //  Validate the string.
-            if (!re.test(inner)) {
-                throw new TraverseFormatError(Util.format(
-                    "String is invalid (regexp=\"%s\", path=\"%s\").",
-                    re.source,
-                    path
-                ));
+/**
+ *  Get the prototype of traverse objects that use a method registry.
+ * 
+ *  Note(s):
+ *    [1] The prototype is built once per registry (and rebuilt after any 
+ *        registry changed), so that registered methods are not installed 
+ *        on each traverse object.
+ *    [2] In collect-all mode, the prototype also contains all intercepted 
+ *        public methods (which call the built-in methods of 
+ *        Traverse.prototype), so that they are not wrapped on each traverse 
+ *        object.
+ * 
+ *  @param {TraverseMethodRegistry} registry - The method registry.
+ *  @param {Boolean} collect - True if the prototype is used in collect-all 
+ *                             mode.
+ *  @return {Object} - The (frozen) prototype.
+ */
+function GetMethodPrototype(registry, collect) {
+    let table = METHOD_TABLES.tables.get(registry);
+    if (typeof(table) == "undefined") {
+        table = {
+            "plain": null,
+            "collecting": null
+        };
+        METHOD_TABLES.tables.set(registry, table);
+    }
+    let kind = (collect ? "collecting" : "plain");
+    if (table[kind] !== null) {
+        return table[kind];
+    }
+    let names = registry.getNames();
+    if (!collect && names.length == 0) {
+        table[kind] = Traverse.prototype;
+        return table[kind];
+    }
+    let prototype = Object.create(Traverse.prototype);
+    if (collect) {
+        GetBuiltinMethods().forEach(function(isAsync, name) {
+            if (!COLLECTING_EXCLUDED_METHODS.has(name)) {
+                prototype[name] = CreateCollectingMethod(name, isAsync, null);
             }
+        });
+    }
+    names.forEach(function(name) {
+        let method = registry.get(name);
+        let wrapped = WrapRegisteredMethod(method);
+        prototype[name] = (
+            collect ? 
+            CreateCollectingMethod(
+                name, 
+                method instanceof ASYNC_FUNCTION, 
+                wrapped
+            ) : 
+            wrapped
+        );
+    });
+    table[kind] = Object.freeze(prototype);
+    return table[kind];
+}
+
+/**
+ *  Get the representation of specified object.
+ * 
+ *  @param {*} obj - The object.
+ *  @return {String} - The representation string.
+ */
+function GetObjectRepresentation(obj) {
+    if (typeof(obj) == "bigint") {
+        return obj.toString() + "n";
+    }
+    try {
+        return JSON.stringify(obj);
+    } catch(error) {
+        return "(unserializable)";
+    }
+}
+
+/**
+ *  Get the (safe) representation of the selections of oneOf().
+ * 
+ *  @param {Set|Map|Array|Object} selections - The selections.
+ *  @return {String} - The representation string.
+ */
+function GetSelectionsRepresentation(selections) {
+    if (selections instanceof Set) {
+        return GetSafeRepresentation(Array.from(selections));
+    } else if (selections instanceof Map) {
+        return GetSafeRepresentation(Array.from(selections.keys()));
+    } else if (selections instanceof Array) {
+        return GetSafeRepresentation(selections);
+    } else {
+        return GetSafeRepresentation(Object.keys(selections));
+    }
+}
+
+/**
+ *  Get the path of specific sub directory.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} kind - The segment kind.
+ *  @param {*} key - The key (or index) of sub directory.
+ *  @param {String} [name] - The name of sub directory in legacy path 
+ *                           string.
+ *  @return {TraversePath} - The path.
+ */
+function GetSubPath(self, kind, key, name) {
+    let path = self[TRAVERSE_STATE].path;
+    if (typeof(name) == "undefined") {
+        return path.append(kind, key);
+    } else {
+        return path.append(kind, key, name);
+    }
+}
+
+/**
+ *  Create a traverse object of specific sub directory.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {*} value - The value of sub directory.
+ *  @param {TraversePath} subPath - The path of sub directory.
+ *  @param {TraverseFlags} [subFlags] - The flags of sub directory.
+ *  @return {Traverse} - The traverse object.
+ */
+function CreateSubTraverse(self, value, subPath, subFlags = {}) {
+    let context = self[TRAVERSE_STATE].context;
+    let limits = context.limits;
+    if (limits.maxNodes !== Infinity) {
+        let count = VisitPath(context.visited, subPath);
+        if (count != 0) {
+            context.nodes += count;
+            CheckNodeLimits(context.nodes, subPath, limits, "limits");
+        }
+    }
+    CheckDepthLimits(subPath, limits, "limits");
+    CheckSizeLimits(value, subPath, limits, "limits");
+    return new Traverse(value, subPath, context, self, subFlags);
+}
+
+/**
+ *  Create a copy of current object which raises failures immediately 
+ *  (even in collect-all mode).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {*} [value] - The inner object of the copy (default: the inner 
+ *                       object of current object).
+ *  @return {Traverse} - The copy.
+ */
+function CreateRaisingCopy(self, value = self[TRAVERSE_STATE].inner) {
+    let state = self[TRAVERSE_STATE];
+    let path = state.path;
+    let context = state.context;
+    let parent = state.parent;
+    let flags = state.flags;
+    let raisingContext = new TraverseContext(
+        Object.assign({}, context.options, {
+            "collect": false
+        })
+    );
+    raisingContext.sources = context.sources;
+    return new Traverse(
+        value, 
+        path, 
+        raisingContext, 
+        (
+            parent === null ? 
+            null : 
+            AdoptTraverse(self, parent, raisingContext)
+        ), 
+        flags
+    );
+}
+
+/**
+ *  Create a traverse object of current position with the inner object 
+ *  replaced, without mutating current inner object and its ancestors.
+ * 
+ *  Note(s):
+ *    [1] The ancestors are shallow-copied with the changed branch 
+ *        replaced (structural sharing), so the root of the returned object 
+ *        is an updated copy of current root.
+ *    [2] Changes are not propagated across pseudo path segments (e.g. 
+ *        "[JSON(Load)]") or parents which don't contain current object 
+ *        (e.g. the key of selectFromObject()), the returned object has no 
+ *        parent in such situations.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {*} value - The new inner object.
+ *  @return {Traverse} - The traverse object.
+ */
+function CreateUpdatedTraverse(self, value) {
+    let state = self[TRAVERSE_STATE];
+    let path = state.path;
+    let context = state.context;
+    let parent = state.parent;
+    let segments = path.getSegments();
+    if (segments.length == 0 || parent === null) {
+        return new Traverse(value, path, context);
+    }
+    let last = segments[segments.length - 1];
+    let container = parent.unwrap();
+    if (!IsContainerOf(container, last.kind)) {
+        return new Traverse(value, path, context);
+    }
+    container = CloneContainer(container);
+    SetContainerItem(container, last.kind, last.value, value);
+    return new Traverse(
+        value, 
+        path, 
+        context, 
+        parent.replaceImmutable(container)
+    );
+}
+
+/**
+ *  Resolve a key of a deep update.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the container is not an Object, an Array or a Map.
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the key of an Array is not an integer.
+ *    [3] Traverse.IndexOutOfRangeError: 
+ *        Raised if the key of an Array is out of range.
+ *    [4] Traverse.KeyNotFoundError: 
+ *        Raised if the key doesn't exist (if required).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {*} container - The container.
+ *  @param {*} key - The key.
+ *  @param {TraversePath} containerPath - The path of the container.
+ *  @param {String} rule - The name of calling method.
+ *  @param {Boolean} mustExist - True if the key must exist (otherwise, 
+ *                               appending an item to an Array is allowed).
+ *  @return {{kind: String, key: *, exists: Boolean}} - The resolved key.
+ */
+function ResolveDeepKey(self, container, key, containerPath, rule, mustExist) {
+    if (IsContainerOf(container, PATH_ARRAY_INDEX)) {
+        if (!Number.isInteger(key)) {
+            throw CreateError(
+                self, 
+                TraverseParameterError, 
+                "Offset must be an integer.", 
+                {
+                    "path": containerPath,
+                    "rule": rule,
+                    "expected": "integer",
+                    "actual": GetSafeRepresentation(key)
+                }
+            );
+        }
+        let upper = (mustExist ? container.length : container.length + 1);
+        if (key < 0 || key >= upper) {
+            throw CreateError(
+                self, 
+                TraverseIndexOutOfRangeError, 
+                "Offset is out of range.", 
+                {
+                    "path": containerPath.append(PATH_ARRAY_INDEX, key),
+                    "rule": rule,
+                    "expected": Util.format("[0, %d)", upper),
+                    "actual": GetSafeRepresentation(key)
+                }
+            );
+        }
+        return {
+            "kind": PATH_ARRAY_INDEX,
+            "key": key,
+            "exists": (key < container.length)
+        };
+    }
+    let resolved = null;
+    if (IsContainerOf(container, PATH_MAP_KEY)) {
+        resolved = {
+            "kind": PATH_MAP_KEY,
+            "key": key,
+            "exists": container.has(key)
+        };
+    } else if (IsContainerOf(container, PATH_OBJECT_KEY)) {
+        key = String(key);
+        resolved = {
+            "kind": PATH_OBJECT_KEY,
+            "key": key,
+            "exists": Object.prototype.hasOwnProperty.call(container, key)
+        };
+    } else {
+        throw CreateError(self, TraverseTypeError, Util.format(
+            "Invalid object type (path=\"%s\").",
+            containerPath.toLegacyString()
+        ), {
+            "path": containerPath,
+            "rule": rule,
+            "expected": "Object/Array/Map",
+            "actual": GetSafeRepresentation(container)
+        });
+    }
+    if (mustExist && !resolved.exists) {
+        let itemPath = containerPath.append(resolved.kind, resolved.key);
+        throw CreateError(self, TraverseKeyNotFoundError, Util.format(
+            "Sub path doesn't exist (path=\"%s\").",
+            itemPath.toLegacyString()
+        ), {
+            "path": itemPath,
+            "rule": rule,
+            "expected": "existed key",
+            "actual": "undefined"
+        });
+    }
+    return resolved;
+}
+
+/**
+ *  Create an updated copy of a container along a key path.
+ * 
+ *  Note(s):
+ *    [1] Only the containers along the key path are copied.
+ *    [2] Missing intermediate containers are created as plain objects 
+ *        (unless the keys must exist).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {*} container - The container.
+ *  @param {Array} keys - The keys.
+ *  @param {Number} cursor - The index of the key of the container.
+ *  @param {TraversePath} containerPath - The path of the container.
+ *  @param {String} rule - The name of calling method.
+ *  @param {Boolean} mustExist - True if the keys must exist.
+ *  @param {(copy: *, kind: String, key: *) => void} update - The callback 
+ *                                                           which updates 
+ *                                                           the copy of 
+ *                                                           the last 
+ *                                                           container.
+ *  @return {*} - The updated copy.
+ */
+function UpdateDeep(
+    self, 
+    container, 
+    keys, 
+    cursor, 
+    containerPath, 
+    rule, 
+    mustExist, 
+    update
+) {
+    let resolved = ResolveDeepKey(
+        self, 
+        container, 
+        keys[cursor], 
+        containerPath, 
+        rule, 
+        mustExist
+    );
+    let copy = CloneContainer(container);
+    if (cursor + 1 == keys.length) {
+        update(copy, resolved.kind, resolved.key);
+        return copy;
+    }
+    let item = (
+        resolved.exists ? 
+        GetContainerItem(container, resolved.kind, resolved.key) : 
+        {}
+    );
+    SetContainerItem(copy, resolved.kind, resolved.key, UpdateDeep(
+        self, 
+        item, 
+        keys, 
+        cursor + 1, 
+        containerPath.append(resolved.kind, resolved.key), 
+        rule, 
+        mustExist, 
+        update
+    ));
+    return copy;
+}
+
+/**
+ *  Parse a path expression.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the expression is not a string or is invalid, or the 
+ *        expression is not singular (if required).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} expression - The expression.
+ *  @param {String} rule - The name of calling method.
+ *  @param {Boolean} singular - True if the expression must be singular 
+ *                              (matches at most one value).
+ *  @return {Object[]} - The steps.
+ */
+function ParsePathExpressionSteps(self, expression, rule, singular) {
+    if (!CrType.IsInstanceOf(expression, String)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Path expression must be a string.", 
+            {
+                "rule": rule,
+                "expected": "String",
+                "actual": GetSafeRepresentation(expression)
+            }
+        );
+    }
+    let parsed = null;
+    try {
+        parsed = ParsePathExpression(expression);
+    } catch(error) {
+        if (!(error instanceof SyntaxError)) {
+            throw error;
+        }
+        throw CreateError(self, TraverseParameterError, Util.format(
+            "Invalid path expression (error=\"%s\").",
+            error.message
+        ), {
+            "rule": rule,
+            "expected": "JSON pointer/JSONPath",
+            "actual": GetSafeRepresentation(expression)
+        });
+    }
+    if (singular && !parsed.singular) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Path expression may match multiple values (use queryAll() " + 
+            "instead).", 
+            {
+                "rule": rule,
+                "expected": "singular path expression",
+                "actual": GetSafeRepresentation(expression)
+            }
+        );
+    }
+    return parsed.steps;
+}
+
+/**
+ *  Wrap a traverse object (and its ancestors) into the context of current 
+ *  object (e.g. objects created by a raising copy).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {Traverse} traverse - The traverse object.
+ *  @param {TraverseContext} [targetContext] - The context to be wrapped 
+ *                                             into (default: the context 
+ *                                             of current object).
+ *  @return {Traverse} - The wrapped traverse object.
+ */
+function AdoptTraverse(
+    self, 
+    traverse, 
+    targetContext = self[TRAVERSE_STATE].context
+) {
+    let adoptedParent = traverse.parent();
+    if (adoptedParent !== null) {
+        adoptedParent = AdoptTraverse(self, adoptedParent, targetContext);
+    }
+    return new Traverse(
+        traverse.unwrap(), 
+        traverse.getPathObject(), 
+        targetContext, 
+        adoptedParent
+    );
+}
+
+/**
+ *  Go to the parent of a traverse object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.KeyNotFoundError: 
+ *        Raised if the traverse object has no parent.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {Traverse} traverse - The traverse object.
+ *  @param {String} rule - The name of calling method.
+ *  @return {Traverse} - The parent traverse object.
+ */
+function GoToParent(self, traverse, rule) {
+    let parentTraverse = traverse.parent();
+    if (parentTraverse === null) {
+        throw CreateError(self, TraverseKeyNotFoundError, Util.format(
+            "Parent doesn't exist (path=\"%s\").",
+            traverse.getPath()
+        ), {
+            "path": traverse.getPathObject(),
+            "rule": rule,
+            "expected": "parent",
+            "actual": GetSafeRepresentation(traverse.unwrap())
+        });
+    }
+    return parentTraverse;
+}
+
+/**
+ *  Go to a child of a traverse object (an item if the inner object of the 
+ *  traverse object is an array, a sub directory otherwise).
+ * 
+ *  @param {Traverse} traverse - The traverse object.
+ *  @param {*} key - The key (or the index).
+ *  @return {Traverse} - Traverse object of the child.
+ */
+function GoToChild(traverse, key) {
+    if (Array.isArray(traverse.unwrap())) {
+        return traverse.arrayGetItem(key);
+    } else {
+        return traverse.sub(key);
+    }
+}
+
+/**
+ *  Create an error with structured details.
+ * 
+ *  Note(s):
+ *    [1] The path and the actual value of the error default to the path 
+ *        and the inner object of current object.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {function(new:TraverseError, String, TraverseErrorDetails)} 
+ *      ErrorClass - The error class.
+ *  @param {String} message - The message.
+ *  @param {TraverseErrorDetails} details - The details.
+ *  @return {TraverseError} - The error.
+ */
+function CreateError(self, ErrorClass, message, details) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let errorPath = details.path || path;
+    return new ErrorClass(message, {
+        "path": errorPath,
+        "rule": details.rule,
+        "expected": details.expected,
+        "actual": (
+            "actual" in details ? 
+            details.actual : 
+            GetSafeRepresentation(inner)
+        ),
+        "location": (
+            "location" in details ? 
+            details.location : 
+            LocateSource(self, errorPath)
+        )
+    });
+}
+
+/**
+ *  Get the source location of a value in documents loaded with source 
+ *  maps.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {TraversePath} valuePath - The path of the value.
+ *  @param {Boolean} [nearest] - True if the location of the nearest 
+ *                               ancestor is returned when the value is 
+ *                               not in the source map (default: true).
+ *  @return {?TraverseSourceLocation} - The location (NULL if not 
+ *                                      available).
+ */
+function LocateSource(self, valuePath, nearest = true) {
+    let context = self[TRAVERSE_STATE].context;
+    let pointer = valuePath.toJsonPointer();
+    let found = null;
+    context.sources.forEach(function(source) {
+        let root = source.path.toJsonPointer();
+        if (
+            (pointer == root || pointer.startsWith(root + "/")) && 
+            (found === null || root.length > found.root.length)
+        ) {
+            found = {
+                "root": root,
+                "sourceMap": source.sourceMap
+            };
+        }
+    });
+    if (found === null) {
+        return null;
+    }
+    let relative = pointer.substring(found.root.length);
+    return (
+        nearest ? 
+        found.sourceMap.locateNearest(relative) : 
+        found.sourceMap.locate(relative)
+    );
+}
+
+/**
+ *  Check the length of the inner object (a string to be loaded) against 
+ *  the "maxStringLength" limit.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.SizeError: 
+ *        Raised if the string is too long.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} rule - The rule name.
+ */
+function CheckStringLimits(self, rule) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let context = state.context;
+    let limit = context.limits.maxStringLength;
+    if (inner.length > limit) {
+        throw CreateError(self, TraverseSizeError, Util.format(
+            "String should have at most %d character(s) (path=\"%s\", " + 
+            "current=%d).",
+            limit,
+            path.toLegacyString(),
+            inner.length
+        ), {
+            "rule": rule,
+            "expected": "length<=" + String(limit),
+            "actual": "length=" + String(inner.length)
+        });
+    }
+}
+
+/**
+ *  Load a document from current inner object (a string).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParseError: 
+ *        Raised if failed to parse the document.
+ *    [2] Traverse.TypeError: 
+ *        Raised if the inner object is not string.
+ *    [3] Traverse.SizeError: 
+ *        Raised if the string or the parsed document exceeds a size limit.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} rule - The rule name (e.g. "jsonLoad").
+ *  @param {String} format - The format name (e.g. "JSON").
+ *  @param {function(String, TraversePath): Object} parse - 
+ *      The parser, which gets the text and the path of the document and 
+ *      returns the parsed value, the source map (NULL if not built) and 
+ *      whether size limits were checked while parsing as {value, 
+ *      sourceMap, checked}.
+ *  @return {Traverse} - The parsed document wrapped with Traverse.
+ */
+function LoadDocument(self, rule, format, parse) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let context = state.context;
+    let flags = state.flags;
+
+    //  Get the sub path.
+    let subPath = GetSubPath(self, PATH_PSEUDO, "[" + format + "(Load)]");
+
+    if (IsSkipped(self, rule)) {
+        return CreateSubTraverse(self, inner, subPath, flags);
+    }
+
+    //  Ensure the inner object is a string.
+    CheckType(self, String, rule);
+    CheckStringLimits(self, rule);
+
+    //  Parse the document.
+    let result = null;
+    try {
+        result = parse(inner, subPath);
+    } catch(error) {
+        if (error instanceof TraverseSizeError) {
+            throw error;
+        }
+        let location = null;
+        if (error instanceof TraverseSyntaxError) {
+            location = new TraverseSourceMap(inner).locateOffset(
+                error.offset
+            );
+        }
+        throw CreateError(self, TraverseParseError, Util.format(
+            "Unable to parse %s object (error=\"%s\", path=\"%s\").",
+            format,
+            (
+                location === null ? 
+                error.message || "(unknown)" : 
+                Util.format(
+                    "%s (line %d, column %d)",
+                    error.message,
+                    location.line,
+                    location.column
+                )
+            ),
+            subPath.toLegacyString()
+        ), {
+            "path": subPath,
+            "rule": rule,
+            "expected": format,
+            "location": location
+        });
+    }
+    if (result.checked !== true) {
+        CheckDocumentLimits(result.value, subPath, context.limits, rule);
+    }
+    if (result.sourceMap !== null) {
+        context.sources.push({
+            "path": subPath,
+            "sourceMap": result.sourceMap
+        });
+    }
+
+    return CreateSubTraverse(self, result.value, subPath);
+}
+
+/**
+ *  Save current inner object to a document.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object can't be represented in the format 
+ *        (e.g. cyclic object value was found).
+ *    [2] Traverse.Error: 
+ *        Raised when other serialization error occurred.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} rule - The rule name (e.g. "jsonSave").
+ *  @param {String} format - The format name (e.g. "JSON").
+ *  @param {function(*): String} stringify - The serializer.
+ *  @return {Traverse} - The serialized document wrapped with Traverse.
+ */
+function SaveDocument(self, rule, format, stringify) {
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Sub path.
+    let subPath = GetSubPath(self, PATH_PSEUDO, "[" + format + "(Save)]");
+
+    //  Serialize.
+    let serialized = null;
+    try {
+        serialized = stringify(inner);
+    } catch(error) {
+        let message = Util.format(
+            "Unable to serialize to %s (error=\"%s\", path=\"%s\").",
+            format,
+            error.message || "(unknown)",
+            subPath.toLegacyString()
+        );
+        let details = {
+            "path": subPath,
+            "rule": rule,
+            "expected": format + " serializable"
+        };
+        if (error instanceof TypeError) {
+            throw CreateError(self, TraverseTypeError, message, details);
+        } else {
+            //  Handle unstandardized error.
+            throw CreateError(self, TraverseError, message, details);
+        }
+    }
+
+    return CreateSubTraverse(self, serialized, subPath);
+}
+
+/**
+ *  Get whether the inner object is "nothing" (NULL or undefined) which 
+ *  should be skipped by assertions.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @return {Boolean} - True if so.
+ */
+function IsSkippable(self) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let flags = state.flags;
+    if (inner === null) {
+        return flags.nullable;
+    }
+    if (typeof(inner) == "undefined") {
+        return flags.optional;
+    }
+    return false;
+}
+
+/**
+ *  Get whether an assertion should be skipped.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is NULL (or undefined) but it is not 
+ *        nullable (or optional).
+ *    [2] Traverse.KeyNotFoundError: 
+ *        Raised if the key of the inner object doesn't exist and the inner 
+ *        object is not optional.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} rule - The rule name.
+ *  @return {Boolean} - True if the inner object is an allowed "nothing".
+ */
+function IsSkipped(self, rule) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let flags = state.flags;
+    if (IsSkippable(self)) {
+        return true;
+    }
+    if (inner === null) {
+        throw CreateError(self, TraverseTypeError, Util.format(
+            "Value should not be NULL (path=\"%s\").",
+            path.toLegacyString()
+        ), {
+            "rule": rule,
+            "expected": "not null"
+        });
+    }
+    if (typeof(inner) == "undefined") {
+        if (flags.missing) {
+            throw CreateError(self, TraverseKeyNotFoundError, Util.format(
+                "Sub path doesn't exist (path=\"%s\").",
+                path.toLegacyString()
+            ), {
+                "rule": rule
+            });
+        }
+        throw CreateError(self, TraverseTypeError, Util.format(
+            "Value should not be undefined (path=\"%s\").",
+            path.toLegacyString()
+        ), {
+            "rule": rule,
+            "expected": "not undefined"
+        });
+    }
+    return false;
+}
+
+/**
+ *  Check the type of inner object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the constructor is not valid.
+ *    [2] Traverse.TypeError: 
+ *        Raised if the inner object is not constructed by the constructor.
+ *    [3] Traverse.KeyNotFoundError: 
+ *        Raised if the key of the inner object doesn't exist.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {{new(...args: any[]): object}} constructor - The constructor of 
+ *                                                       the type.
+ *  @param {String} rule - The rule name.
+ */
+function CheckType(self, constructor, rule) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+
+    //  Check input parameter.
+    if (!CrType.IsInstanceOf(constructor, Function)) {
+        throw CreateError(self, TraverseParameterError, "Not a constructor.", {
+            "rule": rule,
+            "expected": "constructor",
+            "actual": GetSafeRepresentation(constructor)
+        });
+    }
+
+    //  Check inner type.
+    if (!IsSkipped(self, rule) && !CrType.IsInstanceOf(inner, constructor)) {
+        throw CreateError(self, TraverseTypeError, Util.format(
+            "Invalid object type (path=\"%s\").",
+            path.toLegacyString()
+        ), {
+            "rule": rule,
+            "expected": constructor.name || "(anonymous)"
+        });
+    }
+}
+
+/**
+ *  Check whether the inner object is an integer (an integral number or a 
+ *  BigInt).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not an integer.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} rule - The rule name.
+ */
+function CheckInteger(self, rule) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    if (IsSkipped(self, rule) || typeof(inner) == "bigint") {
+        return;
+    }
+
+    //  The inner object must be a number first.
+    CheckType(self, Number, rule);
+
+    //  Check whether the number is an integer.
+    if (!Number.isInteger(inner)) {
+        throw CreateError(self, TraverseTypeError, Util.format(
+            "Value should be an integer (path=\"%s\").",
+            path.toLegacyString()
+        ), {
+            "rule": rule,
+            "expected": "integer"
+        });
+    }
+}
+
+/**
+ *  Check whether the inner object is a number (or a BigInt if allowed).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a number (or a BigInt).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} rule - The rule name.
+ *  @param {Boolean} allowBigInt - True if BigInts are allowed.
+ */
+function CheckNumber(self, rule, allowBigInt) {
+    let inner = self[TRAVERSE_STATE].inner;
+    if (!allowBigInt || typeof(inner) != "bigint") {
+        CheckType(self, Number, rule);
+    }
+}
+
+/**
+ *  Get the representation of a numeric value (for error messages).
+ * 
+ *  @param {Number|BigInt} value - The value.
+ *  @return {String} - The representation (e.g. "NaN", "-Infinity" or 
+ *                     "10n").
+ */
+function GetNumericRepresentation(value) {
+    return String(value) + (typeof(value) == "bigint" ? "n" : "");
+}
+
+/**
+ *  Raise an error about the inner numeric value.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {Function} ErrorClass - The error class.
+ *  @param {String} description - The description of the expectation 
+ *                                (e.g. "positive").
+ *  @param {String} rule - The rule name.
+ *  @param {String} [expected] - The expected constraint (default: the 
+ *                               description).
+ */
+function RaiseNumericError(
+    self, 
+    ErrorClass, 
+    description, 
+    rule, 
+    expected = description
+) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let actual = GetNumericRepresentation(inner);
+    throw CreateError(self, ErrorClass, Util.format(
+        "Value should be %s (path=\"%s\", value=%s).",
+        description,
+        path.toLegacyString(),
+        actual
+    ), {
+        "rule": rule,
+        "expected": expected,
+        "actual": actual
+    });
+}
+
+/**
+ *  Check whether the inner object is a valid Date object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a Date object or the date is 
+ *        invalid.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} rule - The rule name.
+ */
+function CheckDate(self, rule) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    CheckType(self, Date, rule);
+    if (!IsSkipped(self, rule) && Number.isNaN(inner.getTime())) {
+        throw CreateError(self, TraverseTypeError, Util.format(
+            "Value should be a valid date (path=\"%s\").",
+            path.toLegacyString()
+        ), {
+            "rule": rule,
+            "expected": "valid date",
+            "actual": "Invalid Date"
+        });
+    }
+}
+
+/**
+ *  Get the threshold date.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the threshold is not a valid date.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {Date|Number|String} threshold - The threshold (a Date object, a 
+ *                                          timestamp or a date string).
+ *  @param {String} rule - The rule name.
+ *  @return {Date} - The threshold date.
+ */
+function GetDateThreshold(self, threshold, rule) {
+    let date = null;
+    if (threshold instanceof Date) {
+        date = new Date(threshold.getTime());
+    } else if (
+        typeof(threshold) == "number" || 
+        typeof(threshold) == "string"
+    ) {
+        date = new Date(threshold);
+    }
+    if (date === null || Number.isNaN(date.getTime())) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Invalid date threshold.", 
+            {
+                "rule": rule,
+                "expected": "Date/timestamp/date string",
+                "actual": GetSafeRepresentation(threshold)
+            }
+        );
+    }
+    return date;
+}
+
+/**
+ *  Coerce the inner object (if it's a string) to specific type.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is neither a string nor an object of 
+ *        specific type.
+ *    [2] Traverse.ParseError: 
+ *        Raised if the string can't be converted.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {Function} constructor - The constructor of the type.
+ *  @param {(text: String, options: CoerceOptions) => *} parser - The 
+ *      parser (returns NULL if failed).
+ *  @param {CoerceOptions} options - The coercion options.
+ *  @param {String} rule - The name of calling method.
+ *  @param {String} expected - The description of the type.
+ *  @return {Traverse} - Traverse object of the converted value (or self 
+ *                       if the inner object is not a string).
+ */
+function Coerce(self, constructor, parser, options, rule, expected) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let context = state.context;
+    let parent = state.parent;
+    if (IsSkipped(self, rule)) {
+        return self;
+    }
+    if (CrType.IsInstanceOf(inner, String)) {
+        let value = parser(inner, options);
+        if (value === null) {
+            throw CreateError(self, TraverseParseError, Util.format(
+                "Unable to convert %s to %s (path=\"%s\").",
+                GetSafeRepresentation(inner),
+                expected,
+                path.toLegacyString()
+            ), {
+                "rule": rule,
+                "expected": expected
+            });
+        }
+        return new Traverse(value, path, context, parent);
+    }
+    if (!CrType.IsInstanceOf(inner, constructor)) {
+        throw CreateError(self, TraverseTypeError, Util.format(
+            "Invalid object type (path=\"%s\").",
+            path.toLegacyString()
+        ), {
+            "rule": rule,
+            "expected": constructor.name + "/String"
+        });
+    }
+    return self;
+}
+
+/**
+ *  Check the concurrency of asynchronous iterations.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the concurrency is neither a positive integer nor 
+ *        Infinity.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {Number} concurrency - The concurrency.
+ *  @param {String} rule - The rule name.
+ */
+function CheckConcurrency(self, concurrency, rule) {
+    if (
+        concurrency !== Infinity && 
+        !(Number.isInteger(concurrency) && concurrency >= 1)
+    ) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Concurrency should be a positive integer or Infinity.", 
+            {
+                "rule": rule,
+                "expected": "positive integer",
+                "actual": GetSafeRepresentation(concurrency)
+            }
+        );
+    }
+}
+
+/**
+ *  Get whether the inner object (an Object or a Map) has a field.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {*} key - The key of the field.
+ *  @return {Boolean} - True if so.
+ */
+function HasField(self, key) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let context = state.context;
+    if (inner instanceof Map) {
+        return inner.has(key);
+    }
+    return HasObjectKey(inner, key, context.ownProperties);
+}
+
+/**
+ *  Get the value of a field of the inner object (an Object or a Map).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {*} key - The key of the field.
+ *  @return {*} - The value.
+ */
+function GetField(self, key) {
+    let inner = self[TRAVERSE_STATE].inner;
+    return (inner instanceof Map ? inner.get(key) : inner[key]);
+}
+
+/**
+ *  Get the path of a field of the inner object (an Object or a Map).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {*} key - The key of the field.
+ *  @return {TraversePath} - The path.
+ */
+function GetFieldPath(self, key) {
+    let inner = self[TRAVERSE_STATE].inner;
+    return GetSubPath(
+        self, 
+        (inner instanceof Map ? PATH_MAP_KEY : PATH_OBJECT_KEY), 
+        key
+    );
+}
+
+/**
+ *  Check the keys of fields (a non-empty array is expected).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the keys is not a non-empty array.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {Array} keys - The keys.
+ *  @param {String} rule - The name of calling method.
+ */
+function CheckFieldKeys(self, keys, rule) {
+    if (!Array.isArray(keys) || keys.length == 0) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Keys must be a non-empty array.", 
+            {
+                "rule": rule,
+                "expected": "non-empty Array",
+                "actual": GetSafeRepresentation(keys)
+            }
+        );
+    }
+}
+
+/**
+ *  Assume that at most one of specified fields exists.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.Error: 
+ *        Raised if more than one field exist (reported at the path of the 
+ *        second existing field).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {Array} keys - The keys of the fields.
+ *  @param {String} rule - The name of calling method.
+ *  @return {Number} - The count of existing fields.
+ */
+function CheckExclusiveFields(self, keys, rule) {
+    let existing = keys.filter(function(key) {
+        return HasField(self, key);
+    });
+    if (existing.length > 1) {
+        let fieldPath = GetFieldPath(self, existing[1]);
+        throw CreateError(self, TraverseError, Util.format(
+            "Sub paths are mutually exclusive (path=\"%s\", " + 
+            "conflict=\"%s\").",
+            fieldPath.toLegacyString(),
+            GetFieldPath(self, existing[0]).toLegacyString()
+        ), {
+            "path": fieldPath,
+            "rule": rule,
+            "expected": "at most one of " + GetSafeRepresentation(keys),
+            "actual": GetSafeRepresentation(existing)
+        });
+    }
+    return existing.length;
+}
+
+/**
+ *  Assume that at least one of specified fields exists.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.KeyNotFoundError: 
+ *        Raised if none of the fields exists.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {Array} keys - The keys of the fields.
+ *  @param {String} rule - The name of calling method.
+ */
+function CheckAnyField(self, keys, rule) {
+    let path = self[TRAVERSE_STATE].path;
+    let exists = keys.some(function(key) {
+        return HasField(self, key);
+    });
+    if (!exists) {
+        throw CreateError(self, TraverseKeyNotFoundError, Util.format(
+            "One of sub paths is required (path=\"%s\", keys=%s).",
+            path.toLegacyString(),
+            GetSafeRepresentation(keys)
+        ), {
+            "rule": rule,
+            "expected": "one of " + GetSafeRepresentation(keys),
+            "actual": "none"
+        });
+    }
+}
+
+/**
+ *  Assume that two fields satisfy a relation (skipped if any of the 
+ *  fields doesn't exist).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised in following situations:
+ * 
+ *          - The operator is not supported.
+ *          - The types of the two fields are different.
+ * 
+ *    [2] Traverse.ValueOutOfRangeError: 
+ *        Raised if the relation is not satisfied (reported at the path of 
+ *        the first field).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {*} key - The key of the first field.
+ *  @param {String} operator - The operator.
+ *  @param {*} otherKey - The key of the second field.
+ *  @param {TraverseComparator} comparator - The comparator.
+ *  @param {String} rule - The name of calling method.
+ */
+function CompareFields(self, key, operator, otherKey, comparator, rule) {
+    //  Check the operator.
+    if (!FIELD_RELATIONS.has(operator)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Unsupported operator.", 
+            {
+                "rule": rule,
+                "expected": GetSafeRepresentation(
+                    Array.from(FIELD_RELATIONS.keys())
+                ),
+                "actual": GetSafeRepresentation(operator)
+            }
+        );
+    }
+
+    //  Skip if any of the fields doesn't exist.
+    if (!HasField(self, key) || !HasField(self, otherKey)) {
+        return;
+    }
+
+    //  Check the relation.
+    let fieldPath = GetFieldPath(self, key);
+    let otherPath = GetFieldPath(self, otherKey);
+    let value = GetField(self, key);
+    let other = GetField(self, otherKey);
+    let expected = operator + otherPath.toLegacyString();
+    if (!CrType.IsSameType(value, other)) {
+        throw CreateError(self, TraverseParameterError, Util.format(
+            "Uncomparable type (path=\"%s\", other=\"%s\").",
+            fieldPath.toLegacyString(),
+            otherPath.toLegacyString()
+        ), {
+            "path": fieldPath,
+            "rule": rule,
+            "expected": expected,
+            "actual": GetSafeRepresentation(value)
+        });
+    }
+    if (!FIELD_RELATIONS.get(operator)(comparator, value, other)) {
+        throw CreateError(self, TraverseValueOutOfRangeError, Util.format(
+            "Value doesn't satisfy the relation (path=\"%s\", " + 
+            "require='%s', other=\"%s\").",
+            fieldPath.toLegacyString(),
+            operator,
+            otherPath.toLegacyString()
+        ), {
+            "path": fieldPath,
+            "rule": rule,
+            "expected": expected,
+            "actual": GetSafeRepresentation(value)
+        });
+    }
+}
+
+/**
+ *  Get the paths of unexpected keys of the inner object (an Object or a 
+ *  Map).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the allowed keys is not an array of Strings and RegExps.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {Array<String|RegExp>} allowed - The allowed keys (and the 
+ *                                          patterns of allowed keys).
+ *  @param {String} rule - The name of calling method.
+ *  @return {{key: *, path: TraversePath}[]} - The unexpected keys.
+ */
+function GetUnexpectedKeys(self, allowed, rule) {
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check the allowed keys.
+    if (
+        !Array.isArray(allowed) || 
+        !allowed.every(function(item) {
+            return (
+                CrType.IsInstanceOf(item, String) || 
+                (item instanceof RegExp)
+            );
+        })
+    ) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Allowed keys must be an array of strings and RegExps.", 
+            {
+                "rule": rule,
+                "expected": "Array<String|RegExp>",
+                "actual": GetSafeRepresentation(allowed)
+            }
+        );
+    }
+
+    //  Scan all keys.
+    let keys = (
+        inner instanceof Map ? Array.from(inner.keys()) : Object.keys(inner)
+    );
+    return keys.filter(function(key) {
+        return !allowed.some(function(item) {
+            if (item instanceof RegExp) {
+                item.lastIndex = 0;
+                return (typeof(key) == "string" && item.test(key));
+            }
+            return (item === key);
+        });
+    }).map(function(key) {
+        return {
+            "key": key,
+            "path": GetFieldPath(self, key)
+        };
+    });
+}
+
+/**
+ *  Check whether the inner object is a byte buffer (an ArrayBuffer, a 
+ *  TypedArray, a DataView or a Buffer).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is NULL or is not a byte buffer.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} rule - The name of calling method.
+ *  @return {DataView} - A view of the bytes of the inner object.
+ */
+function CheckBytes(self, rule) {
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    self.notNull();
+    if (inner instanceof ArrayBuffer) {
+        return new DataView(inner);
+    }
+    if (ArrayBuffer.isView(inner)) {
+        return new DataView(
+            inner.buffer, 
+            inner.byteOffset, 
+            inner.byteLength
+        );
+    }
+    throw CreateError(self, TraverseTypeError, Util.format(
+        "Invalid object type (path=\"%s\").",
+        path.toLegacyString()
+    ), {
+        "rule": rule,
+        "expected": "ArrayBuffer/TypedArray/DataView/Buffer"
+    });
+}
+
+/**
+ *  Check the unit of string length.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the unit is not supported (e.g. "grapheme" without 
+ *        Intl.Segmenter).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} unit - The unit.
+ *  @param {String} rule - The name of calling method.
+ */
+function CheckStringLengthUnit(self, unit, rule) {
+    if (!HasStringLengthUnit(unit)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Unsupported string length unit.", 
+            {
+                "rule": rule,
+                "expected": GetStringLengthUnitNames().join("/"),
+                "actual": GetSafeRepresentation(unit)
+            }
+        );
+    }
+}
+
+/**
+ *  Check the letter case.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the letter case is not supported.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {String} letterCase - The letter case.
+ *  @param {String} rule - The name of calling method.
+ */
+function CheckLetterCase(self, letterCase, rule) {
+    if (!LETTER_CASES.has(letterCase)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Unsupported letter case.", 
+            {
+                "rule": rule,
+                "expected": "lower/upper",
+                "actual": GetSafeRepresentation(letterCase)
+            }
+        );
+    }
+}
+
+/**
+ *  Get a transformer.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the transformer is neither a Function nor the name of 
+ *        a registered transformer.
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {((value: *) => *)|String} transformer - The transformer (or the 
+ *                                                  name of a registered 
+ *                                                  transformer).
+ *  @param {String} rule - The name of calling method.
+ *  @return {(value: *) => *} - The transformer.
+ */
+function GetTransformer(self, transformer, rule) {
+    if (transformer instanceof Function) {
+        return transformer;
+    }
+    if (typeof(transformer) == "string" && TRANSFORMERS.has(transformer)) {
+        return TRANSFORMERS.get(transformer);
+    }
+    throw CreateError(
+        self, 
+        TraverseParameterError, 
+        "Expect a Function or the name of a registered transformer.", 
+        {
+            "rule": rule,
+            "expected": "Function/transformer name",
+            "actual": GetSafeRepresentation(transformer)
+        }
+    );
+}
+
+/**
+ *  Transform a value.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParseError: 
+ *        Raised if the transformer failed (raised an error which is not a 
+ *        Traverse.Error).
+ * 
+ *  @param {Traverse} self - The current traverse object.
+ *  @param {*} value - The value.
+ *  @param {(value: *) => *} fn - The transformer.
+ *  @param {((value: *) => *)|String} transformer - The transformer (or the 
+ *                                                  name of it, for error 
+ *                                                  messages).
+ *  @param {String} rule - The name of calling method.
+ *  @return {*} - The transformed value.
+ */
+function Transform(self, value, fn, transformer, rule) {
+    let path = self[TRAVERSE_STATE].path;
+    try {
+        return fn.call(self, value);
+    } catch(error) {
+        if (error instanceof TraverseError) {
+            throw error;
+        }
+        let name = (
+            typeof(transformer) == "string" ? 
+            transformer : 
+            (transformer.name || "(anonymous)")
+        );
+        throw CreateError(self, TraverseParseError, Util.format(
+            "Failed to transform the value (path=\"%s\", " + 
+            "transformer=%s, error=\"%s\").",
+            path.toLegacyString(),
+            name,
+            (error instanceof Error ? error.message : String(error))
+        ), {
+            "rule": rule,
+            "expected": name,
+            "actual": GetSafeRepresentation(value)
+        });
+    }
+}
+
+//
+//  Classes.
+//
+
+/**
+ *  State (members) of a traverse object.
+ * 
+ *  @constructor
+ *  @param {TraverseContext} context - The context.
+ *  @param {*} inner - The inner object.
+ *  @param {TraversePath} path - The path.
+ *  @param {?Traverse} parent - The parent traverse object.
+ *  @param {TraverseFlags} flags - The flags.
+ */
+function TraverseState(context, inner, path, parent, flags) {
+    //
+    //  Members.
+    //
+
+    /**
+     *  The context.
+     * 
+     *  @type {TraverseContext}
+     */
+    this.context = context;
+
+    /**
+     *  The depth of nested method calls (in collect-all mode).
+     * 
+     *  @type {Number}
+     */
+    this.depth = 0;
+
+    /**
+     *  The inner object.
+     * 
+     *  @type {*}
+     */
+    this.inner = inner;
+
+    /**
+     *  The path.
+     * 
+     *  @type {TraversePath}
+     */
+    this.path = path;
+
+    /**
+     *  The parent traverse object.
+     * 
+     *  @type {?Traverse}
+     */
+    this.parent = parent;
+
+    /**
+     *  The flags.
+     * 
+     *  @type {TraverseFlags}
+     */
+    this.flags = flags;
+}
+
+/**
+ *  Traverse error details.
+ * 
+ *  @typedef {Object} TraverseErrorDetails
+ *  @property {TraversePath|Array} [path] - The path (or the path keys).
+ *  @property {?String} [rule] - The name of the failed rule.
+ *  @property {*} [expected] - The expected constraint.
+ *  @property {?String} [actual] - The representation of the offending value.
+ *  @property {?TraverseSourceLocation} [location] - The source location of 
+ *                                                   the offending value.
+ */
+
+/**
+ *  Traverse error.
+ * 
+ *  @constructor
+ *  @extends {Error}
+ *  @param {String} [message] - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ */
+function TraverseError(message = "", details = {}) {
+    //  Let parent class initialize.
+    Error.call(this, message);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.message = message;
+
+    //  Structured details.
+    let path = details.path || [];
+    if (!(path instanceof TraversePath)) {
+        path = CreatePathFromKeys(path);
+    }
+    this.path = path.getKeys();
+    this.pointer = path.toJsonPointer();
+    this.jsonPath = path.toJsonPath();
+    this.rule = details.rule || null;
+    this.expected = (
+        typeof(details.expected) == "undefined" ? null : details.expected
+    );
+    this.actual = (
+        typeof(details.actual) == "undefined" ? null : details.actual
+    );
+
+    //  Source location (only available for documents loaded with source 
+    //  maps).
+    let location = details.location || null;
+    this.line = (location === null ? null : location.line);
+    this.column = (location === null ? null : location.column);
+    this.excerpt = (location === null ? null : location.excerpt);
+}
+
+/**
+ *  Traverse parameter error.
+ * 
+ *  @constructor
+ *  @extends {TraverseError}
+ *  @param {String} [message] - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ */
+function TraverseParameterError(message = "", details = {}) {
+    //  Let parent class initialize.
+    TraverseError.call(this, message, details);
+}
+
+/**
+ *  Traverse type error.
+ * 
+ *  @constructor
+ *  @extends {TraverseError}
+ *  @param {String} [message] - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ */
+function TraverseTypeError(message = "", details = {}) {
+    //  Let parent class initialize.
+    TraverseError.call(this, message, details);
+}
+
+/**
+ *  Traverse format error.
+ * 
+ *  @constructor
+ *  @extends {TraverseError}
+ *  @param {String} [message] - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ */
+function TraverseFormatError(message = "", details = {}) {
+    //  Let parent class initialize.
+    TraverseError.call(this, message, details);
+}
+
+/**
+ *  Traverse parse error.
+ * 
+ *  @constructor
+ *  @extends {TraverseError}
+ *  @param {String} [message] - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ */
+function TraverseParseError(message = "", details = {}) {
+    //  Let parent class initialize.
+    TraverseError.call(this, message, details);
+}
+
+/**
+ *  Traverse size error.
+ * 
+ *  @constructor
+ *  @extends {TraverseError}
+ *  @param {String} [message] - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ */
+function TraverseSizeError(message = "", details = {}) {
+    //  Let parent class initialize.
+    TraverseError.call(this, message, details);
+}
+
+/**
+ *  Traverse key not found error.
+ * 
+ *  @constructor
+ *  @extends {TraverseError}
+ *  @param {String} [message] - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ */
+function TraverseKeyNotFoundError(message = "", details = {}) {
+    //  Let parent class initialize.
+    TraverseError.call(this, message, details);
+}
+
+/**
+ *  Unexpected key.
+ * 
+ *  @typedef {Object} TraverseUnexpectedKey
+ *  @property {*} key - The key.
+ *  @property {Array} path - The path keys.
+ *  @property {String} pointer - The path as a JSON pointer.
+ *  @property {String} jsonPath - The path as a JSONPath.
+ */
+
+/**
+ *  Traverse unexpected key error.
+ * 
+ *  Note(s):
+ *    [1] This class doesn't extend TraverseKeyNotFoundError, since an 
+ *        unexpected key is not a missing key.
+ * 
+ *  @constructor
+ *  @extends {TraverseError}
+ *  @param {String} [message] - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ *  @param {TraversePath[]} [paths] - The paths of unexpected keys.
+ */
+function TraverseUnexpectedKeyError(message = "", details = {}, paths = []) {
+    //  Let parent class initialize.
+    TraverseError.call(this, message, details);
+
+    //  Unexpected keys.
+    this.unexpectedKeys = paths.map(function(keyPath) {
+        let keys = keyPath.getKeys();
+        return {
+            "key": keys[keys.length - 1],
+            "path": keys,
+            "pointer": keyPath.toJsonPointer(),
+            "jsonPath": keyPath.toJsonPath()
+        };
+    });
+}
+
+/**
+ *  Traverse index out of range error.
+ * 
+ *  @constructor
+ *  @extends {TraverseError}
+ *  @param {String} [message] - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ */
+function TraverseIndexOutOfRangeError(message = "", details = {}) {
+    //  Let parent class initialize.
+    TraverseError.call(this, message, details);
+}
+
+/**
+ *  Traverse value out of range error.
+ * 
+ *  @constructor
+ *  @extends {TraverseError}
+ *  @param {String} [message] - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ */
+function TraverseValueOutOfRangeError(message = "", details = {}) {
+    //  Let parent class initialize.
+    TraverseError.call(this, message, details);
+}
+
+/**
+ *  Traverse aggregate error (raised when errors were collected in collect-all 
+ *  mode).
+ * 
+ *  @constructor
+ *  @extends {TraverseError}
+ *  @param {String} [message] - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ *  @param {TraverseError[]} [errors] - The collected errors.
+ */
+function TraverseAggregateError(message = "", details = {}, errors = []) {
+    //  Let parent class initialize.
+    TraverseError.call(this, message, details);
+
+    //  Collected errors.
+    this.errors = errors.slice();
+}
+
+/**
+ *  Traverse options.
+ * 
+ *  @typedef {Object} TraverseOptions
+ *  @property {Boolean} [collect] - True if failures should be collected 
+ *                                  instead of being raised immediately 
+ *                                  (collect-all mode, default: false).
+ *  @property {TraverseMethodRegistry} [methods] - The registry of methods 
+ *                                                 installed on traverse 
+ *                                                 objects (default: the 
+ *                                                 global registry).
+ *  @property {Boolean} [strictNull] - True if NULL values are checked by 
+ *                                     assertions unless nullable() is used 
+ *                                     (default: false, NULL values are 
+ *                                     skipped).
+ *  @property {Boolean} [ownProperties] - True if only own properties of 
+ *                                        objects are looked up and iterated 
+ *                                        (default: true, set to false to 
+ *                                        include inherited properties like 
+ *                                        legacy versions).
+ *  @property {TraverseLimits} [limits] - The size limits (default: no 
+ *                                        limit).
+ */
+
+/**
+ *  Size limits (for untrusted inputs).
+ * 
+ *  @typedef {Object} TraverseLimits
+ *  @property {Number} [maxStringLength] - The maximum length of strings to 
+ *                                         be loaded (e.g. by jsonLoad()).
+ *  @property {Number} [maxDepth] - The maximum depth (the count of path 
+ *                                  segments) of values.
+ *  @property {Number} [maxArrayLength] - The maximum length of arrays.
+ *  @property {Number} [maxObjectKeys] - The maximum key count of objects and 
+ *                                       maps.
+ *  @property {Number} [maxNodes] - The maximum count of values in a loaded 
+ *                                  document and the maximum count of 
+ *                                  distinct sub paths visited from a 
+ *                                  wrapped object.
+ */
+
+/**
+ *  Traverse context (shared by a root traverse object and all traverse 
+ *  objects derived from it).
+ * 
+ *  @constructor
+ *  @param {TraverseOptions} [options] - The options.
+ */
+function TraverseContext(options = {}) {
+    //
+    //  Members.
+    //
+
+    /**
+     *  The options.
+     * 
+     *  @type {TraverseOptions}
+     */
+    this.options = Object.assign({}, options);
+
+    /**
+     *  Whether collect-all mode is enabled.
+     * 
+     *  @type {Boolean}
+     */
+    this.collect = (options.collect === true);
+
+    /**
+     *  Collected errors.
+     * 
+     *  @type {TraverseError[]}
+     */
+    this.errors = [];
+
+    /**
+     *  Traverse objects that failed (in collect-all mode).
+     * 
+     *  @type {WeakSet<Traverse>}
+     */
+    this.failed = new WeakSet();
+
+    /**
+     *  The registry of methods installed on traverse objects.
+     * 
+     *  @type {TraverseMethodRegistry}
+     */
+    this.methods = options.methods || METHODS;
+
+    /**
+     *  Whether NULL values are checked by assertions by default.
+     * 
+     *  @type {Boolean}
+     */
+    this.strictNull = (options.strictNull === true);
+
+    /**
+     *  Whether only own properties of objects are looked up and iterated.
+     * 
+     *  @type {Boolean}
+     */
+    this.ownProperties = (options.ownProperties !== false);
+
+    /**
+     *  The (normalized) size limits.
+     * 
+     *  @type {TraverseLimits}
+     */
+    this.limits = NormalizeLimits(options.limits || {});
+
+    /**
+     *  Count of distinct sub paths visited (for the "maxNodes" limit).
+     * 
+     *  @type {Number}
+     */
+    this.nodes = 0;
+
+    /**
+     *  The sub paths visited (a tree of segments, path segment kind => 
+     *  segment value => sub tree), only used if the "maxNodes" limit is set.
+     * 
+     *  @type {Map<String, Map<*, Map>>}
+     */
+    this.visited = new Map();
+
+    /**
+     *  Source maps of documents loaded with source maps (the path of the 
+     *  document and its source map).
+     * 
+     *  @type {Array<{path: TraversePath, sourceMap: TraverseSourceMap}>}
+     */
+    this.sources = [];
+}
+
+/**
+ *  Value comparator for traverse module.
+ * 
+ *  @constructor
+ *  @template T
+ */
+function TraverseComparator() {
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Get whether two values ("a" and "b") are equal.
+     * 
+     *  @param {T} a - The value "a".
+     *  @param {T} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.eq = function(a, b) {
+        return a == b;
+    };
+
+    /**
+     *  Get whether value "a" is less than or equal to value "b".
+     * 
+     *  @param {T} a - The value "a".
+     *  @param {T} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.le = function(a, b) {
+        return a <= b;
+    };
+
+    /**
+     *  Get whether value "a" is less than value "b".
+     * 
+     *  @param {T} a - The value "a".
+     *  @param {T} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.lt = function(a, b) {
+        return a < b;
+    };
+
+    /**
+     *  Get whether value "a" is greater than or equal to value "b".
+     * 
+     *  @param {T} a - The value "a".
+     *  @param {T} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.ge = function(a, b) {
+        return a >= b;
+    };
+
+    /**
+     *  Get whether value "a" is greater than value "b".
+     * 
+     *  @param {T} a - The value "a".
+     *  @param {T} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.gt = function(a, b) {
+        return a > b;
+    };
+}
+
+/**
+ *  Value comparator that is built from a three-way comparison function.
+ * 
+ *  @constructor
+ *  @extends {TraverseComparator}
+ *  @template T
+ *  @param {(a: T, b: T) => Number} compare - The comparison function (returns 
+ *                                            a negative number if a < b, zero 
+ *                                            if a == b and a positive number 
+ *                                            if a > b).
+ */
+function TraverseThreeWayComparator(compare) {
+    //  Let parent class initialize.
+    TraverseComparator.call(this);
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Get whether two values ("a" and "b") are equal.
+     * 
+     *  @param {T} a - The value "a".
+     *  @param {T} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.eq = function(a, b) {
+        return compare(a, b) == 0;
+    };
+
+    /**
+     *  Get whether value "a" is less than or equal to value "b".
+     * 
+     *  @param {T} a - The value "a".
+     *  @param {T} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.le = function(a, b) {
+        return compare(a, b) <= 0;
+    };
+
+    /**
+     *  Get whether value "a" is less than value "b".
+     * 
+     *  @param {T} a - The value "a".
+     *  @param {T} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.lt = function(a, b) {
+        return compare(a, b) < 0;
+    };
+
+    /**
+     *  Get whether value "a" is greater than or equal to value "b".
+     * 
+     *  @param {T} a - The value "a".
+     *  @param {T} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.ge = function(a, b) {
+        return compare(a, b) >= 0;
+    };
+
+    /**
+     *  Get whether value "a" is greater than value "b".
+     * 
+     *  @param {T} a - The value "a".
+     *  @param {T} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.gt = function(a, b) {
+        return compare(a, b) > 0;
+    };
+}
+
+/**
+ *  Value comparator that selects the registered comparator by the type of 
+ *  value "a" (see RegisterComparator()) and falls back to the built-in 
+ *  operators if no comparator was registered for the type.
+ * 
+ *  @constructor
+ *  @extends {TraverseComparator}
+ */
+function TraverseTypedComparator() {
+    //  Let parent class initialize.
+    TraverseComparator.call(this);
+
+    //
+    //  Members.
+    //
+
+    //  Fallback comparator.
+    let fallback = new TraverseComparator();
+
+    //
+    //  Private functions.
+    //
+
+    /**
+     *  Select the comparator.
+     * 
+     *  @param {*} a - The value "a".
+     *  @return {TraverseComparator} - The comparator.
+     */
+    function _Select(a) {
+        return GetRegisteredComparator(a) || fallback;
+    }
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Get whether two values ("a" and "b") are equal.
+     * 
+     *  @param {*} a - The value "a".
+     *  @param {*} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.eq = function(a, b) {
+        return _Select(a).eq(a, b);
+    };
+
+    /**
+     *  Get whether value "a" is less than or equal to value "b".
+     * 
+     *  @param {*} a - The value "a".
+     *  @param {*} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.le = function(a, b) {
+        return _Select(a).le(a, b);
+    };
+
+    /**
+     *  Get whether value "a" is less than value "b".
+     * 
+     *  @param {*} a - The value "a".
+     *  @param {*} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.lt = function(a, b) {
+        return _Select(a).lt(a, b);
+    };
+
+    /**
+     *  Get whether value "a" is greater than or equal to value "b".
+     * 
+     *  @param {*} a - The value "a".
+     *  @param {*} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.ge = function(a, b) {
+        return _Select(a).ge(a, b);
+    };
+
+    /**
+     *  Get whether value "a" is greater than value "b".
+     * 
+     *  @param {*} a - The value "a".
+     *  @param {*} b - The value "b".
+     *  @return {Boolean} - True if so.
+     */
+    this.gt = function(a, b) {
+        return _Select(a).gt(a, b);
+    };
+}
+
+/**
+ *  Registry of methods that are installed on traverse objects (plugins).
+ * 
+ *  Note(s):
+ *    [1] A registry inherits all methods of its parent registry, methods 
+ *        registered in a registry shadow the methods of the same name in its 
+ *        parent registry.
+ * 
+ *  @constructor
+ *  @param {?TraverseMethodRegistry} [parentRegistry] - The parent registry 
+ *                                                      (default: the global 
+ *                                                      registry).
+ */
+function TraverseMethodRegistry(parentRegistry = METHODS) {
+    //
+    //  Members.
+    //
+
+    //  Self reference.
+    let self = this;
+
+    //  Registered methods (name => method).
+    let methods = new Map();
+
+    //
+    //  Public methods.
+    //
+
+    /**
+     *  Register a method.
+     * 
+     *  Exception(s):
+     *    [1] Traverse.ParameterError: 
+     *        Raised in following situations:
+     * 
+     *         - The name is not a valid identifier.
+     *         - The name is reserved (used by a built-in method).
+     *         - A method of the same name was already registered in this 
+     *           registry.
+     *         - The method is not a Function.
+     * 
+     *  Note(s):
+     *    [1] The method is called with the arguments passed by the caller 
+     *        (and "this" is bound to the traverse object). The traverse 
+     *        object itself is returned to the caller if the method returns 
+     *        nothing, otherwise the return value is returned.
+     *    [2] Methods are installed when traverse objects are created, so 
+     *        that registering a method doesn't affect existing traverse 
+     *        objects.
+     * 
+     *  @param {String} name - The method name.
+     *  @param {Function} method - The method.
+     *  @return {TraverseMethodRegistry} - Self.
+     */
+    this.register = function(name, method) {
+        if (typeof(name) != "string" || !METHOD_NAME.test(name)) {
+            throw new TraverseParameterError("Invalid method name.", {
+                "rule": "register",
+                "expected": "identifier",
+                "actual": GetSafeRepresentation(name)
+            });
+        }
+        if (IsReservedMethodName(name)) {
+            throw new TraverseParameterError(Util.format(
+                "Method name is reserved (name=\"%s\").",
+                name
+            ), {
+                "rule": "register",
+                "expected": "non-reserved name",
+                "actual": GetSafeRepresentation(name)
+            });
+        }
+        if (methods.has(name)) {
+            throw new TraverseParameterError(Util.format(
+                "Method was already registered (name=\"%s\").",
+                name
+            ), {
+                "rule": "register",
+                "expected": "unregistered name",
+                "actual": GetSafeRepresentation(name)
+            });
+        }
+        if (!(method instanceof Function)) {
+            throw new TraverseParameterError("Expect a Function.", {
+                "rule": "register",
+                "expected": "Function",
+                "actual": GetSafeRepresentation(method)
+            });
+        }
+        methods.set(name, method);
+        InvalidateMethodTables();
+        return self;
+    };
+
+    /**
+     *  Unregister a method (registered in this registry).
+     * 
+     *  @param {String} name - The method name.
+     *  @return {Boolean} - True if the method was registered.
+     */
+    this.unregister = function(name) {
+        if (!methods.delete(name)) {
+            return false;
+        }
+        InvalidateMethodTables();
+        return true;
+    };
+
+    /**
+     *  Get whether a method was registered (in this registry or its parent).
+     * 
+     *  @param {String} name - The method name.
+     *  @return {Boolean} - True if so.
+     */
+    this.has = function(name) {
+        return self.get(name) !== null;
+    };
+
+    /**
+     *  Get a registered method (in this registry or its parent).
+     * 
+     *  @param {String} name - The method name.
+     *  @return {?Function} - The method (NULL if not registered).
+     */
+    this.get = function(name) {
+        if (methods.has(name)) {
+            return methods.get(name);
+        }
+        return (parentRegistry === null ? null : parentRegistry.get(name));
+    };
+
+    /**
+     *  Get the names of all registered methods (in this registry and its 
+     *  parent).
+     * 
+     *  @return {String[]} - The method names.
+     */
+    this.getNames = function() {
+        let names = new Set(
+            parentRegistry === null ? [] : parentRegistry.getNames()
+        );
+        methods.forEach(function(method, name) {
+            names.add(name);
+        });
+        return Array.from(names);
+    };
+}
+
+/**
+ *  JSON loading options.
+ * 
+ *  @typedef {Object} TraverseJsonLoadOptions
+ *  @property {Boolean} [sourceMap] - True if the source map of the document 
+ *                                    should be built, so that errors raised 
+ *                                    on the document carry source locations 
+ *                                    (default: false).
+ */
+
+/**
+ *  YAML loading and saving options.
+ * 
+ *  @typedef {Object} TraverseYamlOptions
+ *  @property {Boolean} [multiDocument] - True if the string is a stream of 
+ *                                        documents, which is loaded as (or 
+ *                                        saved from) an array of documents 
+ *                                        (default: false).
+ */
+
+/**
+ *  Traverse flags.
+ * 
+ *  @typedef {Object} TraverseFlags
+ *  @property {Boolean} [missing] - True if the inner object comes from a key 
+ *                                  that doesn't exist (default: false).
+ *  @property {Boolean} [nullable] - True if assertions are skipped when the 
+ *                                   inner object is NULL (default: the 
+ *                                   opposite of the "strictNull" option).
+ *  @property {Boolean} [optional] - True if assertions are skipped when the 
+ *                                   inner object is undefined (default: 
+ *                                   false).
+ */
+
+/**
+ *  Traverse helper.
+ * 
+ *  @constructor
+ *  @param {*} inner - The inner object.
+ *  @param {TraversePath|String} path - The path (or the path string in legacy 
+ *                                     format).
+ *  @param {TraverseContext} [context] - The context (shared with parent 
+ *                                       traverse object).
+ *  @param {?Traverse} [parent] - The parent traverse object (NULL if this is 
+ *                                a root traverse object).
+ *  @param {TraverseFlags} [flags] - The flags.
+ */
+function Traverse(
+    inner, 
+    path, 
+    context = new TraverseContext(), 
+    parent = null, 
+    flags = {}
+) {
+    //
+    //  Members.
+    //
+
+    //  Self reference (in collect-all mode, a separate object whose public 
+    //  methods come from the shared method table, see GetMethodPrototype()).
+    let self = (
+        context.collect ? 
+        Object.create(GetMethodPrototype(context.methods, true)) : 
+        this
+    );
+
+    //  Path.
+    if (!(path instanceof TraversePath)) {
+        path = ParseLegacyPath(path);
+    }
+
+    //  Flags.
+    flags = {
+        "missing": (flags.missing === true),
+        "nullable": (
+            typeof(flags.nullable) == "boolean" ? 
+            flags.nullable : 
+            !context.strictNull
+        ),
+        "optional": (flags.optional === true)
+    };
+
+    //
+    //  Initialization.
+    //
+
+    //  Members are kept in the state, so that public methods can be shared 
+    //  by all traverse objects (see Traverse.prototype).
+    self[TRAVERSE_STATE] = new TraverseState(
+        context, 
+        inner, 
+        path, 
+        parent, 
+        flags
+    );
+
+    //  In collect-all mode, public methods (including registered methods) of 
+    //  the separate object intercept the built-in methods.
+    if (context.collect) {
+        return self;
+    }
+
+    //  Install registered methods.
+    let prototype = GetMethodPrototype(context.methods, false);
+    if (prototype !== Traverse.prototype) {
+        Object.setPrototypeOf(self, prototype);
+    }
+}
+
+/**
+ *  Check the type of inner object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the constructor is not valid.
+ *    [2] Traverse.TypeError: 
+ *        Raised if the inner object is not constructed by the constructor.
+ * 
+ *  @param {{new(...args: any[]): object}} constructor - The constructor of 
+ *                                                       the type.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.typeOf = function(constructor) {
+    let self = this;
+    CheckType(self, constructor, "typeOf");
+    return self;
+};
+
+/**
+ *  Assume that the inner object is numeric.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not numeric.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.numeric = function() {
+    let self = this;
+    CheckType(self, Number, "numeric");
+    return self;
+};
+
+/**
+ *  Assume that the inner object is an integer.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not an integer.
+ * 
+ *  Note(s):
+ *    [1] Both integral numbers and BigInts are accepted.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.integer = function() {
+    let self = this;
+    CheckInteger(self, "integer");
+    return self;
+};
+
+/**
+ *  Assume that the inner object is a BigInt.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a BigInt.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.bigint = function() {
+    let self = this;
+    CheckType(self, BigInt, "bigint");
+    return self;
+};
+
+/**
+ *  Assume that the inner object is a safe integer (an integral number or 
+ *  a BigInt within [-(2^53 - 1), 2^53 - 1]).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not an integer.
+ *    [2] Traverse.ValueOutOfRangeError: 
+ *        Raised if the integer is not safe.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.safeInteger = function() {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    CheckInteger(self, "safeInteger");
+
+    if (!IsSkipped(self, "safeInteger")) {
+        let safe = (
+            typeof(inner) == "bigint" ? 
+            (inner >= -MAX_SAFE_BIGINT && inner <= MAX_SAFE_BIGINT) : 
+            Number.isSafeInteger(inner)
+        );
+        if (!safe) {
+            throw CreateError(self, TraverseValueOutOfRangeError, Util.format(
+                "Value is not a safe integer (path=\"%s\").",
+                path.toLegacyString()
+            ), {
+                "rule": "safeInteger",
+                "expected": "safe integer"
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Assume that the inner object is a finite number (neither NaN nor 
+ *  infinite).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a number.
+ *    [2] Traverse.ValueOutOfRangeError: 
+ *        Raised if the number is not finite.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.finite = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+    CheckNumber(self, "finite", false);
+    if (!IsSkipped(self, "finite") && !Number.isFinite(inner)) {
+        RaiseNumericError(
+            self, 
+            TraverseValueOutOfRangeError, 
+            "finite", 
+            "finite"
+        );
+    }
+    return self;
+};
+
+/**
+ *  Assume that the inner object is a number which is not NaN.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a number or the number is NaN.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.notNaN = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+    CheckNumber(self, "notNaN", false);
+    if (!IsSkipped(self, "notNaN") && Number.isNaN(inner)) {
+        RaiseNumericError(
+            self, 
+            TraverseTypeError, 
+            "a number other than NaN", 
+            "notNaN", 
+            "not NaN"
+        );
+    }
+    return self;
+};
+
+/**
+ *  Assume that the inner number (or BigInt) is positive.
+ * 
+ *  Expected:
+ *    [1] inner > 0
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is neither a number nor a BigInt.
+ *    [2] Traverse.ValueOutOfRangeError: 
+ *        Raised if the value is not positive.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.positive = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+    CheckNumber(self, "positive", true);
+    if (!IsSkipped(self, "positive") && !(inner > 0)) {
+        RaiseNumericError(
+            self, 
+            TraverseValueOutOfRangeError, 
+            "positive", 
+            "positive", 
+            ">0"
+        );
+    }
+    return self;
+};
+
+/**
+ *  Assume that the inner number (or BigInt) is negative.
+ * 
+ *  Expected:
+ *    [1] inner < 0
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is neither a number nor a BigInt.
+ *    [2] Traverse.ValueOutOfRangeError: 
+ *        Raised if the value is not negative.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.negative = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+    CheckNumber(self, "negative", true);
+    if (!IsSkipped(self, "negative") && !(inner < 0)) {
+        RaiseNumericError(
+            self, 
+            TraverseValueOutOfRangeError, 
+            "negative", 
+            "negative", 
+            "<0"
+        );
+    }
+    return self;
+};
+
+/**
+ *  Assume that the inner number (or BigInt) is not zero.
+ * 
+ *  Expected:
+ *    [1] inner != 0
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is neither a number nor a BigInt.
+ *    [2] Traverse.ValueOutOfRangeError: 
+ *        Raised if the value is zero (or NaN).
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.nonZero = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+    CheckNumber(self, "nonZero", true);
+    if (!IsSkipped(self, "nonZero") && !(inner < 0 || inner > 0)) {
+        RaiseNumericError(
+            self, 
+            TraverseValueOutOfRangeError, 
+            "non-zero", 
+            "nonZero", 
+            "!=0"
+        );
+    }
+    return self;
+};
+
+/**
+ *  Assume that the inner number (or BigInt) is a multiple of a step.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the step is not a positive finite number (or a 
+ *        positive BigInt if the inner object is a BigInt).
+ *    [2] Traverse.TypeError: 
+ *        Raised if the inner object is neither a number nor a BigInt.
+ *    [3] Traverse.ValueOutOfRangeError: 
+ *        Raised if the value is not a multiple of the step.
+ * 
+ *  Note(s):
+ *    [1] Floating-point rounding errors are tolerated, e.g. 0.3 is a 
+ *        multiple of 0.1.
+ * 
+ *  @param {Number|BigInt} step - The step.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.multipleOf = function(step) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+    CheckNumber(self, "multipleOf", true);
+
+    if (!IsSkipped(self, "multipleOf")) {
+        //  Check the step.
+        let isBigInt = (typeof(inner) == "bigint");
+        let validStep = (
+            isBigInt ? 
+            (typeof(step) == "bigint" && step > 0n) : 
+            (typeof(step) == "number" && Number.isFinite(step) && step > 0)
+        );
+        if (!validStep) {
+            throw CreateError(self, TraverseParameterError, "Invalid step.", {
+                "rule": "multipleOf",
+                "expected": (
+                    isBigInt ? "positive BigInt" : "positive finite number"
+                ),
+                "actual": GetSafeRepresentation(step)
+            });
+        }
+
+        //  Check the value.
+        let matched = (
+            isBigInt ? 
+            (inner % step == 0n) : 
+            (Number.isFinite(inner) && IsMultipleOf(inner, step))
+        );
+        if (!matched) {
+            RaiseNumericError(
+                self, 
+                TraverseValueOutOfRangeError, 
+                "a multiple of " + GetNumericRepresentation(step), 
+                "multipleOf", 
+                "multipleOf:" + GetNumericRepresentation(step)
+            );
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Assume that the inner number has limited decimal places.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the count of decimal places is not a non-negative 
+ *        integer.
+ *    [2] Traverse.TypeError: 
+ *        Raised if the inner object is neither a number nor a BigInt.
+ *    [3] Traverse.ValueOutOfRangeError: 
+ *        Raised if the number has more decimal places or is not finite.
+ * 
+ *  Note(s):
+ *    [1] The decimal places are counted from the shortest representation 
+ *        of the number (e.g. 0.1 + 0.2 has 17 decimal places).
+ * 
+ *  @param {Number} places - The maximum count of decimal places.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.maxDecimalPlaces = function(places) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+    if (!Number.isInteger(places) || places < 0) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Invalid count of decimal places.", 
+            {
+                "rule": "maxDecimalPlaces",
+                "expected": "non-negative integer",
+                "actual": GetSafeRepresentation(places)
+            }
+        );
+    }
+    CheckNumber(self, "maxDecimalPlaces", true);
+
+    if (
+        !IsSkipped(self, "maxDecimalPlaces") && 
+        typeof(inner) != "bigint" && 
+        (!Number.isFinite(inner) || GetDecimalPlaces(inner) > places)
+    ) {
+        let description = Util.format(
+            "a finite number with at most %d decimal place(s)",
+            places
+        );
+        RaiseNumericError(
+            self, 
+            TraverseValueOutOfRangeError, 
+            description, 
+            "maxDecimalPlaces", 
+            "decimalPlaces<=" + String(places)
+        );
+    }
+
+    return self;
+};
+
+/**
+ *  Assume that the inner object is a boolean.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not boolean.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.boolean = function() {
+    let self = this;
+    CheckType(self, Boolean, "boolean");
+    return self;
+};
+
+/**
+ *  Assume that the inner object is a valid Date object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a Date object or the date is 
+ *        invalid.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.date = function() {
+    let self = this;
+    CheckDate(self, "date");
+    return self;
+};
+
+/**
+ *  Assume that the inner date is before specified date.
+ * 
+ *  Expected:
+ *    [1] inner < threshold
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the threshold is not a valid date.
+ *    [2] Traverse.TypeError: 
+ *        Raised if the inner object is not a Date object or the date is 
+ *        invalid.
+ *    [3] Traverse.ValueOutOfRangeError: 
+ *        Raised if the inner date is not before the threshold.
+ * 
+ *  @param {Date|Number|String} threshold - The threshold (a Date object, a 
+ *                                          timestamp or a date string).
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.dateBefore = function(threshold) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    threshold = GetDateThreshold(self, threshold, "dateBefore");
+    CheckDate(self, "dateBefore");
+
+    if (
+        !IsSkipped(self, "dateBefore") && 
+        inner.getTime() >= threshold.getTime()
+    ) {
+        throw CreateError(self, TraverseValueOutOfRangeError, Util.format(
+            "Date is too late (path=\"%s\", require='<', threshold=%s).",
+            path.toLegacyString(),
+            threshold.toISOString()
+        ), {
+            "rule": "dateBefore",
+            "expected": "<" + threshold.toISOString()
+        });
+    }
+
+    return self;
+};
+
+/**
+ *  Assume that the inner date is after specified date.
+ * 
+ *  Expected:
+ *    [1] inner > threshold
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the threshold is not a valid date.
+ *    [2] Traverse.TypeError: 
+ *        Raised if the inner object is not a Date object or the date is 
+ *        invalid.
+ *    [3] Traverse.ValueOutOfRangeError: 
+ *        Raised if the inner date is not after the threshold.
+ * 
+ *  @param {Date|Number|String} threshold - The threshold (a Date object, a 
+ *                                          timestamp or a date string).
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.dateAfter = function(threshold) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    threshold = GetDateThreshold(self, threshold, "dateAfter");
+    CheckDate(self, "dateAfter");
+
+    if (
+        !IsSkipped(self, "dateAfter") && 
+        inner.getTime() <= threshold.getTime()
+    ) {
+        throw CreateError(self, TraverseValueOutOfRangeError, Util.format(
+            "Date is too early (path=\"%s\", require='>', " + 
+            "threshold=%s).",
+            path.toLegacyString(),
+            threshold.toISOString()
+        ), {
+            "rule": "dateAfter",
+            "expected": ">" + threshold.toISOString()
+        });
+    }
+
+    return self;
+};
+
+/**
+ *  Convert the inner object (if it's a string) to a number.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is neither a string nor a number.
+ *    [2] Traverse.ParseError: 
+ *        Raised if the string is not a finite number.
+ * 
+ *  Note(s):
+ *    [1] Decimal numbers (e.g. "42", "-1.5", "1e3") and hexadecimal 
+ *        integers (e.g. "0x2A", unless "allowHex" is false) are accepted.
+ *    [2] Leading and trailing whitespaces are trimmed (unless 
+ *        "allowWhitespace" is false).
+ * 
+ *  @param {CoerceOptions} [options] - The coercion options.
+ *  @return {Traverse} - Traverse object of the number (with the same 
+ *                       path).
+ */
+Traverse.prototype.coerceNumeric = function(options = {}) {
+    let self = this;
+    return Coerce(
+        self, 
+        Number, 
+        ParseNumeric, 
+        options, 
+        "coerceNumeric", 
+        "numeric"
+    );
+};
+
+/**
+ *  Convert the inner object (if it's a string) to an integer.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is neither a string nor an integer.
+ *    [2] Traverse.ParseError: 
+ *        Raised if the string is not a safe integer.
+ * 
+ *  Note(s):
+ *    [1] Decimal integers (e.g. "42"), hexadecimal integers (e.g. "0x2A", 
+ *        unless "allowHex" is false) and integral numbers in 
+ *        floating-point notation (e.g. "1e3", "42.0", unless "allowFloat" 
+ *        is false) are accepted.
+ *    [2] Leading and trailing whitespaces are trimmed (unless 
+ *        "allowWhitespace" is false).
+ * 
+ *  @param {CoerceOptions} [options] - The coercion options.
+ *  @return {Traverse} - Traverse object of the integer (with the same 
+ *                       path).
+ */
+Traverse.prototype.coerceInteger = function(options = {}) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let result = Coerce(
+        self, 
+        Number, 
+        ParseInteger, 
+        options, 
+        "coerceInteger", 
+        "integer"
+    );
+    if (
+        result === self && 
+        !IsSkipped(self, "coerceInteger") && 
+        !Number.isInteger(inner)
+    ) {
+        throw CreateError(self, TraverseTypeError, Util.format(
+            "Value should be an integer (path=\"%s\").",
+            path.toLegacyString()
+        ), {
+            "rule": "coerceInteger",
+            "expected": "integer"
+        });
+    }
+    return result;
+};
+
+/**
+ *  Convert the inner object (if it's a string) to a boolean.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is neither a string nor a boolean.
+ *    [2] Traverse.ParseError: 
+ *        Raised if the string is not one of the texts of true or false.
+ * 
+ *  Note(s):
+ *    [1] By default, "true" and "1" are converted to true, "false" and 
+ *        "0" are converted to false (case-insensitive, unless 
+ *        "caseSensitive" is true).
+ *    [2] Leading and trailing whitespaces are trimmed (unless 
+ *        "allowWhitespace" is false).
+ * 
+ *  @param {CoerceOptions} [options] - The coercion options.
+ *  @return {Traverse} - Traverse object of the boolean (with the same 
+ *                       path).
+ */
+Traverse.prototype.coerceBoolean = function(options = {}) {
+    let self = this;
+    return Coerce(
+        self, 
+        Boolean, 
+        ParseBoolean, 
+        options, 
+        "coerceBoolean", 
+        "boolean"
+    );
+};
+
+/**
+ *  Assume that the inner object is a string.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not string.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.string = function() {
+    let self = this;
+    CheckType(self, String, "string");
+    return self;
+};
+
+/**
+ *  Validate the string by given character table or character class.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the character table is neither a string nor a 
+ *        character class.
+ *    [2] Traverse.FormatError: 
+ *        Raised when the inner string mismatched with the character table.
+ *    [3] Traverse.TypeError: 
+ *        Raised when the inner object is not string.
+ * 
+ *  Note(s):
+ *    [1] Characters are validated by Unicode code points, the error 
+ *        message reports the first invalid character and its index (in 
+ *        UTF-16 code units).
+ * 
+ *  @param {String|TraverseCharClass} charTable - The character table (all 
+ *                                               allowed characters) or 
+ *                                               the character class.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.stringValidate = function(charTable) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+
+    //  Check parameter type.
+    let isCharClass = (charTable instanceof TraverseCharClass);
+    if (!isCharClass && !CrType.IsInstanceOf(charTable, String)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Invalid character table.", 
+            {
+                "rule": "stringValidate",
+                "expected": "character table",
+                "actual": GetSafeRepresentation(charTable)
+            }
+        );
+    }
+
+    if (!IsSkipped(self, "stringValidate")) {
+        //  Check inner type.
+        CheckType(self, String, "stringValidate");
+
+        //  Validate the string.
+        let invalid = FindInvalidCharacter(inner, charTable);
+        if (invalid !== null) {
+            let allowed = (isCharClass ? charTable.toPattern() : charTable);
+            let character = invalid.codePoint.toString(16).toUpperCase();
+            throw CreateError(self, TraverseFormatError, Util.format(
+                "String is invalid (allowed=\"%s\", path=\"%s\", " + 
+                "index=%d, character=U+%s).",
+                allowed,
+                path.toLegacyString(),
+                invalid.index,
+                character.padStart(4, "0")
+            ), {
+                "rule": "stringValidate",
+                "expected": allowed
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Validate the string by given regular expression.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the "re" parameter is not a RegExp object.
+ *    [2] Traverse.FormatError: 
+ *        Raised when the inner string mismatched with the regular expressi-
+ *        on.
+ *    [3] Traverse.TypeError: 
+ *        Raised if the inner object is not string.
+ * 
+ *  @param {RegExp} re - The regular expression.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.stringValidateByRegExp = function(re) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+
+    //  Check parameter type.
+    if (!CrType.IsInstanceOf(re, RegExp)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Invalid regular expression object.", 
+            {
+                "rule": "stringValidateByRegExp",
+                "expected": "RegExp",
+                "actual": GetSafeRepresentation(re)
+            }
+        );
+    }
+
+    if (!IsSkipped(self, "stringValidateByRegExp")) {
+        //  Check inner type.
+        CheckType(self, String, "stringValidateByRegExp");
+
+        //  Validate the string.
+        if (!re.test(inner)) {
+            throw CreateError(self, TraverseFormatError, Util.format(
+                "String is invalid (regexp=\"%s\", path=\"%s\").",
+                re.source,
+                path.toLegacyString()
+            ), {
+                "rule": "stringValidateByRegExp",
+                "expected": re.toString()
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Assume the string has a minimum length.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a string.
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the unit is not supported.
+ *    [3] Traverse.SizeError: 
+ *        Raised if the string is too short.
+ * 
+ *  @param {Number} minLength - The minimum length.
+ *  @param {String} [unit] - The unit, one of "utf16" (UTF-16 code units, 
+ *                           default), "codepoint" (Unicode code points) 
+ *                           and "grapheme" (extended grapheme clusters, 
+ *                           i.e. user-perceived characters).
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.stringMinLength = function(minLength, unit = "utf16") {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    CheckStringLengthUnit(self, unit, "stringMinLength");
+
+    if (!IsSkipped(self, "stringMinLength")) {
+        //  Check inner type.
+        CheckType(self, String, "stringMinLength");
+
+        //  Check string length.
+        let currentLength = GetStringLength(inner, unit);
+        if (currentLength < minLength) {
+            throw CreateError(self, TraverseSizeError, Util.format(
+                "String should have at least %d character(s) " + 
+                "(path=\"%s\", unit=%s, current=%d).",
+                minLength,
+                path.toLegacyString(),
+                unit,
+                currentLength
+            ), {
+                "rule": "stringMinLength",
+                "expected": "length>=" + String(minLength),
+                "actual": "length=" + String(currentLength)
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Assume the string has a maximum length.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a string.
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the unit is not supported.
+ *    [3] Traverse.SizeError: 
+ *        Raised if the string is too long.
+ * 
+ *  @param {Number} maxLength - The maximum length.
+ *  @param {String} [unit] - The unit (see stringMinLength()).
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.stringMaxLength = function(maxLength, unit = "utf16") {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    CheckStringLengthUnit(self, unit, "stringMaxLength");
+
+    if (!IsSkipped(self, "stringMaxLength")) {
+        //  Check inner type.
+        CheckType(self, String, "stringMaxLength");
+
+        //  Check string length.
+        let currentLength = GetStringLength(inner, unit);
+        if (currentLength > maxLength) {
+            throw CreateError(self, TraverseSizeError, Util.format(
+                "String should have at most %d character(s) " + 
+                "(path=\"%s\", unit=%s, current=%d).",
+                maxLength,
+                path.toLegacyString(),
+                unit,
+                currentLength
+            ), {
+                "rule": "stringMaxLength",
+                "expected": "length<=" + String(maxLength),
+                "actual": "length=" + String(currentLength)
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Assume the string is not empty.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a string.
+ *    [2] Traverse.SizeError: 
+ *        Raised if the string is empty.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.stringNotEmpty = function() {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    if (!IsSkipped(self, "stringNotEmpty")) {
+        //  Check inner type.
+        CheckType(self, String, "stringNotEmpty");
+
+        if (inner.length == 0) {
+            throw CreateError(self, TraverseSizeError, Util.format(
+                "String should not be empty (path=\"%s\").",
+                path.toLegacyString()
+            ), {
+                "rule": "stringNotEmpty",
+                "expected": "length>=1",
+                "actual": "length=0"
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Assume the string has no leading or trailing whitespace.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a string.
+ *    [2] Traverse.FormatError: 
+ *        Raised if the string has leading or trailing whitespaces.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.stringTrimmed = function() {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    if (!IsSkipped(self, "stringTrimmed")) {
+        //  Check inner type.
+        CheckType(self, String, "stringTrimmed");
+
+        if (inner.trim() != inner) {
+            throw CreateError(self, TraverseFormatError, Util.format(
+                "String should not have leading or trailing whitespaces " + 
+                "(path=\"%s\").",
+                path.toLegacyString()
+            ), {
+                "rule": "stringTrimmed",
+                "expected": "trimmed"
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Assume the string is in specified letter case.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a string.
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the letter case is not supported.
+ *    [3] Traverse.FormatError: 
+ *        Raised if the string is not in the letter case.
+ * 
+ *  @param {String} letterCase - The letter case, one of "lower" and 
+ *                               "upper".
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.stringCase = function(letterCase) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    CheckLetterCase(self, letterCase, "stringCase");
+
+    if (!IsSkipped(self, "stringCase")) {
+        //  Check inner type.
+        CheckType(self, String, "stringCase");
+
+        if (LETTER_CASES.get(letterCase)(inner) != inner) {
+            throw CreateError(self, TraverseFormatError, Util.format(
+                "String should be in %s case (path=\"%s\").",
+                letterCase,
+                path.toLegacyString()
+            ), {
+                "rule": "stringCase",
+                "expected": letterCase
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Validate the string by a built-in format.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a string.
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the format is not supported.
+ *    [3] Traverse.FormatError: 
+ *        Raised if the string mismatched with the format.
+ * 
+ *  Note(s):
+ *    [1] Supported formats: "email", "uri" (absolute URI), "hostname", 
+ *        "ipv4", "ipv6", "cidr" (IPv4 or IPv6 CIDR block), "uuid", "date", 
+ *        "time", "date-time" (RFC 3339, the time offset is required), 
+ *        "semver", "base64", "base64url" and "hex".
+ * 
+ *  @param {String} format - The format name.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.stringFormat = function(format) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    if (!HasStringFormat(format)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Unsupported string format.", 
+            {
+                "rule": "stringFormat",
+                "expected": GetSafeRepresentation(GetStringFormatNames()),
+                "actual": GetSafeRepresentation(format)
+            }
+        );
+    }
+
+    if (!IsSkipped(self, "stringFormat")) {
+        //  Check inner type.
+        CheckType(self, String, "stringFormat");
+
+        if (!ValidateStringFormat(inner, format)) {
+            throw CreateError(self, TraverseFormatError, Util.format(
+                "String is not a valid %s (path=\"%s\").",
+                format,
+                path.toLegacyString()
+            ), {
+                "rule": "stringFormat",
+                "expected": format
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Normalize the string.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is not a string.
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the normalization form or the letter case is not 
+ *        supported.
+ * 
+ *  Note(s):
+ *    [1] The steps are applied in following order: Unicode normalization, 
+ *        trimming and letter case conversion.
+ *    [2] A new traverse object (of the same path) over the normalized 
+ *        string is returned, the inner object is left untouched.
+ * 
+ *  @param {StringNormalizeOptions} [options] - The options.
+ *  @return {Traverse} - Traverse object of the normalized string (self if 
+ *                       the inner object is NULL).
+ */
+Traverse.prototype.stringNormalize = function(options = {}) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let context = state.context;
+    let parent = state.parent;
+
+    //  Check options.
+    let form = options.form;
+    if (typeof(form) != "undefined" && !NORMALIZATION_FORMS.has(form)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Unsupported Unicode normalization form.", 
+            {
+                "rule": "stringNormalize",
+                "expected": "NFC/NFD/NFKC/NFKD",
+                "actual": GetSafeRepresentation(form)
+            }
+        );
+    }
+    let letterCase = options.case;
+    if (typeof(letterCase) != "undefined") {
+        CheckLetterCase(self, letterCase, "stringNormalize");
+    }
+
+    if (IsSkipped(self, "stringNormalize")) {
+        return self;
+    }
+
+    //  Check inner type.
+    CheckType(self, String, "stringNormalize");
+
+    //  Normalize the string.
+    let normalized = String(inner);
+    if (typeof(form) != "undefined") {
+        normalized = normalized.normalize(form);
+    }
+    if (options.trim === true) {
+        normalized = normalized.trim();
+    }
+    if (typeof(letterCase) != "undefined") {
+        normalized = LETTER_CASES.get(letterCase)(normalized);
+    }
+
+    return new Traverse(normalized, path, context, parent);
+};
+
+/**
+ *  Load JSON object from current inner object (a string).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParseError: 
+ *        Raised when the failed to parse the JSON object.
+ *    [2] Traverse.TypeError: 
+ *        Raised if the inner object is not string.
+ *    [3] Traverse.SizeError: 
+ *        Raised if the string or the parsed JSON object exceeds a size 
+ *        limit.
+ * 
+ *  Note(s):
+ *    [1] If the "sourceMap" option is enabled, parse errors and all errors 
+ *        raised on values of the parsed JSON object (e.g. by sub() and 
+ *        integer()) carry the line, the column and the source excerpt of 
+ *        the value.
+ *    [2] Size limits are checked while parsing, so that the parsing stops 
+ *        as soon as a limit is exceeded.
+ * 
+ *  @param {TraverseJsonLoadOptions} [options] - The options.
+ *  @return {Traverse} - The parsed JSON object wrapped with Traverse.
+ */
+Traverse.prototype.jsonLoad = function(options = {}) {
+    let self = this;
+    let context = self[TRAVERSE_STATE].context;
+    return LoadDocument(self, "jsonLoad", "JSON", function(text, documentPath) {
+        let onValue = CreateParseLimitChecker(
+            documentPath, 
+            context.limits, 
+            "jsonLoad"
+        );
+        if (options.sourceMap !== true && onValue === null) {
+            return {
+                "value": JSON.parse(text),
+                "sourceMap": null,
+                "checked": true
+            };
+        }
+        let result = ParseJson(text, {
+            "sourceMap": options.sourceMap === true,
+            "onValue": onValue
+        });
+        result.checked = true;
+        return result;
+    });
+};
+
+/**
+ *  Save JSON object to a new Traverse object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised when cyclic object value was found.
+ *    [2] Traverse.Error: 
+ *        Raised when other JSON serialization error occurred.
+ * 
+ *  @return {Traverse} - The serialized JSON string wrapped with Traverse.
+ */
+Traverse.prototype.jsonSave = function() {
+    let self = this;
+
+    //
+    //  Reference(s):
+    //    [1] https://developer.mozilla.org/en-US/docs/Web/JavaScript/Refere
+    //        nce/Global_Objects/JSON/stringify#Exceptions
+    //
+    return SaveDocument(self, "jsonSave", "JSON", JSON.stringify);
+};
+
+/**
+ *  Load YAML document from current inner object (a string).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParseError: 
+ *        Raised when failed to parse the YAML document (or the string 
+ *        contains more than one document while the "multiDocument" option 
+ *        is disabled).
+ *    [2] Traverse.TypeError: 
+ *        Raised if the inner object is not string.
+ *    [3] Traverse.SizeError: 
+ *        Raised if the string or the parsed document exceeds a size limit.
+ * 
+ *  Note(s):
+ *    [1] Plain scalars are resolved by the YAML 1.2 core schema, integers 
+ *        that are not safe integers are loaded as BigInts, timestamps with 
+ *        time zone offset are loaded as Date objects and other timestamps 
+ *        (and dates) are loaded as strings.
+ *    [2] Aliases refer to the same value as their anchors.
+ *    [3] Size limits are checked while parsing (and are checked again 
+ *        after parsing, since aliases may repeat values).
+ * 
+ *  @param {TraverseYamlOptions} [options] - The options.
+ *  @return {Traverse} - The parsed document (or the array of documents if 
+ *                       the "multiDocument" option is enabled) wrapped 
+ *                       with Traverse.
+ */
+Traverse.prototype.yamlLoad = function(options = {}) {
+    let self = this;
+    let context = self[TRAVERSE_STATE].context;
+    return LoadDocument(self, "yamlLoad", "YAML", function(text, documentPath) {
+        return {
+            "value": ParseYaml(text, {
+                "multiDocument": options.multiDocument === true,
+                "onValue": CreateParseLimitChecker(
+                    documentPath, 
+                    context.limits, 
+                    "yamlLoad"
+                )
+            }),
+            "sourceMap": null
+        };
+    });
+};
+
+/**
+ *  Save YAML document to a new Traverse object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object can't be represented in YAML (e.g. 
+ *        cyclic object value was found).
+ * 
+ *  @param {TraverseYamlOptions} [options] - The options.
+ *  @return {Traverse} - The serialized YAML string wrapped with Traverse.
+ */
+Traverse.prototype.yamlSave = function(options = {}) {
+    let self = this;
+    return SaveDocument(self, "yamlSave", "YAML", function(value) {
+        return StringifyYaml(value, {
+            "multiDocument": options.multiDocument === true
+        });
+    });
+};
+
+/**
+ *  Load TOML document from current inner object (a string).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParseError: 
+ *        Raised when failed to parse the TOML document.
+ *    [2] Traverse.TypeError: 
+ *        Raised if the inner object is not string.
+ *    [3] Traverse.SizeError: 
+ *        Raised if the string or the parsed document exceeds a size limit.
+ * 
+ *  Note(s):
+ *    [1] Integers that are not safe integers are loaded as BigInts, offset 
+ *        date-times are loaded as Date objects and local date-times, local 
+ *        dates and local times are loaded as strings.
+ *    [2] Size limits are checked while parsing (and are checked again 
+ *        after parsing, since tables can be created implicitly).
+ * 
+ *  @return {Traverse} - The parsed document wrapped with Traverse.
+ */
+Traverse.prototype.tomlLoad = function() {
+    let self = this;
+    let context = self[TRAVERSE_STATE].context;
+    return LoadDocument(self, "tomlLoad", "TOML", function(text, documentPath) {
+        return {
+            "value": ParseToml(text, {
+                "onValue": CreateParseLimitChecker(
+                    documentPath, 
+                    context.limits, 
+                    "tomlLoad"
+                )
+            }),
+            "sourceMap": null
+        };
+    });
+};
+
+/**
+ *  Save TOML document to a new Traverse object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object can't be represented in TOML (e.g. 
+ *        it's not a plain object or it contains NULL).
+ * 
+ *  @return {Traverse} - The serialized TOML string wrapped with Traverse.
+ */
+Traverse.prototype.tomlSave = function() {
+    let self = this;
+    return SaveDocument(self, "tomlSave", "TOML", StringifyToml);
+};
+
+/**
+ *  Load INI document from current inner object (a string).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParseError: 
+ *        Raised when failed to parse the INI document.
+ *    [2] Traverse.TypeError: 
+ *        Raised if the inner object is not string.
+ *    [3] Traverse.SizeError: 
+ *        Raised if the string or the parsed document exceeds a size limit.
+ * 
+ *  Note(s):
+ *    [1] Sections are loaded as objects and all values are loaded as 
+ *        strings (use coercions like coerceInteger() to convert them).
+ * 
+ *  @return {Traverse} - The parsed document wrapped with Traverse.
+ */
+Traverse.prototype.iniLoad = function() {
+    let self = this;
+    return LoadDocument(self, "iniLoad", "INI", function(text) {
+        return {
+            "value": ParseIni(text),
+            "sourceMap": null
+        };
+    });
+};
+
+/**
+ *  Save INI document to a new Traverse object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object can't be represented in INI (e.g. 
+ *        sections are nested).
+ * 
+ *  @return {Traverse} - The serialized INI string wrapped with Traverse.
+ */
+Traverse.prototype.iniSave = function() {
+    let self = this;
+    return SaveDocument(self, "iniSave", "INI", StringifyIni);
+};
+
+/**
+ *  Go to sub directory.
+ *  
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in one of following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object or a Map object.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the "name" parameter is not a string and the inner obje-
+ *        ct is a Object.
+ *    [3] Traverse.KeyNotFoundError: 
+ *        Raised if the sub path can't be found.
+ * 
+ *  @param {*} name - The name(key) of sub directory.
+ *  @return {Traverse} - Traverse object of sub directory.
+ */
+Traverse.prototype.sub = function(name) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let context = state.context;
+
+    //  Pre-check.
+    self.notNull();
+
+    if (CrType.IsInstanceOf(inner, Map)) {
+        //  Get the sub path.
+        let subPath = GetSubPath(self, PATH_MAP_KEY, name);
+
+        if (inner.has(name)) {
+            return CreateSubTraverse(self, inner.get(name), subPath);
+        } else {
+            throw CreateError(self, TraverseKeyNotFoundError, Util.format(
+                "Sub path doesn't exist (path=\"%s\").",
+                subPath.toLegacyString()
+            ), {
+                "path": subPath,
+                "rule": "sub",
+                "expected": "existed key",
+                "actual": "undefined"
+            });
+        }
+    } else if (CrType.IsInstanceOf(inner, Object)) {
+        //  Check key type.
+        if (!CrType.IsInstanceOf(name, String)) {
+            throw CreateError(
+                self, 
+                TraverseParameterError, 
+                "Name(key) must be a string when inner object is an " + 
+                "Object.",
+                {
+                    "rule": "sub",
+                    "expected": "String",
+                    "actual": GetSafeRepresentation(name)
+                }
+            );
+        }
+
+        //  Get the sub path.
+        let subPath = GetSubPath(self, PATH_OBJECT_KEY, name);
+
+        if (HasObjectKey(inner, name, context.ownProperties)) {
+            //  Go into inner path.
+            return CreateSubTraverse(self, inner[name], subPath);
+        } else {
+            throw CreateError(self, TraverseKeyNotFoundError, Util.format(
+                "Sub path doesn't exist (path=\"%s\").",
+                subPath.toLegacyString()
+            ), {
+                "path": subPath,
+                "rule": "sub",
+                "expected": "existed key",
+                "actual": "undefined"
+            });
+        }
+    } else {
+        throw CreateError(self, TraverseTypeError, Util.format(
+            "Invalid inner type (expect=Map/Object, path=\"%s\").",
+            path.toLegacyString()
+        ), {
+            "rule": "sub",
+            "expected": "Map/Object"
+        });
+    }
+};
+
+/**
+ *  Go to sub directory which can be non-existed.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object or a Map object.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the "name" parameter is not a string and the inner obje-
+ *        ct is a Object.
+ * 
+ *  @param {*} name - The name(key) of sub directory.
+ *  @param {*} defaultValue - The default value if the directory doesn't 
+ *                            exist.
+ *  @return {Traverse} - Traverse object of sub directory.
+ */
+Traverse.prototype.optionalSub = function(name, defaultValue) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let context = state.context;
+
+    //  Pre-check.
+    self.notNull();
+
+    if (CrType.IsInstanceOf(inner, Map)) {
+        let subPath = GetSubPath(self, PATH_MAP_KEY, name);
+        if (inner.has(name)) {
+            return CreateSubTraverse(self, inner.get(name), subPath);
+        } else {
+            return CreateSubTraverse(self, defaultValue, subPath, {
+                "missing": true
+            });
+        }
+    } else if (CrType.IsInstanceOf(inner, Object)) {
+        //  Check key type.
+        if (!CrType.IsInstanceOf(name, String)) {
+            throw CreateError(
+                self, 
+                TraverseParameterError, 
+                "Name(key) must be a string when inner object is an " + 
+                "Object.",
+                {
+                    "rule": "optionalSub",
+                    "expected": "String",
+                    "actual": GetSafeRepresentation(name)
+                }
+            );
+        }
+
+        let subPath = GetSubPath(self, PATH_OBJECT_KEY, name);
+        if (HasObjectKey(inner, name, context.ownProperties)) {
+            //  Go into inner path.
+            return CreateSubTraverse(self, inner[name], subPath);
+        } else {
+            return CreateSubTraverse(self, defaultValue, subPath, {
+                "missing": true
+            });
+        }
+    } else {
+        throw CreateError(self, TraverseTypeError, Util.format(
+            "Invalid inner type (expect=map/object, path=\"%s\").",
+            path.toLegacyString()
+        ), {
+            "rule": "optionalSub",
+            "expected": "Map/Object"
+        });
+    }
+};
+
+/**
+ *  Go to the value selected by a path expression.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the expression is invalid or may match multiple values.
+ *    [2] Traverse.KeyNotFoundError: 
+ *        Raised if a key doesn't exist.
+ *    [3] Traverse.IndexOutOfRangeError: 
+ *        Raised if an array index is out of range.
+ *    [4] Traverse.TypeError: 
+ *        Raised if a value on the path is NULL or has unexpected type.
+ * 
+ *  Note(s):
+ *    [1] The expression is either a JSON pointer (RFC 6901, e.g. 
+ *        "/servers/0/port") or a JSONPath (e.g. "$.servers[0].port", 
+ *        "$['a/b'][-1]").
+ *    [2] Each step is resolved by sub() or arrayGetItem(), so the errors 
+ *        are exactly the same as navigating step by step.
+ * 
+ *  @param {String} expression - The path expression.
+ *  @return {Traverse} - Traverse object of selected value.
+ */
+Traverse.prototype.query = function(expression) {
+    let self = this;
+    let steps = ParsePathExpressionSteps(self, expression, "query", true);
+    return AdoptTraverse(
+        self, 
+        RunPathExpression(CreateRaisingCopy(self), steps)[0]
+    );
+};
+
+/**
+ *  Go to all values selected by a path expression.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the expression is invalid.
+ *    [2] Traverse.KeyNotFoundError: 
+ *        Raised if a key doesn't exist.
+ *    [3] Traverse.IndexOutOfRangeError: 
+ *        Raised if an array index is out of range.
+ *    [4] Traverse.TypeError: 
+ *        Raised if a value on the path is NULL or has unexpected type.
+ * 
+ *  Note(s):
+ *    [1] In addition to query(), wildcards ("$.a[*]", "$.a.*"), array 
+ *        slices ("$.a[1:5:2]", "$.a[::-1]") and filters 
+ *        ("$.a[?@.port > 1024 && @.enabled == true]") are supported.
+ *    [2] Wildcards, array slices and filters select nothing from values 
+ *        that are not containers (or not arrays for array slices).
+ *    [3] In collect-all mode, an empty array is returned if failed.
+ * 
+ *  @param {String} expression - The path expression.
+ *  @return {Traverse[]} - Traverse objects of selected values.
+ */
+Traverse.prototype.queryAll = function(expression) {
+    let self = this;
+    let steps = ParsePathExpressionSteps(self, expression, "queryAll", false);
+    return RunPathExpression(CreateRaisingCopy(self), steps).map(
+        function(traverse) {
+            return AdoptTraverse(self, traverse);
+        }
+    );
+};
+
+/**
+ *  Go to the value selected by a path expression which can be 
+ *  non-existed.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the expression is invalid or may match multiple values.
+ *    [2] Traverse.TypeError: 
+ *        Raised if a value on the path is NULL or has unexpected type.
+ * 
+ *  Note(s):
+ *    [1] If a key doesn't exist or an array index is out of range, a 
+ *        traverse object of the default value (with the full path of the 
+ *        expression) is returned.
+ * 
+ *  @param {String} expression - The path expression.
+ *  @param {*} defaultValue - The default value if the value doesn't exist.
+ *  @return {Traverse} - Traverse object of selected value.
+ */
+Traverse.prototype.queryOptional = function(expression, defaultValue) {
+    let self = this;
+    let steps = ParsePathExpressionSteps(
+        self, 
+        expression, 
+        "queryOptional", 
+        true
+    );
+    let current = CreateRaisingCopy(self);
+    for (let i = 0; i < steps.length; ++i) {
+        try {
+            current = RunPathExpression(current, [steps[i]])[0];
+        } catch(error) {
+            if (
+                !(error instanceof TraverseKeyNotFoundError) && 
+                !(error instanceof TraverseIndexOutOfRangeError)
+            ) {
+                throw error;
+            }
+            let subPath = AppendStepToPath(
+                current.getPathObject(), 
+                steps[i], 
+                current.unwrap()
+            );
+            for (let j = i + 1; j < steps.length; ++j) {
+                subPath = AppendStepToPath(subPath, steps[j]);
+            }
+            return CreateSubTraverse(self, defaultValue, subPath, {
+                "missing": true
+            });
+        }
+    }
+    return AdoptTraverse(self, current);
+};
+
+/**
+ *  Assume that the inner object is not NULL.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised when the inner object is NULL.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.notNull = function() {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+
+    //  Ensure the value is not null.
+    if (inner === null) {
+        throw CreateError(self, TraverseTypeError, Util.format(
+            "Value should not be NULL (path=\"%s\").",
+            path.toLegacyString()
+        ), {
+            "rule": "notNull",
+            "expected": "not null"
+        });
+    }
+
+    return self;
+};
+
+/**
+ *  Assume that the key of the inner object exists.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.KeyNotFoundError: 
+ *        Raised if the key doesn't exist (even if a default value was 
+ *        given).
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.notMissing = function() {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let path = state.path;
+    let flags = state.flags;
+    if (flags.missing) {
+        throw CreateError(self, TraverseKeyNotFoundError, Util.format(
+            "Sub path doesn't exist (path=\"%s\").",
+            path.toLegacyString()
+        ), {
+            "rule": "notMissing"
+        });
+    }
+    return self;
+};
+
+/**
+ *  Get a traverse object of current position whose assertions are 
+ *  skipped (or not skipped) when the inner object is NULL.
+ * 
+ *  Note(s):
+ *    [1] Assertions are skipped for NULL by default, unless the 
+ *        "strictNull" option is enabled.
+ *    [2] If assertions are not skipped, they raise Traverse.TypeError for 
+ *        NULL.
+ * 
+ *  @param {Boolean} [enabled] - True if assertions are skipped (default: 
+ *                               true).
+ *  @return {Traverse} - The traverse object.
+ */
+Traverse.prototype.nullable = function(enabled = true) {
+    let state = this[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let context = state.context;
+    let parent = state.parent;
+    let flags = state.flags;
+    return new Traverse(inner, path, context, parent, Object.assign(
+        {}, 
+        flags, 
+        {
+            "nullable": (enabled === true)
+        }
+    ));
+};
+
+/**
+ *  Get a traverse object of current position whose assertions are 
+ *  skipped (or not skipped) when the inner object is undefined (e.g. the 
+ *  key doesn't exist).
+ * 
+ *  Note(s):
+ *    [1] Assertions are not skipped for undefined by default, they raise 
+ *        Traverse.KeyNotFoundError if the key doesn't exist and 
+ *        Traverse.TypeError otherwise.
+ * 
+ *  @param {Boolean} [enabled] - True if assertions are skipped (default: 
+ *                               true).
+ *  @return {Traverse} - The traverse object.
+ */
+Traverse.prototype.optional = function(enabled = true) {
+    let state = this[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let context = state.context;
+    let parent = state.parent;
+    let flags = state.flags;
+    return new Traverse(inner, path, context, parent, Object.assign(
+        {}, 
+        flags, 
+        {
+            "optional": (enabled === true)
+        }
+    ));
+};
+
+/**
+ *  Give minimum value threshold to the inner object.
+ * 
+ *  Expected:
+ *    [1] inner >= threshold
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the type of the inner object is different to the thresh-
+ *        old object.
+ *    [2] Traverse.ValueOutOfRangeError: 
+ *        Raised if the value is not within the threshold.
+ * 
+ *  @param {*} threshold - The threshold.
+ *  @param {TraverseComparator} [comparator] - The comparator.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.min = function(
+    threshold, 
+    comparator = Traverse.DEFAULT_COMPARATOR
+) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    if (!IsSkipped(self, "min")) {
+        //  Check object type.
+        if (!CrType.IsSameType(inner, threshold)) {
+            throw CreateError(self, TraverseParameterError, Util.format(
+                "Uncomparable type (path=\"%s\").",
+                path.toLegacyString()
+            ), {
+                "rule": "min",
+                "expected": ">=" + GetSafeRepresentation(threshold)
+            });
+        }
+
+        //  Check value range.
+        if (comparator.lt(inner, threshold)) {
+            throw CreateError(self, TraverseValueOutOfRangeError, Util.format(
+                "Value is too small (path=\"%s\", require='>=', " + 
+                "threshold=%s).",
+                path.toLegacyString(),
+                GetObjectRepresentation(threshold) || "(unrepresentable)"
+            ), {
+                "rule": "min",
+                "expected": ">=" + GetSafeRepresentation(threshold)
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Give exclusive minimum value threshold to the inner object.
+ * 
+ *  Expected:
+ *    [1] inner > threshold
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the type of the inner object is different to the thresh-
+ *        old object.
+ *    [2] Traverse.ValueOutOfRangeError: 
+ *        Raised if the value is not within the threshold.
+ * 
+ *  @param {*} threshold - The threshold.
+ *  @param {TraverseComparator} [comparator] - The comparator.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.minExclusive = function(
+    threshold, 
+    comparator = Traverse.DEFAULT_COMPARATOR
+) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    if (!IsSkipped(self, "minExclusive")) {
+        //  Check object type.
+        if (!CrType.IsSameType(inner, threshold)) {
+            throw CreateError(self, TraverseParameterError, Util.format(
+                "Uncomparable type (path=\"%s\").",
+                path.toLegacyString()
+            ), {
+                "rule": "minExclusive",
+                "expected": ">" + GetSafeRepresentation(threshold)
+            });
+        }
+
+        //  Check value range.
+        if (comparator.le(inner, threshold)) {
+            throw CreateError(self, TraverseValueOutOfRangeError, Util.format(
+                "Value is too small (path=\"%s\", require='>', " + 
+                "threshold=%s.",
+                path.toLegacyString(),
+                GetObjectRepresentation(threshold) || "(unrepresentable)"
+            ), {
+                "rule": "minExclusive",
+                "expected": ">" + GetSafeRepresentation(threshold)
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Give maximum value threshold to the inner object.
+ * 
+ *  Expected:
+ *    [1] inner <= threshold
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the type of the inner object is different to the thresh-
+ *        old object.
+ *    [2] Traverse.ValueOutOfRangeError: 
+ *        Raised if the value is not within the threshold.
+ * 
+ *  @param {*} threshold - The threshold.
+ *  @param {TraverseComparator} [comparator] - The comparator.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.max = function(
+    threshold, 
+    comparator = Traverse.DEFAULT_COMPARATOR
+) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    if (!IsSkipped(self, "max")) {
+        //  Check object type.
+        if (!CrType.IsSameType(inner, threshold)) {
+            throw CreateError(self, TraverseParameterError, Util.format(
+                "Uncomparable type (path=\"%s\").",
+                path.toLegacyString()
+            ), {
+                "rule": "max",
+                "expected": "<=" + GetSafeRepresentation(threshold)
+            });
+        }
+
+        //  Check value range.
+        if (comparator.gt(inner, threshold)) {
+            throw CreateError(self, TraverseValueOutOfRangeError, Util.format(
+                "Value is too large (path=\"%s\", require='<=', " + 
+                "threshold=%s).",
+                path.toLegacyString(),
+                GetObjectRepresentation(threshold) || "(unrepresentable)"
+            ), {
+                "rule": "max",
+                "expected": "<=" + GetSafeRepresentation(threshold)
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Give exclusive maximum value threshold to the inner object.
+ * 
+ *  Expected:
+ *    [1] inner < threshold
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the type of the inner object is different to the thresh-
+ *        old object.
+ *    [2] Traverse.ValueOutOfRangeError: 
+ *        Raised if the value is not within the threshold.
+ * 
+ *  @param {*} threshold - The threshold.
+ *  @param {TraverseComparator} [comparator] - The comparator.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.maxExclusive = function(
+    threshold, 
+    comparator = Traverse.DEFAULT_COMPARATOR
+) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    if (!IsSkipped(self, "maxExclusive")) {
+        //  Check object type.
+        if (!CrType.IsSameType(inner, threshold)) {
+            throw CreateError(self, TraverseParameterError, Util.format(
+                "Uncomparable type (path=\"%s\").",
+                path.toLegacyString()
+            ), {
+                "rule": "maxExclusive",
+                "expected": "<" + GetSafeRepresentation(threshold)
+            });
+        }
+
+        //  Check value range.
+        if (comparator.ge(inner, threshold)) {
+            throw CreateError(self, TraverseValueOutOfRangeError, Util.format(
+                "Value is too large (path=\"%s\", require='<', " + 
+                "threshold=%s).",
+                path.toLegacyString(),
+                GetObjectRepresentation(threshold) || "(unrepresentable)"
+            ), {
+                "rule": "maxExclusive",
+                "expected": "<" + GetSafeRepresentation(threshold)
+            });
+        }
+    }
+
+    return self;
+};
+
+/**
+ *  Give value threshold to the inner object.
+ * 
+ *  Expected:
+ *    [1] min <= inner <= max
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the type of the inner object is different to the thresh-
+ *        old objects.
+ *    [2] Traverse.ValueOutOfRangeError: 
+ *        Raised if the value is not within the thresholds.
+ * 
+ *  @param {*} minValue - The minimum threshold.
+ *  @param {*} maxValue - The maximum threshold.
+ *  @param {TraverseComparator} [comparator] - The comparator.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.range = function(
+    minValue, 
+    maxValue, 
+    comparator = Traverse.DEFAULT_COMPARATOR
+) {
+    let self = this;
+    return self.min(minValue, comparator).max(maxValue, comparator);
+};
+
+/**
+ *  Select an item from specific array (inner object as the index).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an integer.
+ * 
+ *    [2] Traverse.IndexOutOfRangeError: 
+ *        Raised if the index out of range.
+ *    [3] Traverse.ParameterError: 
+ *        Raised if the "from" parameter is not valid (not an array).
+ * 
+ *  @param {Array} from - The array.
+ *  @return {Traverse} - Traverse object of selected item.
+ */
+Traverse.prototype.selectFromArray = function(from) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check from object.
+    if (!Array.isArray(from)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Expect an array object.", 
+            {
+                "rule": "selectFromArray",
+                "expected": "Array",
+                "actual": GetSafeRepresentation(from)
+            }
+        );
+    }
+
+    //  Check inner type.
+    try {
+        self.notNull().integer().min(0).maxExclusive(from.length);
+    } catch(error) {
+        if (error instanceof TraverseValueOutOfRangeError) {
+            throw CreateError(
+                self, 
+                TraverseIndexOutOfRangeError, 
+                error.message, 
+                {
+                    "rule": "selectFromArray",
+                    "expected": error.expected
+                }
+            );
+        } else {
+            throw error;
+        }
+    }
+
+    //  Wrap new object.
+    return CreateSubTraverse(
+        self, 
+        from[inner], 
+        GetSubPath(self, PATH_ARRAY_INDEX, inner)
+    );
+};
+
+/**
+ *  Select an item from specific object (inner object as the key).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not string.
+ * 
+ *    [2] Traverse.KeyNotFoundError: 
+ *        Raised if the key doesn't exist.
+ * 
+ *  @param {Object} from - The object.
+ *  @return {Traverse} - Traverse object of selected item.
+ */
+Traverse.prototype.selectFromObject = function(from) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let context = state.context;
+
+    //  Check from object.
+    if (!(from instanceof Object)) {
+        throw CreateError(self, TraverseParameterError, "Expect an object.", {
+            "rule": "selectFromObject",
+            "expected": "Object",
+            "actual": GetSafeRepresentation(from)
+        });
+    }
+
+    //  Check inner type.
+    self.notNull();
+    CheckType(self, String, "selectFromObject");
+
+    //  Check key existence.
+    if (!HasObjectKey(from, inner, context.ownProperties)) {
+        throw CreateError(self, TraverseKeyNotFoundError, Util.format(
+            "\"%s\" doesn't exist (path=\"%s\").",
+            inner,
+            path.toLegacyString()
+        ), {
+            "rule": "selectFromObject",
+            "expected": "existed key"
+        });
+    }
+
+    //  Wrap new object.
+    return CreateSubTraverse(
+        self, 
+        from[inner], 
+        GetSubPath(self, PATH_OBJECT_KEY, inner)
+    );
+};
+
+/**
+ *  Select an optional item from specific object (inner object as the key).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not string.
+ * 
+ *  @param {Object} from - The object.
+ *  @param {*} defaultValue - The default value if the key doesn't exist.
+ *  @return {Traverse} - Traverse object of selected item.
+ */
+Traverse.prototype.selectFromObjectOptional = function(from, defaultValue) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check inner type.
+    self.notNull().typeOf(String);
+
+    try {
+        return self.selectFromObject(from);
+    } catch(error) {
+        if (error instanceof TraverseKeyNotFoundError) {
+            return CreateSubTraverse(
+                self, 
+                defaultValue, 
+                GetSubPath(self, PATH_OBJECT_KEY, inner)
+            );
+        } else {
+            throw error;
+        }
+    }
+};
+
+/**
+ *  Select an item from specific map (use inner object as the key).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is NULL.
+ *    [2] Traverse.KeyNotFoundError: 
+ *        Raised if the key doesn't exist.
+ *    [3] Traverse.ParameterError: 
+ *        Raised if the "from" parameter is not valid (not a Map object).
+ * 
+ *  @param {Map} from - The map.
+ *  @return {Traverse} - Traverse object of selected item.
+ */
+Traverse.prototype.selectFromMap = function(from) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+
+    //  Check from object.
+    if (!(from instanceof Map)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Expect a map object.", 
+            {
+                "rule": "selectFromMap",
+                "expected": "Map",
+                "actual": GetSafeRepresentation(from)
+            }
+        );
+    }
+
+    //  Check inner object.
+    self.notNull();
+
+    //  Check key existence.
+    if (!from.has(inner)) {
+        throw CreateError(self, TraverseKeyNotFoundError, Util.format(
+            "\"%s\" doesn't exist (path=\"%s\").",
+            inner,
+            path.toLegacyString()
+        ), {
+            "rule": "selectFromMap",
+            "expected": "existed key"
+        });
+    }
+
+    //  Wrap new object.
+    return CreateSubTraverse(self, from.get(inner), GetSubPath(
+        self, 
+        PATH_MAP_KEY, 
+        inner, 
+        GetObjectRepresentation(inner) || "(unrepresentable)"
+    ));
+};
+
+/**
+ *  Select an optional item from specific map (inner object as the key).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is NULL.
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the "from" parameter is not valid (not a Map object).
+ * 
+ *  @param {Map} from - The map.
+ *  @param {*} defaultValue - The default value when the key doesn't exist.
+ *  @return {Traverse} - Traverse object of selected item.
+ */
+Traverse.prototype.selectFromMapOptional = function(from, defaultValue) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+    try {
+        return self.selectFromMap(from);
+    } catch(error) {
+        if (error instanceof TraverseKeyNotFoundError) {
+            return CreateSubTraverse(self, defaultValue, GetSubPath(
+                self, 
+                PATH_MAP_KEY, 
+                inner, 
+                GetObjectRepresentation(inner) || "(unrepresentable)"
+            ));
+        } else {
+            throw error;
+        }
+    }
+};
+
+/**
+ *  Iterate an object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object.
+ * 
+ *  @param {(value: Traverse) => void} callback - The callback.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.objectForEach = function(callback) {
+    let self = this;
+    return self.objectForEachEx(function(traverse) {
+        callback.call(self, traverse);
+    });
+};
+
+/**
+ *  Iterate an object (will callback with key parameter).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object.
+ * 
+ *  @param {(value: Traverse, key: string) => void} callback - The callback.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.objectForEachEx = function(callback) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let context = state.context;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+
+    //  Scan all keys.
+    GetObjectKeys(inner, context.ownProperties).forEach(function(key) {
+        callback.call(
+            self, 
+            CreateSubTraverse(
+                self, 
+                inner[key], 
+                GetSubPath(self, PATH_OBJECT_KEY, key)
+            ), 
+            key
+        );
+    });
+
+    return self;
+};
+
+/**
+ *  Iterate an object asynchronously (will callback with key parameter).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the concurrency is neither a positive integer nor 
+ *        Infinity.
+ * 
+ *  Note(s):
+ *    [1] The callback may return a Promise, which would be awaited.
+ *    [2] The keys to be iterated are determined when this method is 
+ *        called, at most `concurrency` callbacks run at the same time.
+ *    [3] The returned promise is rejected with the error of the first 
+ *        failed callback (after all running callbacks settled).
+ * 
+ *  @param {(value: Traverse, key: string) => (Promise|void)} callback 
+ *         - The callback.
+ *  @param {Number} [concurrency] - The maximum count of running callbacks 
+ *                                  (default: 1).
+ *  @return {Promise<Traverse>} - The promise (resolves with self).
+ */
+Traverse.prototype.objectForEachExAsync = async function(
+    callback, 
+    concurrency = 1
+) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let context = state.context;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+    CheckConcurrency(self, concurrency, "objectForEachExAsync");
+
+    //  Scan all keys.
+    let keys = GetObjectKeys(inner, context.ownProperties);
+    await RunTasksConcurrently(keys.length, concurrency, function(i) {
+        let key = keys[i];
+        return callback.call(
+            self, 
+            CreateSubTraverse(
+                self, 
+                inner[key], 
+                GetSubPath(self, PATH_OBJECT_KEY, key)
+            ), 
+            key
+        );
+    });
+
+    return self;
+};
+
+/**
+ *  Set a key-value pair within an object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object.
+ * 
+ *  Note(s):
+ *    [1] Keys like "__proto__", "constructor" and "prototype" (including 
+ *        non-string keys converted to them) are always set as own 
+ *        properties, so that prototypes are never changed or polluted.
+ * 
+ *  @param {String} key - The key.
+ *  @param {*} value - The value.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.objectSet = function(key, value) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+
+    //  Convert the key (only once, since the conversion of a non-string 
+    //  key may return different strings).
+    if (typeof(key) != "symbol") {
+        key = String(key);
+    }
+
+    //  Set the key pair.
+    if (UNSAFE_OBJECT_KEYS.has(key)) {
+        SetContainerItem(inner, PATH_OBJECT_KEY, key, value);
+    } else {
+        inner[key] = value;
+    }
+
+    return self;
+};
+
+/**
+ *  Set a key-value pair within a copy of an object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object.
+ * 
+ *  Note(s):
+ *    [1] The inner object is not mutated, see replaceImmutable() for 
+ *        details.
+ * 
+ *  @param {String} key - The key.
+ *  @param {*} value - The value.
+ *  @return {Traverse} - Traverse object of the updated copy.
+ */
+Traverse.prototype.objectSetImmutable = function(key, value) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+
+    //  Set the key pair.
+    let copy = CloneContainer(inner);
+    SetContainerItem(copy, PATH_OBJECT_KEY, key, value);
+
+    return CreateUpdatedTraverse(self, copy);
+};
+
+/**
+ *  Get whether an object has specified key.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object.
+ * 
+ *  @param {String} key - The key.
+ *  @return {Boolean} - True if so.
+ */
+Traverse.prototype.objectHas = function(key) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let context = state.context;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+
+    return HasObjectKey(inner, key, context.ownProperties);
+};
+
+/**
+ *  Assume that the inner object (an Object or a Map) has no key other 
+ *  than the allowed keys.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object or a Map object.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the allowed keys is not an array of Strings and RegExps.
+ *    [3] Traverse.UnexpectedKeyError: 
+ *        Raised if the inner object has unexpected keys (all unexpected 
+ *        keys are listed in one error).
+ * 
+ *  Note(s):
+ *    [1] Own enumerable keys of Objects are checked.
+ *    [2] A key is allowed if it equals (===) to an allowed key or matches 
+ *        an allowed pattern (RegExp, only for string keys).
+ * 
+ *  @param {Array<String|RegExp>} allowed - The allowed keys (and the 
+ *                                          patterns of allowed keys).
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.allowedKeys = function(allowed) {
+    let self = this;
+    let path = self[TRAVERSE_STATE].path;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+
+    //  Check the keys.
+    let unexpected = GetUnexpectedKeys(self, allowed, "allowedKeys");
+    if (unexpected.length != 0) {
+        let paths = unexpected.map(function(item) {
+            return item.path;
+        });
+        throw new TraverseUnexpectedKeyError(Util.format(
+            "Unexpected sub path(s) (path=\"%s\", unexpected=%s).",
+            path.toLegacyString(),
+            GetSafeRepresentation(paths.map(function(keyPath) {
+                return keyPath.toLegacyString();
+            }))
+        ), {
+            "path": path,
+            "rule": "allowedKeys",
+            "expected": "keys within " + GetSafeRepresentation(
+                allowed.map(String)
+            ),
+            "actual": GetSafeRepresentation(unexpected.map(function(item) {
+                return item.key;
+            }))
+        }, paths);
+    }
+
+    return self;
+};
+
+/**
+ *  Remove unexpected keys within a copy of the inner object (an Object or 
+ *  a Map).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object or a Map object.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the allowed keys is not an array of Strings and RegExps.
+ * 
+ *  Note(s):
+ *    [1] Keys are allowed in the same way as allowedKeys().
+ *    [2] The inner object is not mutated, see replaceImmutable() for 
+ *        details.
+ * 
+ *  @param {Array<String|RegExp>} allowed - The allowed keys (and the 
+ *                                          patterns of allowed keys).
+ *  @return {Traverse} - Traverse object of the cleaned copy.
+ */
+Traverse.prototype.stripUnknownKeys = function(allowed) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+
+    //  Remove unexpected keys.
+    let unexpected = GetUnexpectedKeys(self, allowed, "stripUnknownKeys");
+    let copy = CloneContainer(inner);
+    unexpected.forEach(function(item) {
+        DeleteContainerItem(
+            copy, 
+            (inner instanceof Map ? PATH_MAP_KEY : PATH_OBJECT_KEY), 
+            item.key
+        );
+    });
+
+    return CreateUpdatedTraverse(self, copy);
+};
+
+/**
+ *  Assume that a field exists if a condition field exists (and has one of 
+ *  specified values).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object or a Map object.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the "conditionValues" parameter is not an Array.
+ *    [3] Traverse.KeyNotFoundError: 
+ *        Raised if the field is required but doesn't exist.
+ * 
+ *  Note(s):
+ *    [1] The condition values are compared with the value of the condition 
+ *        field strictly (===).
+ * 
+ *  @param {*} key - The key of the (conditionally) required field.
+ *  @param {*} conditionKey - The key of the condition field.
+ *  @param {Array} [conditionValues] - The values of the condition field 
+ *                                     which make the field required 
+ *                                     (default: any value).
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.requiredIf = function(key, conditionKey, conditionValues) {
+    let self = this;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+    if (
+        typeof(conditionValues) != "undefined" && 
+        !Array.isArray(conditionValues)
+    ) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Condition values must be an array.", 
+            {
+                "rule": "requiredIf",
+                "expected": "Array",
+                "actual": GetSafeRepresentation(conditionValues)
+            }
+        );
+    }
+
+    //  Check the condition.
+    let isRequired = HasField(self, conditionKey) && (
+        typeof(conditionValues) == "undefined" || 
+        conditionValues.indexOf(GetField(self, conditionKey)) >= 0
+    );
+    if (isRequired && !HasField(self, key)) {
+        let fieldPath = GetFieldPath(self, key);
+        throw CreateError(self, TraverseKeyNotFoundError, Util.format(
+            "Sub path is required (path=\"%s\", condition=\"%s\").",
+            fieldPath.toLegacyString(),
+            GetFieldPath(self, conditionKey).toLegacyString()
+        ), {
+            "path": fieldPath,
+            "rule": "requiredIf",
+            "expected": "existed key",
+            "actual": "undefined"
+        });
+    }
+
+    return self;
+};
+
+/**
+ *  Assume that at most one of specified fields exists.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object or a Map object.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the keys is not a non-empty array.
+ *    [3] Traverse.Error: 
+ *        Raised if more than one field exist (reported at the path of the 
+ *        second existing field).
+ * 
+ *  @param {Array} keys - The keys of the fields.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.mutuallyExclusive = function(keys) {
+    let self = this;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+    CheckFieldKeys(self, keys, "mutuallyExclusive");
+
+    CheckExclusiveFields(self, keys, "mutuallyExclusive");
+
+    return self;
+};
+
+/**
+ *  Assume that exactly one of specified fields exists.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object or a Map object.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the keys is not a non-empty array.
+ *    [3] Traverse.KeyNotFoundError: 
+ *        Raised if none of the fields exists.
+ *    [4] Traverse.Error: 
+ *        Raised if more than one field exist (reported at the path of the 
+ *        second existing field).
+ * 
+ *  @param {Array} keys - The keys of the fields.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.exactlyOneOf = function(keys) {
+    let self = this;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+    CheckFieldKeys(self, keys, "exactlyOneOf");
+
+    CheckAnyField(self, keys, "exactlyOneOf");
+    CheckExclusiveFields(self, keys, "exactlyOneOf");
+
+    return self;
+};
+
+/**
+ *  Assume that at least one of specified fields exists.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object or a Map object.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the keys is not a non-empty array.
+ *    [3] Traverse.KeyNotFoundError: 
+ *        Raised if none of the fields exists.
+ * 
+ *  @param {Array} keys - The keys of the fields.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.atLeastOneOf = function(keys) {
+    let self = this;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+    CheckFieldKeys(self, keys, "atLeastOneOf");
+
+    CheckAnyField(self, keys, "atLeastOneOf");
+
+    return self;
+};
+
+/**
+ *  Assume that two fields are equal.
+ * 
+ *  Expected:
+ *    [1] inner[key] == inner[otherKey]
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object or a Map object.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the types of the two fields are different.
+ *    [3] Traverse.ValueOutOfRangeError: 
+ *        Raised if the fields are not equal (reported at the path of the 
+ *        first field).
+ * 
+ *  Note(s):
+ *    [1] The check is skipped if any of the fields doesn't exist.
+ * 
+ *  @param {*} key - The key of the first field.
+ *  @param {*} otherKey - The key of the second field.
+ *  @param {TraverseComparator} [comparator] - The comparator.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.fieldsEqual = function(
+    key, 
+    otherKey, 
+    comparator = Traverse.DEFAULT_COMPARATOR
+) {
+    let self = this;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+
+    CompareFields(self, key, "==", otherKey, comparator, "fieldsEqual");
+
+    return self;
+};
+
+/**
+ *  Assume that two fields satisfy a relation.
+ * 
+ *  Expected:
+ *    [1] inner[key] <operator> inner[otherKey]
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an Object or a Map object.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised in following situations:
+ * 
+ *          - The operator is not supported.
+ *          - The types of the two fields are different.
+ * 
+ *    [3] Traverse.ValueOutOfRangeError: 
+ *        Raised if the relation is not satisfied (reported at the path of 
+ *        the first field).
+ * 
+ *  Note(s):
+ *    [1] The check is skipped if any of the fields doesn't exist.
+ * 
+ *  @param {*} key - The key of the first field.
+ *  @param {String} operator - The operator, one of "==", "!=", "<", "<=", 
+ *                             ">" and ">=".
+ *  @param {*} otherKey - The key of the second field.
+ *  @param {TraverseComparator} [comparator] - The comparator.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.fieldsCompare = function(
+    key, 
+    operator, 
+    otherKey, 
+    comparator = Traverse.DEFAULT_COMPARATOR
+) {
+    let self = this;
+
+    //  Check type.
+    self.notNull().typeOf(Object);
+
+    CompareFields(self, key, operator, otherKey, comparator, "fieldsCompare");
+
+    return self;
+};
+
+/**
+ *  Get the length of an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *  @return {Number} - The length.
+ */
+Traverse.prototype.arrayLength = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    return inner.length;
+};
+
+/**
+ *  Get an item from an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *    [2] Traverse.ParameterError:
+ *        Raised if 'offset' is not an integer.
+ * 
+ *    [3] Traverse.IndexOutOfRangeError:
+ *        Raised if 'offset' is out of range.
+ * 
+ *  @param {Number} offset
+ *      - The offset of the item within the array.
+ *  @return {Traverse} 
+ *      - Traverse object of the item.
+ */
+Traverse.prototype.arrayGetItem = function(offset) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Check the offset.
+    if (!Number.isInteger(offset)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Offset must be an integer.", 
+            {
+                "rule": "arrayGetItem",
+                "expected": "integer",
+                "actual": GetSafeRepresentation(offset)
+            }
+        );
+    }
+    if (offset < 0 || offset >= inner.length) {
+        throw CreateError(
+            self, 
+            TraverseIndexOutOfRangeError, 
+            "Offset is out of range.", 
+            {
+                "path": GetSubPath(self, PATH_ARRAY_INDEX, offset),
+                "rule": "arrayGetItem",
+                "expected": Util.format("[0, %d)", inner.length),
+                "actual": GetSafeRepresentation(offset)
+            }
+        );
+    }
+
+    //  Get the item.
+    return CreateSubTraverse(
+        self, 
+        inner[offset], 
+        GetSubPath(self, PATH_ARRAY_INDEX, offset)
+    );
+};
+
+/**
+ *  Set an item from an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *    [2] Traverse.ParameterError:
+ *        Raised if 'offset' is not an integer.
+ * 
+ *    [3] Traverse.IndexOutOfRangeError:
+ *        Raised if 'offset' is out of range.
+ * 
+ *  @param {Number} offset
+ *      - The offset of the item within the array.
+ *  @param {*} value
+ *      - The item value.
+ *  @return {Traverse} 
+ *      - Self.
+ */
+Traverse.prototype.arraySetItem = function(offset, value) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Check the offset.
+    if (!Number.isInteger(offset)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Offset must be an integer.", 
+            {
+                "rule": "arraySetItem",
+                "expected": "integer",
+                "actual": GetSafeRepresentation(offset)
+            }
+        );
+    }
+    if (offset < 0 || offset >= inner.length) {
+        throw CreateError(
+            self, 
+            TraverseIndexOutOfRangeError, 
+            "Offset is out of range.", 
+            {
+                "path": GetSubPath(self, PATH_ARRAY_INDEX, offset),
+                "rule": "arraySetItem",
+                "expected": Util.format("[0, %d)", inner.length),
+                "actual": GetSafeRepresentation(offset)
+            }
+        );
+    }
+
+    //  Set the item.
+    inner[offset] = value;
+
+    return self;
+};
+
+/**
+ *  Set an item within a copy of an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *    [2] Traverse.ParameterError:
+ *        Raised if 'offset' is not an integer.
+ * 
+ *    [3] Traverse.IndexOutOfRangeError:
+ *        Raised if 'offset' is out of range.
+ * 
+ *  Note(s):
+ *    [1] The inner object is not mutated, see replaceImmutable() for 
+ *        details.
+ * 
+ *  @param {Number} offset - The offset of the item within the array.
+ *  @param {*} value - The item value.
+ *  @return {Traverse} - Traverse object of the updated copy.
+ */
+Traverse.prototype.arraySetItemImmutable = function(offset, value) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Set the item.
+    let copy = inner.slice();
+    CreateRaisingCopy(self, copy).arraySetItem(offset, value);
+
+    return CreateUpdatedTraverse(self, copy);
+};
+
+/**
+ *  Push an item to an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *  @param {*} value
+ *      - The item value.
+ *  @return {Traverse}
+ *      - Self.
+ */
+Traverse.prototype.arrayPushItem = function(value) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Push the item.
+    inner.push(value);
+
+    return self;
+};
+
+/**
+ *  Push an item to a copy of an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *  Note(s):
+ *    [1] The inner object is not mutated, see replaceImmutable() for 
+ *        details.
+ * 
+ *  @param {*} value - The item value.
+ *  @return {Traverse} - Traverse object of the updated copy.
+ */
+Traverse.prototype.arrayPushItemImmutable = function(value) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Push the item.
+    let copy = inner.slice();
+    copy.push(value);
+
+    return CreateUpdatedTraverse(self, copy);
+};
+
+/**
+ *  Pop an item from an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *    [3] Traverse.IndexOutOfRangeError:
+ *        Raised if the array is already empty.
+ * 
+ *  @return {Traverse}
+ *      - Traverse object of the popped item.
+ */
+Traverse.prototype.arrayPopItem = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Check the array.
+    if (inner.length == 0) {
+        throw CreateError(
+            self, 
+            TraverseIndexOutOfRangeError, 
+            "Array is empty.", 
+            {
+                "rule": "arrayPopItem",
+                "expected": "non-empty array"
+            }
+        );
+    }
+
+    //  Pop an item.
+    let item = inner.pop();
+    return CreateSubTraverse(
+        self, 
+        item, 
+        GetSubPath(self, PATH_ARRAY_INDEX, inner.length)
+    );
+};
+
+/**
+ *  Pop an item from a copy of an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *    [2] Traverse.IndexOutOfRangeError:
+ *        Raised if the array is already empty.
+ * 
+ *  Note(s):
+ *    [1] The inner object is not mutated, see replaceImmutable() for 
+ *        details.
+ *    [2] The popped item is not returned, get it by arrayGetItem() before 
+ *        popping if needed.
+ * 
+ *  @return {Traverse} - Traverse object of the updated copy.
+ */
+Traverse.prototype.arrayPopItemImmutable = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Pop an item.
+    let copy = inner.slice();
+    CreateRaisingCopy(self, copy).arrayPopItem();
+
+    return CreateUpdatedTraverse(self, copy);
+};
+
+/**
+ *  Shift an item from an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *    [3] Traverse.IndexOutOfRangeError:
+ *        Raised if the array is already empty.
+ * 
+ *  @return {Traverse}
+ *      - Traverse object of the shifted item.
+ */
+Traverse.prototype.arrayShiftItem = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Check the array.
+    if (inner.length == 0) {
+        throw CreateError(
+            self, 
+            TraverseIndexOutOfRangeError, 
+            "Array is empty.", 
+            {
+                "rule": "arrayShiftItem",
+                "expected": "non-empty array"
+            }
+        );
+    }
+
+    //  Shift an item.
+    return CreateSubTraverse(
+        self, 
+        inner.shift(), 
+        GetSubPath(self, PATH_ARRAY_INDEX, 0)
+    );
+};
+
+/**
+ *  Shift an item from a copy of an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *    [2] Traverse.IndexOutOfRangeError:
+ *        Raised if the array is already empty.
+ * 
+ *  Note(s):
+ *    [1] The inner object is not mutated, see replaceImmutable() for 
+ *        details.
+ *    [2] The shifted item is not returned, get it by arrayGetItem() before 
+ *        shifting if needed.
+ * 
+ *  @return {Traverse} - Traverse object of the updated copy.
+ */
+Traverse.prototype.arrayShiftItemImmutable = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Shift an item.
+    let copy = inner.slice();
+    CreateRaisingCopy(self, copy).arrayShiftItem();
+
+    return CreateUpdatedTraverse(self, copy);
+};
+
+/**
+ *  Unshift an item to an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *  @param {*} value
+ *      - The item value.
+ *  @return {Traverse}
+ *      - Self.
+ */
+Traverse.prototype.arrayUnshiftItem = function(item) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Unshift the item.
+    inner.unshift(item);
+
+    return self;
+};
+
+/**
+ *  Unshift an item to a copy of an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *  Note(s):
+ *    [1] The inner object is not mutated, see replaceImmutable() for 
+ *        details.
+ * 
+ *  @param {*} value - The item value.
+ *  @return {Traverse} - Traverse object of the updated copy.
+ */
+Traverse.prototype.arrayUnshiftItemImmutable = function(value) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Unshift the item.
+    let copy = inner.slice();
+    copy.unshift(value);
+
+    return CreateUpdatedTraverse(self, copy);
+};
+
+/**
+ *  Iterate an array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *  @param {(item: Traverse) => void} callback - The callback.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.arrayForEach = function(callback) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Scan all items.
+    for (let i = 0; i < inner.length; ++i) {
+        callback.call(self, CreateSubTraverse(
+            self, 
+            inner[i], 
+            GetSubPath(self, PATH_ARRAY_INDEX, i)
+        ));
+    }
+
+    return self;
+};
+
+/**
+ *  Iterate an array with deletion.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *  Note(s):
+ *    [1] If the callback returns true, the item would be deleted.
+ * 
+ *  @param {(item: Traverse) => Boolean} callback - The callback.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.arrayForEachWithDeletion = function(callback) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Scan all items.
+    let cursor = 0;
+    while (cursor < inner.length) {
+        let isDelete = callback.call(
+            self, 
+            CreateSubTraverse(
+                self, 
+                inner[cursor], 
+                GetSubPath(self, PATH_ARRAY_INDEX, cursor)
+            )
+        );
+        if (isDelete) {
+            inner.splice(cursor, 1);
+        } else {
+            ++cursor;
         }
+    }
 
-        return self;
-    };
-
-    /**
-     *  Load JSON object from current inner object (a string).
-     * 
-     *  Exception(s):
-     *    [1] Traverse.ParseError: 
-     *        Raised when the failed to parse the JSON object.
-     *    [2] Traverse.TypeError: 
-     *        Raised if the inner object is not string.
-     * 
-     *  @return {Traverse} - The parsed JSON object wrapped with Traverse.
-     */
-    this.jsonLoad = function() {
-        //  Get the sub path.
-        let subPath = _GetSubPath("[JSON(Load)]");
+    return self;
+};
 
-        if (!self.isNull()) {
-            //  Ensure the inner object is a string.
-            self.string();
+/**
+ *  Iterate an array and delete items within a copy of the array.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *  Note(s):
+ *    [1] If the callback returns true, the item would be deleted.
+ *    [2] The inner object is not mutated, see replaceImmutable() for 
+ *        details.
+ *    [3] Unlike arrayForEachWithDeletion(), the path of each item is its 
+ *        original index.
+ * 
+ *  @param {(item: Traverse) => Boolean} callback - The callback.
+ *  @return {Traverse} - Traverse object of the updated copy.
+ */
+Traverse.prototype.arrayForEachWithDeletionImmutable = function(callback) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
 
-            //  Parse the JSON.
-            let parsed = null;
-            try {
-                parsed = JSON.parse(inner);
-            } catch(error) {
-                throw new TraverseParseError(Util.format(
-                    "Unable to parse JSON object (error=\"%s\", path=\"%s\").",
-                    error.message || "(unknown)",
-                    subPath
-                ));
-            }
+    //  Check type.
+    self.notNull().typeOf(Array);
 
-            return new Traverse(parsed, subPath);
-        } else {
-            return new Traverse(null, subPath);
-        }
-    };
+    //  Scan all items.
+    let copy = inner.filter(function(item, index) {
+        return !callback.call(self, CreateSubTraverse(
+            self, 
+            item, 
+            GetSubPath(self, PATH_ARRAY_INDEX, index)
+        ));
+    });
 
-    /**
-     *  Save JSON object to a new Traverse object.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised when cyclic object value was found.
-     *    [2] Traverse.Error: 
-     *        Raised when other JSON serialization error occurred.
-     * 
-     *  @return {Traverse} - The serialized JSON string wrapped with Traverse.
-     */
-    this.jsonSave = function() {
-        //  Serialize.
-        let serialized = null;
+    return CreateUpdatedTraverse(self, copy);
+};
 
-        //  Sub path.
-        let subPath = _GetSubPath("[JSON(Save)]");
+/**
+ *  Iterate an array asynchronously.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the concurrency is neither a positive integer nor 
+ *        Infinity.
+ * 
+ *  Note(s):
+ *    [1] The callback may return a Promise, which would be awaited.
+ *    [2] Items are iterated in index order with at most `concurrency` 
+ *        callbacks running at the same time.
+ *    [3] The items to be iterated are determined when this method is 
+ *        called (items added by the callbacks are not iterated).
+ *    [4] The returned promise is rejected with the error of the first 
+ *        failed callback (after all running callbacks settled), no more 
+ *        callback would be invoked once a callback failed.
+ * 
+ *  @param {(item: Traverse) => (Promise|void)} callback - The callback.
+ *  @param {Number} [concurrency] - The maximum count of running callbacks 
+ *                                  (default: 1).
+ *  @return {Promise<Traverse>} - The promise (resolves with self).
+ */
+Traverse.prototype.arrayForEachAsync = async function(
+    callback, 
+    concurrency = 1
+) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+    CheckConcurrency(self, concurrency, "arrayForEachAsync");
+
+    //  Scan all items.
+    let items = inner.slice();
+    await RunTasksConcurrently(items.length, concurrency, function(i) {
+        return callback.call(self, CreateSubTraverse(
+            self, 
+            items[i], 
+            GetSubPath(self, PATH_ARRAY_INDEX, i)
+        ));
+    });
 
-        try {
-            serialized = JSON.stringify(inner);
-        } catch(error) {
-            //
-            //  Reference(s):
-            //    [1] https://developer.mozilla.org/en-US/docs/Web/JavaScript/Re
-            //        ference/Global_Objects/JSON/stringify#Exceptions
-            //
-            if (error instanceof TypeError) {
-                throw new TraverseTypeError(Util.format(
-                    "Unable to serialize to JSON (error=\"%s\", path=\"%s\").",
-                    error.message || "(unknown)",
-                    subPath
-                ));
-            } else {
-                //  Handle unstandardized error.
-                throw new TraverseError(Util.format(
-                    "Unable to serialize to JSON (error=\"%s\", path=\"%s\").",
-                    error.message || "(unknown)",
-                    subPath
-                ));
-            }
-        }
+    return self;
+};
 
-        return new Traverse(serialized, subPath);
+/**
+ *  Iterate an array with deletion asynchronously.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised if the concurrency is neither a positive integer nor 
+ *        Infinity.
+ * 
+ *  Note(s):
+ *    [1] If the callback returns (or resolves with) true, the item would 
+ *        be deleted.
+ *    [2] Unlike arrayForEachWithDeletion(), items are deleted after all 
+ *        callbacks completed, so the path of each item is its original 
+ *        index. No item would be deleted if any callback failed.
+ *    [3] Items are iterated in index order with at most `concurrency` 
+ *        callbacks running at the same time.
+ * 
+ *  @param {(item: Traverse) => (Promise<Boolean>|Boolean)} callback - The 
+ *                                                                 callback.
+ *  @param {Number} [concurrency] - The maximum count of running callbacks 
+ *                                  (default: 1).
+ *  @return {Promise<Traverse>} - The promise (resolves with self).
+ */
+Traverse.prototype.arrayForEachWithDeletionAsync = async function(
+    callback, 
+    concurrency = 1
+) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+    CheckConcurrency(self, concurrency, "arrayForEachWithDeletionAsync");
+
+    //  Scan all items.
+    let items = inner.slice();
+    let deletions = items.map(function() {
+        return false;
+    });
+    let task = async function(i) {
+        deletions[i] = await callback.call(self, CreateSubTraverse(
+            self, 
+            items[i], 
+            GetSubPath(self, PATH_ARRAY_INDEX, i)
+        ));
     };
+    await RunTasksConcurrently(items.length, concurrency, task);
 
-    /**
-     *  Go to sub directory.
-     *  
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in one of following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an Object or a Map object.
-     * 
-     *    [2] Traverse.ParameterError: 
-     *        Raised if the "name" parameter is not a string and the inner obje-
-     *        ct is a Object.
-     *    [3] Traverse.KeyNotFoundError: 
-     *        Raised if the sub path can't be found.
-     * 
-     *  @param {*} name - The name(key) of sub directory.
-     *  @return {Traverse} - Traverse object of sub directory.
-     */
-    this.sub = function(name) {
-        //  Pre-check.
-        self.notNull();
+    //  Delete items (in reverse order to keep indexes valid).
+    for (let i = items.length - 1; i >= 0; --i) {
+        if (deletions[i]) {
+            inner.splice(i, 1);
+        }
+    }
 
-        //  Get the sub path.
-        let subPath = _GetSubPath(name);
-
-        if (CrType.IsInstanceOf(inner, Map)) {
-            if (inner.has(name)) {
-                return new Traverse(inner.get(name), subPath);
-            } else {
-                throw new TraverseKeyNotFoundError(Util.format(
-                    "Sub path doesn't exist (path=\"%s\").",
-                    subPath
-                ));
-            }
-        } else if (CrType.IsInstanceOf(inner, Object)) {
-            //  Check key type.
-            if (!CrType.IsInstanceOf(name, String)) {
-                throw new TraverseParameterError(
-                    "Name(key) must be a string when inner object is an Object."
-                );
-            }
+    return self;
+};
 
-            if (name in inner) {
-                //  Go into inner path.
-                return new Traverse(inner[name], subPath);
-            } else {
-                throw new TraverseKeyNotFoundError(Util.format(
-                    "Sub path doesn't exist (path=\"%s\").",
-                    subPath
-                ));
-            }
-        } else {
-            throw new TraverseTypeError(Util.format(
-                "Invalid inner type (expect=Map/Object, path=\"%s\").",
-                path
-            ));
-        }
-    };
+/**
+ *  Assume the array has a minimum length.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *    [2] Traverse.SizeError: 
+ *        Raised if the array size exceeds.
+ * 
+ *  @param {Number} minLength - The minimum length.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.arrayMinLength = function(minLength) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Check array length.
+    let currentLength = inner.length;
+    if (currentLength < minLength) {
+        throw CreateError(self, TraverseSizeError, Util.format(
+            "Array should have at least %d item(s) (path=\"%s\", " + 
+            "current=%d).",
+            minLength,
+            path.toLegacyString(),
+            currentLength
+        ), {
+            "rule": "arrayMinLength",
+            "expected": "length>=" + String(minLength),
+            "actual": "length=" + String(currentLength)
+        });
+    }
 
-    /**
-     *  Go to sub directory which can be non-existed.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an Object or a Map object.
-     * 
-     *    [2] Traverse.ParameterError: 
-     *        Raised if the "name" parameter is not a string and the inner obje-
-     *        ct is a Object.
-     * 
-     *  @param {*} name - The name(key) of sub directory.
-     *  @param {*} defaultValue - The default value if the directory doesn't 
-     *                            exist.
-     *  @return {Traverse} - Traverse object of sub directory.
-     */
-    this.optionalSub = function(name, defaultValue) {
-        //  Pre-check.
-        self.notNull();
+    return self;
+};
 
-        //  Get the sub path.
-        let subPath = _GetSubPath(name);
+/**
+ *  Assume the array has a maximum length.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not an array.
+ * 
+ *    [2] Traverse.SizeError: 
+ *        Raised if the array size exceeds.
+ * 
+ *  @param {Number} maxLength - The maximum length.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.arrayMaxLength = function(maxLength) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+
+    //  Check type.
+    self.notNull().typeOf(Array);
+
+    //  Check array length.
+    let currentLength = inner.length;
+    if (currentLength > maxLength) {
+        throw CreateError(self, TraverseSizeError, Util.format(
+            "Array should have at most %d item(s) (path=\"%s\", " + 
+            "current=%d).",
+            maxLength,
+            path.toLegacyString(),
+            currentLength
+        ), {
+            "rule": "arrayMaxLength",
+            "expected": "length<=" + String(maxLength),
+            "actual": "length=" + String(currentLength)
+        });
+    }
 
-        if (CrType.IsInstanceOf(inner, Map)) {
-            if (inner.has(name)) {
-                return new Traverse(inner.get(name), subPath);
-            } else {
-                return new Traverse(defaultValue, subPath);
-            }
-        } else if (CrType.IsInstanceOf(inner, Object)) {
-            //  Check key type.
-            if (!CrType.IsInstanceOf(name, String)) {
-                throw new TraverseParameterError(
-                    "Name(key) must be a string when inner object is an Object."
-                );
-            }
+    return self;
+};
 
-            if (name in inner) {
-                //  Go into inner path.
-                return new Traverse(inner[name], subPath);
-            } else {
-                return new Traverse(defaultValue, subPath);
-            }
-        } else {
-            throw new TraverseTypeError(Util.format(
-                "Invalid inner type (expect=map/object, path=\"%s\").",
-                path
-            ));
-        }
-    };
+/**
+ *  Iterate a map.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not a Map object.
+ * 
+ *  @param {(value: Traverse, key: *) => void} callback - The callback.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.mapForEach = function(callback) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
 
-    /**
-     *  Assume that the inner object is not NULL.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised when the inner object is NULL.
-     * 
-     *  @return {Traverse} - Self.
-     */
-    this.notNull = function() {
-        //  Ensure the value is not null.
-        if (inner === null) {
-            throw new TraverseTypeError(Util.format(
-                "Value should not be NULL (path=\"%s\").",
-                path
-            ));
-        }
+    //  Check type.
+    self.notNull().typeOf(Map);
 
-        return self;
-    };
+    //  Scan all entries.
+    Array.from(inner.entries()).forEach(function(entry) {
+        callback.call(
+            self, 
+            CreateSubTraverse(
+                self, 
+                entry[1], 
+                GetSubPath(self, PATH_MAP_KEY, entry[0])
+            ), 
+            entry[0]
+        );
+    });
 
-    /**
-     *  Give minimum value threshold to the inner object.
-     * 
-     *  Expected:
-     *    [1] inner >= threshold
-     * 
-     *  Exception(s):
-     *    [1] Traverse.ParameterError: 
-     *        Raised if the type of the inner object is different to the thresh-
-     *        old object.
-     *    [2] Traverse.ValueOutOfRangeError: 
-     *        Raised if the value is not within the threshold.
-     * 
-     *  @param {*} threshold - The threshold.
-     *  @param {TraverseComparator} [comparator] - The comparator.
-     *  @return {Traverse} - Self.
-     */
-    this.min = function(
-        threshold, 
-        comparator = Traverse.DEFAULT_COMPARATOR
-    ) {
-        if (inner !== null) {
-            //  Check object type.
-            if (!CrType.IsSameType(inner, threshold)) {
-                throw new TraverseParameterError(Util.format(
-                    "Uncomparable type (path=\"%s\").",
-                    path
-                ));
-            }
+    return self;
+};
 
-            //  Check value range.
-            if (comparator.lt(inner, threshold)) {
-                throw new TraverseValueOutOfRangeError(Util.format(
-                    "Value is too small (path=\"%s\", require='>=', " + 
-                    "threshold=%s).",
-                    path,
-                    _GetObjectRepresentation(threshold) || "(unrepresentable)"
-                ));
-            }
-        }
+/**
+ *  Get the size of a map.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not a Map object.
+ * 
+ *  @return {Number} - The size.
+ */
+Traverse.prototype.mapSize = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
 
-        return self;
-    };
+    //  Check type.
+    self.notNull().typeOf(Map);
 
-    /**
-     *  Give exclusive minimum value threshold to the inner object.
-     * 
-     *  Expected:
-     *    [1] inner > threshold
-     * 
-     *  Exception(s):
-     *    [1] Traverse.ParameterError: 
-     *        Raised if the type of the inner object is different to the thresh-
-     *        old object.
-     *    [2] Traverse.ValueOutOfRangeError: 
-     *        Raised if the value is not within the threshold.
-     * 
-     *  @param {*} threshold - The threshold.
-     *  @param {TraverseComparator} [comparator] - The comparator.
-     *  @return {Traverse} - Self.
-     */
-    this.minExclusive = function(
-        threshold, 
-        comparator = Traverse.DEFAULT_COMPARATOR
-    ) {
-        if (inner !== null) {
-            //  Check object type.
-            if (!CrType.IsSameType(inner, threshold)) {
-                throw new TraverseParameterError(Util.format(
-                    "Uncomparable type (path=\"%s\").",
-                    path
-                ));
-            }
+    return inner.size;
+};
 
-            //  Check value range.
-            if (comparator.le(inner, threshold)) {
-                throw new TraverseValueOutOfRangeError(Util.format(
-                    "Value is too small (path=\"%s\", require='>', " + 
-                    "threshold=%s.",
-                    path,
-                    _GetObjectRepresentation(threshold) || "(unrepresentable)"
-                ));
-            }
-        }
+/**
+ *  Get whether a map has specified key.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not a Map object.
+ * 
+ *  @param {*} key - The key.
+ *  @return {Boolean} - True if so.
+ */
+Traverse.prototype.mapHas = function(key) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
 
-        return self;
-    };
+    //  Check type.
+    self.notNull().typeOf(Map);
 
-    /**
-     *  Give maximum value threshold to the inner object.
-     * 
-     *  Expected:
-     *    [1] inner <= threshold
-     * 
-     *  Exception(s):
-     *    [1] Traverse.ParameterError: 
-     *        Raised if the type of the inner object is different to the thresh-
-     *        old object.
-     *    [2] Traverse.ValueOutOfRangeError: 
-     *        Raised if the value is not within the threshold.
-     * 
-     *  @param {*} threshold - The threshold.
-     *  @param {TraverseComparator} [comparator] - The comparator.
-     *  @return {Traverse} - Self.
-     */
-    this.max = function(
-        threshold, 
-        comparator = Traverse.DEFAULT_COMPARATOR
-    ) {
-        if (inner !== null) {
-            //  Check object type.
-            if (!CrType.IsSameType(inner, threshold)) {
-                throw new TraverseParameterError(Util.format(
-                    "Uncomparable type (path=\"%s\").",
-                    path
-                ));
-            }
+    return inner.has(key);
+};
 
-            //  Check value range.
-            if (comparator.gt(inner, threshold)) {
-                throw new TraverseValueOutOfRangeError(Util.format(
-                    "Value is too large (path=\"%s\", require='<=', " + 
-                    "threshold=%s).",
-                    path,
-                    _GetObjectRepresentation(threshold) || "(unrepresentable)"
-                ));
-            }
-        }
+/**
+ *  Set a key-value pair within a map.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not a Map object.
+ * 
+ *  @param {*} key - The key.
+ *  @param {*} value - The value.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.mapSet = function(key, value) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
 
-        return self;
-    };
+    //  Check type.
+    self.notNull().typeOf(Map);
 
-    /**
-     *  Give exclusive maximum value threshold to the inner object.
-     * 
-     *  Expected:
-     *    [1] inner < threshold
-     * 
-     *  Exception(s):
-     *    [1] Traverse.ParameterError: 
-     *        Raised if the type of the inner object is different to the thresh-
-     *        old object.
-     *    [2] Traverse.ValueOutOfRangeError: 
-     *        Raised if the value is not within the threshold.
-     * 
-     *  @param {*} threshold - The threshold.
-     *  @param {TraverseComparator} [comparator] - The comparator.
-     *  @return {Traverse} - Self.
-     */
-    this.maxExclusive = function(
-        threshold, 
-        comparator = Traverse.DEFAULT_COMPARATOR
-    ) {
-        if (inner !== null) {
-            //  Check object type.
-            if (!CrType.IsSameType(inner, threshold)) {
-                throw new TraverseParameterError(Util.format(
-                    "Uncomparable type (path=\"%s\").",
-                    path
-                ));
-            }
+    //  Set the key pair.
+    inner.set(key, value);
 
-            //  Check value range.
-            if (comparator.ge(inner, threshold)) {
-                throw new TraverseValueOutOfRangeError(Util.format(
-                    "Value is too large (path=\"%s\", require='<', " + 
-                    "threshold=%s).",
-                    path,
-                    _GetObjectRepresentation(threshold) || "(unrepresentable)"
-                ));
-            }
-        }
+    return self;
+};
 
-        return self;
-    };
+/**
+ *  Set a key-value pair within a copy of a map.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not a Map object.
+ * 
+ *  Note(s):
+ *    [1] The inner object is not mutated, see replaceImmutable() for 
+ *        details.
+ * 
+ *  @param {*} key - The key.
+ *  @param {*} value - The value.
+ *  @return {Traverse} - Traverse object of the updated copy.
+ */
+Traverse.prototype.mapSetImmutable = function(key, value) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
 
-    /**
-     *  Give value threshold to the inner object.
-     * 
-     *  Expected:
-     *    [1] min <= inner <= max
-     * 
-     *  Exception(s):
-     *    [1] Traverse.ParameterError: 
-     *        Raised if the type of the inner object is different to the thresh-
-     *        old objects.
-     *    [2] Traverse.ValueOutOfRangeError: 
-     *        Raised if the value is not within the thresholds.
-     * 
-     *  @param {*} minValue - The minimum threshold.
-     *  @param {*} maxValue - The maximum threshold.
-     *  @param {TraverseComparator} [comparator] - The comparator.
-     *  @return {Traverse} - Self.
-     */
-    this.range = function(
-        minValue, 
-        maxValue, 
-        comparator = Traverse.DEFAULT_COMPARATOR
-    ) {
-        return self.min(minValue, comparator).max(maxValue, comparator);
-    };
+    //  Check type.
+    self.notNull().typeOf(Map);
 
-    /**
-     *  Select an item from specific array (inner object as the index).
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an integer.
-     * 
-     *    [2] Traverse.IndexOutOfRangeError: 
-     *        Raised if the index out of range.
-     *    [3] Traverse.ParameterError: 
-     *        Raised if the "from" parameter is not valid (not an array).
-     * 
-     *  @param {Array} from - The array.
-     *  @return {Traverse} - Traverse object of selected item.
-     */
-    this.selectFromArray = function(from) {
-        //  Check from object.
-        if (!Array.isArray(from)) {
-            throw new TraverseParameterError("Expect an array object.");
-        }
+    //  Set the key pair.
+    let copy = new Map(inner);
+    copy.set(key, value);
 
-        //  Check inner type.
-        try {
-            self.notNull().integer().min(0).maxExclusive(from.length);
-        } catch(error) {
-            if (error instanceof TraverseValueOutOfRangeError) {
-                throw new TraverseIndexOutOfRangeError(error.message);
-            } else {
-                throw error;
-            }
-        }
+    return CreateUpdatedTraverse(self, copy);
+};
 
-        //  Wrap new object.
-        return new Traverse(from[inner], _GetSubPath(Util.format(
-            "[%d]",
-            inner
-        )));
-    };
+/**
+ *  Delete a key (if exists) within a map.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not a Map object.
+ * 
+ *  @param {*} key - The key.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.mapDelete = function(key) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
 
-    /**
-     *  Select an item from specific object (inner object as the key).
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not string.
-     * 
-     *    [2] Traverse.KeyNotFoundError: 
-     *        Raised if the key doesn't exist.
-     * 
-     *  @param {Object} from - The object.
-     *  @return {Traverse} - Traverse object of selected item.
-     */
-    this.selectFromObject = function(from) {
-        //  Check from object.
-        if (!(from instanceof Object)) {
-            throw new TraverseParameterError("Expect an object.");
-        }
+    //  Check type.
+    self.notNull().typeOf(Map);
 
-        //  Check inner type.
-        self.notNull().typeOf(String);
-
-        //  Check key existence.
-        if (!(inner in from)) {
-            throw new TraverseKeyNotFoundError(Util.format(
-                "\"%s\" doesn't exist (path=\"%s\").",
-                inner,
-                path
-            ));
-        }
+    //  Delete the key.
+    inner.delete(key);
 
-        //  Wrap new object.
-        return new Traverse(from[inner], _GetSubPath(inner));
-    };
+    return self;
+};
 
-    /**
-     *  Select an optional item from specific object (inner object as the key).
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not string.
-     * 
-     *  @param {Object} from - The object.
-     *  @param {*} defaultValue - The default value if the key doesn't exist.
-     *  @return {Traverse} - Traverse object of selected item.
-     */
-    this.selectFromObjectOptional = function(from, defaultValue) {
-        //  Check inner type.
-        self.notNull().typeOf(String);
+/**
+ *  Delete a key (if exists) within a copy of a map.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not a Map object.
+ * 
+ *  Note(s):
+ *    [1] The inner object is not mutated, see replaceImmutable() for 
+ *        details.
+ * 
+ *  @param {*} key - The key.
+ *  @return {Traverse} - Traverse object of the updated copy.
+ */
+Traverse.prototype.mapDeleteImmutable = function(key) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
+
+    //  Check type.
+    self.notNull().typeOf(Map);
 
-        try {
-            return self.selectFromObject(from);
-        } catch(error) {
-            if (error instanceof TraverseKeyNotFoundError) {
-                return new Traverse(defaultValue, _GetSubPath(inner));
-            } else {
-                throw error;
-            }
-        }
-    };
+    //  Delete the key.
+    let copy = new Map(inner);
+    copy.delete(key);
 
-    /**
-     *  Select an item from specific map (use inner object as the key).
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised if the inner object is NULL.
-     *    [2] Traverse.KeyNotFoundError: 
-     *        Raised if the key doesn't exist.
-     *    [3] Traverse.ParameterError: 
-     *        Raised if the "from" parameter is not valid (not a Map object).
-     * 
-     *  @param {Map} from - The map.
-     *  @return {Traverse} - Traverse object of selected item.
-     */
-    this.selectFromMap = function(from) {
-        //  Check from object.
-        if (!(from instanceof Map)) {
-            throw new TraverseParameterError("Expect a map object.");
-        }
+    return CreateUpdatedTraverse(self, copy);
+};
 
-        //  Check inner object.
-        self.notNull();
+/**
+ *  Iterate a set.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not a Set object.
+ * 
+ *  Note(s):
+ *    [1] The path of each item is its position in iteration order (e.g. 
+ *        "/tags/[0]").
+ * 
+ *  @param {(item: Traverse) => void} callback - The callback.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.setForEach = function(callback) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
 
-        //  Check key existence.
-        if (!from.has(inner)) {
-            throw new TraverseKeyNotFoundError(Util.format(
-                "\"%s\" doesn't exist (path=\"%s\").",
-                inner,
-                path
-            ));
-        }
+    //  Check type.
+    self.notNull().typeOf(Set);
 
-        //  Wrap new object.
-        return new Traverse(from.get(inner), _GetSubPath(
-            _GetObjectRepresentation(inner) || "(unrepresentable)"
+    //  Scan all items.
+    Array.from(inner).forEach(function(item, index) {
+        callback.call(self, CreateSubTraverse(
+            self, 
+            item, 
+            GetSubPath(self, PATH_ARRAY_INDEX, index)
         ));
-    };
-
-    /**
-     *  Select an optional item from specific map (inner object as the key).
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised if the inner object is NULL.
-     *    [2] Traverse.ParameterError: 
-     *        Raised if the "from" parameter is not valid (not a Map object).
-     * 
-     *  @param {Map} from - The map.
-     *  @param {*} defaultValue - The default value when the key doesn't exist.
-     *  @return {Traverse} - Traverse object of selected item.
-     */
-    this.selectFromMapOptional = function(from, defaultValue) {
-        try {
-            return self.selectFromMap(from);
-        } catch(error) {
-            if (error instanceof TraverseKeyNotFoundError) {
-                return new Traverse(defaultValue, _GetSubPath(
-                    _GetObjectRepresentation(inner) || "(unrepresentable)"
-                ));
-            } else {
-                throw error;
-            }
-        }
-    };
+    });
 
-    /**
-     *  Iterate an object.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an Object.
-     * 
-     *  @param {(value: Traverse) => void} callback - The callback.
-     *  @return {Traverse} - Self.
-     */
-    this.objectForEach = function(callback) {
-        return self.objectForEachEx(function(traverse) {
-            callback.call(self, traverse);
-        });
-    };
+    return self;
+};
 
-    /**
-     *  Iterate an object (will callback with key parameter).
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an Object.
-     * 
-     *  @param {(value: Traverse, key: string) => void} callback - The callback.
-     *  @return {Traverse} - Self.
-     */
-    this.objectForEachEx = function(callback) {
-        //  Check type.
-        self.notNull().typeOf(Object);
+/**
+ *  Get the size of a set.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not a Set object.
+ * 
+ *  @return {Number} - The size.
+ */
+Traverse.prototype.setSize = function() {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
 
-        //  Scan all keys.
-        for (let key in inner) {
-            callback.call(
-                self, 
-                new Traverse(inner[key], _GetSubPath(key)), 
-                key
-            );
-        }
+    //  Check type.
+    self.notNull().typeOf(Set);
 
-        return self;
-    };
+    return inner.size;
+};
 
-    /**
-     *  Set a key-value pair within an object.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an Object.
-     * 
-     *  @param {String} key - The key.
-     *  @param {*} value - The value.
-     *  @return {Traverse} - Self.
-     */
-    this.objectSet = function(key, value) {
-        //  Check type.
-        self.notNull().typeOf(Object);
+/**
+ *  Get whether a set has specified item.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised in following situations:
+ * 
+ *          - The inner object is NULL.
+ *          - The inner object is not a Set object.
+ * 
+ *  @param {*} item - The item.
+ *  @return {Boolean} - True if so.
+ */
+Traverse.prototype.setHas = function(item) {
+    let self = this;
+    let inner = self[TRAVERSE_STATE].inner;
 
-        //  Set the key pair.
-        inner[key] = value;
+    //  Check type.
+    self.notNull().typeOf(Set);
 
-        return self;
-    };
+    return inner.has(item);
+};
 
-    /**
-     *  Get whether an object has specified key.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an Object.
-     * 
-     *  @param {String} key - The key.
-     *  @return {Boolean} - True if so.
-     */
-    this.objectHas = function(key) {
-        //  Check type.
-        self.notNull().typeOf(Object);
+/**
+ *  Get the length (in bytes) of a byte buffer.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is NULL or is not a byte buffer (an 
+ *        ArrayBuffer, a TypedArray, a DataView or a Buffer).
+ * 
+ *  @return {Number} - The length.
+ */
+Traverse.prototype.bytesLength = function() {
+    let self = this;
+    return CheckBytes(self, "bytesLength").byteLength;
+};
 
-        return (key in inner);
-    };
+/**
+ *  Assume the byte buffer has a minimum length (in bytes).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is NULL or is not a byte buffer (an 
+ *        ArrayBuffer, a TypedArray, a DataView or a Buffer).
+ * 
+ *    [2] Traverse.SizeError: 
+ *        Raised if the byte buffer is too short.
+ * 
+ *  @param {Number} minLength - The minimum length.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.bytesMinLength = function(minLength) {
+    let self = this;
+    let path = self[TRAVERSE_STATE].path;
+
+    //  Check type.
+    let currentLength = CheckBytes(self, "bytesMinLength").byteLength;
+
+    //  Check buffer length.
+    if (currentLength < minLength) {
+        throw CreateError(self, TraverseSizeError, Util.format(
+            "Buffer should have at least %d byte(s) (path=\"%s\", " + 
+            "current=%d).",
+            minLength,
+            path.toLegacyString(),
+            currentLength
+        ), {
+            "rule": "bytesMinLength",
+            "expected": "length>=" + String(minLength),
+            "actual": "length=" + String(currentLength)
+        });
+    }
 
-    /**
-     *  Get the length of an array.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an array.
-     * 
-     *  @return {Number} - The length.
-     */
-    this.arrayLength = function() {
-        //  Check type.
-        self.notNull().typeOf(Array);
+    return self;
+};
 
-        return inner.length;
-    };
+/**
+ *  Assume the byte buffer has a maximum length (in bytes).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is NULL or is not a byte buffer (an 
+ *        ArrayBuffer, a TypedArray, a DataView or a Buffer).
+ * 
+ *    [2] Traverse.SizeError: 
+ *        Raised if the byte buffer is too long.
+ * 
+ *  @param {Number} maxLength - The maximum length.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.bytesMaxLength = function(maxLength) {
+    let self = this;
+    let path = self[TRAVERSE_STATE].path;
+
+    //  Check type.
+    let currentLength = CheckBytes(self, "bytesMaxLength").byteLength;
+
+    //  Check buffer length.
+    if (currentLength > maxLength) {
+        throw CreateError(self, TraverseSizeError, Util.format(
+            "Buffer should have at most %d byte(s) (path=\"%s\", " + 
+            "current=%d).",
+            maxLength,
+            path.toLegacyString(),
+            currentLength
+        ), {
+            "rule": "bytesMaxLength",
+            "expected": "length<=" + String(maxLength),
+            "actual": "length=" + String(currentLength)
+        });
+    }
 
-    /**
-     *  Get an item from an array.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an array.
-     * 
-     *    [2] Traverse.ParameterError:
-     *        Raised if 'offset' is not an integer.
-     * 
-     *    [3] Traverse.IndexOutOfRangeError:
-     *        Raised if 'offset' is out of range.
-     * 
-     *  @param {Number} offset
-     *      - The offset of the item within the array.
-     *  @return {Traverse} 
-     *      - Traverse object of the item.
-     */
-    this.arrayGetItem = function(offset) {
-        //  Check type.
-        self.notNull().typeOf(Array);
+    return self;
+};
 
-        //  Check the offset.
-        if (!Number.isInteger(offset)) {
-            throw new Traverse.ParameterError("Offset must be an integer.");
-        }
-        if (offset < 0 || offset >= inner.length) {
-            throw new Traverse.IndexOutOfRangeError("Offset is out of range.");
-        }
+/**
+ *  Read a typed value from a byte buffer.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.TypeError: 
+ *        Raised if the inner object is NULL or is not a byte buffer (an 
+ *        ArrayBuffer, a TypedArray, a DataView or a Buffer).
+ * 
+ *    [2] Traverse.ParameterError: 
+ *        Raised in following situations:
+ * 
+ *          - The type is not supported.
+ *          - The offset is not an integer.
+ * 
+ *    [3] Traverse.IndexOutOfRangeError: 
+ *        Raised if the value exceeds the byte buffer.
+ * 
+ *  Note(s):
+ *    [1] Supported types are named like the read methods of Buffer: 
+ *        "UInt8", "Int8", "UInt16LE", "UInt16BE", "Int16LE", "Int16BE", 
+ *        "UInt32LE", "UInt32BE", "Int32LE", "Int32BE", "BigUInt64LE", 
+ *        "BigUInt64BE", "BigInt64LE", "BigInt64BE", "FloatLE", "FloatBE", 
+ *        "DoubleLE" and "DoubleBE".
+ *    [2] The offset is in bytes (even if the inner object is a TypedArray 
+ *        with larger items), the path of the value is "[offset]".
+ * 
+ *  @param {String} type - The type.
+ *  @param {Number} offset - The offset (in bytes).
+ *  @return {Traverse} - Traverse object of the value.
+ */
+Traverse.prototype.bytesRead = function(type, offset) {
+    let self = this;
 
-        //  Get the item.
-        return new Traverse(
-            inner[offset],
-            _GetSubPath(Util.format("[%d]", offset))
+    //  Check type.
+    let view = CheckBytes(self, "bytesRead");
+
+    //  Check parameters.
+    if (!BYTES_READERS.has(type)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Unsupported type.", 
+            {
+                "rule": "bytesRead",
+                "expected": GetSafeRepresentation(
+                    Array.from(BYTES_READERS.keys())
+                ),
+                "actual": GetSafeRepresentation(type)
+            }
         );
-    };
+    }
+    if (!Number.isInteger(offset)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Offset must be an integer.", 
+            {
+                "rule": "bytesRead",
+                "expected": "integer",
+                "actual": GetSafeRepresentation(offset)
+            }
+        );
+    }
+    let reader = BYTES_READERS.get(type);
+    let valuePath = GetSubPath(self, PATH_ARRAY_INDEX, offset);
+    if (offset < 0 || offset + reader.size > view.byteLength) {
+        throw CreateError(
+            self, 
+            TraverseIndexOutOfRangeError, 
+            "Offset is out of range.", 
+            {
+                "path": valuePath,
+                "rule": "bytesRead",
+                "expected": Util.format(
+                    "[0, %d)", 
+                    Math.max(view.byteLength - reader.size + 1, 0)
+                ),
+                "actual": GetSafeRepresentation(offset)
+            }
+        );
+    }
 
-    /**
-     *  Set an item from an array.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an array.
-     * 
-     *    [2] Traverse.ParameterError:
-     *        Raised if 'offset' is not an integer.
-     * 
-     *    [3] Traverse.IndexOutOfRangeError:
-     *        Raised if 'offset' is out of range.
-     * 
-     *  @param {Number} offset
-     *      - The offset of the item within the array.
-     *  @param {*} value
-     *      - The item value.
-     *  @return {Traverse} 
-     *      - Self.
-     */
-    this.arraySetItem = function(offset, value) {
-        //  Check type.
-        self.notNull().typeOf(Array);
+    return CreateSubTraverse(self, reader.read(view, offset), valuePath);
+};
 
-        //  Check the offset.
-        if (!Number.isInteger(offset)) {
-            throw new Traverse.ParameterError("Offset must be an integer.");
-        }
-        if (offset < 0 || offset >= inner.length) {
-            throw new Traverse.IndexOutOfRangeError("Offset is out of range.");
+/**
+ *  Replace the inner object without mutating the inner object and its 
+ *  ancestors.
+ * 
+ *  Note(s):
+ *    [1] A new traverse object of the same path is returned, the ancestors 
+ *        of the new object are shallow copies of the ancestors of current 
+ *        object with only the changed branch replaced (structural 
+ *        sharing), use root() to get the updated root.
+ *    [2] Original objects are left untouched.
+ *    [3] Changes are not propagated across pseudo path segments (e.g. 
+ *        "[JSON(Load)]") or parents which don't contain current object 
+ *        (e.g. the key of selectFromObject()), the returned object has no 
+ *        parent in such situations.
+ * 
+ *  @param {*} value - The new inner object.
+ *  @return {Traverse} - Traverse object of the new inner object.
+ */
+Traverse.prototype.replaceImmutable = function(value) {
+    let self = this;
+    return CreateUpdatedTraverse(self, value);
+};
+
+/**
+ *  Set a value deeply (by keys) within a copy of the inner object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised in following situations:
+ * 
+ *          - The keys is not an Array.
+ *          - The key of an array is not an integer.
+ * 
+ *    [2] Traverse.TypeError: 
+ *        Raised if an intermediate value is not an Object, an Array or a 
+ *        Map.
+ *    [3] Traverse.IndexOutOfRangeError: 
+ *        Raised if the key of an array is out of range (an array item can 
+ *        be appended by using the array length as the key).
+ * 
+ *  Note(s):
+ *    [1] The keys have the same form as the return value of 
+ *        getPathSegments() (e.g. ["servers", 0, "port"]).
+ *    [2] Missing intermediate values are created as plain objects.
+ *    [3] The inner object is not mutated, only the containers along the 
+ *        keys are copied, see replaceImmutable() for details.
+ * 
+ *  @param {Array} keys - The keys (relative to current object).
+ *  @param {*} value - The value.
+ *  @return {Traverse} - Traverse object of the updated copy.
+ */
+Traverse.prototype.deepSetImmutable = function(keys, value) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+
+    //  Check the keys.
+    if (!Array.isArray(keys)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Keys must be an array.", 
+            {
+                "rule": "deepSetImmutable",
+                "expected": "Array",
+                "actual": GetSafeRepresentation(keys)
+            }
+        );
+    }
+    if (keys.length == 0) {
+        return CreateUpdatedTraverse(self, value);
+    }
+
+    //  Set the value.
+    let copy = UpdateDeep(
+        self, 
+        inner, 
+        keys, 
+        0, 
+        path, 
+        "deepSetImmutable", 
+        false, 
+        function(container, kind, key) {
+            SetContainerItem(container, kind, key, value);
         }
+    );
 
-        //  Set the item.
-        inner[offset] = value;
+    return CreateUpdatedTraverse(self, copy);
+};
 
-        return self;
-    };
+/**
+ *  Delete a value deeply (by keys) within a copy of the inner object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised in following situations:
+ * 
+ *          - The keys is not an Array or is empty.
+ *          - The key of an array is not an integer.
+ * 
+ *    [2] Traverse.TypeError: 
+ *        Raised if an intermediate value is not an Object, an Array or a 
+ *        Map.
+ *    [3] Traverse.IndexOutOfRangeError: 
+ *        Raised if the key of an array is out of range.
+ *    [4] Traverse.KeyNotFoundError: 
+ *        Raised if a key doesn't exist.
+ * 
+ *  Note(s):
+ *    [1] The keys have the same form as the return value of 
+ *        getPathSegments() (e.g. ["servers", 0, "port"]).
+ *    [2] Array items after the deleted item are shifted.
+ *    [3] The inner object is not mutated, only the containers along the 
+ *        keys are copied, see replaceImmutable() for details.
+ * 
+ *  @param {Array} keys - The keys (relative to current object).
+ *  @return {Traverse} - Traverse object of the updated copy.
+ */
+Traverse.prototype.deepDeleteImmutable = function(keys) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+
+    //  Check the keys.
+    if (!Array.isArray(keys) || keys.length == 0) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Keys must be a non-empty array.", 
+            {
+                "rule": "deepDeleteImmutable",
+                "expected": "non-empty Array",
+                "actual": GetSafeRepresentation(keys)
+            }
+        );
+    }
 
-    /**
-     *  Push an item to an array.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an array.
-     * 
-     *  @param {*} value
-     *      - The item value.
-     *  @return {Traverse}
-     *      - Self.
-     */
-    this.arrayPushItem = function(value) {
-        //  Check type.
-        self.notNull().typeOf(Array);
+    //  Delete the value.
+    let copy = UpdateDeep(
+        self, 
+        inner, 
+        keys, 
+        0, 
+        path, 
+        "deepDeleteImmutable", 
+        true, 
+        DeleteContainerItem
+    );
+
+    return CreateUpdatedTraverse(self, copy);
+};
 
-        //  Push the item.
-        inner.push(value);
+/**
+ *  Get whether the inner object is NULL.
+ * 
+ *  @return {Boolean} - True if so.
+ */
+Traverse.prototype.isNull = function() {
+    let inner = this[TRAVERSE_STATE].inner;
+    return inner === null;
+};
 
-        return self;
-    };
+/**
+ *  Get whether the inner object is undefined.
+ * 
+ *  @return {Boolean} - True if so.
+ */
+Traverse.prototype.isUndefined = function() {
+    let inner = this[TRAVERSE_STATE].inner;
+    return typeof(inner) == "undefined";
+};
 
-    /**
-     *  Pop an item from an array.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an array.
-     * 
-     *    [3] Traverse.IndexOutOfRangeError:
-     *        Raised if the array is already empty.
-     * 
-     *  @return {Traverse}
-     *      - Traverse object of the popped item.
-     */
-    this.arrayPopItem = function() {
-        //  Check type.
-        self.notNull().typeOf(Array);
+/**
+ *  Get whether the key of the inner object doesn't exist (i.e. the inner 
+ *  object was created by optionalSub() or queryOptional() with a key that 
+ *  doesn't exist).
+ * 
+ *  @return {Boolean} - True if so.
+ */
+Traverse.prototype.isMissing = function() {
+    let flags = this[TRAVERSE_STATE].flags;
+    return flags.missing;
+};
 
-        //  Check the array.
-        if (inner.length == 0) {
-            throw new Traverse.IndexOutOfRangeError("Array is empty.");
+/**
+ *  Get the source location of the inner object (only available for 
+ *  values of documents loaded with source maps, see jsonLoad()).
+ * 
+ *  @return {?TraverseSourceLocation} - The location (NULL if not 
+ *                                      available).
+ */
+Traverse.prototype.getSourceLocation = function() {
+    let self = this;
+    let path = self[TRAVERSE_STATE].path;
+    return LocateSource(self, path, false);
+};
+
+/**
+ *  Assume that the inner object is in specific selections.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the type of "selections" parameter is not supported.
+ *    [2] Traverse.KeyNotFoundError: 
+ *        Raised if the item doesn't exist in the "selections".
+ * 
+ *  @param {Set|Map|Array|Object} selections - The selections.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.oneOf = function(selections) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let context = state.context;
+    if (!IsSkipped(self, "oneOf")) {
+        let has = false;
+        if (selections instanceof Set) {
+            has = selections.has(inner);
+        } else if (selections instanceof Map) {
+            has = selections.has(inner);
+        } else if (selections instanceof Array) {
+            has = (selections.indexOf(inner) >= 0);
+        } else if (selections instanceof Object) {
+            has = HasObjectKey(selections, inner, context.ownProperties);
+        } else {
+            throw CreateError(
+                self, 
+                TraverseParameterError, 
+                "Unsupported selections type (only Map/Set/Array/Object " + 
+                "is valid).", 
+                {
+                    "rule": "oneOf",
+                    "expected": "Map/Set/Array/Object",
+                    "actual": GetSafeRepresentation(selections)
+                }
+            );
         }
+        if (!has) {
+            throw CreateError(self, TraverseKeyNotFoundError, Util.format(
+                "\"%s\" is not available.",
+                GetObjectRepresentation(inner) || "(unrepresentable)"
+            ), {
+                "rule": "oneOf",
+                "expected": GetSelectionsRepresentation(selections)
+            });
+        }
+    }
+
+    return self;
+}
+
+/**
+ *  Assume that the inner conforms to custom rule.
+ * 
+ *  Note(s):
+ *    [1] The callback return true if the inner conforms the custom rule.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.Parameter:
+ *        Raised in following situations:
+ * 
+ *         - The callback is not a Function.
+ *         - The callback doesn't return a Boolean.
+ * 
+ *    [2] Traverse.Error:
+ *        Raised when the callback return false.
+ * 
+ *  @param {(inner: *) => Boolean)} callback - The rule callback.
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.customRule = function(callback) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+
+    //  Check type.
+    if (!(callback instanceof Function)) {
+        throw CreateError(self, TraverseParameterError, "Expect a Function.", {
+            "rule": "customRule",
+            "expected": "Function",
+            "actual": GetSafeRepresentation(callback)
+        });
+    }
+    
+    let isConformed = callback.call(self, inner);
 
-        //  Pop an item.
-        let item = inner.pop();
-        return new Traverse(
-            item,
-            _GetSubPath(Util.format("[%d]", inner.length))
+    //  Check the return value.
+    if (
+        isConformed === null || 
+        typeof(isConformed) == "undefined" ||
+        !CrType.IsInstanceOf(isConformed, Boolean)
+    ) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            Util.format(
+                "Callback should return a Boolean. (path=\"%s\")",
+                path.toLegacyString()
+            ), 
+            {
+                "rule": "customRule",
+                "expected": "Boolean",
+                "actual": GetSafeRepresentation(isConformed)
+            }
         );
-    };
+    }
 
-    /**
-     *  Shift an item from an array.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an array.
-     * 
-     *    [3] Traverse.IndexOutOfRangeError:
-     *        Raised if the array is already empty.
-     * 
-     *  @return {Traverse}
-     *      - Traverse object of the shifted item.
-     */
-    this.arrayShiftItem = function() {
-        //  Check type.
-        self.notNull().typeOf(Array);
+    if (!isConformed) {
+        throw CreateError(
+            self, 
+            TraverseError, 
+            Util.format(
+                "The inner doesn't conform the custom rule. (path=\"%s\")",
+                path.toLegacyString()
+            ), 
+            {
+                "rule": "customRule",
+                "expected": callback.name || "(anonymous)"
+            }
+        );
+    }
 
-        //  Check the array.
-        if (inner.length == 0) {
-            throw new Traverse.IndexOutOfRangeError("Array is empty.");
-        }
+    return self;
+};
+
+/**
+ *  Assume that the inner conforms to custom rule (asynchronously).
+ * 
+ *  Note(s):
+ *    [1] The callback returns (or resolves with) true if the inner 
+ *        conforms the custom rule.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.Parameter: 
+ *        Raised in following situations:
+ * 
+ *         - The callback is not a Function.
+ *         - The callback doesn't return (or resolve with) a Boolean.
+ * 
+ *    [2] Traverse.Error: 
+ *        Raised when the callback returns (or resolves with) false.
+ * 
+ *  @param {(inner: *) => (Promise<Boolean>|Boolean)} callback - The rule 
+ *                                                               callback.
+ *  @return {Promise<Traverse>} - The promise (resolves with self).
+ */
+Traverse.prototype.customRuleAsync = async function(callback) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+
+    //  Check type.
+    if (!(callback instanceof Function)) {
+        throw CreateError(self, TraverseParameterError, "Expect a Function.", {
+            "rule": "customRuleAsync",
+            "expected": "Function",
+            "actual": GetSafeRepresentation(callback)
+        });
+    }
 
-        //  Shift an item.
-        return new Traverse(
-            inner.shift(),
-            _GetSubPath("[0]")
+    let isConformed = await callback.call(self, inner);
+
+    //  Check the return value.
+    if (typeof(isConformed) != "boolean") {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            Util.format(
+                "Callback should return a Boolean. (path=\"%s\")",
+                path.toLegacyString()
+            ), 
+            {
+                "rule": "customRuleAsync",
+                "expected": "Boolean",
+                "actual": GetSafeRepresentation(isConformed)
+            }
         );
-    };
+    }
 
-    /**
-     *  Unshift an item to an array.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an array.
-     * 
-     *  @param {*} value
-     *      - The item value.
-     *  @return {Traverse}
-     *      - Self.
-     */
-    this.arrayUnshiftItem = function(item) {
-        //  Check type.
-        self.notNull().typeOf(Array);
+    if (!isConformed) {
+        throw CreateError(
+            self, 
+            TraverseError, 
+            Util.format(
+                "The inner doesn't conform the custom rule. (path=\"%s\")",
+                path.toLegacyString()
+            ), 
+            {
+                "rule": "customRuleAsync",
+                "expected": callback.name || "(anonymous)"
+            }
+        );
+    }
 
-        //  Unshift the item.
-        inner.unshift(item);
+    return self;
+};
 
+/**
+ *  Transform the inner object.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the transformer is neither a Function nor the name of 
+ *        a registered transformer.
+ *    [2] Traverse.ParseError: 
+ *        Raised if the transformer failed (raised an error which is not a 
+ *        Traverse.Error).
+ * 
+ *  Note(s):
+ *    [1] The transformer is called with the inner object (and "this" is 
+ *        bound to current traverse object).
+ *    [2] A new traverse object (of the same path) over the transformed 
+ *        value is returned, the inner object is left untouched.
+ *    [3] The transformer is not called if the inner object is NULL.
+ * 
+ *  @param {((value: *) => *)|String} transformer - The transformer (or the 
+ *                                                  name of a registered 
+ *                                                  transformer).
+ *  @return {Traverse} - Traverse object of the transformed value (self if 
+ *                       the inner object is NULL).
+ */
+Traverse.prototype.transform = function(transformer) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let context = state.context;
+    let parent = state.parent;
+    let fn = GetTransformer(self, transformer, "transform");
+    if (IsSkippable(self)) {
         return self;
-    };
+    }
+    return new Traverse(
+        Transform(self, inner, fn, transformer, "transform"), 
+        path, 
+        context, 
+        parent
+    );
+};
 
-    /**
-     *  Iterate an array.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an array.
-     * 
-     *  @param {(item: Traverse) => void} callback - The callback.
-     *  @return {Traverse} - Self.
-     */
-    this.arrayForEach = function(callback) {
-        //  Check type.
-        self.notNull().typeOf(Array);
-
-        //  Scan all items.
-        for (let i = 0; i < inner.length; ++i) {
-            callback.call(self, new Traverse(
-                inner[i], 
-                _GetSubPath(Util.format("[%d]", i))
-            ));
+/**
+ *  Transform the inner object by a sequence of transformers.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if any transformer is neither a Function nor the name of 
+ *        a registered transformer.
+ *    [2] Traverse.ParseError: 
+ *        Raised if any transformer failed (raised an error which is not a 
+ *        Traverse.Error).
+ * 
+ *  Note(s):
+ *    [1] The transformers are applied in order, the remaining 
+ *        transformers are skipped once the value becomes NULL.
+ * 
+ *  @param {...(((value: *) => *)|String)} transformers - The transformers 
+ *                                                        (or names of 
+ *                                                        registered 
+ *                                                        transformers).
+ *  @return {Traverse} - Traverse object of the transformed value (self if 
+ *                       the inner object is NULL).
+ */
+Traverse.prototype.pipe = function(...transformers) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let context = state.context;
+    let parent = state.parent;
+    let fns = transformers.map(function(transformer) {
+        return GetTransformer(self, transformer, "pipe");
+    });
+    if (IsSkippable(self)) {
+        return self;
+    }
+    let value = inner;
+    for (let i = 0; i < fns.length; ++i) {
+        if (value === null || typeof(value) == "undefined") {
+            break;
         }
+        value = Transform(self, value, fns[i], transformers[i], "pipe");
+    }
+    return new Traverse(value, path, context, parent);
+};
 
-        return self;
-    };
+/**
+ *  Use a default value if the inner object is NULL (or undefined).
+ * 
+ *  Note(s):
+ *    [1] A new traverse object (of the same path) over the default value 
+ *        is returned if the inner object is NULL (or undefined), the 
+ *        parent object is left untouched.
+ * 
+ *  @param {*} value - The default value.
+ *  @return {Traverse} - Traverse object of the default value (self if the 
+ *                       inner object is neither NULL nor undefined).
+ */
+Traverse.prototype.default = function(value) {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let inner = state.inner;
+    let path = state.path;
+    let context = state.context;
+    let parent = state.parent;
+    if (inner === null || typeof(inner) == "undefined") {
+        return new Traverse(value, path, context, parent);
+    }
+    return self;
+};
 
-    /**
-     *  Iterate an array with deletion.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an array.
-     * 
-     *  Note(s):
-     *    [1] If the callback returns true, the item would be deleted.
-     * 
-     *  @param {(item: Traverse) => Boolean} callback - The callback.
-     *  @return {Traverse} - Self.
-     */
-    this.arrayForEachWithDeletion = function(callback) {
-        //  Check type.
-        self.notNull().typeOf(Array);
-
-        //  Scan all items.
-        let cursor = 0;
-        while (cursor < inner.length) {
-            let isDelete = callback.call(
-                self, 
-                new Traverse(
-                    inner[cursor], 
-                    _GetSubPath(Util.format("[%d]", cursor))
-                )
-            );
-            if (isDelete) {
-                inner.splice(cursor, 1);
-            } else {
-                ++cursor;
+/**
+ *  Get the path.
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the format is not supported.
+ * 
+ *  @param {String} [format] - The format, one of "legacy" (default, e.g. 
+ *                             "/server/ports/[0]"), "pointer" (JSON 
+ *                             pointer, e.g. "/server/ports/0") and 
+ *                             "jsonpath" (e.g. "$.server.ports[0]").
+ *  @return {String} - The path.
+ */
+Traverse.prototype.getPath = function(format = "legacy") {
+    let self = this;
+    let path = self[TRAVERSE_STATE].path;
+    if (format == "legacy") {
+        return path.toLegacyString();
+    } else if (format == "pointer") {
+        return path.toJsonPointer();
+    } else if (format == "jsonpath") {
+        return path.toJsonPath();
+    } else {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Unsupported path format.", 
+            {
+                "rule": "getPath",
+                "expected": "legacy/pointer/jsonpath",
+                "actual": GetSafeRepresentation(format)
             }
-        }
-
-        return self;
-    };
+        );
+    }
+};
 
-    /**
-     *  Assume the array has a minimum length.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an array.
-     * 
-     *    [2] Traverse.SizeError: 
-     *        Raised if the array size exceeds.
-     * 
-     *  @param {Number} minLength - The minimum length.
-     *  @return {Traverse} - Self.
-     */
-    this.arrayMinLength = function(minLength) {
-        //  Check type.
-        self.notNull().typeOf(Array);
+/**
+ *  Get the path segments (keys, array indexes or pseudo segments).
+ * 
+ *  @return {Array} - The path segments.
+ */
+Traverse.prototype.getPathSegments = function() {
+    let path = this[TRAVERSE_STATE].path;
+    return path.getKeys();
+};
 
-        //  Check array length.
-        let currentLength = inner.length;
-        if (currentLength < minLength) {
-            throw new TraverseSizeError(Util.format(
-                "Array should have at least %d item(s) (path=\"%s\", " + 
-                "current=%d).",
-                minLength,
-                path,
-                currentLength
-            ));
-        }
+/**
+ *  Get the path object (with the kind of each segment).
+ * 
+ *  @return {TraversePath} - The path object.
+ */
+Traverse.prototype.getPathObject = function() {
+    let path = this[TRAVERSE_STATE].path;
+    return path;
+};
 
-        return self;
-    };
+/**
+ *  Get the parent traverse object.
+ * 
+ *  @return {?Traverse} - The parent traverse object (NULL if current 
+ *                        object is a root traverse object).
+ */
+Traverse.prototype.parent = function() {
+    let parent = this[TRAVERSE_STATE].parent;
+    return parent;
+};
 
-    /**
-     *  Assume the array has a maximum length.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.TypeError: 
-     *        Raised in following situations:
-     * 
-     *          - The inner object is NULL.
-     *          - The inner object is not an array.
-     * 
-     *    [2] Traverse.SizeError: 
-     *        Raised if the array size exceeds.
-     * 
-     *  @param {Number} maxLength - The maximum length.
-     *  @return {Traverse} - Self.
-     */
-    this.arrayMaxLength = function(maxLength) {
-        //  Check type.
-        self.notNull().typeOf(Array);
+/**
+ *  Get the root traverse object.
+ * 
+ *  @return {Traverse} - The root traverse object.
+ */
+Traverse.prototype.root = function() {
+    let self = this;
+    let parent = self[TRAVERSE_STATE].parent;
+    return (parent === null ? self : parent.root());
+};
 
-        //  Check array length.
-        let currentLength = inner.length;
-        if (currentLength > maxLength) {
-            throw new TraverseSizeError(Util.format(
-                "Array should have at most %d item(s) (path=\"%s\", " + 
-                "current=%d).",
-                maxLength,
-                path,
-                currentLength
-            ));
-        }
+/**
+ *  Get the key (or the index) under which current object was reached.
+ * 
+ *  @return {*} - The key (NULL if current object is at the root path).
+ */
+Traverse.prototype.key = function() {
+    let path = this[TRAVERSE_STATE].path;
+    let segments = path.getSegments();
+    if (segments.length == 0) {
+        return null;
+    }
+    return segments[segments.length - 1].value;
+};
 
-        return self;
-    };
+/**
+ *  Go to a sibling (a child of the parent).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.KeyNotFoundError: 
+ *        Raised if current object has no parent or the sibling doesn't 
+ *        exist.
+ *    [2] Traverse.TypeError, Traverse.ParameterError, 
+ *        Traverse.IndexOutOfRangeError: 
+ *        Raised if the sibling can't be reached by sub() or arrayGetItem() 
+ *        of the parent.
+ * 
+ *  @param {*} key - The key of the sibling (the index if the inner object 
+ *                   of the parent is an array).
+ *  @return {Traverse} - Traverse object of the sibling.
+ */
+Traverse.prototype.sibling = function(key) {
+    let self = this;
+    let current = CreateRaisingCopy(self);
+    return AdoptTraverse(
+        self, 
+        GoToChild(GoToParent(self, current, "sibling"), key)
+    );
+};
 
-    /**
-     *  Get whether the inner object is NULL.
-     * 
-     *  @return {Boolean} - True if so.
-     */
-    this.isNull = function() {
-        return inner === null;
-    };
+/**
+ *  Go to a relative path (e.g. "../start").
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the relative path is not a string.
+ *    [2] Traverse.KeyNotFoundError: 
+ *        Raised if a parent or a sub path doesn't exist.
+ *    [3] Traverse.TypeError, Traverse.IndexOutOfRangeError: 
+ *        Raised if a segment can't be reached by sub() or arrayGetItem().
+ * 
+ *  Note(s):
+ *    [1] Segments are separated by "/", ".." goes to the parent and "." 
+ *        stays at current object. Other segments go to the sub directory 
+ *        (or the array item if current inner object is an array and the 
+ *        segment is an index).
+ *    [2] A path starting with "/" is resolved from the root.
+ *    [3] "~1" and "~0" within a segment are unescaped to "/" and "~" (like 
+ *        JSON pointers).
+ * 
+ *  @param {String} relativePath - The relative path.
+ *  @return {Traverse} - Traverse object of the relative path.
+ */
+Traverse.prototype.relative = function(relativePath) {
+    let self = this;
 
-    /**
-     *  Assume that the inner object is in specific selections.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.ParameterError: 
-     *        Raised if the type of "selections" parameter is not supported.
-     *    [2] Traverse.KeyNotFoundError: 
-     *        Raised if the item doesn't exist in the "selections".
-     * 
-     *  @param {Set|Map|Array|Object} selections - The selections.
-     *  @return {Traverse} - Self.
-     */
-    this.oneOf = function(selections) {
-        if (inner !== null) {
-            let has = false;
-            if (selections instanceof Set) {
-                has = selections.has(inner);
-            } else if (selections instanceof Map) {
-                has = selections.has(inner);
-            } else if (selections instanceof Array) {
-                has = (selections.indexOf(inner) >= 0);
-            } else if (selections instanceof Object) {
-                has = (inner in selections);
-            } else {
-                throw new TraverseParameterError(
-                    "Unsupported selections type (only Map/Set/Array/Object " + 
-                    "is valid)."
-                );
-            }
-            if (!has) {
-                throw new TraverseKeyNotFoundError(Util.format(
-                    "\"%s\" is not available.",
-                    _GetObjectRepresentation(inner) || "(unrepresentable)"
-                ));
+    //  Check type.
+    if (!CrType.IsInstanceOf(relativePath, String)) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Relative path must be a string.", 
+            {
+                "rule": "relative",
+                "expected": "String",
+                "actual": GetSafeRepresentation(relativePath)
             }
-        }
-
-        return self;
+        );
     }
 
-    /**
-     *  Assume that the inner conforms to custom rule.
-     * 
-     *  Note(s):
-     *    [1] The callback return true if the inner conforms the custom rule.
-     * 
-     *  Exception(s):
-     *    [1] Traverse.Parameter:
-     *        Raised in following situations:
-     * 
-     *         - The callback is not a Function.
-     *         - The callback doesn't return a Boolean.
-     * 
-     *    [2] Traverse.Error:
-     *        Raised when the callback return false.
-     * 
-     *  @param {(inner: *) => Boolean)} callback - The rule callback.
-     *  @return {Traverse} - Self.
-     */
-    this.customRule = function(callback) {
-        //  Check type.
-        if (!(callback instanceof Function)) {
-            throw new TraverseParameterError("Expect a Function.");
+    //  Walk through all segments.
+    let current = CreateRaisingCopy(self);
+    if (relativePath.startsWith("/")) {
+        current = current.root();
+    }
+    relativePath.split("/").forEach(function(segment) {
+        if (segment.length == 0 || segment == ".") {
+            return;
         }
-        
-        let isConformed = callback.call(self, inner);
-
-        //  Check the return value.
+        if (segment == "..") {
+            current = GoToParent(self, current, "relative");
+            return;
+        }
+        let key = segment.replace(/~1/g, "/").replace(/~0/g, "~");
         if (
-            isConformed === null || 
-            typeof(isConformed) == "undefined" ||
-            !CrType.IsInstanceOf(isConformed, Boolean)
+            Array.isArray(current.unwrap()) && 
+            RELATIVE_PATH_INDEX.test(key)
         ) {
-            throw new TraverseParameterError(
-                Util.format(
-                    "Callback should return a Boolean. (path=\"%s\")",
-                    path
-                )
-            );
+            key = parseInt(key, 10);
         }
+        current = GoToChild(current, key);
+    });
 
-        if (!isConformed) {
-            throw new TraverseError(
-                Util.format(
-                    "The inner doesn't conform the custom rule. (path=\"%s\")",
-                    path
-                )
-            );
-        }
+    return AdoptTraverse(self, current);
+};
 
-        return self;
-    };
+/**
+ *  Create an error of current traverse object (for custom rules and 
+ *  registered methods).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the error class is not Traverse.Error (or its 
+ *        subclass).
+ * 
+ *  Note(s):
+ *    [1] The path of current traverse object is attached to the error 
+ *        (unless another path is specified in the details).
+ *    [2] The representation of the inner object is used as the "actual" 
+ *        property of the error if it's not specified in the details.
+ * 
+ *  @param {Function} ErrorClass - The error class (e.g. 
+ *                                 Traverse.FormatError).
+ *  @param {String} message - The message.
+ *  @param {TraverseErrorDetails} [details] - The details.
+ *  @return {TraverseError} - The error.
+ */
+Traverse.prototype.createError = function(ErrorClass, message, details = {}) {
+    let self = this;
+    if (
+        !(ErrorClass instanceof Function) || 
+        (
+            ErrorClass !== TraverseError && 
+            !(ErrorClass.prototype instanceof TraverseError)
+        )
+    ) {
+        throw CreateError(
+            self, 
+            TraverseParameterError, 
+            "Expect Traverse.Error or its subclass.", 
+            {
+                "rule": "createError",
+                "expected": "Traverse.Error",
+                "actual": GetSafeRepresentation(ErrorClass)
+            }
+        );
+    }
+    return CreateError(self, ErrorClass, message, details);
+};
 
-    /**
-     *  (Compatible, use unwrap() in new application) Get the inner object.
-     * 
-     *  @return {*} - The inner object.
-     */
-    this.inner = function() {
-        return inner;
-    };
+/**
+ *  Get the errors collected in collect-all mode.
+ * 
+ *  Note(s):
+ *    [1] The errors are shared by the root traverse object and all 
+ *        traverse objects derived from it.
+ *    [2] An empty array is returned if collect-all mode is not enabled.
+ * 
+ *  @return {TraverseError[]} - The collected errors.
+ */
+Traverse.prototype.collectedErrors = function() {
+    let context = this[TRAVERSE_STATE].context;
+    return context.errors.slice();
+};
 
-    /**
-     *  Unwrap the traverse object.
-     * 
-     *  @return {*} - The inner object.
-     */
-    this.unwrap = function() {
-        return self.inner();
-    };
-}
-Traverse.DEFAULT_COMPARATOR = new TraverseComparator();
+/**
+ *  Raise all errors collected in collect-all mode (if any).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.AggregateError: 
+ *        Raised if at least one error was collected.
+ * 
+ *  @return {Traverse} - Self.
+ */
+Traverse.prototype.throwCollectedErrors = function() {
+    let self = this;
+    let state = self[TRAVERSE_STATE];
+    let path = state.path;
+    let context = state.context;
+    let errors = context.errors;
+    if (errors.length != 0) {
+        let lines = errors.map(function(error, index) {
+            return Util.format("  [%d] %s", index + 1, error.message);
+        });
+        throw new TraverseAggregateError(Util.format(
+            "%d error(s) collected:\n%s",
+            errors.length,
+            lines.join("\n")
+        ), {
+            "path": path,
+            "rule": "collect"
+        }, errors);
+    }
+
+    return self;
+};
+
+/**
+ *  (Compatible, use unwrap() in new application) Get the inner object.
+ * 
+ *  @return {*} - The inner object.
+ */
+Traverse.prototype.inner = function() {
+    let inner = this[TRAVERSE_STATE].inner;
+    return inner;
+};
+
+/**
+ *  Unwrap the traverse object.
+ * 
+ *  @return {*} - The inner object.
+ */
+Traverse.prototype.unwrap = function() {
+    let self = this;
+    return self.inner();
+};
+Traverse.DEFAULT_COMPARATOR = new TraverseTypedComparator();
 Traverse.Error = TraverseError;
 Traverse.ParameterError = TraverseParameterError;
 Traverse.TypeError = TraverseTypeError;
@@ -1586,9 +8576,15 @@ Traverse.FormatError = TraverseFormatError;
 Traverse.ParseError = TraverseParseError;
 Traverse.SizeError = TraverseSizeError;
 Traverse.KeyNotFoundError = TraverseKeyNotFoundError;
+Traverse.UnexpectedKeyError = TraverseUnexpectedKeyError;
 Traverse.IndexOutOfRangeError = TraverseIndexOutOfRangeError;
 Traverse.ValueOutOfRangeError = TraverseValueOutOfRangeError;
+Traverse.AggregateError = TraverseAggregateError;
 Traverse.Comparator = TraverseComparator;
+Traverse.MethodRegistry = TraverseMethodRegistry;
+Traverse.ThreeWayComparator = TraverseThreeWayComparator;
+Traverse.CharClass = TraverseCharClass;
+Traverse.Path = TraversePath;
 
 //
 //  Public functions.
@@ -1597,17 +8593,123 @@ Traverse.Comparator = TraverseComparator;
 /**
  *  Wrap an object with Traverse.
  * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if a size limit is invalid.
+ *    [2] Traverse.SizeError: 
+ *        Raised if the inner object exceeds a size limit.
+ * 
+ *  Note(s):
+ *    [1] The options are ignored if the inner object is returned directly.
+ * 
  *  @param {*} inner - The inner object.
  *  @param {Boolean} force - Still wrap the object when the inner object is a 
  *                           Traverse.
+ *  @param {TraverseOptions} [options] - The options.
  *  @return {Traverse} - The traverse object.
  */
-function WrapObject(inner, force) {
+function WrapObject(inner, force, options = {}) {
     if ((inner instanceof Traverse) && !force) {
         return inner;
     } else {
-        return new Traverse(inner, "/");
+        let context = new TraverseContext(options);
+        CheckSizeLimits(inner, new TraversePath(), context.limits, "limits");
+        return new Traverse(inner, "/", context);
+    }
+}
+
+/**
+ *  Register a method in the global registry (so that the method is installed 
+ *  on all traverse objects that don't use a scoped registry).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the name or the method is invalid, or a method of the same 
+ *        name was already registered.
+ * 
+ *  @param {String} name - The method name.
+ *  @param {Function} method - The method (see 
+ *                             TraverseMethodRegistry.register()).
+ */
+function RegisterMethod(name, method) {
+    METHODS.register(name, method);
+}
+
+/**
+ *  Register a named transformer (used by traverse.transform() and 
+ *  traverse.pipe()).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the name or the transformer is invalid.
+ * 
+ *  Note(s):
+ *    [1] The registered transformer of the name (including built-in ones) 
+ *        would be replaced.
+ *    [2] The transformer of the name would be unregistered if the 
+ *        transformer is NULL.
+ * 
+ *  @param {String} name - The name.
+ *  @param {?((value: *) => *)} transformer - The transformer.
+ */
+function RegisterTransformer(name, transformer) {
+    if (typeof(name) != "string" || name.length == 0) {
+        throw new TraverseParameterError("Invalid transformer name.", {
+            "rule": "RegisterTransformer",
+            "expected": "non-empty string",
+            "actual": GetSafeRepresentation(name)
+        });
+    }
+    if (transformer === null) {
+        TRANSFORMERS.delete(name);
+        return;
+    }
+    if (!(transformer instanceof Function)) {
+        throw new TraverseParameterError("Expect a Function.", {
+            "rule": "RegisterTransformer",
+            "expected": "Function",
+            "actual": GetSafeRepresentation(transformer)
+        });
+    }
+    TRANSFORMERS.set(name, transformer);
+}
+
+/**
+ *  Register the comparator of a type (used by Traverse.DEFAULT_COMPARATOR).
+ * 
+ *  Exception(s):
+ *    [1] Traverse.ParameterError: 
+ *        Raised if the constructor or the comparator is invalid.
+ * 
+ *  Note(s):
+ *    [1] The comparator also applies to subclasses of the type.
+ *    [2] The registered comparator of a type would be replaced.
+ *    [3] The comparator of the type would be unregistered if the comparator 
+ *        is NULL.
+ * 
+ *  @param {Function} constructor - The constructor of the type.
+ *  @param {?TraverseComparator} comparator - The comparator.
+ */
+function RegisterComparator(constructor, comparator) {
+    if (typeof(constructor) != "function") {
+        throw new TraverseParameterError("Not a constructor.", {
+            "rule": "RegisterComparator",
+            "expected": "constructor",
+            "actual": GetSafeRepresentation(constructor)
+        });
+    }
+    if (comparator === null) {
+        COMPARATORS.delete(constructor);
+        return;
+    }
+    if (!(comparator instanceof TraverseComparator)) {
+        throw new TraverseParameterError("Invalid comparator.", {
+            "rule": "RegisterComparator",
+            "expected": "Traverse.Comparator",
+            "actual": GetSafeRepresentation(comparator)
+        });
     }
+    COMPARATORS.set(constructor, comparator);
 }
 
 //
@@ -1620,11 +8722,25 @@ Util.inherits(TraverseFormatError, TraverseError);
 Util.inherits(TraverseParseError, TraverseError);
 Util.inherits(TraverseSizeError, TraverseError);
 Util.inherits(TraverseKeyNotFoundError, TraverseError);
+Util.inherits(TraverseUnexpectedKeyError, TraverseError);
 Util.inherits(TraverseIndexOutOfRangeError, TraverseError);
 Util.inherits(TraverseValueOutOfRangeError, TraverseError);
+Util.inherits(TraverseAggregateError, TraverseError);
+Util.inherits(TraverseThreeWayComparator, TraverseComparator);
+Util.inherits(TraverseTypedComparator, TraverseComparator);
+
+//
+//  Built-in comparators.
+//
+RegisterComparator(Date, new TraverseThreeWayComparator(function(a, b) {
+    return a.getTime() - b.getTime();
+}));
 
 //  Export public APIs.
 module.exports = {
     "Traverse": Traverse,
-    "WrapObject": WrapObject
+    "WrapObject": WrapObject,
+    "RegisterComparator": RegisterComparator,
+    "RegisterTransformer": RegisterTransformer,
+    "RegisterMethod": RegisterMethod
 };
\ No newline at end of file
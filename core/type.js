@@ -11,15 +11,22 @@
 /**
  *  Check the type of an object.
  * 
+ *  Note(s):
+ *    [1] NULL and undefined are not instances of any type.
+ * 
  *  @param {*} instance - The object instance. 
  *  @param {*} constructor - The object constructor (type).
  *  @return {Boolean} - True if type matches.
  */
 function IsInstanceOf(instance, constructor) {
+    if (instance === null || typeof(instance) == "undefined") {
+        return false;
+    }
     if (
         constructor == Number || 
         constructor == Boolean || 
-        constructor == String
+        constructor == String || 
+        constructor == BigInt
     ) {
         return instance.constructor == constructor;
     } else {
@@ -49,6 +56,10 @@ function IsSameType(instance1, instance2) {
     ) {
         return false;
     }
+    if (instance1 === null || t1 == "undefined") {
+        //  Both are NULL or both are undefined.
+        return true;
+    }
     return t1 == t2 && IsInstanceOf(instance1, instance2.constructor);
 }
 
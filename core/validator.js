@@ -4,27 +4,165 @@
 //  found in the LICENSE.md file.
 //
 
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrCharClass = require("./charclass");
+
+//  Imported classes.
+const TraverseCharClass = CrCharClass.TraverseCharClass;
+
+//
+//  Constants.
+//
+
+/**
+ *  Grapheme cluster segmenter (NULL if Intl.Segmenter is not available in 
+ *  current JavaScript runtime).
+ * 
+ *  @type {?Intl.Segmenter}
+ */
+const GRAPHEME_SEGMENTER = (
+    typeof(Intl) != "undefined" && typeof(Intl.Segmenter) == "function" ? 
+    new Intl.Segmenter(undefined, {
+        "granularity": "grapheme"
+    }) : 
+    null
+);
+
+/**
+ *  String length counters (unit => counter).
+ * 
+ *  Note(s):
+ *    [1] The "grapheme" unit is only available when Intl.Segmenter is 
+ *        available.
+ * 
+ *  @type {Map<String, function(String): Number>}
+ */
+const STRING_LENGTH_COUNTERS = new Map([
+    ["utf16", function(text) {
+        return text.length;
+    }],
+    ["codepoint", function(text) {
+        let count = 0;
+        for (let i = 0; i < text.length; ++i) {
+            let code = text.charCodeAt(i);
+            if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+                let next = text.charCodeAt(i + 1);
+                if (next >= 0xDC00 && next <= 0xDFFF) {
+                    ++i;
+                }
+            }
+            ++count;
+        }
+        return count;
+    }]
+]);
+if (GRAPHEME_SEGMENTER !== null) {
+    STRING_LENGTH_COUNTERS.set("grapheme", function(text) {
+        return Array.from(GRAPHEME_SEGMENTER.segment(text)).length;
+    });
+}
+
 //
 //  Public functions.
 //
 
 /**
- *  Validate a string.
+ *  Invalid character.
+ * 
+ *  @typedef {Object} InvalidCharacter
+ *  @property {Number} index - The index (in UTF-16 code units) of the 
+ *                             character.
+ *  @property {Number} codePoint - The code point of the character.
+ */
+
+/**
+ *  Find the first character that is not allowed.
+ * 
+ *  Note(s):
+ *    [1] The character table is compiled to a character class, so the time 
+ *        complexity is O(n + m) instead of O(n * m).
  * 
  *  @param {String} text - The text.
- *  @param {String} charTable - The character table.
- *  @return {Boolean} - True if valid.
+ *  @param {String|TraverseCharClass} charClass - The character table (all 
+ *                                               allowed characters) or the 
+ *                                               character class.
+ *  @return {?InvalidCharacter} - The invalid character (NULL if not found).
  */
-function ValidateString(text, charTable) {
-    for (let i = 0; i < text.length; ++i) {
-        if (charTable.indexOf(text[i]) < 0) {
-            return false;
+function FindInvalidCharacter(text, charClass) {
+    if (!(charClass instanceof TraverseCharClass)) {
+        charClass = new TraverseCharClass({
+            "chars": charClass
+        });
+    }
+    let index = 0;
+    while (index < text.length) {
+        let codePoint = text.codePointAt(index);
+        if (!charClass.contains(codePoint)) {
+            return {
+                "index": index,
+                "codePoint": codePoint
+            };
         }
+        index += (codePoint > 0xFFFF ? 2 : 1);
     }
-    return true;
+    return null;
+}
+
+/**
+ *  Validate a string.
+ * 
+ *  @param {String} text - The text.
+ *  @param {String|TraverseCharClass} charClass - The character table (all 
+ *                                               allowed characters) or the 
+ *                                               character class.
+ *  @return {Boolean} - True if valid.
+ */
+function ValidateString(text, charClass) {
+    return FindInvalidCharacter(text, charClass) === null;
+}
+
+/**
+ *  Get whether a string length unit is supported.
+ * 
+ *  @param {String} unit - The unit.
+ *  @return {Boolean} - True if so.
+ */
+function HasStringLengthUnit(unit) {
+    return STRING_LENGTH_COUNTERS.has(unit);
+}
+
+/**
+ *  Get the names of all supported string length units.
+ * 
+ *  @return {String[]} - The names.
+ */
+function GetStringLengthUnitNames() {
+    return Array.from(STRING_LENGTH_COUNTERS.keys());
+}
+
+/**
+ *  Get the length of a string.
+ * 
+ *  @param {String} text - The text.
+ *  @param {String} unit - The unit, one of "utf16" (UTF-16 code units), 
+ *                         "codepoint" (Unicode code points) and "grapheme" 
+ *                         (extended grapheme clusters, only available when 
+ *                         Intl.Segmenter is available).
+ *  @return {Number} - The length.
+ */
+function GetStringLength(text, unit) {
+    return STRING_LENGTH_COUNTERS.get(unit)(text);
 }
 
 //  Export public APIs.
 module.exports = {
-    "ValidateString": ValidateString
+    "FindInvalidCharacter": FindInvalidCharacter,
+    "ValidateString": ValidateString,
+    "HasStringLengthUnit": HasStringLengthUnit,
+    "GetStringLengthUnitNames": GetStringLengthUnitNames,
+    "GetStringLength": GetStringLength
 };
\ No newline at end of file
@@ -0,0 +1,1665 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const CrFormat = require("./format");
+const CrSource = require("./source");
+const Util = require("util");
+
+//  Imported classes.
+const TraverseSyntaxError = CrSource.TraverseSyntaxError;
+
+//  Imported functions.
+const ValidateStringFormat = CrFormat.ValidateStringFormat;
+
+//
+//  Constants.
+//
+
+/**
+ *  Regular expression of NULL (YAML 1.2 core schema).
+ * 
+ *  @type {RegExp}
+ */
+const CORE_NULL = /^(~|null|Null|NULL|)$/;
+
+/**
+ *  Regular expression of true (YAML 1.2 core schema).
+ * 
+ *  @type {RegExp}
+ */
+const CORE_TRUE = /^(true|True|TRUE)$/;
+
+/**
+ *  Regular expression of false (YAML 1.2 core schema).
+ * 
+ *  @type {RegExp}
+ */
+const CORE_FALSE = /^(false|False|FALSE)$/;
+
+/**
+ *  Regular expression of integers (YAML 1.2 core schema).
+ * 
+ *  @type {RegExp}
+ */
+const CORE_INTEGER = /^([-+]?[0-9]+|0o[0-7]+|0x[0-9A-Fa-f]+)$/;
+
+/**
+ *  Regular expression of floats (YAML 1.2 core schema).
+ * 
+ *  @type {RegExp}
+ */
+const CORE_FLOAT = /^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/;
+
+/**
+ *  Regular expression of infinities (YAML 1.2 core schema).
+ * 
+ *  @type {RegExp}
+ */
+const CORE_INFINITY = /^([-+]?)\.(inf|Inf|INF)$/;
+
+/**
+ *  Regular expression of NaN (YAML 1.2 core schema).
+ * 
+ *  @type {RegExp}
+ */
+const CORE_NAN = /^\.(nan|NaN|NAN)$/;
+
+/**
+ *  Regular expression of timestamps with time zone offset (RFC 3339 
+ *  date-time, the same as offset date-times of TOML).
+ * 
+ *  @type {RegExp}
+ */
+const OFFSET_TIMESTAMP = new RegExp(
+    "^([0-9]{4}-[0-9]{2}-[0-9]{2})" + 
+    "[Tt ]([0-9]{2}:[0-9]{2}:[0-9]{2}(\\.[0-9]+)?)" + 
+    "([Zz]|[+-][0-9]{2}:[0-9]{2})$"
+);
+
+/**
+ *  Supported tags.
+ * 
+ *  @type {Set<String>}
+ */
+const SUPPORTED_TAGS = new Set([
+    "!",
+    "!!str",
+    "!!int",
+    "!!float",
+    "!!bool",
+    "!!null",
+    "!!seq",
+    "!!map"
+]);
+
+/**
+ *  Flow indicators.
+ * 
+ *  @type {String}
+ */
+const FLOW_INDICATORS = ",[]{}";
+
+/**
+ *  Indicators that can't start a plain scalar.
+ * 
+ *  @type {String}
+ */
+const PLAIN_EXCLUDED_INDICATORS = ",[]{}#&*!|>'\"%@`";
+
+/**
+ *  Escape sequences (character => escaped character).
+ * 
+ *  @type {Map<String, String>}
+ */
+const ESCAPES = new Map([
+    ["0", "\u0000"],
+    ["a", "\u0007"],
+    ["b", "\b"],
+    ["t", "\t"],
+    ["\t", "\t"],
+    ["n", "\n"],
+    ["v", "\u000B"],
+    ["f", "\f"],
+    ["r", "\r"],
+    ["e", "\u001B"],
+    [" ", " "],
+    ["\"", "\""],
+    ["/", "/"],
+    ["\\", "\\"],
+    ["N", "\u0085"],
+    ["_", "\u00A0"],
+    ["L", "\u2028"],
+    ["P", "\u2029"]
+]);
+
+/**
+ *  Lengths of hexadecimal escape sequences (character => count of digits).
+ * 
+ *  @type {Map<String, Number>}
+ */
+const HEX_ESCAPES = new Map([
+    ["x", 2],
+    ["u", 4],
+    ["U", 8]
+]);
+
+/**
+ *  Regular expression of characters that must be escaped when being saved.
+ * 
+ *  @type {RegExp}
+ */
+const NON_PRINTABLE = /[\u007F-\u0084\u0086-\u009F\uFFFE\uFFFF]/g;
+
+/**
+ *  Maximum nesting depth of collections.
+ * 
+ *  @type {Number}
+ */
+const MAX_NESTING_DEPTH = 1000;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Define an (own) property of an object.
+ * 
+ *  @param {Object} object - The object.
+ *  @param {String} key - The key.
+ *  @param {*} value - The value.
+ */
+function DefineValue(object, key, value) {
+    Object.defineProperty(object, key, {
+        "value": value,
+        "writable": true,
+        "enumerable": true,
+        "configurable": true
+    });
+}
+
+/**
+ *  Get whether an object has an own property.
+ * 
+ *  @param {Object} object - The object.
+ *  @param {String} key - The key.
+ *  @return {Boolean} - True if so.
+ */
+function HasOwnKey(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ *  Get whether a value is a plain object (a mapping).
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsPlainObject(value) {
+    if (value === null || typeof(value) != "object") {
+        return false;
+    }
+    let prototype = Object.getPrototypeOf(value);
+    return (prototype === Object.prototype || prototype === null);
+}
+
+/**
+ *  Parse an integer (YAML 1.2 core schema).
+ * 
+ *  @param {String} text - The text.
+ *  @return {?(Number|BigInt)} - The integer (NULL if the text is not an 
+ *                               integer).
+ */
+function ParseCoreInteger(text) {
+    if (!CORE_INTEGER.test(text)) {
+        return null;
+    }
+    let value = BigInt(text);
+    if (
+        value >= BigInt(Number.MIN_SAFE_INTEGER) && 
+        value <= BigInt(Number.MAX_SAFE_INTEGER)
+    ) {
+        return Number(value);
+    }
+    return value;
+}
+
+/**
+ *  Parse a float (YAML 1.2 core schema).
+ * 
+ *  @param {String} text - The text.
+ *  @return {?Number} - The float (NULL if the text is not a float).
+ */
+function ParseCoreFloat(text) {
+    if (CORE_FLOAT.test(text)) {
+        return Number(text);
+    }
+    let matched = text.match(CORE_INFINITY);
+    if (matched !== null) {
+        return (matched[1] == "-" ? -Infinity : Infinity);
+    }
+    if (CORE_NAN.test(text)) {
+        return NaN;
+    }
+    return null;
+}
+
+/**
+ *  Parse a timestamp with time zone offset.
+ * 
+ *  @param {String} text - The text.
+ *  @return {?Date} - The timestamp (NULL if the text is not a valid 
+ *                    timestamp with time zone offset).
+ */
+function ParseOffsetTimestamp(text) {
+    let matched = text.match(OFFSET_TIMESTAMP);
+    if (
+        matched === null || 
+        !ValidateStringFormat(matched[1], "date") || 
+        !ValidateStringFormat(matched[2] + matched[4], "time")
+    ) {
+        return null;
+    }
+    return new Date(matched[1] + "T" + matched[2] + matched[4].toUpperCase());
+}
+
+/**
+ *  Resolve a plain scalar (YAML 1.2 core schema, with timestamps).
+ * 
+ *  @param {String} text - The text.
+ *  @return {*} - The value.
+ */
+function ResolvePlainScalar(text) {
+    if (CORE_NULL.test(text)) {
+        return null;
+    }
+    if (CORE_TRUE.test(text)) {
+        return true;
+    }
+    if (CORE_FALSE.test(text)) {
+        return false;
+    }
+    let value = ParseCoreInteger(text);
+    if (value === null) {
+        value = ParseCoreFloat(text);
+    }
+    if (value === null) {
+        value = ParseOffsetTimestamp(text);
+    }
+    return (value === null ? text : value);
+}
+
+/**
+ *  Format a string.
+ * 
+ *  @param {String} text - The string.
+ *  @return {String} - The formatted string (plain if possible, otherwise 
+ *                     double-quoted).
+ */
+function FormatString(text) {
+    let plain = (
+        text.length != 0 && 
+        text.trim() == text && 
+        typeof(ResolvePlainScalar(text)) == "string" && 
+        "-?:".indexOf(text[0]) < 0 && 
+        PLAIN_EXCLUDED_INDICATORS.indexOf(text[0]) < 0 && 
+        !text.startsWith("...") && 
+        !/: |:$| #|[\u0000-\u001F]/.test(text) && 
+        text.search(NON_PRINTABLE) < 0
+    );
+    if (plain) {
+        return text;
+    }
+    return JSON.stringify(text).replace(NON_PRINTABLE, function(character) {
+        return "\\u" + character.charCodeAt(0).toString(16).toUpperCase()
+            .padStart(4, "0");
+    });
+}
+
+/**
+ *  Format a scalar (or an empty collection).
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the value can't be represented in YAML format.
+ * 
+ *  @param {*} value - The value.
+ *  @param {String} pointer - The JSON pointer of the value (for messages).
+ *  @return {String} - The formatted value.
+ */
+function FormatScalar(value, pointer) {
+    if (value === null || typeof(value) == "undefined") {
+        return "null";
+    }
+    switch (typeof(value)) {
+    case "string":
+        return FormatString(value);
+    case "boolean":
+    case "bigint":
+        return String(value);
+    case "number":
+        if (Number.isNaN(value)) {
+            return ".nan";
+        }
+        if (!Number.isFinite(value)) {
+            return (value > 0 ? ".inf" : "-.inf");
+        }
+        return String(value);
+    default:
+        break;
+    }
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) {
+            throw new TypeError(Util.format(
+                "Invalid date (pointer=%j).",
+                pointer
+            ));
+        }
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return "[]";
+    }
+    if (IsPlainObject(value)) {
+        return "{}";
+    }
+    throw new TypeError(Util.format(
+        "Unsupported value type (pointer=%j).",
+        pointer
+    ));
+}
+
+/**
+ *  Get whether a value is written as a block collection.
+ * 
+ *  @param {*} value - The value.
+ *  @return {Boolean} - True if so.
+ */
+function IsBlockCollection(value) {
+    if (Array.isArray(value)) {
+        return value.length != 0;
+    }
+    if (IsPlainObject(value)) {
+        return Object.keys(value).some(function(key) {
+            return typeof(value[key]) != "undefined";
+        });
+    }
+    return false;
+}
+
+/**
+ *  Write a block collection.
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the collection can't be represented in YAML format.
+ * 
+ *  @param {Array|Object} value - The collection.
+ *  @param {Number} indent - The indentation.
+ *  @param {String} pointer - The JSON pointer of the collection (for 
+ *                            messages).
+ *  @param {Array} stack - The collections being written.
+ *  @return {String[]} - The lines.
+ */
+function WriteCollection(value, indent, pointer, stack) {
+    if (stack.indexOf(value) >= 0) {
+        throw new TypeError("Converting circular structure to YAML.");
+    }
+    stack.push(value);
+    let padding = " ".repeat(indent);
+    let lines = [];
+    if (Array.isArray(value)) {
+        value.forEach(function(item, index) {
+            let itemPointer = pointer + "/" + String(index);
+            if (IsBlockCollection(item)) {
+                //  Start the collection on the line of the entry indicator.
+                let sub = WriteCollection(item, indent + 2, itemPointer, stack);
+                sub[0] = padding + "- " + sub[0].substring(indent + 2);
+                lines.push.apply(lines, sub);
+            } else {
+                lines.push(padding + "- " + FormatScalar(item, itemPointer));
+            }
+        });
+    } else {
+        Object.keys(value).forEach(function(key) {
+            let item = value[key];
+            if (typeof(item) == "undefined") {
+                return;
+            }
+            let itemPointer = pointer + "/" + 
+                key.replace(/~/g, "~0").replace(/\//g, "~1");
+            let prefix = padding + FormatString(key) + ":";
+            if (IsBlockCollection(item)) {
+                lines.push(prefix);
+                lines.push.apply(
+                    lines,
+                    WriteCollection(item, indent + 2, itemPointer, stack)
+                );
+            } else {
+                lines.push(prefix + " " + FormatScalar(item, itemPointer));
+            }
+        });
+    }
+    stack.pop();
+    return lines;
+}
+
+/**
+ *  Write a document.
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the value can't be represented in YAML format.
+ * 
+ *  @param {*} value - The value.
+ *  @return {String} - The document.
+ */
+function WriteDocument(value) {
+    let lines = (
+        IsBlockCollection(value) ? 
+        WriteCollection(value, 0, "", []) : 
+        [FormatScalar(value, "")]
+    );
+    return lines.map(function(line) {
+        return line + "\n";
+    }).join("");
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  YAML parsing and serialization options.
+ * 
+ *  @typedef {Object} YamlOptions
+ *  @property {Boolean} [multiDocument] - True if the stream contains multiple 
+ *                                        documents, which are parsed to (or 
+ *                                        serialized from) an array of 
+ *                                        documents (default: false).
+ *  @property {?function(Number, Number, function(): Array): void} [onValue] - 
+ *      (Parsing only) The callback called before each value is parsed, with 
+ *      the depth of the value (0 for the root value), the count of values in 
+ *      its container so far (including the value, 0 for the root value) and 
+ *      a function that gets the path keys of the value (like the callback of 
+ *      ParseJson() in core/source.js). Errors thrown by the callback abort 
+ *      the parsing and are raised to the caller (default: NULL).
+ */
+
+/**
+ *  Parse a YAML (v1.2) document (or a stream of documents).
+ * 
+ *  Exception(s):
+ *    [1] TraverseSyntaxError: 
+ *        Raised if the document is malformed or uses unsupported features.
+ * 
+ *  Note(s):
+ *    [1] Block and flow collections, all scalar styles, comments, anchors, 
+ *        aliases and multiple documents are supported. Directives, explicit 
+ *        keys ("? "), non-scalar keys and tabs in indentation are not 
+ *        supported.
+ *    [2] Plain scalars are resolved by the core schema: NULL, booleans, 
+ *        integers (safe integers to numbers, others to BigInts) and floats 
+ *        (including ".inf" and ".nan"). Like offset date-times of TOML, 
+ *        timestamps with time zone offset (e.g. "2019-02-28T08:30:00Z") are 
+ *        resolved to Date objects (with millisecond precision). All other 
+ *        scalars (including dates and timestamps without time zone offset) 
+ *        are strings.
+ *    [3] Only the standard tags of the core schema ("!!str", "!!int", 
+ *        "!!float", "!!bool", "!!null", "!!seq", "!!map") and the 
+ *        non-specific tag ("!") are supported.
+ *    [4] Mapping keys are the (unescaped) text of the key scalars (e.g. the 
+ *        key of "1: one" is "1"), duplicated keys are not allowed.
+ *    [5] Aliases refer to the same value as their anchors.
+ *    [6] If the multi-document option is off, an empty stream is parsed to 
+ *        NULL and a stream that contains more than one document is rejected.
+ *    [7] Values are checked by the "onValue" callback as soon as they are 
+ *        reached (values of aliases are not checked again), so that callers 
+ *        can stop parsing oversized documents early.
+ * 
+ *  @param {String} text - The document.
+ *  @param {YamlOptions} [options] - The options.
+ *  @return {*} - The parsed value (an array of documents if the 
+ *                multi-document option is on).
+ */
+function ParseYaml(text, options = {}) {
+    //  Offsets (in the normalized text) where characters were removed (a
+    //  byte order mark and carriage returns before line feeds).
+    let removed = [];
+    text = text.replace(/^\uFEFF|\r(?=\n)/g, function(matched, offset) {
+        removed.push(offset - removed.length);
+        return "";
+    });
+
+    let position = 0;
+    let depth = 0;
+    let anchors = new Map();
+    let onValue = options.onValue || null;
+
+    //  Path keys of the value being parsed.
+    let keys = [];
+
+    /**
+     *  Raise a syntax error.
+     * 
+     *  @param {String} [reason] - The reason (default: describe the 
+     *                             character at the offset).
+     *  @param {Number} [offset] - The offset (in the normalized text, default:
+     *                             current position).
+     */
+    function _Fail(reason, offset = position) {
+        if (typeof(reason) == "undefined") {
+            reason = (
+                offset < text.length ? 
+                Util.format(
+                    "Unexpected character %s",
+                    JSON.stringify(String.fromCodePoint(
+                        text.codePointAt(offset)
+                    ))
+                ) : 
+                "Unexpected end of input"
+            );
+        }
+        let shift = removed.filter(function(item) {
+            return item <= offset;
+        }).length;
+        throw new TraverseSyntaxError(reason, offset + shift);
+    }
+
+    /**
+     *  Get the path keys of the value being parsed.
+     * 
+     *  @return {Array} - The path keys.
+     */
+    function _GetKeys() {
+        return keys.slice();
+    }
+
+    /**
+     *  Enter a value of a collection (and check it by the "onValue" 
+     *  callback), call _LeaveValue() after the value was parsed.
+     * 
+     *  @param {String|Number} key - The key (or the index) of the value.
+     *  @param {Number} size - The count of values in the collection 
+     *                         (including the value).
+     */
+    function _EnterValue(key, size) {
+        keys.push(key);
+        if (onValue !== null) {
+            onValue(keys.length, size, _GetKeys);
+        }
+    }
+
+    /**
+     *  Leave a value of a collection.
+     */
+    function _LeaveValue() {
+        keys.pop();
+    }
+
+    /**
+     *  Get whether a character is a blank (a space or a tab).
+     * 
+     *  @param {String} character - The character.
+     *  @return {Boolean} - True if so.
+     */
+    function _IsBlank(character) {
+        return (character == " " || character == "\t");
+    }
+
+    /**
+     *  Get whether there is a separator (a blank, a line break or the end of 
+     *  input) at an offset.
+     * 
+     *  @param {Number} offset - The offset.
+     *  @return {Boolean} - True if so.
+     */
+    function _IsSeparator(offset) {
+        return (
+            offset >= text.length || 
+            text[offset] == "\n" || 
+            _IsBlank(text[offset])
+        );
+    }
+
+    /**
+     *  Get the offset of the start of the line that contains an offset.
+     * 
+     *  @param {Number} offset - The offset.
+     *  @return {Number} - The offset of the line start.
+     */
+    function _GetLineStart(offset) {
+        return (offset == 0 ? 0 : text.lastIndexOf("\n", offset - 1) + 1);
+    }
+
+    /**
+     *  Skip blanks.
+     */
+    function _SkipSpaces() {
+        while (_IsBlank(text[position])) {
+            ++position;
+        }
+    }
+
+    /**
+     *  Skip blanks, comments and line breaks.
+     */
+    function _SkipBlanks() {
+        while (true) {
+            _SkipSpaces();
+            if (text[position] == "#") {
+                while (position < text.length && text[position] != "\n") {
+                    ++position;
+                }
+            }
+            if (text[position] != "\n") {
+                break;
+            }
+            ++position;
+        }
+    }
+
+    /**
+     *  Get whether current position is at the end of a line (a comment is 
+     *  allowed).
+     * 
+     *  @return {Boolean} - True if so.
+     */
+    function _IsAtLineEnd() {
+        return (
+            position >= text.length || 
+            text[position] == "\n" || 
+            (
+                text[position] == "#" && 
+                (position == 0 || _IsSeparator(position - 1))
+            )
+        );
+    }
+
+    /**
+     *  Expect the end of a line (a comment is allowed).
+     */
+    function _ExpectLineEnd() {
+        _SkipSpaces();
+        if (!_IsAtLineEnd()) {
+            _Fail();
+        }
+    }
+
+    /**
+     *  Get the indentation of the line that starts at current position.
+     * 
+     *  @return {Number} - The indentation.
+     */
+    function _GetIndent() {
+        let lineStart = _GetLineStart(position);
+        let tab = text.substring(lineStart, position).indexOf("\t");
+        if (tab >= 0) {
+            _Fail("Tabs are not allowed in indentation", lineStart + tab);
+        }
+        return position - lineStart;
+    }
+
+    /**
+     *  Get whether current position is at a document marker.
+     * 
+     *  @param {String} [marker] - The marker ("---" or "...", default: both).
+     *  @return {Boolean} - True if so.
+     */
+    function _IsAtDocumentMarker(marker) {
+        if (
+            position != _GetLineStart(position) || 
+            !_IsSeparator(position + 3)
+        ) {
+            return false;
+        }
+        if (typeof(marker) == "undefined") {
+            return (
+                text.startsWith("---", position) || 
+                text.startsWith("...", position)
+            );
+        }
+        return text.startsWith(marker, position);
+    }
+
+    /**
+     *  Get whether current position is at a block sequence entry.
+     * 
+     *  @return {Boolean} - True if so.
+     */
+    function _IsAtSequenceEntry() {
+        return (text[position] == "-" && _IsSeparator(position + 1));
+    }
+
+    /**
+     *  Get whether a plain scalar can start at an offset.
+     * 
+     *  @param {Number} offset - The offset.
+     *  @param {Boolean} flow - True if in flow context.
+     *  @return {Boolean} - True if so.
+     */
+    function _IsPlainStart(offset, flow) {
+        if (_IsSeparator(offset)) {
+            return false;
+        }
+        let character = text[offset];
+        if ("-?:".indexOf(character) >= 0) {
+            return !(
+                _IsSeparator(offset + 1) || 
+                (flow && FLOW_INDICATORS.indexOf(text[offset + 1]) >= 0)
+            );
+        }
+        return PLAIN_EXCLUDED_INDICATORS.indexOf(character) < 0;
+    }
+
+    /**
+     *  Find the mapping value indicator (":") of an implicit key that starts 
+     *  at current position.
+     * 
+     *  @return {Number} - The offset of the indicator (-1 if there is no 
+     *                     implicit key at current position).
+     */
+    function _FindImplicitKey() {
+        let offset = position;
+        let quote = text[offset];
+        if (quote == "\"" || quote == "'") {
+            ++offset;
+            while (true) {
+                if (offset >= text.length || text[offset] == "\n") {
+                    return -1;
+                }
+                if (quote == "\"" && text[offset] == "\\") {
+                    offset += 2;
+                } else if (text[offset] != quote) {
+                    ++offset;
+                } else if (quote == "'" && text[offset + 1] == "'") {
+                    offset += 2;
+                } else {
+                    ++offset;
+                    break;
+                }
+            }
+            while (_IsBlank(text[offset])) {
+                ++offset;
+            }
+            return (
+                text[offset] == ":" && _IsSeparator(offset + 1) ? 
+                offset : 
+                -1
+            );
+        }
+        if (!_IsPlainStart(offset, false)) {
+            return -1;
+        }
+        while (offset < text.length && text[offset] != "\n") {
+            if (text[offset] == ":" && _IsSeparator(offset + 1)) {
+                return offset;
+            }
+            if (text[offset] == "#" && _IsBlank(text[offset - 1])) {
+                return -1;
+            }
+            ++offset;
+        }
+        return -1;
+    }
+
+    /**
+     *  Parse node properties (an anchor and a tag) and blanks after them.
+     * 
+     *  @param {?Object} inherited - The properties that precede (NULL if 
+     *                               none).
+     *  @return {{anchor: ?String, tag: ?String, offset: Number}} - The 
+     *                                                              properties.
+     */
+    function _ParseProperties(inherited) {
+        let properties = (
+            inherited === null ? 
+            {"anchor": null, "tag": null, "offset": position} : 
+            Object.assign({}, inherited)
+        );
+        while (text[position] == "&" || text[position] == "!") {
+            let start = position;
+            let isAnchor = (text[position] == "&");
+            let end = position;
+            while (
+                !_IsSeparator(end) && 
+                FLOW_INDICATORS.indexOf(text[end]) < 0
+            ) {
+                ++end;
+            }
+            if (isAnchor) {
+                if (end == start + 1) {
+                    _Fail("Empty anchor name", start);
+                }
+                if (properties.anchor !== null) {
+                    _Fail("Duplicated anchor", start);
+                }
+                properties.anchor = text.substring(start + 1, end);
+            } else {
+                let tag = text.substring(start, end);
+                if (properties.tag !== null) {
+                    _Fail("Duplicated tag", start);
+                }
+                if (!SUPPORTED_TAGS.has(tag)) {
+                    _Fail(Util.format("Unsupported tag %j", tag), start);
+                }
+                properties.tag = tag;
+            }
+            position = end;
+            _SkipSpaces();
+        }
+        return properties;
+    }
+
+    /**
+     *  Register the anchor of a node (if any).
+     * 
+     *  @param {{anchor: ?String}} properties - The properties of the node.
+     *  @param {*} value - The value of the node.
+     */
+    function _RegisterAnchor(properties, value) {
+        if (properties.anchor !== null) {
+            anchors.set(properties.anchor, value);
+        }
+    }
+
+    /**
+     *  Resolve a scalar.
+     * 
+     *  @param {String} text - The text of the scalar.
+     *  @param {Boolean} plain - True if the scalar is a plain scalar.
+     *  @param {?String} tag - The tag (NULL if not tagged).
+     *  @param {Number} offset - The offset of the scalar.
+     *  @return {*} - The value.
+     */
+    function _ResolveScalar(text, plain, tag, offset) {
+        let value = undefined;
+        switch (tag) {
+        case null:
+            return (plain ? ResolvePlainScalar(text) : text);
+        case "!":
+        case "!!str":
+            return text;
+        case "!!null":
+            value = (CORE_NULL.test(text) ? null : undefined);
+            break;
+        case "!!bool":
+            if (CORE_TRUE.test(text)) {
+                value = true;
+            } else if (CORE_FALSE.test(text)) {
+                value = false;
+            }
+            break;
+        case "!!int":
+            value = ParseCoreInteger(text);
+            break;
+        case "!!float":
+            value = ParseCoreFloat(text);
+            if (value === null) {
+                value = ParseCoreInteger(text);
+                value = (value === null ? null : Number(value));
+            }
+            break;
+        case "!!seq":
+        case "!!map":
+            if (plain && text.length == 0) {
+                value = (tag == "!!seq" ? [] : {});
+            }
+            break;
+        default:
+            break;
+        }
+        if (
+            typeof(value) == "undefined" || 
+            (value === null && tag != "!!null")
+        ) {
+            _Fail(Util.format("Invalid %s value %j", tag, text), offset);
+        }
+        return value;
+    }
+
+    /**
+     *  Check the tag of a collection.
+     * 
+     *  @param {{tag: ?String, offset: Number}} properties - The properties 
+     *                                                      of the collection.
+     *  @param {Array|Object} value - The collection.
+     */
+    function _CheckCollectionTag(properties, value) {
+        let tag = properties.tag;
+        let expected = (Array.isArray(value) ? "!!seq" : "!!map");
+        if (tag !== null && tag != "!" && tag != expected) {
+            _Fail(Util.format(
+                "Tag %s is not applicable to %s",
+                tag,
+                (Array.isArray(value) ? "sequences" : "mappings")
+            ), properties.offset);
+        }
+    }
+
+    /**
+     *  Parse a quoted scalar.
+     * 
+     *  @return {String} - The unescaped (and folded) text.
+     */
+    function _ParseQuoted() {
+        let start = position;
+        let quote = text[position];
+        let result = "";
+
+        //  Length of the result that can't be trimmed by line folding.
+        let kept = 0;
+
+        ++position;
+        while (true) {
+            if (position >= text.length) {
+                _Fail("Unterminated string", start);
+            }
+            let character = text[position];
+            if (character == quote) {
+                if (quote == "'" && text[position + 1] == "'") {
+                    result += "'";
+                    position += 2;
+                    kept = result.length;
+                    continue;
+                }
+                ++position;
+                return result;
+            }
+            if (character == "\\" && quote == "\"") {
+                let escape = text[position + 1];
+                if (escape == "\n") {
+                    //  Escaped line break (no folding).
+                    position += 2;
+                    _SkipSpaces();
+                    while (text[position] == "\n") {
+                        result += "\n";
+                        ++position;
+                        _SkipSpaces();
+                    }
+                } else if (ESCAPES.has(escape)) {
+                    result += ESCAPES.get(escape);
+                    position += 2;
+                } else if (HEX_ESCAPES.has(escape)) {
+                    let length = HEX_ESCAPES.get(escape);
+                    let digits = text.substr(position + 2, length);
+                    let codePoint = parseInt(digits, 16);
+                    if (
+                        digits.length != length || 
+                        !/^[0-9A-Fa-f]+$/.test(digits) || 
+                        codePoint > 0x10FFFF
+                    ) {
+                        _Fail("Invalid escape sequence");
+                    }
+                    result += String.fromCodePoint(codePoint);
+                    position += 2 + length;
+                } else {
+                    _Fail("Invalid escape sequence");
+                }
+                kept = result.length;
+                continue;
+            }
+            if (character == "\n") {
+                //  Fold the line break.
+                result = result.substring(
+                    0,
+                    Math.max(kept, result.replace(/[ \t]+$/, "").length)
+                );
+                ++position;
+                _SkipSpaces();
+                let breaks = 0;
+                while (text[position] == "\n") {
+                    ++breaks;
+                    ++position;
+                    _SkipSpaces();
+                }
+                result += (breaks == 0 ? " " : "\n".repeat(breaks));
+                kept = result.length;
+                continue;
+            }
+            result += character;
+            ++position;
+        }
+    }
+
+    /**
+     *  Parse a plain scalar.
+     * 
+     *  @param {Number} parentIndent - The indentation of the parent node 
+     *                                 (continuation lines must be indented 
+     *                                 more, only for block context).
+     *  @param {Boolean} flow - True if in flow context.
+     *  @return {String} - The (folded) text.
+     */
+    function _ParsePlain(parentIndent, flow) {
+        let result = "";
+        while (true) {
+            //  Scan a line.
+            let lineStart = position;
+            let end = position;
+            while (position < text.length && text[position] != "\n") {
+                let character = text[position];
+                if (
+                    character == ":" && 
+                    (
+                        _IsSeparator(position + 1) || 
+                        (
+                            flow && 
+                            FLOW_INDICATORS.indexOf(text[position + 1]) >= 0
+                        )
+                    )
+                ) {
+                    if (!flow) {
+                        _Fail("Mapping values are not allowed here");
+                    }
+                    break;
+                }
+                if (character == "#" && _IsBlank(text[position - 1])) {
+                    break;
+                }
+                if (flow && FLOW_INDICATORS.indexOf(character) >= 0) {
+                    break;
+                }
+                ++position;
+                if (!_IsBlank(character)) {
+                    end = position;
+                }
+            }
+            result += text.substring(lineStart, end);
+            position = end;
+
+            //  Find the continuation line (if any).
+            _SkipSpaces();
+            if (text[position] != "\n") {
+                position = end;
+                return result;
+            }
+            let breaks = 0;
+            while (text[position] == "\n") {
+                ++breaks;
+                ++position;
+                _SkipSpaces();
+            }
+            let continued = (
+                position < text.length && 
+                text[position] != "#" && 
+                !_IsAtDocumentMarker() && 
+                (
+                    flow ? 
+                    FLOW_INDICATORS.indexOf(text[position]) < 0 && 
+                    !(text[position] == ":" && _IsSeparator(position + 1)) : 
+                    position - _GetLineStart(position) > parentIndent
+                )
+            );
+            if (!continued) {
+                position = end;
+                return result;
+            }
+            result += (breaks == 1 ? " " : "\n".repeat(breaks - 1));
+        }
+    }
+
+    /**
+     *  Parse a block scalar (literal or folded).
+     * 
+     *  @param {Number} parentIndent - The indentation of the parent node.
+     *  @return {String} - The content.
+     */
+    function _ParseBlockScalar(parentIndent) {
+        let folded = (text[position] == ">");
+        let chomping = null;
+        let indicator = 0;
+        ++position;
+
+        //  Parse the header.
+        while (true) {
+            let character = text[position];
+            if (character == "+" || character == "-") {
+                if (chomping !== null) {
+                    _Fail();
+                }
+                chomping = character;
+            } else if (character >= "1" && character <= "9") {
+                if (indicator != 0) {
+                    _Fail();
+                }
+                indicator = Number(character);
+            } else {
+                break;
+            }
+            ++position;
+        }
+        if (!_IsSeparator(position)) {
+            _Fail();
+        }
+        _ExpectLineEnd();
+        while (position < text.length && text[position] != "\n") {
+            ++position;
+        }
+        if (position < text.length) {
+            ++position;
+        }
+
+        //  Determine the indentation of the content.
+        let indent = Math.max(parentIndent, 0) + indicator;
+        if (indicator == 0) {
+            indent = parentIndent + 1;
+            let offset = position;
+            while (offset < text.length) {
+                let spaces = 0;
+                while (text[offset + spaces] == " ") {
+                    ++spaces;
+                }
+                if (
+                    offset + spaces < text.length && 
+                    text[offset + spaces] != "\n"
+                ) {
+                    indent = Math.max(indent, spaces);
+                    break;
+                }
+                offset += spaces + 1;
+            }
+        }
+
+        //  Read lines of the content.
+        let lines = [];
+        while (position < text.length && !_IsAtDocumentMarker()) {
+            let lineEnd = text.indexOf("\n", position);
+            if (lineEnd < 0) {
+                lineEnd = text.length;
+            }
+            let line = text.substring(position, lineEnd);
+            if (line.trim().length == 0) {
+                lines.push("");
+            } else if (line.search(/[^ ]/) < indent) {
+                break;
+            } else {
+                lines.push(line.substring(indent));
+            }
+            position = Math.min(lineEnd + 1, text.length);
+        }
+
+        //  Split trailing empty lines.
+        let count = lines.length;
+        while (count != 0 && lines[count - 1].length == 0) {
+            --count;
+        }
+        let trailing = lines.length - count;
+        lines = lines.slice(0, count);
+
+        //  Join (or fold) lines.
+        let content = "";
+        if (folded) {
+            let previous = null;
+            let empty = 0;
+            lines.forEach(function(line) {
+                if (line.length == 0) {
+                    ++empty;
+                    return;
+                }
+                let current = (_IsBlank(line[0]) ? "more" : "normal");
+                if (previous === null) {
+                    content += "\n".repeat(empty);
+                } else if (previous == "normal" && current == "normal") {
+                    content += (empty == 0 ? " " : "\n".repeat(empty));
+                } else {
+                    content += "\n".repeat(empty + 1);
+                }
+                content += line;
+                previous = current;
+                empty = 0;
+            });
+        } else {
+            content = lines.join("\n");
+        }
+
+        //  Chomp.
+        if (chomping == "+") {
+            return content + (lines.length == 0 ? "" : "\n") + 
+                "\n".repeat(trailing);
+        }
+        if (chomping == "-" || lines.length == 0) {
+            return content;
+        }
+        return content + "\n";
+    }
+
+    /**
+     *  Parse an alias.
+     * 
+     *  @return {*} - The value of the anchor.
+     */
+    function _ParseAlias() {
+        let start = position;
+        ++position;
+        while (
+            !_IsSeparator(position) && 
+            FLOW_INDICATORS.indexOf(text[position]) < 0
+        ) {
+            ++position;
+        }
+        let name = text.substring(start + 1, position);
+        if (name.length == 0) {
+            _Fail("Empty alias name", start);
+        }
+        if (!anchors.has(name)) {
+            _Fail(Util.format("Unknown anchor %j", name), start);
+        }
+        return anchors.get(name);
+    }
+
+    /**
+     *  Parse a flow collection.
+     * 
+     *  @return {Array|Object} - The collection.
+     */
+    function _ParseFlowCollection() {
+        if (++depth > MAX_NESTING_DEPTH) {
+            _Fail("Too deeply nested");
+        }
+        let start = position;
+        let isSequence = (text[position] == "[");
+        let closing = (isSequence ? "]" : "}");
+        let collection = (isSequence ? [] : {});
+        let size = 0;
+        ++position;
+        while (true) {
+            _SkipBlanks();
+            if (text[position] == closing) {
+                ++position;
+                break;
+            }
+            if (position >= text.length) {
+                _Fail("Unterminated flow collection", start);
+            }
+            if (text[position] == "?" && _IsSeparator(position + 1)) {
+                _Fail("Explicit keys are not supported");
+            }
+
+            //  Parse the key (or the item) if it's a scalar.
+            let entryStart = position;
+            let character = text[position];
+            if (isSequence) {
+                _EnterValue(size, size + 1);
+            }
+            let key = null;
+            let item = undefined;
+            if (character == "\"" || character == "'") {
+                key = _ParseQuoted();
+                item = key;
+            } else if (_IsPlainStart(position, true)) {
+                key = _ParsePlain(-1, true);
+                item = ResolvePlainScalar(key);
+            } else if (isSequence) {
+                item = _ParseFlowNode();
+            } else {
+                _Fail();
+            }
+            _SkipBlanks();
+
+            //  Parse the value (if any).
+            let hasValue = (key !== null && text[position] == ":");
+            let value = null;
+            if (isSequence) {
+                if (hasValue) {
+                    _EnterValue(key, 1);
+                }
+            } else {
+                _EnterValue(key, size + 1);
+            }
+            if (hasValue) {
+                ++position;
+                _SkipBlanks();
+                if (text[position] != "," && text[position] != closing) {
+                    value = _ParseFlowNode();
+                    _SkipBlanks();
+                }
+            }
+            if (isSequence && hasValue) {
+                _LeaveValue();
+            }
+            _LeaveValue();
+            ++size;
+            if (isSequence) {
+                if (hasValue) {
+                    item = {};
+                    DefineValue(item, key, value);
+                }
+                collection.push(item);
+            } else {
+                if (HasOwnKey(collection, key)) {
+                    _Fail(Util.format("Duplicated key %j", key), entryStart);
+                }
+                DefineValue(collection, key, value);
+            }
+
+            if (text[position] == ",") {
+                ++position;
+            } else if (position >= text.length) {
+                _Fail("Unterminated flow collection", start);
+            } else if (text[position] != closing) {
+                _Fail();
+            }
+        }
+        --depth;
+        return collection;
+    }
+
+    /**
+     *  Parse a node that starts on current line (a flow collection, an alias, 
+     *  a quoted scalar or a plain scalar).
+     * 
+     *  @param {Number} parentIndent - The indentation of the parent node.
+     *  @param {Boolean} flow - True if in flow context.
+     *  @param {Object} properties - The properties of the node.
+     *  @return {*} - The value.
+     */
+    function _ParseInlineNode(parentIndent, flow, properties) {
+        let start = position;
+        let character = text[position];
+        let value = undefined;
+        if (character == "[" || character == "{") {
+            value = _ParseFlowCollection();
+            _CheckCollectionTag(properties, value);
+        } else if (character == "*") {
+            if (properties.anchor !== null || properties.tag !== null) {
+                _Fail("Aliases can't have properties", properties.offset);
+            }
+            return _ParseAlias();
+        } else if (character == "\"" || character == "'") {
+            value = _ResolveScalar(
+                _ParseQuoted(),
+                false,
+                properties.tag,
+                start
+            );
+        } else if (_IsPlainStart(position, flow)) {
+            value = _ResolveScalar(
+                _ParsePlain(parentIndent, flow),
+                true,
+                properties.tag,
+                start
+            );
+        } else if (
+            _IsAtLineEnd() || 
+            (flow && FLOW_INDICATORS.indexOf(character) >= 0)
+        ) {
+            value = _ResolveScalar("", true, properties.tag, start);
+        } else {
+            _Fail();
+        }
+        _RegisterAnchor(properties, value);
+        return value;
+    }
+
+    /**
+     *  Parse a node in flow context.
+     * 
+     *  @return {*} - The value.
+     */
+    function _ParseFlowNode() {
+        let properties = _ParseProperties(null);
+        _SkipBlanks();
+        return _ParseInlineNode(-1, true, properties);
+    }
+
+    /**
+     *  Parse a block sequence.
+     * 
+     *  @param {Number} indent - The indentation of the sequence.
+     *  @return {Array} - The sequence.
+     */
+    function _ParseBlockSequence(indent) {
+        let sequence = [];
+        while (true) {
+            ++position;
+            _EnterValue(sequence.length, sequence.length + 1);
+            sequence.push(_ParseBlockNode(indent, true, false, null));
+            _LeaveValue();
+            _SkipBlanks();
+            if (position >= text.length || _IsAtDocumentMarker()) {
+                break;
+            }
+            let current = _GetIndent();
+            if (current < indent) {
+                break;
+            }
+            if (current > indent) {
+                _Fail("Bad indentation of a sequence entry");
+            }
+            if (!_IsAtSequenceEntry()) {
+                break;
+            }
+        }
+        return sequence;
+    }
+
+    /**
+     *  Parse a block mapping.
+     * 
+     *  @param {Number} indent - The indentation of the mapping.
+     *  @return {Object} - The mapping.
+     */
+    function _ParseBlockMapping(indent) {
+        let mapping = {};
+        let size = 0;
+        while (true) {
+            let start = position;
+            let indicator = _FindImplicitKey();
+            if (indicator < 0) {
+                if (text[position] == "?" && _IsSeparator(position + 1)) {
+                    _Fail("Explicit keys are not supported");
+                }
+                _Fail("Expected a mapping key");
+            }
+            let key = null;
+            if (text[position] == "\"" || text[position] == "'") {
+                key = _ParseQuoted();
+            } else {
+                key = text.substring(position, indicator);
+                key = key.replace(/[ \t]+$/, "");
+            }
+            position = indicator + 1;
+            if (HasOwnKey(mapping, key)) {
+                _Fail(Util.format("Duplicated key %j", key), start);
+            }
+            _EnterValue(key, ++size);
+            DefineValue(
+                mapping,
+                key,
+                _ParseBlockNode(indent, false, true, null)
+            );
+            _LeaveValue();
+            _SkipBlanks();
+            if (position >= text.length || _IsAtDocumentMarker()) {
+                break;
+            }
+            let current = _GetIndent();
+            if (current < indent) {
+                break;
+            }
+            if (current > indent) {
+                _Fail("Bad indentation of a mapping entry");
+            }
+        }
+        return mapping;
+    }
+
+    /**
+     *  Parse a node in block context.
+     * 
+     *  @param {Number} parentIndent - The indentation of the parent node (-1 
+     *                                 for the document).
+     *  @param {Boolean} compact - True if a block collection can start on 
+     *                             current line (e.g. after "- ").
+     *  @param {Boolean} isMappingValue - True if the node is a mapping value 
+     *                                    (a block sequence can be indented 
+     *                                    as much as the key).
+     *  @param {?Object} inherited - The properties that precede the node 
+     *                               (NULL if none).
+     *  @return {*} - The value.
+     */
+    function _ParseBlockNode(parentIndent, compact, isMappingValue, inherited) {
+        if (++depth > MAX_NESTING_DEPTH) {
+            _Fail("Too deeply nested");
+        }
+        _SkipSpaces();
+        let properties = _ParseProperties(inherited);
+        let value = undefined;
+        if (_IsAtLineEnd()) {
+            //  The node starts on a following line (or it is empty).
+            let end = position;
+            _SkipBlanks();
+            if (position < text.length && !_IsAtDocumentMarker()) {
+                let indent = _GetIndent();
+                if (
+                    indent > parentIndent || 
+                    (
+                        isMappingValue && 
+                        indent == parentIndent && 
+                        _IsAtSequenceEntry()
+                    )
+                ) {
+                    value = _ParseBlockNode(
+                        parentIndent,
+                        true,
+                        false,
+                        properties
+                    );
+                    --depth;
+                    return value;
+                }
+            }
+            position = end;
+            value = _ResolveScalar("", true, properties.tag, properties.offset);
+        } else {
+            let character = text[position];
+            let column = position - _GetLineStart(position);
+            if (character == "|" || character == ">") {
+                value = _ResolveScalar(
+                    _ParseBlockScalar(parentIndent),
+                    false,
+                    properties.tag,
+                    properties.offset
+                );
+            } else if (compact && _IsAtSequenceEntry()) {
+                value = _ParseBlockSequence(column);
+                _CheckCollectionTag(properties, value);
+            } else if (
+                compact && 
+                text[position] == "?" && 
+                _IsSeparator(position + 1)
+            ) {
+                _Fail("Explicit keys are not supported");
+            } else if (compact && _FindImplicitKey() >= 0) {
+                value = _ParseBlockMapping(column);
+                _CheckCollectionTag(properties, value);
+            } else {
+                value = _ParseInlineNode(parentIndent, false, properties);
+                _ExpectLineEnd();
+                --depth;
+                return value;
+            }
+        }
+        _RegisterAnchor(properties, value);
+        --depth;
+        return value;
+    }
+
+    //  Parse documents.
+    let documents = [];
+    let starts = [];
+    let multiDocument = (options.multiDocument === true);
+    //  Check the root value.
+    if (onValue !== null) {
+        onValue(0, 0, _GetKeys);
+    }
+    while (true) {
+        _SkipBlanks();
+        if (position >= text.length) {
+            break;
+        }
+        if (text[position] == "%" && position == _GetLineStart(position)) {
+            _Fail("Directives are not supported");
+        }
+        if (_IsAtDocumentMarker("...")) {
+            position += 3;
+            _ExpectLineEnd();
+            continue;
+        }
+        starts.push(position);
+        if (_IsAtDocumentMarker("---")) {
+            position += 3;
+        }
+        anchors.clear();
+        if (multiDocument) {
+            _EnterValue(documents.length, documents.length + 1);
+        }
+        documents.push(_ParseBlockNode(-1, true, false, null));
+        if (multiDocument) {
+            _LeaveValue();
+        }
+        _SkipBlanks();
+        if (_IsAtDocumentMarker("...")) {
+            position += 3;
+            _ExpectLineEnd();
+        } else if (position < text.length && !_IsAtDocumentMarker("---")) {
+            _Fail();
+        }
+    }
+
+    if (multiDocument) {
+        return documents;
+    }
+    if (documents.length > 1) {
+        _Fail("Expected a single document", starts[1]);
+    }
+    return (documents.length == 0 ? null : documents[0]);
+}
+
+/**
+ *  Serialize a value to a YAML document (or a stream of documents).
+ * 
+ *  Exception(s):
+ *    [1] TypeError: 
+ *        Raised if the value can't be represented in YAML format.
+ * 
+ *  Note(s):
+ *    [1] Arrays and plain objects are written as block collections (empty 
+ *        ones are written as "[]" and "{}"), strings are written as plain 
+ *        scalars if they can be loaded back as the same strings, otherwise 
+ *        they are written as double-quoted scalars.
+ *    [2] Date objects are written as ISO 8601 timestamps in UTC (which are 
+ *        loaded back as Date objects), undefined values in objects are 
+ *        skipped and undefined values in arrays are written as NULL (like 
+ *        JSON.stringify()).
+ * 
+ *  @param {*} value - The value (an array of documents if the 
+ *                     multi-document option is on).
+ *  @param {YamlOptions} [options] - The options.
+ *  @return {String} - The document.
+ */
+function StringifyYaml(value, options = {}) {
+    if (options.multiDocument !== true) {
+        return WriteDocument(value);
+    }
+    if (!Array.isArray(value)) {
+        throw new TypeError("Documents must be an array.");
+    }
+    return value.map(function(document) {
+        return "---\n" + WriteDocument(document);
+    }).join("");
+}
+
+//  Export public APIs.
+module.exports = {
+    "ParseYaml": ParseYaml,
+    "StringifyYaml": StringifyYaml
+};
\ No newline at end of file
@@ -9,10 +9,22 @@
 //
 
 //  Imported modules.
+const CrJsonSchema = require("./../core/jsonschema");
+const CrSchema = require("./../core/schema");
+const CrSchemaExport = require("./../core/schemaexport");
 const CrTraverse = require("./../core/traverse");
 
 //  Export public APIs.
 module.exports = {
     "Traverse": CrTraverse.Traverse,
-    "WrapObject": CrTraverse.WrapObject
+    "TraverseSchema": CrSchema.TraverseSchema,
+    "TraverseJsonSchema": CrJsonSchema.TraverseJsonSchema,
+    "WrapObject": CrTraverse.WrapObject,
+    "RegisterComparator": CrTraverse.RegisterComparator,
+    "RegisterTransformer": CrTraverse.RegisterTransformer,
+    "RegisterMethod": CrTraverse.RegisterMethod,
+    "CompileSchema": CrSchema.CompileSchema,
+    "LoadJsonSchema": CrJsonSchema.LoadJsonSchema,
+    "ExportJsonSchema": CrSchemaExport.ExportJsonSchema,
+    "ExportTypeDeclaration": CrSchemaExport.ExportTypeDeclaration
 };
\ No newline at end of file
@@ -0,0 +1,110 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRejects = Harness.AssertRejects;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Wait for a while.
+ * 
+ *  @param {Number} delay - The delay (in milliseconds).
+ *  @return {Promise} - The promise object.
+ */
+function Sleep(delay) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, delay);
+    });
+}
+
+//
+//  Tests.
+//
+
+Test("async: customRuleAsync() passes and fails", async function() {
+    let info = WrapObject({"user": "alice"}, false);
+    let user = info.sub("user");
+    Assert.strictEqual(await user.customRuleAsync(async function(inner) {
+        await Sleep(1);
+        return inner == "alice";
+    }), user);
+    await AssertRejects(user.customRuleAsync(async function IsBob(inner) {
+        return inner == "bob";
+    }), Traverse.Error, {
+        "path": ["user"],
+        "rule": "customRuleAsync",
+        "expected": "IsBob"
+    });
+    await AssertRejects(user.customRuleAsync(async function() {
+        return 1;
+    }), Traverse.ParameterError);
+});
+
+Test("async: iteration is ordered and bounded", async function() {
+    let info = WrapObject([5, 1, 4, 2, 3], false);
+    let running = 0;
+    let maximum = 0;
+    let visited = [];
+    await info.arrayForEachAsync(async function(item) {
+        ++running;
+        maximum = Math.max(maximum, running);
+        visited.push(item.getPath());
+        await Sleep(item.unwrap());
+        --running;
+    }, 2);
+    Assert.strictEqual(maximum, 2);
+    Assert.deepStrictEqual(visited, ["/[0]", "/[1]", "/[2]", "/[3]", "/[4]"]);
+});
+
+Test("async: the first failure rejects the iteration", async function() {
+    let info = WrapObject({"a": 1, "b": "x", "c": 3}, false);
+    let calls = 0;
+    await AssertRejects(info.objectForEachExAsync(async function(value) {
+        ++calls;
+        value.integer();
+    }), Traverse.TypeError, {
+        "path": ["b"]
+    });
+    Assert.strictEqual(calls, 2);
+    await AssertRejects(
+        info.objectForEachExAsync(function() {}, 0), 
+        Traverse.ParameterError
+    );
+});
+
+Test("async: deletion happens after all callbacks", async function() {
+    let info = WrapObject(["I", "love", "you"], false);
+    let paths = [];
+    await info.arrayForEachWithDeletionAsync(async function(item) {
+        paths.push(item.getPath());
+        return item.unwrap() != "love";
+    }, Infinity);
+    Assert.deepStrictEqual(info.unwrap(), ["love"]);
+    Assert.deepStrictEqual(paths, ["/[0]", "/[1]", "/[2]"]);
+    let failing = WrapObject([1, 2], false);
+    await AssertRejects(failing.arrayForEachWithDeletionAsync(function(item) {
+        item.string();
+        return true;
+    }), Traverse.TypeError);
+    Assert.deepStrictEqual(failing.unwrap(), [1, 2]);
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("charclass: characters, ranges and properties", function() {
+    let charClass = new Traverse.CharClass({
+        "chars": "_\u{1F600}",
+        "ranges": [["a", "f"], ["c", "z"], [0x30, 0x39]],
+        "categories": ["Lu"]
+    });
+    Assert.ok(charClass.contains("_".codePointAt(0)));
+    Assert.ok(charClass.contains(0x1F600));
+    Assert.ok(charClass.contains("q".codePointAt(0)));
+    Assert.ok(charClass.contains("É".codePointAt(0)));
+    Assert.ok(!charClass.contains("-".codePointAt(0)));
+    Assert.strictEqual(
+        charClass.toPattern(), 
+        "[_\\u{1F600}0-9a-z\\p{General_Category=Lu}]"
+    );
+});
+
+Test("charclass: negated classes", function() {
+    let printable = new Traverse.CharClass({
+        "categories": ["Cc"],
+        "negate": true
+    });
+    Assert.ok(printable.isNegated());
+    Assert.ok(printable.contains(0x41));
+    Assert.ok(!printable.contains(0x0A));
+});
+
+Test("charclass: invalid definitions", function() {
+    [
+        {"chars": 1},
+        {"ranges": "a-z"},
+        {"ranges": [["a"]]},
+        {"ranges": [["ab", "z"]]},
+        {"ranges": [["z", "a"]]},
+        {"ranges": [[0, 0x110000]]},
+        {"categories": "L"},
+        {"categories": [1]},
+        {"scripts": ["NoSuchScript"]}
+    ].forEach(function(definition) {
+        AssertRaises(function() {
+            new Traverse.CharClass(definition);
+        }, Traverse.ParameterError);
+    });
+});
+
+Test("charclass: stringValidate() reports the character", function() {
+    let identifier = new Traverse.CharClass({
+        "chars": "_",
+        "ranges": [["a", "z"]]
+    });
+    WrapObject("abc_d", false).stringValidate(identifier);
+    AssertRaises(function() {
+        WrapObject("ab-c", false).stringValidate(identifier);
+    }, Traverse.FormatError, {
+        "rule": "stringValidate"
+    });
+});
\ No newline at end of file
@@ -0,0 +1,110 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("coerce: numbers", function() {
+    [
+        ["42", 42],
+        [" -1.5 ", -1.5],
+        ["1e3", 1000],
+        ["0x2A", 42],
+        [7, 7]
+    ].forEach(function([text, expected]) {
+        Assert.strictEqual(
+            WrapObject(text, false).coerceNumeric().unwrap(), 
+            expected
+        );
+    });
+    ["", "NaN", "Infinity", "1e999", "12px"].forEach(function(text) {
+        AssertRaises(function() {
+            WrapObject(text, false).coerceNumeric();
+        }, Traverse.ParseError, {
+            "rule": "coerceNumeric"
+        });
+    });
+    AssertRaises(function() {
+        WrapObject(true, false).coerceNumeric();
+    }, Traverse.TypeError);
+});
+
+Test("coerce: integers and strictness options", function() {
+    let info = WrapObject({"port": "8080", "ratio": "1.5"}, false);
+    let port = info.sub("port").coerceInteger();
+    Assert.strictEqual(port.unwrap(), 8080);
+    Assert.strictEqual(port.getPath(), "/port");
+    Assert.strictEqual(info.unwrap().port, "8080");
+    AssertRaises(function() {
+        info.sub("ratio").coerceInteger();
+    }, Traverse.ParseError, {
+        "path": ["ratio"],
+        "rule": "coerceInteger"
+    });
+    AssertRaises(function() {
+        WrapObject("42.0", false).coerceInteger({"allowFloat": false});
+    }, Traverse.ParseError);
+    AssertRaises(function() {
+        WrapObject(" 42", false).coerceInteger({"allowWhitespace": false});
+    }, Traverse.ParseError);
+    AssertRaises(function() {
+        WrapObject("0x2A", false).coerceInteger({"allowHex": false});
+    }, Traverse.ParseError);
+    AssertRaises(function() {
+        WrapObject("9007199254740993", false).coerceInteger();
+    }, Traverse.ParseError);
+});
+
+Test("coerce: booleans", function() {
+    [
+        ["true", true],
+        ["0", false],
+        [" TRUE ", true],
+        [false, false]
+    ].forEach(function([text, expected]) {
+        Assert.strictEqual(
+            WrapObject(text, false).coerceBoolean().unwrap(), 
+            expected
+        );
+    });
+    let options = {
+        "trueValues": ["yes"],
+        "falseValues": ["no"],
+        "caseSensitive": true
+    };
+    Assert.strictEqual(
+        WrapObject("yes", false).coerceBoolean(options).unwrap(), 
+        true
+    );
+    AssertRaises(function() {
+        WrapObject("Yes", false).coerceBoolean(options);
+    }, Traverse.ParseError, {
+        "rule": "coerceBoolean"
+    });
+});
+
+Test("coerce: NULL is skipped", function() {
+    let info = WrapObject(null, false);
+    Assert.strictEqual(info.coerceInteger(), info);
+});
\ No newline at end of file
@@ -0,0 +1,125 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("collect: failures are collected across children", function() {
+    let info = WrapObject({
+        "address": 127001,
+        "port": -1,
+        "hosts": ["a.com", 1, "c.com", 2],
+        "labels": {"x": "1", "y": 2}
+    }, false, {
+        "collect": true
+    });
+    info.sub("address").notNull().typeOf(String);
+    info.sub("port").notNull().integer().minExclusive(0);
+    info.sub("timeout").notNull().integer();
+    info.sub("hosts").arrayForEach(function(item) {
+        item.string();
+    });
+    info.sub("labels").objectForEachEx(function(value) {
+        value.string();
+    });
+    let error = AssertRaises(function() {
+        info.throwCollectedErrors();
+    }, Traverse.AggregateError);
+    Assert.deepStrictEqual(error.errors.map(function(item) {
+        return item.pointer;
+    }), ["/address", "/port", "/timeout", "/hosts/1", "/hosts/3", "/labels/y"]);
+    Assert.strictEqual(info.collectedErrors().length, 6);
+});
+
+Test("collect: failed objects skip the rest of the chain", function() {
+    let info = WrapObject({"a": "x"}, false, {"collect": true});
+    let calls = 0;
+    info.sub("a").integer().customRule(function() {
+        ++calls;
+        return true;
+    }).sub("b").sub("c").integer();
+    Assert.strictEqual(calls, 0);
+    Assert.strictEqual(info.collectedErrors().length, 1);
+    Assert.ok(info.collectedErrors()[0] instanceof Traverse.TypeError);
+});
+
+Test("collect: children share the root error list", function() {
+    let info = WrapObject({"a": {"b": [1, "2"]}}, false, {"collect": true});
+    let list = info.sub("a").sub("b");
+    list.arrayGetItem(1).integer();
+    list.arrayGetItem(5);
+    Assert.strictEqual(info.collectedErrors().length, 2);
+    Assert.strictEqual(list.collectedErrors().length, 2);
+    AssertRaises(function() {
+        list.throwCollectedErrors();
+    }, Traverse.AggregateError);
+});
+
+Test("collect: nothing is collected by default", function() {
+    let info = WrapObject({"a": 1}, false);
+    Assert.deepStrictEqual(info.collectedErrors(), []);
+    Assert.strictEqual(info.throwCollectedErrors(), info);
+    AssertRaises(function() {
+        info.sub("b");
+    }, Traverse.KeyNotFoundError);
+});
+
+Test("collect: asynchronous failures are collected", async function() {
+    let info = WrapObject(["a", "b", 3], false, {"collect": true});
+    let result = await info.arrayForEachAsync(async function(item) {
+        await item.customRuleAsync(async function IsString(inner) {
+            return typeof(inner) == "string";
+        });
+    }, 2);
+    Assert.ok(result instanceof Traverse);
+    Assert.deepStrictEqual(info.collectedErrors().map(function(item) {
+        return [item.pointer, item.expected];
+    }), [["/2", "IsString"]]);
+});
+
+Test("collect: a clean input raises nothing", function() {
+    let info = WrapObject({"port": 80}, false, {"collect": true});
+    info.sub("port").notNull().integer().range(1, 65535);
+    Assert.strictEqual(info.throwCollectedErrors(), info);
+});
+
+Test("collect: failed navigation returns the asked child", function() {
+    let info = WrapObject({
+        "host": "x",
+        "list": [1],
+        "map": new Map()
+    }, false, {"collect": true});
+    [
+        [info.sub("port"), "/port"],
+        [info.sub("list").arrayGetItem(3), "/list/[3]"],
+        [info.sub("map").sub("key"), "/map/key"],
+        [info.sub("host").optionalSub("a"), "/host/a"],
+        [info.query("$.a.b"), "/a/b"]
+    ].forEach(function([child, expected]) {
+        Assert.strictEqual(child.unwrap(), undefined);
+        Assert.strictEqual(child.getPath(), expected);
+        Assert.strictEqual(child.integer(), child);
+    });
+    Assert.strictEqual(info.collectedErrors().length, 5);
+});
\ No newline at end of file
@@ -0,0 +1,125 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("collections: map iteration reports key paths", function() {
+    let registry = WrapObject(new Map([
+        ["http", 80],
+        ["https", 70000]
+    ]), false);
+    let seen = [];
+    registry.mapForEach(function(port, name) {
+        seen.push([name, port.getPath()]);
+    });
+    Assert.deepStrictEqual(seen, [["http", "/http"], ["https", "/https"]]);
+    AssertRaises(function() {
+        registry.mapForEach(function(port) {
+            port.integer().range(1, 65535);
+        });
+    }, Traverse.ValueOutOfRangeError, {
+        "path": ["https"]
+    });
+});
+
+Test("collections: map size, lookup and mutation", function() {
+    let registry = WrapObject(new Map([["http", 80]]), false);
+    Assert.strictEqual(registry.mapSize(), 1);
+    Assert.strictEqual(registry.mapHas("http"), true);
+    registry.mapSet("ftp", 21);
+    Assert.strictEqual(registry.unwrap().get("ftp"), 21);
+    registry.mapDelete("ftp");
+    Assert.strictEqual(registry.mapHas("ftp"), false);
+    AssertRaises(function() {
+        WrapObject({}, false).mapSize();
+    }, Traverse.TypeError, {
+        "expected": "Map"
+    });
+});
+
+Test("collections: set items use positional paths", function() {
+    let tags = WrapObject({"tags": new Set(["a", 1])}, false).sub("tags");
+    Assert.strictEqual(tags.setSize(), 2);
+    Assert.strictEqual(tags.setHas("a"), true);
+    Assert.strictEqual(tags.setHas("b"), false);
+    AssertRaises(function() {
+        tags.setForEach(function(item) {
+            item.typeOf(String);
+        });
+    }, Traverse.TypeError, {
+        "path": ["tags", 1]
+    });
+});
+
+Test("collections: byte buffer length bounds", function() {
+    let frame = WrapObject(Buffer.from([0x01, 0x00, 0x10]), false);
+    Assert.strictEqual(frame.bytesLength(), 3);
+    frame.bytesMinLength(3).bytesMaxLength(3);
+    AssertRaises(function() {
+        frame.bytesMinLength(4);
+    }, Traverse.SizeError, {
+        "rule": "bytesMinLength"
+    });
+    AssertRaises(function() {
+        frame.bytesMaxLength(2);
+    }, Traverse.SizeError, {
+        "rule": "bytesMaxLength"
+    });
+    AssertRaises(function() {
+        WrapObject("abc", false).bytesLength();
+    }, Traverse.TypeError);
+});
+
+Test("collections: typed reads from byte buffers", function() {
+    let frame = WrapObject(Buffer.from([0x01, 0x00, 0x10]), false);
+    let size = frame.bytesRead("UInt16BE", 1);
+    Assert.strictEqual(size.unwrap(), 16);
+    Assert.strictEqual(size.getPath(), "/[1]");
+    AssertRaises(function() {
+        frame.bytesRead("UInt16BE", 2);
+    }, Traverse.IndexOutOfRangeError, {
+        "path": [2]
+    });
+    AssertRaises(function() {
+        frame.bytesRead("Foo", 0);
+    }, Traverse.ParameterError);
+    AssertRaises(function() {
+        frame.bytesRead("UInt8", 0.5);
+    }, Traverse.ParameterError);
+    Assert.strictEqual(
+        WrapObject(new Uint16Array([1, 2]), false).bytesRead(
+            "UInt16LE", 
+            2
+        ).unwrap(), 
+        2
+    );
+    Assert.strictEqual(
+        WrapObject(
+            new Uint8Array([0, 0, 0, 0, 0, 0, 0, 5]).buffer, 
+            false
+        ).bytesRead("BigUInt64BE", 0).unwrap(), 
+        BigInt(5)
+    );
+});
\ No newline at end of file
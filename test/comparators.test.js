@@ -0,0 +1,120 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const RegisterComparator = XRTLibTraverse.RegisterComparator;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Classes.
+//
+
+/**
+ *  A decimal-like class (for testing registered comparators).
+ * 
+ *  @constructor
+ *  @param {Number} value - The value.
+ */
+function Decimal(value) {
+    this.value = value;
+}
+
+//
+//  Tests.
+//
+
+Test("comparators: integer assertions accept BigInts", function() {
+    Assert.strictEqual(WrapObject(5n, false).integer().unwrap(), 5n);
+    AssertRaises(function() {
+        WrapObject(1.5, false).integer();
+    }, Traverse.TypeError);
+    AssertRaises(function() {
+        WrapObject(5, false).bigint();
+    }, Traverse.TypeError, {
+        "expected": "BigInt"
+    });
+    AssertRaises(function() {
+        WrapObject(2n ** 53n, false).safeInteger();
+    }, Traverse.ValueOutOfRangeError, {
+        "rule": "safeInteger"
+    });
+    AssertRaises(function() {
+        WrapObject(2 ** 53, false).safeInteger();
+    }, Traverse.ValueOutOfRangeError);
+});
+
+Test("comparators: range checks compare BigInts", function() {
+    WrapObject(3n, false).range(1n, 5n);
+    AssertRaises(function() {
+        WrapObject(10n, false).range(1n, 5n);
+    }, Traverse.ValueOutOfRangeError, {
+        "rule": "max",
+        "expected": "<=5n",
+        "actual": "10n"
+    });
+});
+
+Test("comparators: date assertions", function() {
+    let date = WrapObject(new Date(1000), false);
+    date.date().dateAfter("1970-01-01T00:00:00Z").max(new Date(2000));
+    AssertRaises(function() {
+        date.dateBefore(500);
+    }, Traverse.ValueOutOfRangeError, {
+        "rule": "dateBefore"
+    });
+    AssertRaises(function() {
+        date.max(new Date(500));
+    }, Traverse.ValueOutOfRangeError, {
+        "rule": "max"
+    });
+    AssertRaises(function() {
+        date.dateBefore("nope");
+    }, Traverse.ParameterError);
+    AssertRaises(function() {
+        WrapObject(new Date("nope"), false).date();
+    }, Traverse.TypeError, {
+        "expected": "valid date"
+    });
+    AssertRaises(function() {
+        WrapObject("2019", false).date();
+    }, Traverse.TypeError);
+});
+
+Test("comparators: registered comparators drive range checks", function() {
+    RegisterComparator(Decimal, new Traverse.ThreeWayComparator(
+        function(a, b) {
+            return a.value - b.value;
+        }
+    ));
+    try {
+        let price = WrapObject(new Decimal(3), false);
+        price.min(new Decimal(1));
+        AssertRaises(function() {
+            price.range(new Decimal(1), new Decimal(2));
+        }, Traverse.ValueOutOfRangeError, {
+            "rule": "max"
+        });
+    } finally {
+        RegisterComparator(Decimal, null);
+    }
+    AssertRaises(function() {
+        RegisterComparator(5, null);
+    }, Traverse.ParameterError);
+});
\ No newline at end of file
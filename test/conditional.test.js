@@ -0,0 +1,126 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("conditional: required-if checks the condition value", function() {
+    let listener = WrapObject({"type": "tcp"}, false);
+    AssertRaises(function() {
+        listener.requiredIf("port", "type", ["tcp", "udp"]);
+    }, Traverse.KeyNotFoundError, {
+        "path": ["port"],
+        "rule": "requiredIf"
+    });
+    listener.requiredIf("port", "type", ["udp"]);
+    listener.requiredIf("type", "port");
+    AssertRaises(function() {
+        listener.requiredIf("port", "type", "tcp");
+    }, Traverse.ParameterError, {
+        "rule": "requiredIf"
+    });
+});
+
+Test("conditional: required-if works on Map inners", function() {
+    let listener = WrapObject(new Map([["type", "tcp"]]), false);
+    AssertRaises(function() {
+        listener.requiredIf("port", "type");
+    }, Traverse.KeyNotFoundError, {
+        "path": ["port"]
+    });
+});
+
+Test("conditional: exclusive keys report the second field", function() {
+    let source = WrapObject({"file": "a", "url": "b"}, false);
+    AssertRaises(function() {
+        source.mutuallyExclusive(["file", "url"]);
+    }, Traverse.Error, {
+        "path": ["url"],
+        "rule": "mutuallyExclusive"
+    });
+    AssertRaises(function() {
+        source.exactlyOneOf(["file", "url"]);
+    }, Traverse.Error, {
+        "path": ["url"],
+        "rule": "exactlyOneOf"
+    });
+    WrapObject({"file": "a"}, false).exactlyOneOf(["file", "url"]);
+});
+
+Test("conditional: at least one key must exist", function() {
+    let empty = WrapObject({}, false);
+    AssertRaises(function() {
+        empty.atLeastOneOf(["file", "url"]);
+    }, Traverse.KeyNotFoundError, {
+        "path": [],
+        "rule": "atLeastOneOf"
+    });
+    AssertRaises(function() {
+        empty.exactlyOneOf(["file", "url"]);
+    }, Traverse.KeyNotFoundError, {
+        "rule": "exactlyOneOf"
+    });
+    AssertRaises(function() {
+        empty.atLeastOneOf([]);
+    }, Traverse.ParameterError);
+    AssertRaises(function() {
+        WrapObject(null, false).atLeastOneOf(["file"]);
+    }, Traverse.TypeError);
+});
+
+Test("conditional: field equality and ordering", function() {
+    AssertRaises(function() {
+        WrapObject({
+            "password": "abc",
+            "passwordConfirm": "abd"
+        }, false).fieldsEqual("passwordConfirm", "password");
+    }, Traverse.ValueOutOfRangeError, {
+        "path": ["passwordConfirm"],
+        "rule": "fieldsEqual"
+    });
+    WrapObject({"password": "abc"}, false).fieldsEqual(
+        "passwordConfirm", 
+        "password"
+    );
+    let period = WrapObject({"start": 2000, "end": 1000}, false);
+    AssertRaises(function() {
+        period.fieldsCompare("end", ">", "start");
+    }, Traverse.ValueOutOfRangeError, {
+        "path": ["end"],
+        "rule": "fieldsCompare",
+        "actual": "1000"
+    });
+    period.fieldsCompare("end", "<", "start");
+    AssertRaises(function() {
+        period.fieldsCompare("end", "<>", "start");
+    }, Traverse.ParameterError);
+    AssertRaises(function() {
+        WrapObject({"start": 1, "end": "2"}, false).fieldsCompare(
+            "end", 
+            ">", 
+            "start"
+        );
+    }, Traverse.ParameterError, {
+        "path": ["end"]
+    });
+});
\ No newline at end of file
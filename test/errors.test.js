@@ -0,0 +1,110 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("errors: range failure carries all details", function() {
+    let info = WrapObject({"server": {"port": 70000}}, false);
+    let error = AssertRaises(function() {
+        info.sub("server").sub("port").notNull().integer().range(1, 65535);
+    }, Traverse.ValueOutOfRangeError, {
+        "path": ["server", "port"],
+        "pointer": "/server/port",
+        "jsonPath": "$.server.port",
+        "rule": "max",
+        "expected": "<=65535",
+        "actual": "70000"
+    });
+    Assert.ok(error instanceof Traverse.Error);
+});
+
+Test("errors: type and key failures carry details", function() {
+    let info = WrapObject({"a": {"b": "x", "list": [1, 2]}}, false);
+    AssertRaises(function() {
+        info.sub("a").sub("b").integer();
+    }, Traverse.TypeError, {
+        "path": ["a", "b"],
+        "rule": "integer",
+        "expected": "Number",
+        "actual": "\"x\""
+    });
+    AssertRaises(function() {
+        info.sub("a").sub("missing");
+    }, Traverse.KeyNotFoundError, {
+        "path": ["a", "missing"],
+        "rule": "sub"
+    });
+    AssertRaises(function() {
+        info.sub("a").sub("list").arrayGetItem(5);
+    }, Traverse.IndexOutOfRangeError, {
+        "path": ["a", "list", 5],
+        "pointer": "/a/list/5",
+        "rule": "arrayGetItem",
+        "expected": "[0, 2)",
+        "actual": "5"
+    });
+});
+
+Test("errors: custom rules report the callback name", function() {
+    let info = WrapObject("x", false);
+    AssertRaises(function() {
+        info.customRule(function isY(value) {
+            return value == "y";
+        });
+    }, Traverse.Error, {
+        "path": [],
+        "pointer": "",
+        "rule": "customRule",
+        "expected": "isY"
+    });
+});
+
+Test("errors: details are optional for directly created errors", function() {
+    let error = new Traverse.Error("Failed.");
+    Assert.deepStrictEqual(error.path, []);
+    Assert.strictEqual(error.rule, null);
+    Assert.strictEqual(error.actual, null);
+});
+
+Test("errors: large actual values are truncated", function() {
+    let error = AssertRaises(function() {
+        WrapObject("x".repeat(1000000), false).integer();
+    }, Traverse.TypeError);
+    Assert.strictEqual(error.actual, "\"" + "x".repeat(63) + "...");
+    error = AssertRaises(function() {
+        WrapObject(new Array(1000000).fill(1), false).string();
+    }, Traverse.TypeError);
+    Assert.strictEqual(error.actual, "[" + "1,".repeat(31) + "1...");
+    let cyclic = {"date": new Date(0)};
+    cyclic.self = cyclic;
+    error = AssertRaises(function() {
+        WrapObject(cyclic, false).string();
+    }, Traverse.TypeError);
+    Assert.strictEqual(error.actual, "(unserializable)");
+    error = AssertRaises(function() {
+        WrapObject({"date": new Date(0), "skip": undefined}, false).string();
+    }, Traverse.TypeError);
+    Assert.strictEqual(error.actual, "{\"date\":\"1970-01-01T00:00:00.000Z\"}");
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Constants.
+//
+
+/**
+ *  A document that can be represented in both YAML and TOML.
+ * 
+ *  @type {Object}
+ */
+const DOCUMENT = {
+    "title": "demo",
+    "numbers": [1, 2.5, -3, 9007199254740993n],
+    "server": {
+        "started": new Date("2020-01-02T03:04:05.678Z"),
+        "flag": "true",
+        "empty": "",
+        "text": "a: b # c\n\"quoted\"",
+        "stamp": "2020-01-02T03:04:05Z"
+    }
+};
+
+//
+//  Tests.
+//
+
+Test("formats: malformed documents report positions", function() {
+    [
+        ["yamlLoad", "a: 1\nb: [1, 2\n", 2, 4],
+        ["yamlLoad", "a: 1\na: 2\n", 2, 1],
+        ["tomlLoad", "a = 1\nb = = 2\n", 2, 5],
+        ["tomlLoad", "a = 1\na = 2\n", 2, 1],
+        ["tomlLoad", "a = 2019-02-30T00:00:00Z\n", 1, 5],
+        ["iniLoad", "[a]\nb\n", 2, 2]
+    ].forEach(function([method, text, line, column]) {
+        let error = AssertRaises(function() {
+            WrapObject(text, false)[method]();
+        }, Traverse.ParseError, {
+            "rule": method,
+            "line": line,
+            "column": column
+        });
+        Assert.strictEqual(
+            error.excerpt.split("\n")[1], 
+            " ".repeat(column - 1) + "^"
+        );
+    });
+});
+
+Test("formats: YAML round-trip", function() {
+    let saved = WrapObject(DOCUMENT, false).yamlSave();
+    Assert.deepStrictEqual(saved.yamlLoad().unwrap(), DOCUMENT);
+});
+
+Test("formats: TOML round-trip", function() {
+    let saved = WrapObject(DOCUMENT, false).tomlSave();
+    Assert.deepStrictEqual(saved.tomlLoad().unwrap(), DOCUMENT);
+});
+
+Test("formats: offset timestamps load as dates", function() {
+    let expected = new Date("2019-02-28T00:30:00Z");
+    let yaml = WrapObject([
+        "a: 2019-02-28T08:30:00+08:00",
+        "b: 2019-02-28",
+        "c: '2019-02-28T08:30:00Z'"
+    ].join("\n"), false).yamlLoad().unwrap();
+    let toml = WrapObject([
+        "a = 2019-02-28T08:30:00+08:00",
+        "b = 2019-02-28",
+        "c = '2019-02-28T08:30:00Z'"
+    ].join("\n"), false).tomlLoad().unwrap();
+    Assert.deepStrictEqual(yaml, {
+        "a": expected,
+        "b": "2019-02-28",
+        "c": "2019-02-28T08:30:00Z"
+    });
+    Assert.deepStrictEqual(toml, yaml);
+});
+
+Test("formats: whole-number floats are saved as TOML integers", function() {
+    let text = WrapObject({"a": 2.0, "b": 2.5}, false).tomlSave().unwrap();
+    Assert.strictEqual(text, "a = 2\nb = 2.5\n");
+});
+
+Test("formats: YAML streams and anchors", function() {
+    let stream = WrapObject("--- 1\n--- [a, b]\n", false).yamlLoad({
+        "multiDocument": true
+    });
+    Assert.deepStrictEqual(stream.unwrap(), [1, ["a", "b"]]);
+    let aliased = WrapObject("a: &x {k: 1}\nb: *x\n", false).yamlLoad();
+    Assert.strictEqual(aliased.unwrap().a, aliased.unwrap().b);
+});
+
+Test("formats: INI round-trip keeps strings", function() {
+    let value = {"a": {"b": "1", "c": "x=y"}};
+    let saved = WrapObject(value, false).iniSave();
+    Assert.deepStrictEqual(saved.iniLoad().unwrap(), value);
+});
+
+Test("formats: values that can't be saved", function() {
+    AssertRaises(function() {
+        WrapObject({"a": null}, false).tomlSave();
+    }, Traverse.TypeError);
+    AssertRaises(function() {
+        WrapObject({"a": function() {}}, false).yamlSave();
+    }, Traverse.TypeError);
+});
\ No newline at end of file
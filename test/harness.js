@@ -0,0 +1,149 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Util = require("util");
+
+//
+//  Constants.
+//
+
+/**
+ *  Registered test cases.
+ * 
+ *  @type {Array<{name: String, callback: function(): (void|Promise)}>}
+ */
+const CASES = [];
+
+//
+//  Private functions.
+//
+
+/**
+ *  Check an error against expected class and details.
+ * 
+ *  @param {*} error - The error.
+ *  @param {Function} ErrorClass - The expected error class.
+ *  @param {Object} details - The expected properties of the error.
+ */
+function CheckError(error, ErrorClass, details) {
+    if (!(error instanceof ErrorClass)) {
+        throw new Assert.AssertionError({
+            "message": Util.format(
+                "Expected %s, got %s.",
+                ErrorClass.name,
+                Util.inspect(error)
+            )
+        });
+    }
+    Object.keys(details).forEach(function(key) {
+        Assert.deepStrictEqual(error[key], details[key], Util.format(
+            "Property %j of the error mismatched (actual=%s).",
+            key,
+            Util.inspect(error[key])
+        ));
+    });
+}
+
+//
+//  Public functions.
+//
+
+/**
+ *  Register a test case.
+ * 
+ *  @param {String} name - The name of the test case.
+ *  @param {function(): (void|Promise)} callback - The test callback (the 
+ *                                                 test fails if it throws 
+ *                                                 or its promise rejects).
+ */
+function Test(name, callback) {
+    CASES.push({
+        "name": name,
+        "callback": callback
+    });
+}
+
+/**
+ *  Assert that a callback raises an error.
+ * 
+ *  @param {function(): *} callback - The callback.
+ *  @param {Function} ErrorClass - The expected error class.
+ *  @param {Object} [details] - The expected properties of the error.
+ *  @return {Error} - The raised error.
+ */
+function AssertRaises(callback, ErrorClass, details = {}) {
+    try {
+        callback();
+    } catch(error) {
+        CheckError(error, ErrorClass, details);
+        return error;
+    }
+    throw new Assert.AssertionError({
+        "message": Util.format("Missing expected %s.", ErrorClass.name)
+    });
+}
+
+/**
+ *  Assert that a promise rejects with an error.
+ * 
+ *  @param {Promise} promise - The promise.
+ *  @param {Function} ErrorClass - The expected error class.
+ *  @param {Object} [details] - The expected properties of the error.
+ *  @return {Promise<Error>} - The promise object (resolves with the rejected 
+ *                             error).
+ */
+async function AssertRejects(promise, ErrorClass, details = {}) {
+    try {
+        await promise;
+    } catch(error) {
+        CheckError(error, ErrorClass, details);
+        return error;
+    }
+    throw new Assert.AssertionError({
+        "message": Util.format("Missing expected %s.", ErrorClass.name)
+    });
+}
+
+/**
+ *  Run all registered test cases (one by one).
+ * 
+ *  @return {Promise<Number>} - The promise object (resolves with the count of 
+ *                              failed test cases).
+ */
+async function RunTests() {
+    let failed = 0;
+    for (let i = 0; i < CASES.length; ++i) {
+        let item = CASES[i];
+        try {
+            await item.callback();
+            console.log("ok - " + item.name);
+        } catch(error) {
+            ++failed;
+            console.log("not ok - " + item.name);
+            console.log(Util.inspect(error));
+        }
+    }
+    console.log(Util.format(
+        "%d passed, %d failed.",
+        CASES.length - failed,
+        failed
+    ));
+    return failed;
+}
+
+//  Export public APIs.
+module.exports = {
+    "Test": Test,
+    "AssertRaises": AssertRaises,
+    "AssertRejects": AssertRejects,
+    "RunTests": RunTests
+};
\ No newline at end of file
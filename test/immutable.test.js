@@ -0,0 +1,162 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Create a deeply frozen copy of a JSON-compatible value.
+ * 
+ *  @param {*} value - The value.
+ *  @return {*} - The frozen copy.
+ */
+function DeepFreeze(value) {
+    if (value !== null && typeof(value) == "object") {
+        Object.keys(value).forEach(function(key) {
+            DeepFreeze(value[key]);
+        });
+        Object.freeze(value);
+    }
+    return value;
+}
+
+//
+//  Tests.
+//
+
+Test("immutable: replace shares untouched branches", function() {
+    let data = DeepFreeze({"servers": [{"port": 80}, {"port": 443}]});
+    let updated = WrapObject(data, false).query(
+        "$.servers[1].port"
+    ).replaceImmutable(8443).root().unwrap();
+    Assert.deepStrictEqual(updated, {
+        "servers": [{"port": 80}, {"port": 8443}]
+    });
+    Assert.strictEqual(updated.servers[0], data.servers[0]);
+    Assert.strictEqual(data.servers[1].port, 443);
+});
+
+Test("immutable: object set keeps the path", function() {
+    let data = DeepFreeze({"user": {"name": "alice"}});
+    let user = WrapObject(data, false).sub("user").objectSetImmutable(
+        "name", 
+        "bob"
+    );
+    Assert.strictEqual(user.getPath(), "/user");
+    Assert.deepStrictEqual(user.root().unwrap(), {"user": {"name": "bob"}});
+    Assert.strictEqual(data.user.name, "alice");
+});
+
+Test("immutable: array methods leave the original untouched", function() {
+    let data = DeepFreeze({"items": [1, 2, 3]});
+    let items = WrapObject(data, false).sub("items");
+    Assert.deepStrictEqual(
+        items.arraySetItemImmutable(1, 9).unwrap(), 
+        [1, 9, 3]
+    );
+    Assert.deepStrictEqual(
+        items.arrayPushItemImmutable(4).unwrap(), 
+        [1, 2, 3, 4]
+    );
+    Assert.deepStrictEqual(items.arrayPopItemImmutable().unwrap(), [1, 2]);
+    Assert.deepStrictEqual(items.arrayShiftItemImmutable().unwrap(), [2, 3]);
+    Assert.deepStrictEqual(
+        items.arrayUnshiftItemImmutable(0).unwrap(), 
+        [0, 1, 2, 3]
+    );
+    Assert.deepStrictEqual(
+        items.arrayForEachWithDeletionImmutable(function(item) {
+            return item.unwrap() == 2;
+        }).unwrap(), 
+        [1, 3]
+    );
+    Assert.deepStrictEqual(data.items, [1, 2, 3]);
+});
+
+Test("immutable: map methods copy the map", function() {
+    let map = new Map([["a", 1]]);
+    let info = WrapObject({"m": map}, false).sub("m");
+    Assert.deepStrictEqual(
+        info.mapSetImmutable("b", 2).unwrap(), 
+        new Map([["a", 1], ["b", 2]])
+    );
+    Assert.deepStrictEqual(info.mapDeleteImmutable("a").unwrap(), new Map());
+    Assert.deepStrictEqual(map, new Map([["a", 1]]));
+});
+
+Test("immutable: deep set creates missing intermediates", function() {
+    let data = DeepFreeze({"items": [1, 2, 3]});
+    let info = WrapObject(data, false);
+    Assert.deepStrictEqual(
+        info.deepSetImmutable(["new", "deep"], 1).unwrap().new, 
+        {"deep": 1}
+    );
+    Assert.deepStrictEqual(
+        info.deepSetImmutable(["items", 3], 4).unwrap().items, 
+        [1, 2, 3, 4]
+    );
+    AssertRaises(function() {
+        info.deepSetImmutable(["items", 5], 1);
+    }, Traverse.IndexOutOfRangeError, {
+        "path": ["items", 5]
+    });
+    Assert.strictEqual(data.new, undefined);
+});
+
+Test("immutable: deep delete checks its keys", function() {
+    let data = DeepFreeze({"user": {"name": "alice"}});
+    let info = WrapObject(data, false);
+    Assert.deepStrictEqual(
+        info.deepDeleteImmutable(["user", "name"]).unwrap(), 
+        {"user": {}}
+    );
+    AssertRaises(function() {
+        info.deepDeleteImmutable(["user", "x"]);
+    }, Traverse.KeyNotFoundError, {
+        "path": ["user", "x"]
+    });
+    AssertRaises(function() {
+        info.deepDeleteImmutable([]);
+    }, Traverse.ParameterError);
+    Assert.strictEqual(data.user.name, "alice");
+});
+
+Test("immutable: built-in methods are shared by all objects", function() {
+    let info = WrapObject({"a": [1, 2], "b": [3]}, false);
+    let a = info.sub("a");
+    let b = info.sub("b");
+    Assert.strictEqual(a.arraySetItemImmutable, b.arraySetItemImmutable);
+    Assert.strictEqual(a.sub, Traverse.prototype.sub);
+    Assert.deepStrictEqual(Object.keys(a), []);
+    Assert.deepStrictEqual(
+        a.arrayPushItemImmutable(3).root().unwrap(), 
+        {"a": [1, 2, 3], "b": [3]}
+    );
+
+    let collecting = WrapObject({"a": [1, 2], "b": [3]}, false, {
+        "collect": true
+    });
+    Assert.deepStrictEqual(Object.keys(collecting.sub("a")), []);
+    Assert.strictEqual(collecting.sub("a").unwrap, Traverse.prototype.unwrap);
+});
\ No newline at end of file
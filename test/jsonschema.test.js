@@ -0,0 +1,173 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const LoadJsonSchema = XRTLibTraverse.LoadJsonSchema;
+const Test = Harness.Test;
+
+//
+//  Constants.
+//
+
+/**
+ *  Schema of sockets.
+ * 
+ *  @type {TraverseJsonSchema}
+ */
+const SOCKET_SCHEMA = LoadJsonSchema({
+    "type": "object",
+    "properties": {
+        "address": {"type": "string", "minLength": 1},
+        "port": {"type": "integer", "minimum": 1, "maximum": 65535}
+    },
+    "required": ["address", "port"],
+    "additionalProperties": false
+});
+
+//
+//  Tests.
+//
+
+Test("jsonschema: keywords map to traverse errors", function() {
+    SOCKET_SCHEMA.validate({"address": "127.0.0.1", "port": 80});
+    AssertRaises(function() {
+        SOCKET_SCHEMA.validate({"address": "127.0.0.1", "port": 0});
+    }, Traverse.ValueOutOfRangeError, {
+        "path": ["port"],
+        "pointer": "/port"
+    });
+    AssertRaises(function() {
+        SOCKET_SCHEMA.validate({"address": "127.0.0.1", "port": "80"});
+    }, Traverse.TypeError, {
+        "path": ["port"]
+    });
+    AssertRaises(function() {
+        SOCKET_SCHEMA.validate({"port": 80});
+    }, Traverse.KeyNotFoundError, {
+        "path": ["address"],
+        "rule": "required"
+    });
+});
+
+Test("jsonschema: additional properties are unexpected keys", function() {
+    let error = AssertRaises(function() {
+        SOCKET_SCHEMA.validate({
+            "address": "a.com",
+            "port": 80,
+            "prot": 81,
+            "x": 1
+        });
+    }, Traverse.UnexpectedKeyError, {
+        "path": [],
+        "rule": "additionalProperties",
+        "actual": "[\"prot\",\"x\"]"
+    });
+    Assert.deepStrictEqual(error.unexpectedKeys.map(function(item) {
+        return item.pointer;
+    }), ["/prot", "/x"]);
+});
+
+Test("jsonschema: false schemas reject any value", function() {
+    let schema = LoadJsonSchema({"properties": {"a": false}});
+    schema.validate({"b": 1});
+    AssertRaises(function() {
+        schema.validate({"a": null});
+    }, Traverse.Error, {
+        "path": ["a"],
+        "rule": "falseSchema"
+    });
+    AssertRaises(function() {
+        LoadJsonSchema(false).validate(1);
+    }, Traverse.Error, {
+        "rule": "falseSchema"
+    });
+});
+
+Test("jsonschema: recursive references", function() {
+    let schema = LoadJsonSchema({
+        "type": "object",
+        "properties": {
+            "name": {"type": "string"},
+            "children": {"type": "array", "items": {"$ref": "#"}}
+        },
+        "required": ["name"]
+    });
+    schema.validate({"name": "a", "children": [{"name": "b"}]});
+    AssertRaises(function() {
+        schema.validate({"name": "a", "children": [{"children": []}]});
+    }, Traverse.KeyNotFoundError, {
+        "path": ["children", 0, "name"]
+    });
+});
+
+Test("jsonschema: non-descending reference cycles", function() {
+    AssertRaises(function() {
+        LoadJsonSchema({"$ref": "#"});
+    }, Traverse.ParameterError);
+    AssertRaises(function() {
+        LoadJsonSchema({
+            "$defs": {
+                "a": {"allOf": [{"$ref": "#/$defs/b"}]},
+                "b": {"$ref": "#/$defs/a"}
+            },
+            "$ref": "#/$defs/a"
+        });
+    }, Traverse.ParameterError);
+});
+
+Test("jsonschema: combinators", function() {
+    let schema = LoadJsonSchema({
+        "oneOf": [{"type": "integer"}, {"type": "number", "minimum": 10}]
+    });
+    schema.validate(1);
+    schema.validate(10.5);
+    AssertRaises(function() {
+        schema.validate(11);
+    }, Traverse.Error, {
+        "rule": "oneOf"
+    });
+    AssertRaises(function() {
+        LoadJsonSchema({"anyOf": [{"const": 1}, {"enum": [2, 3]}]}).validate(4);
+    }, Traverse.Error, {
+        "rule": "anyOf"
+    });
+});
+
+Test("jsonschema: unsupported keywords are reported", function() {
+    let error = AssertRaises(function() {
+        LoadJsonSchema({
+            "properties": {"a": {"not": {}}},
+            "$ref": "http://example.com/schema"
+        });
+    }, Traverse.ParameterError);
+    Assert.ok(error.message.indexOf("\"not\"") >= 0);
+    Assert.ok(error.message.indexOf("\"$ref\"") >= 0);
+    AssertRaises(function() {
+        LoadJsonSchema("{");
+    }, Traverse.ParseError);
+});
+
+Test("jsonschema: errors are collected in collect-all mode", function() {
+    let error = AssertRaises(function() {
+        SOCKET_SCHEMA.validate({"address": "", "port": 0}, {"collect": true});
+    }, Traverse.AggregateError);
+    Assert.deepStrictEqual(error.errors.map(function(item) {
+        return item.pointer;
+    }), ["/address", "/port"]);
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("keys: allowedKeys() lists every unexpected key", function() {
+    let config = WrapObject({"server": {
+        "host": "a.com",
+        "prot": 80,
+        "x-comment": "test",
+        "tls": true
+    }}, false);
+    let error = AssertRaises(function() {
+        config.sub("server").allowedKeys(["host", "port", /^x-/]);
+    }, Traverse.UnexpectedKeyError, {
+        "path": ["server"],
+        "rule": "allowedKeys"
+    });
+    Assert.deepStrictEqual(error.unexpectedKeys, [
+        {
+            "key": "prot",
+            "path": ["server", "prot"],
+            "pointer": "/server/prot",
+            "jsonPath": "$.server.prot"
+        },
+        {
+            "key": "tls",
+            "path": ["server", "tls"],
+            "pointer": "/server/tls",
+            "jsonPath": "$.server.tls"
+        }
+    ]);
+    Assert.ok(error instanceof Traverse.Error);
+    Assert.ok(!(error instanceof Traverse.KeyNotFoundError));
+});
+
+Test("keys: allowedKeys() accepts maps", function() {
+    let info = WrapObject(new Map([["a", 1], ["b", 2]]), false);
+    info.allowedKeys(["a", /^b/]);
+    let error = AssertRaises(function() {
+        info.allowedKeys([/^a$/]);
+    }, Traverse.UnexpectedKeyError);
+    Assert.deepStrictEqual(error.unexpectedKeys.map(function(item) {
+        return item.key;
+    }), ["b"]);
+});
+
+Test("keys: invalid allowed keys are rejected", function() {
+    AssertRaises(function() {
+        WrapObject({}, false).allowedKeys("a");
+    }, Traverse.ParameterError);
+    AssertRaises(function() {
+        WrapObject(null, false).allowedKeys([]);
+    }, Traverse.TypeError);
+});
+
+Test("keys: stripUnknownKeys() returns a cleaned copy", function() {
+    let inner = {"host": "a.com", "prot": 80, "x-a": 1};
+    let cleaned = WrapObject(inner, false).stripUnknownKeys([
+        "host", 
+        /^x-/
+    ]);
+    Assert.deepStrictEqual(cleaned.unwrap(), {"host": "a.com", "x-a": 1});
+    Assert.deepStrictEqual(inner, {"host": "a.com", "prot": 80, "x-a": 1});
+});
\ No newline at end of file
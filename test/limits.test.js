@@ -0,0 +1,191 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("limits: deep JSON stops at the depth limit", function() {
+    let text = "[".repeat(1000000) + "]".repeat(1000000);
+    let info = WrapObject(text, false, {"limits": {"maxDepth": 3}});
+    let error = AssertRaises(function() {
+        info.jsonLoad();
+    }, Traverse.SizeError, {
+        "rule": "jsonLoad",
+        "expected": "depth<=3",
+        "actual": "depth=4"
+    });
+    Assert.deepStrictEqual(error.path, ["[JSON(Load)]", 0, 0, 0]);
+});
+
+Test("limits: JSON array and object sizes", function() {
+    let options = {"limits": {"maxArrayLength": 2, "maxObjectKeys": 2}};
+    AssertRaises(function() {
+        WrapObject("{\"a\": [1, 2, 3]}", false, options).jsonLoad();
+    }, Traverse.SizeError, {
+        "path": ["[JSON(Load)]", "a"],
+        "expected": "size<=2",
+        "actual": "size=3"
+    });
+    AssertRaises(function() {
+        WrapObject("{\"a\": 1, \"b\": 2, \"c\": 3}", false, options).jsonLoad();
+    }, Traverse.SizeError, {
+        "path": ["[JSON(Load)]"],
+        "expected": "size<=2"
+    });
+    let loaded = WrapObject(
+        "{\"a\": [1, 2], \"b\": 2, \"a\": 3}", 
+        false, 
+        options
+    ).jsonLoad().unwrap();
+    Assert.deepStrictEqual(loaded, {"a": 3, "b": 2});
+});
+
+Test("limits: JSON node count", function() {
+    let text = "{\"a\": {\"b\": [1]}}";
+    AssertRaises(function() {
+        WrapObject(text, false, {"limits": {"maxNodes": 3}}).jsonLoad();
+    }, Traverse.SizeError, {
+        "path": ["[JSON(Load)]", "a", "b", 0],
+        "actual": "nodes=4"
+    });
+    let info = WrapObject(text, false, {"limits": {"maxNodes": 4}});
+    Assert.deepStrictEqual(
+        info.jsonLoad({"sourceMap": true}).unwrap(), 
+        {"a": {"b": [1]}}
+    );
+});
+
+Test("limits: string length is checked before parsing", function() {
+    let info = WrapObject("[1, 2]", false, {"limits": {"maxStringLength": 5}});
+    AssertRaises(function() {
+        info.jsonLoad();
+    }, Traverse.SizeError);
+});
+
+Test("limits: syntax errors are still parse errors", function() {
+    let info = WrapObject("[[1, ", false, {"limits": {"maxDepth": 10}});
+    AssertRaises(function() {
+        info.jsonLoad();
+    }, Traverse.ParseError, {
+        "rule": "jsonLoad"
+    });
+});
+
+Test("limits: YAML documents are checked after parsing", function() {
+    let info = WrapObject("a:\n  - 1\n  - 2\n", false, {
+        "limits": {"maxArrayLength": 1}
+    });
+    AssertRaises(function() {
+        info.yamlLoad();
+    }, Traverse.SizeError, {
+        "path": ["[YAML(Load)]", "a"],
+        "rule": "yamlLoad"
+    });
+});
+
+Test("limits: deep YAML and TOML stop at the depth limit", function() {
+    let options = {"limits": {"maxDepth": 10}};
+    let error = AssertRaises(function() {
+        WrapObject("[".repeat(2000), false, options).yamlLoad();
+    }, Traverse.SizeError, {
+        "rule": "yamlLoad",
+        "expected": "depth<=10",
+        "actual": "depth=11"
+    });
+    Assert.strictEqual(error.path.length, 11);
+    let block = "";
+    for (let i = 0; i < 20; ++i) {
+        block += " ".repeat(i) + "k" + String(i) + ":\n";
+    }
+    error = AssertRaises(function() {
+        WrapObject(block, false, options).yamlLoad();
+    }, Traverse.SizeError, {
+        "rule": "yamlLoad",
+        "actual": "depth=11"
+    });
+    Assert.deepStrictEqual(
+        error.path.slice(0, 3), 
+        ["[YAML(Load)]", "k0", "k1"]
+    );
+    AssertRaises(function() {
+        WrapObject("a = " + "[".repeat(2000), false, options).tomlLoad();
+    }, Traverse.SizeError, {
+        "path": ["[TOML(Load)]", "a", 0, 0, 0, 0, 0, 0, 0, 0, 0],
+        "rule": "tomlLoad",
+        "actual": "depth=11"
+    });
+});
+
+Test("limits: TOML sizes are checked while parsing", function() {
+    let options = {"limits": {"maxArrayLength": 2}};
+    let text = "[a]\nb = 1\n[[a.c]]\n[[a.c]]\nd = [1, 2, 3]\n";
+    AssertRaises(function() {
+        WrapObject(text, false, options).tomlLoad();
+    }, Traverse.SizeError, {
+        "path": ["[TOML(Load)]", "a", "c", 1, "d"],
+        "expected": "size<=2",
+        "actual": "size=3"
+    });
+    AssertRaises(function() {
+        WrapObject("[[a]]\n[[a]]\n[[a]]\n", false, options).tomlLoad();
+    }, Traverse.SizeError, {
+        "path": ["[TOML(Load)]", "a"],
+        "actual": "size=3"
+    });
+    AssertRaises(function() {
+        WrapObject("a = 1\nb = 2\n[c.d]\n", false, {
+            "limits": {"maxNodes": 3}
+        }).tomlLoad();
+    }, Traverse.SizeError, {
+        "path": ["[TOML(Load)]", "c", "d"],
+        "actual": "nodes=4"
+    });
+});
+
+Test("limits: invalid limits are rejected", function() {
+    AssertRaises(function() {
+        WrapObject({}, false, {"limits": {"maxDepth": -1}});
+    }, Traverse.ParameterError, {
+        "rule": "limits"
+    });
+});
+
+Test("limits: node count only counts distinct paths", function() {
+    let info = WrapObject({"a": 1, "b": [1, 2]}, false, {
+        "limits": {"maxNodes": 3}
+    });
+    for (let i = 0; i < 10; ++i) {
+        info.sub("a").integer().transform(function(value) {
+            return value * 2;
+        }).default(0);
+        info.query("$.b[0]");
+        info.sub("b").arrayGetItem(0);
+    }
+    AssertRaises(function() {
+        info.sub("b").arrayGetItem(1);
+    }, Traverse.SizeError, {
+        "path": ["b", 1],
+        "actual": "nodes=4"
+    });
+});
\ No newline at end of file
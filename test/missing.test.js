@@ -0,0 +1,96 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("missing: absent, undefined and null are distinguished", function() {
+    let info = WrapObject({"n": null, "u": undefined}, false);
+    Assert.strictEqual(info.sub("u").isUndefined(), true);
+    Assert.strictEqual(info.sub("u").isMissing(), false);
+    Assert.strictEqual(info.optionalSub("b").isUndefined(), true);
+    Assert.strictEqual(info.optionalSub("b").isMissing(), true);
+    Assert.strictEqual(info.sub("n").isNull(), true);
+    Assert.strictEqual(info.sub("n").isUndefined(), false);
+});
+
+Test("missing: undefined values raise traverse errors", function() {
+    let info = WrapObject({"u": undefined}, false);
+    AssertRaises(function() {
+        info.sub("u").integer();
+    }, Traverse.TypeError, {
+        "path": ["u"],
+        "rule": "integer",
+        "expected": "not undefined"
+    });
+    AssertRaises(function() {
+        info.sub("u").typeOf(Number);
+    }, Traverse.TypeError, {
+        "path": ["u"]
+    });
+    AssertRaises(function() {
+        info.optionalSub("b").integer();
+    }, Traverse.KeyNotFoundError, {
+        "path": ["b"],
+        "rule": "integer"
+    });
+});
+
+Test("missing: optional() skips checks on undefined", function() {
+    let info = WrapObject({"u": undefined}, false);
+    Assert.strictEqual(
+        info.optionalSub("b").optional().integer().min(1).unwrap(), 
+        undefined
+    );
+    Assert.strictEqual(info.sub("u").optional().integer().unwrap(), undefined);
+});
+
+Test("missing: notMissing() ignores default values", function() {
+    let info = WrapObject({"a": 1}, false);
+    Assert.strictEqual(info.optionalSub("a", 0).notMissing().unwrap(), 1);
+    AssertRaises(function() {
+        info.optionalSub("b", 0).notMissing();
+    }, Traverse.KeyNotFoundError, {
+        "path": ["b"],
+        "rule": "notMissing"
+    });
+});
+
+Test("missing: nullable() controls checks on null", function() {
+    let info = WrapObject({"a": null}, false);
+    Assert.strictEqual(info.sub("a").integer().unwrap(), null);
+    AssertRaises(function() {
+        info.sub("a").nullable(false).integer();
+    }, Traverse.TypeError, {
+        "path": ["a"],
+        "expected": "not null"
+    });
+    let strict = WrapObject({"a": null}, true, {"strictNull": true});
+    Assert.strictEqual(strict.sub("a").nullable().string().unwrap(), null);
+    AssertRaises(function() {
+        strict.sub("a").string();
+    }, Traverse.TypeError, {
+        "path": ["a"]
+    });
+});
\ No newline at end of file
@@ -0,0 +1,98 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("navigation: children keep parent, root and key", function() {
+    let info = WrapObject({"a": {"end": 2, "list": [10, 20]}}, false);
+    let end = info.sub("a").sub("end");
+    Assert.strictEqual(info.parent(), null);
+    Assert.strictEqual(info.key(), null);
+    Assert.strictEqual(end.parent().getPath(), "/a");
+    Assert.strictEqual(end.root(), info);
+    Assert.strictEqual(end.key(), "end");
+    Assert.strictEqual(
+        info.sub("a").sub("list").arrayGetItem(1).key(), 
+        1
+    );
+});
+
+Test("navigation: siblings and relative paths", function() {
+    let info = WrapObject({
+        "a": {"start": 1, "end": 2, "list": [10, 20]},
+        "x": {"y/z": 3}
+    }, false);
+    let end = info.sub("a").sub("end");
+    Assert.strictEqual(end.sibling("start").unwrap(), 1);
+    Assert.strictEqual(end.relative("../start").unwrap(), 1);
+    Assert.strictEqual(end.relative(".").getPath(), "/a/end");
+    Assert.strictEqual(end.relative("/x/y~1z").unwrap(), 3);
+    let item = end.relative("../list/1");
+    Assert.strictEqual(item.unwrap(), 20);
+    Assert.strictEqual(item.getPath(), "/a/list/[1]");
+    Assert.strictEqual(
+        info.sub("a").sub("list").arrayGetItem(0).sibling(1).unwrap(), 
+        20
+    );
+});
+
+Test("navigation: unreachable targets raise", function() {
+    let info = WrapObject({"a": {"end": 2, "list": [10]}}, false);
+    let end = info.sub("a").sub("end");
+    AssertRaises(function() {
+        info.sibling("a");
+    }, Traverse.KeyNotFoundError, {
+        "rule": "sibling"
+    });
+    AssertRaises(function() {
+        end.sibling("nope");
+    }, Traverse.KeyNotFoundError, {
+        "path": ["a", "nope"]
+    });
+    AssertRaises(function() {
+        info.relative("..");
+    }, Traverse.KeyNotFoundError, {
+        "rule": "relative"
+    });
+    AssertRaises(function() {
+        end.relative(5);
+    }, Traverse.ParameterError);
+    AssertRaises(function() {
+        end.relative("../list/5");
+    }, Traverse.IndexOutOfRangeError, {
+        "path": ["a", "list", 5]
+    });
+});
+
+Test("navigation: cross-field rules use siblings", function() {
+    let spec = WrapObject({"replicas": 6, "maxReplicas": 5}, false);
+    AssertRaises(function() {
+        spec.sub("replicas").customRule(function(replicas) {
+            return replicas <= this.sibling("maxReplicas").unwrap();
+        });
+    }, Traverse.Error, {
+        "path": ["replicas"]
+    });
+});
\ No newline at end of file
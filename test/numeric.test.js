@@ -0,0 +1,96 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("numeric: finite(), notNaN() and sign assertions", function() {
+    WrapObject(1.5, false).finite().notNaN().positive().nonZero();
+    WrapObject(-2n, false).negative().nonZero();
+    AssertRaises(function() {
+        WrapObject(Infinity, false).finite();
+    }, Traverse.ValueOutOfRangeError, {"rule": "finite"});
+    AssertRaises(function() {
+        WrapObject(NaN, false).notNaN();
+    }, Traverse.TypeError);
+    AssertRaises(function() {
+        WrapObject(0, false).positive();
+    }, Traverse.ValueOutOfRangeError, {"rule": "positive"});
+    AssertRaises(function() {
+        WrapObject("1", false).negative();
+    }, Traverse.TypeError);
+});
+
+Test("numeric: safeInteger() accepts numbers and BigInts", function() {
+    WrapObject(Number.MAX_SAFE_INTEGER, false).safeInteger();
+    WrapObject(-9007199254740991n, false).safeInteger();
+    AssertRaises(function() {
+        WrapObject(9007199254740992n, false).safeInteger();
+    }, Traverse.ValueOutOfRangeError);
+    AssertRaises(function() {
+        WrapObject(1.5, false).safeInteger();
+    }, Traverse.TypeError);
+});
+
+Test("numeric: multipleOf() tolerates decimal rounding errors", function() {
+    WrapObject(0.3, false).multipleOf(0.1);
+    WrapObject(0.7, false).multipleOf(0.1);
+    WrapObject(123456789.3, false).multipleOf(0.1);
+    WrapObject(-21, false).multipleOf(7);
+    WrapObject(12n, false).multipleOf(4n);
+    AssertRaises(function() {
+        WrapObject(0.75, false).multipleOf(0.1);
+    }, Traverse.ValueOutOfRangeError, {"rule": "multipleOf"});
+    AssertRaises(function() {
+        WrapObject(1, false).multipleOf(0);
+    }, Traverse.ParameterError);
+});
+
+Test("numeric: multipleOf() is exact above 2^53", function() {
+    WrapObject(Math.pow(2, 60), false).multipleOf(8);
+    WrapObject(1e20, false).multipleOf(5);
+    WrapObject(1e20, false).multipleOf(0.5);
+    AssertRaises(function() {
+        WrapObject(1e20, false).multipleOf(3);
+    }, Traverse.ValueOutOfRangeError, {"rule": "multipleOf"});
+    AssertRaises(function() {
+        WrapObject(Math.pow(2, 60) + 1, false).multipleOf(7);
+    }, Traverse.ValueOutOfRangeError);
+    AssertRaises(function() {
+        WrapObject(Math.pow(2, 60), false).multipleOf(3);
+    }, Traverse.ValueOutOfRangeError);
+});
+
+Test("numeric: maxDecimalPlaces() counts shortest digits", function() {
+    WrapObject(19.99, false).maxDecimalPlaces(2);
+    WrapObject(1e21, false).maxDecimalPlaces(0);
+    AssertRaises(function() {
+        WrapObject(1.5e-7, false).maxDecimalPlaces(7);
+    }, Traverse.ValueOutOfRangeError);
+    AssertRaises(function() {
+        WrapObject(0.1 + 0.2, false).maxDecimalPlaces(2);
+    }, Traverse.ValueOutOfRangeError);
+    AssertRaises(function() {
+        WrapObject(1, false).maxDecimalPlaces(-1);
+    }, Traverse.ParameterError);
+});
\ No newline at end of file
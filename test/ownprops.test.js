@@ -0,0 +1,100 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("ownprops: inherited members are not looked up", function() {
+    let info = WrapObject(JSON.parse("{\"a\": 1}"), false);
+    AssertRaises(function() {
+        info.sub("constructor");
+    }, Traverse.KeyNotFoundError, {
+        "path": ["constructor"]
+    });
+    Assert.strictEqual(info.objectHas("toString"), false);
+    Assert.strictEqual(info.optionalSub("toString").isMissing(), true);
+    AssertRaises(function() {
+        WrapObject("toString", false).oneOf({"a": 1});
+    }, Traverse.KeyNotFoundError);
+});
+
+Test("ownprops: parsed __proto__ keys are own properties", function() {
+    let info = WrapObject(
+        JSON.parse("{\"__proto__\": {\"polluted\": 1}}"), 
+        false
+    );
+    Assert.deepStrictEqual(info.sub("__proto__").unwrap(), {"polluted": 1});
+    Assert.strictEqual(info.optionalSub("polluted").isMissing(), true);
+});
+
+Test("ownprops: iteration skips inherited keys", function() {
+    let data = Object.assign(Object.create({"inherited": 1}), {"own": 2});
+    let keys = [];
+    WrapObject(data, false).objectForEachEx(function(value, key) {
+        keys.push(key);
+    });
+    Assert.deepStrictEqual(keys, ["own"]);
+});
+
+Test("ownprops: legacy mode includes inherited members", function() {
+    let data = Object.assign(Object.create({"inherited": 1}), {"own": 2});
+    let info = WrapObject(data, false, {"ownProperties": false});
+    let keys = [];
+    info.objectForEachEx(function(value, key) {
+        keys.push(key);
+    });
+    Assert.deepStrictEqual(keys, ["own", "inherited"]);
+    Assert.strictEqual(info.sub("constructor").unwrap(), Object);
+});
+
+Test("ownprops: objectSet() never changes prototypes", function() {
+    let data = {};
+    let info = WrapObject(data, false);
+    ["__proto__", "constructor", "prototype"].forEach(function(key) {
+        info.objectSet(key, {"polluted": 1});
+        Assert.ok(Object.prototype.hasOwnProperty.call(data, key));
+    });
+    Assert.strictEqual(Object.getPrototypeOf(data), Object.prototype);
+    Assert.strictEqual(({}).polluted, undefined);
+    Assert.strictEqual(data.polluted, undefined);
+});
+
+Test("ownprops: objectSet() converts non-string keys first", function() {
+    let data = {};
+    let info = WrapObject(data, false);
+    let calls = 0;
+    info.objectSet(["__proto__"], {"polluted": 1});
+    info.objectSet({
+        "toString": function() {
+            ++calls;
+            return (calls == 1 ? "__proto__" : "safe");
+        }
+    }, {"polluted": 2});
+    Assert.strictEqual(Object.getPrototypeOf(data), Object.prototype);
+    Assert.strictEqual(data.polluted, undefined);
+    Assert.deepStrictEqual(data["__proto__"], {"polluted": 2});
+    Assert.strictEqual(calls, 1);
+    info.objectSet(1, "one");
+    Assert.strictEqual(data["1"], "one");
+});
\ No newline at end of file
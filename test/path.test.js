@@ -0,0 +1,100 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("path: keys with slashes are escaped", function() {
+    let info = WrapObject({
+        "a/b": [{"c~d": new Map([["k/1", {"x y": 1}]])}]
+    }, false);
+    let item = info.sub("a/b").arrayGetItem(0).sub("c~d").sub("k/1").sub(
+        "x y"
+    );
+    Assert.strictEqual(item.getPath(), "/a/b/[0]/c~d/k/1/x y");
+    Assert.strictEqual(item.getPath("pointer"), "/a~1b/0/c~0d/k~11/x y");
+    Assert.strictEqual(
+        item.getPath("jsonpath"), 
+        "$['a/b'][0]['c~d']['k/1']['x y']"
+    );
+    Assert.deepStrictEqual(
+        item.getPathSegments(), 
+        ["a/b", 0, "c~d", "k/1", "x y"]
+    );
+    AssertRaises(function() {
+        item.getPath("xml");
+    }, Traverse.ParameterError);
+});
+
+Test("path: segments keep their kinds", function() {
+    let info = WrapObject({"a": [new Map([["b", 1]])]}, false);
+    let item = info.sub("a").arrayGetItem(0).sub("b");
+    Assert.deepStrictEqual(item.getPathObject().getSegments().map(
+        function(segment) {
+            return segment.kind;
+        }
+    ), [
+        Traverse.Path.OBJECT_KEY,
+        Traverse.Path.ARRAY_INDEX,
+        Traverse.Path.MAP_KEY
+    ]);
+});
+
+Test("path: paths are immutable", function() {
+    let root = new Traverse.Path();
+    let path = root.append(Traverse.Path.OBJECT_KEY, "a").append(
+        Traverse.Path.ARRAY_INDEX, 
+        3
+    );
+    Assert.strictEqual(root.getLength(), 0);
+    Assert.strictEqual(root.toJsonPointer(), "");
+    Assert.strictEqual(root.toJsonPath(), "$");
+    Assert.strictEqual(path.getLength(), 2);
+    Assert.strictEqual(path.toLegacyString(), "/a/[3]");
+    Assert.strictEqual(path.toJsonPointer(), "/a/3");
+    Assert.strictEqual(path.toJsonPath(), "$.a[3]");
+    Assert.deepStrictEqual(path.getKeys(), ["a", 3]);
+});
+
+Test("path: pseudo segments of loaded documents", function() {
+    let info = WrapObject({"data": "{\"d\": 1}"}, false);
+    let item = info.sub("data").jsonLoad().sub("d");
+    Assert.strictEqual(item.getPath(), "/data/[JSON(Load)]/d");
+    Assert.strictEqual(item.getPath("jsonpath"), "$.data[JSON(Load)].d");
+    Assert.deepStrictEqual(
+        item.getPathSegments(), 
+        ["data", "[JSON(Load)]", "d"]
+    );
+});
+
+Test("path: errors carry all path forms", function() {
+    let info = WrapObject({"a/b": ["x"]}, false);
+    AssertRaises(function() {
+        info.sub("a/b").arrayGetItem(0).integer();
+    }, Traverse.TypeError, {
+        "path": ["a/b", 0],
+        "pointer": "/a~1b/0",
+        "jsonPath": "$['a/b'][0]"
+    });
+});
\ No newline at end of file
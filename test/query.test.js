@@ -0,0 +1,126 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Constants.
+//
+
+/**
+ *  Servers.
+ * 
+ *  @type {Object}
+ */
+const SERVERS = {
+    "servers": [
+        {"host": "a", "port": 80, "enabled": true},
+        {"host": "b", "port": 8080, "enabled": false},
+        {"host": "c", "port": 8443, "enabled": true}
+    ],
+    "a/b": {"~": 1}
+};
+
+//
+//  Private functions.
+//
+
+/**
+ *  Get the legacy paths of traverse objects.
+ * 
+ *  @param {Traverse[]} items - The traverse objects.
+ *  @return {String[]} - The paths.
+ */
+function GetPaths(items) {
+    return items.map(function(item) {
+        return item.getPath();
+    });
+}
+
+//
+//  Tests.
+//
+
+Test("query: JSON pointers and JSONPaths", function() {
+    let info = WrapObject(SERVERS, false);
+    Assert.strictEqual(info.query("/servers/1/port").unwrap(), 8080);
+    Assert.strictEqual(info.query("/a~1b/~0").unwrap(), 1);
+    Assert.strictEqual(info.query("$['a/b']['~']").unwrap(), 1);
+    let last = info.query("$.servers[-1].host");
+    Assert.strictEqual(last.unwrap(), "c");
+    Assert.strictEqual(last.getPath(), "/servers/[2]/host");
+    Assert.strictEqual(info.query("").unwrap(), SERVERS);
+});
+
+Test("query: errors match step-by-step navigation", function() {
+    let info = WrapObject(SERVERS, false);
+    AssertRaises(function() {
+        info.query("$.servers[3]");
+    }, Traverse.IndexOutOfRangeError, {
+        "path": ["servers", 3],
+        "rule": "arrayGetItem"
+    });
+    AssertRaises(function() {
+        info.query("/servers/0/name");
+    }, Traverse.KeyNotFoundError, {
+        "path": ["servers", 0, "name"],
+        "rule": "sub"
+    });
+    AssertRaises(function() {
+        info.query("$.servers[*]");
+    }, Traverse.ParameterError);
+    AssertRaises(function() {
+        info.query("$.servers[");
+    }, Traverse.ParameterError);
+});
+
+Test("query: wildcards, slices and filters", function() {
+    let info = WrapObject(SERVERS, false);
+    Assert.deepStrictEqual(GetPaths(info.queryAll("$.servers[*].host")), [
+        "/servers/[0]/host",
+        "/servers/[1]/host",
+        "/servers/[2]/host"
+    ]);
+    Assert.deepStrictEqual(info.queryAll("$.servers[::-2]").map(
+        function(item) {
+            return item.sub("host").unwrap();
+        }
+    ), ["c", "a"]);
+    let hosts = info.queryAll(
+        "$.servers[?@.port > 1024 && (@.enabled == true || @.host == 'b')]" + 
+        ".host"
+    );
+    Assert.deepStrictEqual(hosts.map(function(item) {
+        return item.unwrap();
+    }), ["b", "c"]);
+    Assert.deepStrictEqual(info.queryAll("$.servers[?!@.enabled]"), []);
+    Assert.deepStrictEqual(info.queryAll("$.servers[0].port.*"), []);
+});
+
+Test("query: optional queries use the full path", function() {
+    let info = WrapObject({"a": {}}, false);
+    let timeout = info.queryOptional("$.a.b.timeout", 30);
+    Assert.strictEqual(timeout.getPath(), "/a/b/timeout");
+    Assert.strictEqual(timeout.unwrap(), 30);
+    AssertRaises(function() {
+        WrapObject({"a": null}, false).queryOptional("/a/b", 1);
+    }, Traverse.TypeError);
+});
\ No newline at end of file
@@ -0,0 +1,176 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const AssertRejects = Harness.AssertRejects;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Private functions.
+//
+
+/**
+ *  Create a registry with a "tenantId" method.
+ * 
+ *  @return {Traverse.MethodRegistry} - The registry.
+ */
+function CreateTenantRegistry() {
+    let registry = new Traverse.MethodRegistry(null);
+    registry.register("tenantId", function() {
+        this.string();
+        if (!/^t-[0-9]+$/.test(this.inner())) {
+            throw this.createError(Traverse.FormatError, "Invalid tenant.", {
+                "rule": "tenantId",
+                "expected": "t-<digits>"
+            });
+        }
+    });
+    return registry;
+}
+
+//
+//  Tests.
+//
+
+Test("registry: registered methods are chainable", function() {
+    let registry = CreateTenantRegistry();
+    let info = WrapObject({"tenant": "t-42", "bad": "x"}, false, {
+        "methods": registry
+    });
+    let tenant = info.sub("tenant").tenantId();
+    Assert.ok(tenant instanceof Traverse);
+    Assert.strictEqual(tenant.stringMaxLength(32).unwrap(), "t-42");
+    AssertRaises(function() {
+        info.sub("bad").tenantId();
+    }, Traverse.FormatError, {
+        "pointer": "/bad",
+        "rule": "tenantId"
+    });
+});
+
+Test("registry: methods are shared, not installed per object", function() {
+    let registry = CreateTenantRegistry();
+    let info = WrapObject({"a": "t-1", "b": "t-2"}, false, {
+        "methods": registry
+    });
+    let a = info.sub("a");
+    let b = info.sub("b");
+    Assert.strictEqual(a.tenantId, b.tenantId);
+    Assert.ok(!Object.prototype.hasOwnProperty.call(a, "tenantId"));
+
+    let collecting = WrapObject({"a": "t-1", "b": "t-2"}, false, {
+        "methods": registry,
+        "collect": true
+    });
+    Assert.strictEqual(collecting.sub("a").sub, collecting.sub("b").sub);
+    Assert.strictEqual(
+        collecting.sub("a").tenantId, 
+        collecting.sub("b").tenantId
+    );
+});
+
+Test("registry: registering doesn't affect existing objects", function() {
+    let registry = new Traverse.MethodRegistry(null);
+    let before = WrapObject(1, false, {"methods": registry});
+    registry.register("double", function() {
+        return this.inner() * 2;
+    });
+    let after = WrapObject(1, false, {"methods": registry});
+    Assert.strictEqual(typeof(before.double), "undefined");
+    Assert.strictEqual(after.double(), 2);
+    Assert.strictEqual(registry.unregister("double"), true);
+    Assert.strictEqual(registry.unregister("double"), false);
+    Assert.strictEqual(
+        typeof(WrapObject(1, false, {"methods": registry}).double), 
+        "undefined"
+    );
+    Assert.strictEqual(after.double(), 2);
+});
+
+Test("registry: child registries inherit and shadow methods", function() {
+    let parent = new Traverse.MethodRegistry(null);
+    parent.register("name", function() {
+        return "parent";
+    });
+    parent.register("other", function() {
+        return "other";
+    });
+    let child = new Traverse.MethodRegistry(parent);
+    child.register("name", function() {
+        return "child";
+    });
+    let info = WrapObject(null, false, {"methods": child});
+    Assert.strictEqual(info.name(), "child");
+    Assert.strictEqual(info.other(), "other");
+    Assert.deepStrictEqual(child.getNames().sort(), ["name", "other"]);
+});
+
+Test("registry: reserved and invalid names are rejected", function() {
+    let registry = new Traverse.MethodRegistry(null);
+    AssertRaises(function() {
+        registry.register("sub", function() {});
+    }, Traverse.ParameterError, {"rule": "register"});
+    AssertRaises(function() {
+        registry.register("toString", function() {});
+    }, Traverse.ParameterError);
+    AssertRaises(function() {
+        registry.register("a-b", function() {});
+    }, Traverse.ParameterError);
+    AssertRaises(function() {
+        registry.register("valid", "not a function");
+    }, Traverse.ParameterError);
+});
+
+Test("registry: failures of methods are collected", async function() {
+    let registry = CreateTenantRegistry();
+    registry.register("remoteCheck", async function() {
+        if (this.inner() != "t-1") {
+            throw this.createError(Traverse.Error, "Unknown tenant.", {
+                "rule": "remoteCheck"
+            });
+        }
+    });
+    let info = WrapObject({"a": "t-1", "b": "x", "c": "t-2"}, false, {
+        "methods": registry,
+        "collect": true
+    });
+    info.sub("a").tenantId();
+    let failed = info.sub("b").tenantId();
+    Assert.strictEqual(failed.stringMaxLength(0), failed);
+    let tenant = info.sub("a");
+    Assert.strictEqual(await tenant.remoteCheck(), tenant);
+    await info.sub("c").remoteCheck();
+    Assert.deepStrictEqual(info.collectedErrors().map(function(error) {
+        return error.rule;
+    }), ["tenantId", "remoteCheck"]);
+
+    let raising = WrapObject("t-2", false, {"methods": registry});
+    await AssertRejects(raising.remoteCheck(), Traverse.Error, {
+        "rule": "remoteCheck"
+    });
+});
+
+Test("registry: createError() carries the path of the object", function() {
+    let error = WrapObject({"a": [1]}, false).sub("a").arrayGetItem(0)
+        .createError(Traverse.TypeError, "Failed.", {"rule": "custom"});
+    Assert.ok(error instanceof Traverse.TypeError);
+    Assert.strictEqual(error.pointer, "/a/0");
+    Assert.strictEqual(error.rule, "custom");
+});
\ No newline at end of file
@@ -0,0 +1,32 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Fs = require("fs");
+const Harness = require("./harness");
+const Path = require("path");
+
+//  Load test files ("*.test.js", or the files given in command line).
+let files = process.argv.slice(2);
+if (files.length == 0) {
+    files = Fs.readdirSync(__dirname).filter(function(name) {
+        return name.endsWith(".test.js");
+    }).sort().map(function(name) {
+        return Path.join(__dirname, name);
+    });
+}
+files.forEach(function(file) {
+    require(Path.resolve(file));
+});
+
+//  Run test cases.
+Harness.RunTests().then(function(failed) {
+    process.exitCode = (failed == 0 ? 0 : 1);
+});
\ No newline at end of file
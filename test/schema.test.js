@@ -0,0 +1,179 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const CompileSchema = XRTLibTraverse.CompileSchema;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Constants.
+//
+
+/**
+ *  Schema of sockets.
+ * 
+ *  @type {TraverseSchema}
+ */
+const SOCKET_SCHEMA = CompileSchema({
+    "type": "object",
+    "properties": {
+        "address": {
+            "type": "string",
+            "regexp": /^[0-9.]+$/
+        },
+        "port": {
+            "type": "integer",
+            "min": 1,
+            "max": 65535
+        },
+        "timeout": {
+            "type": "integer",
+            "optional": true,
+            "default": 30000
+        },
+        "mode": {
+            "type": "string",
+            "optional": true,
+            "oneOf": ["tcp", "udp"]
+        },
+        "tags": {
+            "type": "array",
+            "optional": true,
+            "maxLength": 2,
+            "items": "string"
+        }
+    }
+});
+
+//
+//  Tests.
+//
+
+Test("schema: defaults are filled in a copy", function() {
+    let value = {"address": "127.0.0.1", "port": 443};
+    let normalized = SOCKET_SCHEMA.validate(value);
+    Assert.deepStrictEqual(normalized, {
+        "address": "127.0.0.1",
+        "port": 443,
+        "timeout": 30000
+    });
+    Assert.deepStrictEqual(value, {"address": "127.0.0.1", "port": 443});
+});
+
+Test("schema: errors match the traverse methods", function() {
+    AssertRaises(function() {
+        SOCKET_SCHEMA.validate({"address": "127.0.0.1", "port": 0});
+    }, Traverse.ValueOutOfRangeError, {
+        "path": ["port"],
+        "rule": "min"
+    });
+    AssertRaises(function() {
+        SOCKET_SCHEMA.validate({"address": "localhost", "port": 1});
+    }, Traverse.FormatError, {
+        "path": ["address"]
+    });
+    AssertRaises(function() {
+        SOCKET_SCHEMA.validate({"port": 1});
+    }, Traverse.KeyNotFoundError, {
+        "path": ["address"]
+    });
+    AssertRaises(function() {
+        SOCKET_SCHEMA.validate({"address": "1", "port": 1, "mode": "x"});
+    }, Traverse.Error, {
+        "path": ["mode"],
+        "rule": "oneOf"
+    });
+    AssertRaises(function() {
+        SOCKET_SCHEMA.validate({"address": "1", "port": 1, "tags": ["a", 1]});
+    }, Traverse.TypeError, {
+        "path": ["tags", 1]
+    });
+});
+
+Test("schema: execute() keeps the path of the traverse object", function() {
+    let info = WrapObject({"socket": {"port": 0}}, false);
+    AssertRaises(function() {
+        SOCKET_SCHEMA.execute(info.sub("socket"));
+    }, Traverse.KeyNotFoundError, {
+        "path": ["socket", "address"]
+    });
+});
+
+Test("schema: maps, values and custom rules", function() {
+    let schema = CompileSchema({
+        "type": "map",
+        "values": {
+            "type": "integer",
+            "nullable": true,
+            "rules": function IsEven(value) {
+                return value % 2 == 0;
+            }
+        }
+    });
+    schema.validate(new Map([["a", 2], ["b", null]]));
+    AssertRaises(function() {
+        schema.validate(new Map([["a", 3]]));
+    }, Traverse.Error, {
+        "rule": "customRule",
+        "expected": "IsEven"
+    });
+});
+
+Test("schema: invalid descriptors are rejected", function() {
+    [
+        {"type": "float"},
+        {"type": "string", "unknown": 1},
+        null
+    ].forEach(function(descriptor) {
+        AssertRaises(function() {
+            CompileSchema(descriptor);
+        }, Traverse.ParameterError);
+    });
+});
+
+Test("schema: collect-all mode reports every failure", function() {
+    let error = AssertRaises(function() {
+        SOCKET_SCHEMA.validate({"address": "x", "port": 0}, {
+            "collect": true
+        });
+    }, Traverse.AggregateError);
+    Assert.deepStrictEqual(error.errors.map(function(item) {
+        return item.pointer;
+    }), ["/address", "/port"]);
+});
+
+Test("schema: __proto__ keys never change the prototype", function() {
+    let input = JSON.parse(
+        "{\"name\": \"x\", \"__proto__\": {\"isAdmin\": true}}"
+    );
+    let normalized = CompileSchema({
+        "type": "object",
+        "properties": {"name": "string"}
+    }).validate(input);
+    Assert.strictEqual(Object.getPrototypeOf(normalized), Object.prototype);
+    Assert.strictEqual(normalized.isAdmin, undefined);
+    Assert.deepStrictEqual(normalized["__proto__"], {"isAdmin": true});
+    let mapped = CompileSchema({
+        "type": "object",
+        "values": "any"
+    }).validate(input);
+    Assert.strictEqual(Object.getPrototypeOf(mapped), Object.prototype);
+    Assert.strictEqual(mapped.isAdmin, undefined);
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const CompileSchema = XRTLibTraverse.CompileSchema;
+const ExportJsonSchema = XRTLibTraverse.ExportJsonSchema;
+const ExportTypeDeclaration = XRTLibTraverse.ExportTypeDeclaration;
+const LoadJsonSchema = XRTLibTraverse.LoadJsonSchema;
+const Test = Harness.Test;
+
+//
+//  Constants.
+//
+
+/**
+ *  Schema of sockets.
+ * 
+ *  @type {TraverseSchema}
+ */
+const SOCKET_SCHEMA = CompileSchema({
+    "type": "object",
+    "properties": {
+        "address": {"type": "string", "regexp": /^[a-z]+$/},
+        "port": {"type": "integer", "min": 1, "max": 65535},
+        "timeout": {"type": "integer", "optional": true, "default": 30000},
+        "mode": {"type": "string", "oneOf": ["tcp", "udp"], "nullable": true},
+        "tags": {"type": "array", "minLength": 1, "items": "string"}
+    }
+});
+
+//
+//  Tests.
+//
+
+Test("schemaexport: JSON schema document", function() {
+    Assert.deepStrictEqual(ExportJsonSchema(SOCKET_SCHEMA), {
+        "$schema": "https://json-schema.org/draft/2020-12/schema",
+        "type": "object",
+        "properties": {
+            "address": {"type": "string", "pattern": "^[a-z]+$"},
+            "port": {"type": "integer", "minimum": 1, "maximum": 65535},
+            "timeout": {"type": "integer", "default": 30000},
+            "mode": {
+                "type": ["string", "null"],
+                "enum": ["tcp", "udp", null]
+            },
+            "tags": {
+                "type": "array",
+                "minItems": 1,
+                "items": {"type": "string"}
+            }
+        },
+        "required": ["address", "port", "mode", "tags"]
+    });
+});
+
+Test("schemaexport: exported documents can be loaded back", function() {
+    let loaded = LoadJsonSchema(ExportJsonSchema(SOCKET_SCHEMA));
+    let value = {"address": "a", "port": 1, "mode": null, "tags": ["x"]};
+    Assert.deepStrictEqual(loaded.validate(value), value);
+    AssertRaises(function() {
+        loaded.validate({"address": "a", "port": 0, "mode": null, "tags": []});
+    }, Traverse.ValueOutOfRangeError, {
+        "path": ["port"]
+    });
+});
+
+Test("schemaexport: rules that can't be expressed", function() {
+    let schema = CompileSchema({
+        "type": "map",
+        "rules": function IsSmall(value) {
+            return value.size < 10;
+        }
+    });
+    Assert.deepStrictEqual(ExportJsonSchema(schema)["x-traverse-rules"], [
+        {"rule": "typeOf", "expected": "Map"},
+        {"rule": "customRule", "expected": "IsSmall"}
+    ]);
+    let declaration = ExportTypeDeclaration(schema, "Small");
+    Assert.ok(declaration.indexOf("@traverse customRule IsSmall") >= 0);
+    Assert.ok(declaration.indexOf("Map<unknown, unknown>") >= 0);
+});
+
+Test("schemaexport: TypeScript declaration", function() {
+    let declaration = ExportTypeDeclaration(SOCKET_SCHEMA, "Socket");
+    [
+        "export type Socket = {",
+        "    address: string;",
+        "     * @minimum 1",
+        "    port: number;",
+        "     * @default 30000",
+        "    timeout?: number;",
+        "    mode: \"tcp\" | \"udp\" | null;",
+        "    tags: Array<string>;"
+    ].forEach(function(line) {
+        Assert.ok(declaration.split("\n").indexOf(line) >= 0, line);
+    });
+    AssertRaises(function() {
+        ExportTypeDeclaration(SOCKET_SCHEMA, "1x");
+    }, Traverse.ParameterError);
+});
\ No newline at end of file
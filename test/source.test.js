@@ -0,0 +1,99 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Constants.
+//
+
+/**
+ *  The source document.
+ * 
+ *  @type {String}
+ */
+const DOCUMENT = "{\n  \"port\": \"80\",\n  \"a\": {\"b\": [1, 2]}\n}";
+
+//
+//  Tests.
+//
+
+Test("source: validation errors carry the location", function() {
+    let config = WrapObject(DOCUMENT, false).jsonLoad({"sourceMap": true});
+    AssertRaises(function() {
+        config.sub("port").integer();
+    }, Traverse.TypeError, {
+        "line": 2,
+        "column": 11,
+        "excerpt": "  \"port\": \"80\",\n          ^"
+    });
+    AssertRaises(function() {
+        config.sub("a").sub("b").arrayGetItem(1).min(5);
+    }, Traverse.ValueOutOfRangeError, {
+        "line": 3,
+        "column": 18
+    });
+});
+
+Test("source: missing keys use the nearest ancestor", function() {
+    let config = WrapObject(DOCUMENT, false).jsonLoad({"sourceMap": true});
+    AssertRaises(function() {
+        config.sub("a").sub("missing");
+    }, Traverse.KeyNotFoundError, {
+        "line": 3,
+        "column": 8
+    });
+});
+
+Test("source: getSourceLocation() reports offsets", function() {
+    let config = WrapObject(DOCUMENT, false).jsonLoad({"sourceMap": true});
+    Assert.deepStrictEqual(
+        config.sub("a").sub("b").arrayGetItem(1).getSourceLocation(), 
+        {
+            "offset": 35,
+            "line": 3,
+            "column": 18,
+            "excerpt": "  \"a\": {\"b\": [1, 2]}\n                 ^"
+        }
+    );
+    Assert.strictEqual(
+        WrapObject(DOCUMENT, false).jsonLoad().sub("port").getSourceLocation(), 
+        null
+    );
+});
+
+Test("source: parse errors carry the location", function() {
+    let input = WrapObject("{\n  \"a\": ,\n}", false);
+    AssertRaises(function() {
+        input.jsonLoad({"sourceMap": true});
+    }, Traverse.ParseError, {
+        "rule": "jsonLoad",
+        "line": 2,
+        "column": 8,
+        "excerpt": "  \"a\": ,\n       ^"
+    });
+    AssertRaises(function() {
+        input.jsonLoad();
+    }, Traverse.ParseError, {
+        "line": null,
+        "column": null
+    });
+});
\ No newline at end of file
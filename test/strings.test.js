@@ -0,0 +1,142 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const ChildProcess = require("child_process");
+const Harness = require("./harness");
+const Path = require("path");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("strings: length units", function() {
+    let info = WrapObject("é\u{1F600}", false);
+    info.stringMinLength(4).stringMaxLength(4);
+    info.stringMinLength(3, "codepoint").stringMaxLength(3, "codepoint");
+    if (typeof(Intl.Segmenter) == "function") {
+        info.stringMaxLength(2, "grapheme");
+    }
+    AssertRaises(function() {
+        info.stringMaxLength(2, "codepoint");
+    }, Traverse.SizeError, {
+        "rule": "stringMaxLength",
+        "expected": "length<=2",
+        "actual": "length=3"
+    });
+    AssertRaises(function() {
+        info.stringMinLength(1, "byte");
+    }, Traverse.ParameterError, {
+        "rule": "stringMinLength"
+    });
+});
+
+Test("strings: grapheme unit without Intl.Segmenter", function() {
+    let script = [
+        "delete Intl.Segmenter;",
+        "const T = require(" + JSON.stringify(
+            Path.join(__dirname, "..", "library", "api")
+        ) + ");",
+        "try {",
+        "    T.WrapObject(\"abc\", false).stringMinLength(1, \"grapheme\");",
+        "} catch(error) {",
+        "    console.log(error instanceof T.Traverse.ParameterError);",
+        "    console.log(error.expected);",
+        "}"
+    ].join("\n");
+    let output = ChildProcess.execFileSync(process.execPath, ["-e", script], {
+        "encoding": "utf8"
+    });
+    Assert.strictEqual(output, "true\nutf16/codepoint\n");
+});
+
+Test("strings: not empty, trimmed and letter case", function() {
+    WrapObject("abc", false).stringNotEmpty().stringTrimmed().stringCase(
+        "lower"
+    );
+    AssertRaises(function() {
+        WrapObject("", false).stringNotEmpty();
+    }, Traverse.SizeError);
+    AssertRaises(function() {
+        WrapObject(" abc", false).stringTrimmed();
+    }, Traverse.FormatError);
+    AssertRaises(function() {
+        WrapObject("Abc", false).stringCase("lower");
+    }, Traverse.FormatError);
+    AssertRaises(function() {
+        WrapObject("abc", false).stringCase("title");
+    }, Traverse.ParameterError);
+});
+
+Test("strings: built-in formats", function() {
+    let valid = [
+        ["email", "user@example.com"],
+        ["uri", "https://example.com/a?b=c#d"],
+        ["hostname", "a-1.example.com"],
+        ["ipv4", "10.0.0.1"],
+        ["ipv6", "fe80::1"],
+        ["cidr", "10.0.0.0/8"],
+        ["uuid", "123e4567-e89b-12d3-a456-426614174000"],
+        ["date", "2020-02-29"],
+        ["time", "08:30:00Z"],
+        ["date-time", "2019-02-28T08:30:00+08:00"],
+        ["semver", "1.0.0-rc.1+build.5"],
+        ["base64", "YWJjZA=="],
+        ["base64url", "YWJjZA"],
+        ["hex", "0aF9"]
+    ];
+    valid.forEach(function([format, text]) {
+        WrapObject(text, false).stringFormat(format);
+    });
+    let invalid = [
+        ["email", "user@@example.com"],
+        ["ipv4", "300.0.0.1"],
+        ["ipv6", "1:::2"],
+        ["date", "2019-02-29"],
+        ["semver", "1.0"],
+        ["hex", "0x1"]
+    ];
+    invalid.forEach(function([format, text]) {
+        AssertRaises(function() {
+            WrapObject(text, false).stringFormat(format);
+        }, Traverse.FormatError, {
+            "rule": "stringFormat",
+            "expected": format
+        });
+    });
+    AssertRaises(function() {
+        WrapObject("x", false).stringFormat("zip");
+    }, Traverse.ParameterError);
+});
+
+Test("strings: normalization returns a new object", function() {
+    let info = WrapObject({"mail": "  User@Ｅxample.COM "}, false);
+    let mail = info.sub("mail").stringNormalize({
+        "form": "NFKC",
+        "trim": true,
+        "case": "lower"
+    });
+    Assert.strictEqual(mail.unwrap(), "user@example.com");
+    Assert.strictEqual(mail.getPath(), "/mail");
+    Assert.strictEqual(info.unwrap().mail, "  User@Ｅxample.COM ");
+    AssertRaises(function() {
+        info.sub("mail").stringNormalize({"form": "NFX"});
+    }, Traverse.ParameterError);
+});
\ No newline at end of file
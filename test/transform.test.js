@@ -0,0 +1,111 @@
+//
+//  Copyright 2015 - 2019 The XRT Authors. All rights reserved.
+//  Use of this source code is governed by a BSD-style license that can be
+//  found in the LICENSE.md file.
+//
+
+//
+//  Imports.
+//
+
+//  Imported modules.
+const Assert = require("assert");
+const Harness = require("./harness");
+const XRTLibTraverse = require("./../library/api");
+
+//  Imported classes.
+const Traverse = XRTLibTraverse.Traverse;
+
+//  Imported functions.
+const AssertRaises = Harness.AssertRaises;
+const RegisterTransformer = XRTLibTraverse.RegisterTransformer;
+const Test = Harness.Test;
+const WrapObject = XRTLibTraverse.WrapObject;
+
+//
+//  Tests.
+//
+
+Test("transform: transformed values keep the path", function() {
+    let info = WrapObject({"timeout": 30}, false);
+    let timeout = info.sub("timeout").transform(function(seconds) {
+        Assert.strictEqual(this.getPath(), "/timeout");
+        return seconds * 1000;
+    });
+    Assert.strictEqual(timeout.unwrap(), 30000);
+    AssertRaises(function() {
+        timeout.max(10000);
+    }, Traverse.ValueOutOfRangeError, {
+        "path": ["timeout"],
+        "rule": "max"
+    });
+    Assert.strictEqual(info.unwrap().timeout, 30);
+});
+
+Test("transform: built-in transformers and pipes", function() {
+    let info = WrapObject({
+        "site": "  https://example.com/  ",
+        "tags": ["a", "a", "b"]
+    }, false);
+    Assert.strictEqual(
+        info.sub("site").pipe("trim", "url").unwrap().hostname, 
+        "example.com"
+    );
+    Assert.deepStrictEqual(
+        info.sub("tags").transform("set").unwrap(), 
+        new Set(["a", "b"])
+    );
+    Assert.strictEqual(info.sub("site").pipe("trim", function() {
+        return null;
+    }, "url").unwrap(), null);
+});
+
+Test("transform: failures raise traverse errors", function() {
+    let site = WrapObject({"site": "a"}, false).sub("site");
+    AssertRaises(function() {
+        site.transform("nope");
+    }, Traverse.ParameterError, {
+        "path": ["site"]
+    });
+    AssertRaises(function() {
+        site.transform(function() {
+            throw new Error("Failed.");
+        });
+    }, Traverse.ParseError, {
+        "path": ["site"],
+        "rule": "transform"
+    });
+});
+
+Test("transform: null values skip transformers", function() {
+    let info = WrapObject({"retries": null, "port": 80}, false);
+    Assert.strictEqual(info.sub("retries").transform(function() {
+        throw new Error("Unexpected call.");
+    }).unwrap(), null);
+    let retries = info.sub("retries").default(3);
+    Assert.strictEqual(retries.integer().unwrap(), 3);
+    Assert.strictEqual(retries.getPath(), "/retries");
+    Assert.strictEqual(info.sub("port").default(3).unwrap(), 80);
+    Assert.strictEqual(info.unwrap().retries, null);
+});
+
+Test("transform: registered transformers", function() {
+    let timeout = WrapObject(30, false);
+    RegisterTransformer("secondsToMilliseconds", function(seconds) {
+        return seconds * 1000;
+    });
+    try {
+        Assert.strictEqual(
+            timeout.transform("secondsToMilliseconds").unwrap(), 
+            30000
+        );
+    } finally {
+        RegisterTransformer("secondsToMilliseconds", null);
+    }
+    AssertRaises(function() {
+        timeout.transform("secondsToMilliseconds");
+    }, Traverse.ParameterError);
+    AssertRaises(function() {
+        RegisterTransformer(5, function() {});
+    }, Traverse.ParameterError);
+});
\ No newline at end of file